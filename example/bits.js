@@ -6,6 +6,10 @@
  * Converts 0xABCD number to bit array, uses it to build a buffer
  * with `BufferBuilder, then read those bits with `BufferReader` and
  * compare the input number to the read number.
+ *
+ * `number.toString(2)` starts with the most significant bit, so the bits
+ * are pushed and read using the `'MSB'` bit order, which makes the buffer
+ * contain the same bytes as the number (`0xAB 0xCD`).
  */
 var BufferBuilder = require('../lib/BufferBuilder');
 var BufferReader = require('../lib/BufferReader');
@@ -21,11 +25,11 @@ var bitsArray = bitsString.split('').map(Number);
 
 console.log('bits       :', bitsArray);
 
-var buffer = new BufferBuilder().pushBits(bitsArray).toBuffer();
+var buffer = new BufferBuilder().pushBits(bitsArray, 'MSB').toBuffer();
 
 console.log('buffer     :', buffer);
 
-var readBits = new BufferReader(buffer).readBits(0, 16).map(Number);
+var readBits = new BufferReader(buffer).readBits(0, 16, 'MSB').map(Number);
 
 console.log('read bits  :', readBits);
 console.log('read number:', parseInt(readBits.join(''), 2));
@@ -1,10 +1,101 @@
+/*global BigInt:false*/
+
 'use strict';
 
+var helpers = require('./helpers');
+var dateFormats = require('./dateFormats');
+var codePages = require('./codePages');
+
+var toUInt32Pair = helpers.toUInt32Pair;
+var parseBitOrder = helpers.parseBitOrder;
+var parseByteCount = helpers.parseByteCount;
+var resolveByteOrder = helpers.resolveByteOrder;
+var fromBigEndian = helpers.fromBigEndian;
+var fromFloat16 = helpers.fromFloat16;
+var encodeVarInt = helpers.encodeVarInt;
+var parseBcdByteCount = helpers.parseBcdByteCount;
+var parseRadix = helpers.parseRadix;
+var parseFixedFormat = helpers.parseFixedFormat;
+var parseUuidLayout = helpers.parseUuidLayout;
+var parseUuid = helpers.parseUuid;
+var getTypedArrayConstructor = helpers.getTypedArrayConstructor;
+var getTypedArrayType = helpers.getTypedArrayType;
+var fromTypedArray = helpers.fromTypedArray;
+var parseIPv4 = helpers.parseIPv4;
+var parseIPv6 = helpers.parseIPv6;
+var parseMac = helpers.parseMac;
+var parsePrefixType = helpers.parsePrefixType;
+var isUtf16Encoding = helpers.isUtf16Encoding;
+var parseTerminator = helpers.parseTerminator;
+var encodeString = helpers.encodeString;
+var encodeDate = dateFormats.encodeDate;
+var parseUnmappable = codePages.parseUnmappable;
+
 /**
  * A builder of dynamically sized `Buffer`s.
  *
+ * Methods appending multi-byte numbers accept an optional byte order, which
+ * can be `TRUE` (little endian), `FALSE` (big endian), `'LE'`, `'BE'` or
+ * a descriptor listing the bytes in the order they are written, `A` being
+ * the most significant one: `'ABCD'` (big endian), `'DCBA'` (little endian),
+ * `'CDAB'` (swapped 16 bit words) or `'BADC'` (swapped bytes in each word).
+ * Descriptors of a different size than the value (e.g. `'CDAB'` used with
+ * a double or `'GHEFCDAB'` used with a 32 bit integer) are applied as
+ * the equivalent word and byte swaps.
+ *
+ * If the byte order is not specified, the builder's `byteOrder` is used.
+ * It defaults to big endian and can be set through the constructor options,
+ * changed directly or switched temporarily with `withByteOrder()`.
+ *
+ * Methods appending bytes, 8 to 32 bit integers, floats and doubles accept
+ * an optional overflow policy deciding what happens to numbers outside of
+ * the type's range: `'throw'` an error (the default), `'clamp'` them to
+ * the nearest bound or `'wrap'` them around (two's complement for integers,
+ * `Infinity` for floating-point numbers). If the policy is not specified,
+ * the builder's `overflow` is used. Every clamped or wrapped number is
+ * reported to the builder's `onOverflow` function.
+ *
+ * By default, numeric arguments are coerced with `parseInt()` and
+ * `parseFloat()`, so `'12abc'` is pushed as 12 and `3.9` as 3. A strict
+ * builder accepts only finite numbers (integers for integer types, plus
+ * bigints for 64 bit and variable-length integers, plus infinities and `NaN`
+ * for `pushFloat16()`) and arrays of integers between 0 and 255 for
+ * `pushBytes()`, and throws a `TypeError` naming the method and the argument
+ * otherwise.
+ *
+ * Strings can be encoded with any `Buffer` encoding or any code page
+ * registered in `codePages`. Characters that the code page does not contain
+ * are handled according to the builder's `unmappable` policy.
+ *
  * @constructor
+ * @param {object} [options]
+ * @param {(boolean|string)} [options.byteOrder] The default byte order of
+ * multi-byte numbers. Defaults to `'BE'`.
+ * @param {string} [options.bitOrder] The default order of bits in each byte
+ * of the bit arrays. Defaults to `'LSB'`.
+ * @param {string} [options.overflow] The default overflow policy.
+ * Defaults to `'throw'`.
+ * @param {function(object)} [options.onOverflow] A function called with
+ * `{method, policy, value, result}` whenever a number is clamped or wrapped.
+ * @param {boolean} [options.strict] Whether to reject arguments that are not
+ * numbers of the expected kind instead of coercing them. Defaults to `FALSE`.
+ * @param {string} [options.unmappable] The default unmappable character
+ * policy. Defaults to `'throw'`.
  * @property {number} length A number of pushed bytes.
+ * @property {(boolean|string)} byteOrder The default byte order of
+ * multi-byte numbers. Defaults to `'BE'`.
+ * @property {string} bitOrder The default order of bits in each byte of
+ * the bit arrays: `'LSB'` (least significant bit first) or `'MSB'`
+ * (most significant bit first). Defaults to `'LSB'`.
+ * @property {string} overflow The default overflow policy: `'throw'`,
+ * `'clamp'` or `'wrap'`. Defaults to `'throw'`.
+ * @property {?function(object)} onOverflow A function called whenever
+ * a number is clamped or wrapped.
+ * @property {boolean} strict Whether arguments are validated strictly.
+ * Defaults to `FALSE`.
+ * @property {string} unmappable What to do with characters that the code page
+ * of a string does not contain: `'throw'` an error, `'replace'` them with `?`
+ * or `'skip'` them. Defaults to `'throw'`.
  * @example
  * var builder = new BufferBuilder();
  *
@@ -17,20 +108,95 @@
  *
  * console.log(buffer);
  */
-function BufferBuilder()
+function BufferBuilder(options)
 {
+  options = options || {};
+
   /**
    * @type {number}
    */
   this.length = 0;
 
+  /**
+   * @type {(boolean|string)}
+   */
+  this.byteOrder = options.byteOrder === undefined ? 'BE' : options.byteOrder;
+
+  /**
+   * @type {string}
+   */
+  this.bitOrder = parseBitOrder(options.bitOrder, 'LSB');
+
+  /**
+   * @type {string}
+   */
+  this.overflow = parseOverflow(options.overflow, 'throw');
+
+  /**
+   * @type {?function(object)}
+   */
+  this.onOverflow = options.onOverflow || null;
+
+  /**
+   * @type {boolean}
+   */
+  this.strict = options.strict === true;
+
+  /**
+   * @type {string}
+   */
+  this.unmappable = parseUnmappable(options.unmappable, 'throw');
+
   /**
    * @private
    * @type {Array.<function(Buffer, number): number>}
    */
   this.data = [];
+
+  /**
+   * @private
+   * @type {?{value: number, count: number, write: function}}
+   */
+  this.bitStash = null;
 }
 
+/**
+ * Calls the specified function with the builder's default byte order
+ * temporarily set to the specified one, e.g. to write a nested section
+ * of a different byte order. The previous default byte order is restored
+ * afterwards, even if the function throws.
+ *
+ * @param {(boolean|string)} byteOrder The byte order to use.
+ * @param {function(BufferBuilder)} callback A function to call. Receives
+ * this builder as its only argument.
+ * @returns {BufferBuilder} Self.
+ * @example
+ * builder
+ *   .pushUInt16(1)
+ *   .withByteOrder('LE', function()
+ *   {
+ *     builder.pushUInt32(2).pushUInt32(3);
+ *   })
+ *   .pushUInt16(4);
+ */
+BufferBuilder.prototype.withByteOrder = function(byteOrder, callback)
+{
+  var previousByteOrder = this.byteOrder;
+
+  this.byteOrder = byteOrder;
+
+  try
+  {
+    callback.call(this, this);
+  }
+  finally
+  {
+    this.byteOrder = previousByteOrder;
+  }
+
+  return this;
+};
+
 /**
  * Returns a new `Buffer` with all data pushed to this builder.
  *
@@ -65,8 +231,9 @@ BufferBuilder.prototype.toBuffer = function()
  * be set to `0`.
  *
  * Each 8 values from the array correspond to the 8 bits being appended to the
- * buffer as bytes. First value of the each octet is the least significant bit,
- * last value - the most significant bit.
+ * buffer as bytes. By default, first value of the each octet is the least
+ * significant bit, last value - the most significant bit. With the `'MSB'`
+ * bit order, first value is the most significant bit instead.
  *
  * Truthy values become `1`'s and falsy values become `0`'s.
  *
@@ -78,21 +245,28 @@ BufferBuilder.prototype.toBuffer = function()
  * will result in 2 bytes being appended to the builder:
  * `0xE6`, because its bit representation is `11100110` and
  * `0x06`, because its bit representation is `00000011`.
+ * With the `'MSB'` bit order, the same array results in `0x67` and `0x60`.
  *
  * @param {Array.<boolean>} bitsArray An array of truthy and falsy values.
+ * @param {string} [bitOrder] `'LSB'` if the first bit of each byte is
+ * the least significant one or `'MSB'` if it is the most significant one.
+ * Defaults to the builder's `bitOrder`.
  * @returns {BufferBuilder} Self.
  * @throws {Error} If the specified argument is not an array.
+ * @throws {Error} If the specified bit order is not `'LSB'` or `'MSB'`.
  * @example
  * builder.pushBits([0, 0, 0, 0, 1, 1, 0, 1, 0, 1])
- * builder.pushBits((0xABCD).toString(2).split('').map(Number))
+ * builder.pushBits((0xABCD).toString(2).split('').map(Number), 'MSB')
  */
-BufferBuilder.prototype.pushBits = function(bitsArray)
+BufferBuilder.prototype.pushBits = function(bitsArray, bitOrder)
 {
   if (!Array.isArray(bitsArray))
   {
     throw new Error('Expected an array.');
   }
 
+  var msbFirst = parseBitOrder(bitOrder, this.bitOrder) === 'MSB';
+
   var bitsCount = bitsArray.length;
   
   if (bitsCount === 0)
@@ -114,11 +288,12 @@ BufferBuilder.prototype.pushBits = function(bitsArray)
         buffer[offset++] = byteValue;
 
         bitIndex = 0;
-        byteValue = bitsArray[i] ? 1 : 0;
+        byteValue = 0;
       }
-      else if (bitsArray[i])
+
+      if (bitsArray[i])
       {
-        byteValue |= Math.pow(2, bitIndex);
+        byteValue |= Math.pow(2, msbFirst ? 7 - bitIndex : bitIndex);
       }
 
       bitIndex += 1;
@@ -134,25 +309,127 @@ BufferBuilder.prototype.pushBits = function(bitsArray)
   return this;
 };
 
+/**
+ * Appends the specified unsigned integer as a bit field of the specified
+ * width, starting with the most significant bit.
+ *
+ * Bit fields don't have to be aligned to bytes: consecutive bit fields are
+ * packed into the same bytes. Any other push (or a call to `alignToByte()`)
+ * starts at the next byte, leaving the unused bits of a partially filled
+ * byte set to `0`.
+ *
+ * Increases the length of the builder by the number of started bytes
+ * (a partially filled byte counts as a whole byte).
+ *
+ * @param {bigint|number|string} value A number between 0
+ * and 2^width - 1.
+ * @param {number} width A number of bits. Must be greater than 0.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified width is not a number greater than 0.
+ * @throws {Error} If the specified value does not fit in the width.
+ * @example
+ * builder
+ *   .pushBitField(1, 2)
+ *   .pushBitField(0, 2)
+ *   .pushBitField(4, 4)
+ *   .pushUInt8(1);
+ */
+BufferBuilder.prototype.pushBitField = function(value, width)
+{
+  /*jshint newcap:false*/
+
+  checkStrictValue(this, value, {
+    method: 'pushBitField',
+    argument: 'value',
+    type: 'bigint'
+  });
+
+  width = parseInt(width, 10);
+
+  if (isNaN(width) || width < 1)
+  {
+    throw new Error('Expected a width greater than 0.');
+  }
+
+  var max = (BigInt(1) << BigInt(width)) - BigInt(1);
+  var bigIntValue = parseBigIntValue(value);
+
+  if (bigIntValue === null || bigIntValue < BigInt(0) || bigIntValue > max)
+  {
+    throw new Error('Expected an integer between 0 and ' + max + '.');
+  }
+
+  while (width > 0)
+  {
+    var bitStash = openBitStash(this);
+    var bitCount = Math.min(width, 8 - bitStash.count);
+    var bits = bigIntValue >> BigInt(width - bitCount);
+
+    bitStash.count += bitCount;
+    bitStash.value |= Number(bits & BigInt((1 << bitCount) - 1))
+      << (8 - bitStash.count);
+
+    width -= bitCount;
+  }
+
+  return this;
+};
+
+/**
+ * Ends the partially filled byte of the last bit field, so that the next
+ * bit field starts at the beginning of a new byte. The unused bits are
+ * left set to `0`.
+ *
+ * Doesn't change the length of the builder.
+ *
+ * @returns {BufferBuilder} Self.
+ * @example
+ * builder
+ *   .pushBitField(7, 3)
+ *   .alignToByte()
+ *   .pushBitField(1, 1);
+ */
+BufferBuilder.prototype.alignToByte = function()
+{
+  this.bitStash = null;
+
+  return this;
+};
+
+/**
+ * An alias of `alignToByte()`.
+ *
+ * @function
+ * @returns {BufferBuilder} Self.
+ */
+BufferBuilder.prototype.flushBits = BufferBuilder.prototype.alignToByte;
+
 /**
  * Appends the specified byte to this builder.
  *
  * Increases the length of the builder by 1.
  *
  * @param {number} byteValue A number between 0 and 255.
+ * @param {(string|boolean)} [overflow] What to do with numbers outside of the
+ * byte range: `'throw'` an error, `'clamp'` them to the nearest bound or
+ * `'wrap'` them around. Defaults to the builder's `overflow`. A boolean is
+ * taken for a byte order flag and ignored.
  * @returns {BufferBuilder} Self.
- * @throws {Error} If the specified argument is not a number between 0 and 255.
+ * @throws {Error} If the specified overflow is not valid.
+ * @throws {Error} If the specified argument is not a number or is outside
+ * of the byte range and the overflow is `'throw'`.
  * @example
  * builder.pushByte(0xFE);
+ * builder.pushByte(300, 'clamp');
  */
-BufferBuilder.prototype.pushByte = function(byteValue)
+BufferBuilder.prototype.pushByte = function(byteValue, overflow)
 {
-  byteValue = parseInt(byteValue, 10);
-
-  if (isNaN(byteValue) || byteValue < 0 || byteValue > 255)
-  {
-    throw new Error('Expected a number between 0 and 255.');
-  }
+  byteValue = parseOverflowValue(this, byteValue, skipByteOrder(overflow), {
+    method: 'pushByte',
+    argument: 'byteValue',
+    min: 0,
+    max: 255
+  });
 
   this.data.push(function(buffer, offset)
   {
@@ -199,16 +476,36 @@ BufferBuilder.prototype.pushChar = function(charValue)
  * @param {Array.<number>} bytesArray An array of numbers between 0 and 255.
  * @returns {BufferBuilder} Self.
  * @throws {Error} If the specified argument is not an array.
+ * @throws {TypeError} If the builder is strict and the specified argument is
+ * not an array of integers between 0 and 255.
  * @example
  * builder.pushBytes([0x00, 0x01, 0xAB, 0xCD]);
  */
 BufferBuilder.prototype.pushBytes = function(bytesArray)
 {
+  checkStrictValue(this, bytesArray, {
+    method: 'pushBytes',
+    argument: 'bytesArray',
+    type: 'array'
+  });
+
   if (!Array.isArray(bytesArray))
   {
     throw new Error('Expected an array.');
   }
 
+  if (this.strict)
+  {
+    bytesArray.forEach(function(byteValue, i)
+    {
+      checkStrictValue(this, byteValue, {
+        method: 'pushBytes',
+        argument: 'bytesArray[' + i + ']',
+        type: 'byte'
+      });
+    }, this);
+  }
+
   var bytesCount = bytesArray.length;
 
   if (bytesCount === 0)
@@ -269,16 +566,20 @@ BufferBuilder.prototype.pushBuffer = function(sourceBuffer)
  * Appends the specified string in the specified encoding to this builder.
  *
  * Increases the length of the builder by the byte length of the specified
- * string. Byte length is calculated using `Buffer.byteLength()` function.
+ * string. Byte length is calculated using `Buffer.byteLength()` function
+ * or, for code pages, is the number of encoded characters.
  *
  * @param {string} stringValue A string value in the specified encoding.
- * @param {string} [encoding] An encoding of the specified string value.
- * Defaults to `utf8`.
+ * @param {string} [encoding] An encoding of the specified string value:
+ * a `Buffer` encoding or a name of a registered code page. Defaults to `utf8`.
  * @returns {BufferBuilder} Self.
  * @throws {Error} If the specified value is not a string.
+ * @throws {Error} If the string contains a character that the code page
+ * does not contain and the builder's `unmappable` is `'throw'`.
  * @example
  * builder.pushString('Hęłłó!');
  * builder.pushString('Hello!', 'ascii');
+ * builder.pushString('HELLO', 'cp037');
  */
 BufferBuilder.prototype.pushString = function(stringValue, encoding)
 {
@@ -292,6 +593,13 @@ BufferBuilder.prototype.pushString = function(stringValue, encoding)
     return this;
   }
 
+  if (codePages.has(encoding))
+  {
+    return this.pushBuffer(
+      codePages.encode(stringValue, encoding, this.unmappable)
+    );
+  }
+
   if (!encoding)
   {
     encoding = 'utf8';
@@ -308,25 +616,192 @@ BufferBuilder.prototype.pushString = function(stringValue, encoding)
 };
 
 /**
- * Appends the specified string followed by NULL character (`\0`)
- * to this builder.
+ * Appends the specified string followed by the terminator (by default,
+ * the NULL character) to this builder.
  *
  * Increases the length of the builder by the byte length of the specified
- * string value plus 1. Byte length is calculated using `Buffer.byteLength()`
- * function.
+ * string value plus the terminator's length. Byte length is calculated using
+ * `Buffer.byteLength()` function.
  *
  * @param {string} stringValue A string value in the specified encoding.
- * @param {string} [encoding] An encoding of the specified string value.
- * Defaults to `utf8`.
+ * @param {string} [encoding] An encoding of the specified string value:
+ * a `Buffer` encoding or a name of a registered code page. Defaults to `utf8`.
+ * @param {(string|Buffer|Array.<number>)} [terminator] A custom terminator
+ * sequence. A string is encoded with the specified encoding. Defaults to
+ * the NUL character of the encoding: `0x00` or, for `utf16le` and `ucs2`,
+ * `0x00 0x00`.
  * @returns {BufferBuilder} Self.
  * @throws {Error} If the specified value is not a string.
+ * @throws {Error} If the specified terminator is not valid.
  * @example
  * builder.pushZeroString('Hęłłó!');
  * builder.pushZeroString('Hello!', 'ascii');
+ * builder.pushZeroString('Hello!', 'utf16le');
+ * builder.pushZeroString('Hello!', 'ascii', '\r\n');
+ */
+BufferBuilder.prototype.pushZeroString = function(
+  stringValue, encoding, terminator)
+{
+  terminator = parseTerminator(terminator, encoding);
+
+  return this.pushString(stringValue, encoding).pushBytes(terminator.bytes);
+};
+
+/**
+ * Appends the length of the specified source `Buffer` followed by its bytes
+ * to this builder.
+ *
+ * Increases the length of the builder by the size of the prefix plus
+ * the length of the specified source buffer.
+ *
+ * @param {Buffer} sourceBuffer An instance of `Buffer`.
+ * @param {string} [prefixType] A type of the length prefix: `'UInt8'`,
+ * `'UInt16'`, `'UInt16LE'`, `'UInt16BE'`, `'UInt32'`, `'UInt32LE'`,
+ * `'UInt32BE'` or `'VarUInt'` (LEB128). 16 and 32 bit prefixes without
+ * a suffix use the builder's `byteOrder`. Defaults to `'UInt8'`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified argument is not an instance of `Buffer`.
+ * @throws {Error} If the specified prefix type is not supported.
+ * @throws {Error} If the buffer is too long for the prefix type.
+ * @example
+ * builder.pushPrefixedBuffer(new Buffer([0, 1, 2]), 'UInt16');
+ */
+BufferBuilder.prototype.pushPrefixedBuffer = function(sourceBuffer, prefixType)
+{
+  if (!Buffer.isBuffer(sourceBuffer))
+  {
+    throw new Error('Expected an instance of Buffer.');
+  }
+
+  pushLengthPrefix(this, sourceBuffer.length, prefixType, 'buffer');
+
+  return this.pushBuffer(sourceBuffer);
+};
+
+/**
+ * Appends the byte length of the specified string followed by the string
+ * in the specified encoding to this builder.
+ *
+ * Increases the length of the builder by the size of the prefix plus
+ * the byte length of the encoded string.
+ *
+ * @param {string} stringValue A string value in the specified encoding.
+ * @param {string} [prefixType] A type of the length prefix: `'UInt8'`,
+ * `'UInt16'`, `'UInt16LE'`, `'UInt16BE'`, `'UInt32'`, `'UInt32LE'`,
+ * `'UInt32BE'` or `'VarUInt'` (LEB128). 16 and 32 bit prefixes without
+ * a suffix use the builder's `byteOrder`. Defaults to `'UInt8'`.
+ * @param {string} [encoding] An encoding of the specified string value:
+ * a `Buffer` encoding or a name of a registered code page. Defaults to `utf8`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a string.
+ * @throws {Error} If the specified prefix type is not supported.
+ * @throws {Error} If the string is too long for the prefix type.
+ * @example
+ * builder.pushPrefixedString('Hęłłó!', 'VarUInt');
+ * builder.pushPrefixedString('Hello!', 'UInt16LE', 'ascii');
+ */
+BufferBuilder.prototype.pushPrefixedString = function(
+  stringValue, prefixType, encoding)
+{
+  if (typeof stringValue !== 'string')
+  {
+    throw new Error('Expected a string.');
+  }
+
+  var stringBuffer = encodeString(stringValue, encoding, this.unmappable);
+
+  pushLengthPrefix(this, stringBuffer.length, prefixType, 'string');
+
+  return this.pushBuffer(stringBuffer);
+};
+
+/**
+ * Appends the specified string in the specified encoding padded to
+ * the specified byte length to this builder.
+ *
+ * Strings longer than the field are truncated on a character boundary,
+ * so that no partial multi-byte character is written.
+ *
+ * Increases the length of the builder by the specified length.
+ *
+ * @param {string} stringValue A string value in the specified encoding.
+ * @param {number} length A number of bytes of the field. Must be greater
+ * than 0.
+ * @param {string} [encoding] An encoding of the specified string value:
+ * a `Buffer` encoding or a name of a registered code page. Defaults to `utf8`.
+ * @param {(number|object)} [options] A byte to pad the string with or
+ * an options object.
+ * @param {number} [options.padByte] A byte to pad the string with.
+ * Defaults to `0x00`.
+ * @param {boolean} [options.truncate] Whether to truncate strings longer
+ * than the field instead of throwing an error. Defaults to `TRUE`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a string.
+ * @throws {Error} If the specified length is not a number greater than 0.
+ * @throws {Error} If the specified pad byte is not a number between 0
+ * and 255.
+ * @throws {Error} If the string is longer than the field and truncation
+ * is disabled.
+ * @example
+ * builder.pushFixedString('Łukasz', 32);
+ * builder.pushFixedString('ABC', 8, 'ascii', 0x20);
+ * builder.pushFixedString('Hello!', 4, 'ascii', {truncate: false});
  */
-BufferBuilder.prototype.pushZeroString = function(stringValue, encoding)
+BufferBuilder.prototype.pushFixedString = function(
+  stringValue, length, encoding, options)
 {
-  return this.pushString(stringValue, encoding).pushByte(0);
+  if (typeof stringValue !== 'string')
+  {
+    throw new Error('Expected a string.');
+  }
+
+  checkStrictValue(this, length, {
+    method: 'pushFixedString',
+    argument: 'length',
+    type: 'integer'
+  });
+
+  length = parseInt(length, 10);
+
+  if (isNaN(length) || length < 1)
+  {
+    throw new Error('The length must be a number greater than 0.');
+  }
+
+  if (typeof options !== 'object' || options === null)
+  {
+    options = {padByte: options};
+  }
+
+  var padByte = 0x00;
+
+  if (options.padByte !== undefined && options.padByte !== null)
+  {
+    checkStrictValue(this, options.padByte, {
+      method: 'pushFixedString',
+      argument: 'padByte',
+      type: 'byte'
+    });
+
+    padByte = parseIntValue(options.padByte, 0xFF, 0x00);
+  }
+  var stringBuffer = encodeString(stringValue, encoding, this.unmappable);
+
+  if (stringBuffer.length > length && options.truncate === false)
+  {
+    throw new Error(
+      'The string is too long for the fixed length of ' + length + ' bytes.'
+    );
+  }
+
+  var fieldBuffer = new Buffer(length);
+
+  fieldBuffer.fill(padByte);
+  stringBuffer.copy(
+    fieldBuffer, 0, 0, truncateEncoded(stringBuffer, length, encoding)
+  );
+
+  return this.pushBuffer(fieldBuffer);
 };
 
 /**
@@ -335,15 +810,28 @@ BufferBuilder.prototype.pushZeroString = function(stringValue, encoding)
  * Increases the length of the builder by 1.
  *
  * @param {number} numberValue A number between -128 and 127.
+ * @param {(string|boolean)} [overflow] What to do with numbers outside of the
+ * type's range: `'throw'` an error, `'clamp'` them to the nearest bound or
+ * `'wrap'` them around. Defaults to the builder's `overflow`. A boolean is
+ * taken for a byte order flag and ignored.
  * @returns {BufferBuilder} Self.
- * @throws {Error} If the specified value is not an 8-bit signed integer.
+ * @throws {Error} If the specified overflow is not valid.
+ * @throws {Error} If the specified value is not a number or is outside of
+ * the type's range and the overflow is `'throw'`.
  * @example
  * builder.pushInt8(-100);
  * builder.pushInt8(10, true);
+ * builder.pushInt8(-200, 'clamp');
  */
-BufferBuilder.prototype.pushInt8 = function(numberValue)
+BufferBuilder.prototype.pushInt8 = function(numberValue, overflow)
 {
-  numberValue = parseIntValue(numberValue, 0x7F, -0x80);
+  numberValue = parseOverflowValue(
+    this, numberValue, skipByteOrder(overflow), {
+      method: 'pushInt8',
+      min: -0x80,
+      max: 0x7F
+    }
+  );
 
   this.data.push(function(buffer, offset)
   {
@@ -363,30 +851,33 @@ BufferBuilder.prototype.pushInt8 = function(numberValue)
  * Increases the length of the builder by 2.
  *
  * @param {number} numberValue A number between -32768 and 32767.
- * @param {boolean} [littleEndian] `TRUE` for little endian byte order;
- * `FALSE` for big endian. Defaults to `FALSE`.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * Defaults to `FALSE`.
+ * @param {string} [overflow] What to do with numbers outside of the type's
+ * range: `'throw'` an error, `'clamp'` them to the nearest bound or `'wrap'`
+ * them around. Defaults to the builder's `overflow`.
  * @returns {BufferBuilder} Self.
- * @throws {Error} If the specified value is not a 16-bit signed integer.
+ * @throws {Error} If the specified overflow is not valid.
+ * @throws {Error} If the specified value is not a number or is outside of
+ * the type's range and the overflow is `'throw'`.
  * @example
  * builder.pushInt16(12345);
  * builder.pushInt16(-12345, true);
+ * builder.pushInt16(40000, false, 'clamp');
  */
-BufferBuilder.prototype.pushInt16 = function(numberValue, littleEndian)
+BufferBuilder.prototype.pushInt16 = function(numberValue, byteOrder, overflow)
 {
-  numberValue = parseIntValue(numberValue, 0x7FFF, -0x8000);
+  numberValue = parseOverflowValue(this, numberValue, overflow, {
+    method: 'pushInt16',
+    min: -0x8000,
+    max: 0x7FFF
+  });
 
-  this.data.push(function(buffer, offset)
+  return pushNumber(this, 2, byteOrder, function(buffer, offset, endian)
   {
-    buffer[littleEndian ? 'writeInt16LE' : 'writeInt16BE'](
-      numberValue, offset, true
-    );
-
-    return 2;
+    buffer['writeInt16' + endian](numberValue, offset, true);
   });
-
-  this.length += 2;
-
-  return this;
 };
 
 /**
@@ -395,30 +886,34 @@ BufferBuilder.prototype.pushInt16 = function(numberValue, littleEndian)
  * Increases the length of the builder by 4.
  *
  * @param {number} numberValue A number between -2147483648 and 2147483647.
- * @param {boolean} [littleEndian] `TRUE` for little endian byte order;
- * `FALSE` for big endian. Defaults to `FALSE`.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * Defaults to `FALSE`.
+ * @param {string} [overflow] What to do with numbers outside of the type's
+ * range: `'throw'` an error, `'clamp'` them to the nearest bound or `'wrap'`
+ * them around. Defaults to the builder's `overflow`.
  * @returns {BufferBuilder} Self.
- * @throws {Error} If the specified value is not a 32-bit signed integer.
+ * @throws {Error} If the specified overflow is not valid.
+ * @throws {Error} If the specified value is not a number or is outside of
+ * the type's range and the overflow is `'throw'`.
  * @example
  * builder.pushInt32(-123456789);
  * builder.pushInt32(123456789, true);
+ * builder.pushInt32(123456789, 'CDAB');
+ * builder.pushInt32(-3000000000, 'CDAB', 'wrap');
  */
-BufferBuilder.prototype.pushInt32 = function(numberValue, littleEndian)
+BufferBuilder.prototype.pushInt32 = function(numberValue, byteOrder, overflow)
 {
-  numberValue = parseIntValue(numberValue, 0x7FFFFFFF, -0x80000000);
+  numberValue = parseOverflowValue(this, numberValue, overflow, {
+    method: 'pushInt32',
+    min: -0x80000000,
+    max: 0x7FFFFFFF
+  });
 
-  this.data.push(function(buffer, offset)
+  return pushNumber(this, 4, byteOrder, function(buffer, offset, endian)
   {
-    buffer[littleEndian ? 'writeInt32LE' : 'writeInt32BE'](
-      numberValue, offset, true
-    );
-
-    return 4;
+    buffer['writeInt32' + endian](numberValue, offset, true);
   });
-
-  this.length += 4;
-
-  return this;
 };
 
 /**
@@ -427,15 +922,28 @@ BufferBuilder.prototype.pushInt32 = function(numberValue, littleEndian)
  * Increases the length of the builder by 1.
  *
  * @param {number} numberValue A number between 0 and 255.
+ * @param {(string|boolean)} [overflow] What to do with numbers outside of the
+ * type's range: `'throw'` an error, `'clamp'` them to the nearest bound or
+ * `'wrap'` them around. Defaults to the builder's `overflow`. A boolean is
+ * taken for a byte order flag and ignored.
  * @returns {BufferBuilder} Self.
- * @throws {Error} If the specified value is not an 8-bit unsigned integer.
+ * @throws {Error} If the specified overflow is not valid.
+ * @throws {Error} If the specified value is not a number or is outside of
+ * the type's range and the overflow is `'throw'`.
  * @example
  * builder.pushUInt8(255);
  * builder.pushUInt8(66, true);
+ * builder.pushUInt8(256, 'wrap');
  */
-BufferBuilder.prototype.pushUInt8 = function(numberValue)
+BufferBuilder.prototype.pushUInt8 = function(numberValue, overflow)
 {
-  numberValue = parseIntValue(numberValue, 0xFF, 0x00);
+  numberValue = parseOverflowValue(
+    this, numberValue, skipByteOrder(overflow), {
+      method: 'pushUInt8',
+      min: 0x00,
+      max: 0xFF
+    }
+  );
 
   this.data.push(function(buffer, offset)
   {
@@ -455,30 +963,33 @@ BufferBuilder.prototype.pushUInt8 = function(numberValue)
  * Increases the length of the builder by 2.
  *
  * @param {number} numberValue A number between 0 and 65535.
- * @param {boolean} [littleEndian] `TRUE` for little endian byte order;
- * `FALSE` for big endian. Defaults to `FALSE`.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * Defaults to `FALSE`.
+ * @param {string} [overflow] What to do with numbers outside of the type's
+ * range: `'throw'` an error, `'clamp'` them to the nearest bound or `'wrap'`
+ * them around. Defaults to the builder's `overflow`.
  * @returns {BufferBuilder} Self.
- * @throws {Error} If the specified value is not a 16-bit unsigned integer.
+ * @throws {Error} If the specified overflow is not valid.
+ * @throws {Error} If the specified value is not a number or is outside of
+ * the type's range and the overflow is `'throw'`.
  * @example
  * builder.pushUInt16(256);
  * builder.pushUInt16(1, true);
+ * builder.pushUInt16(65536, true, 'wrap');
  */
-BufferBuilder.prototype.pushUInt16 = function(numberValue, littleEndian)
+BufferBuilder.prototype.pushUInt16 = function(numberValue, byteOrder, overflow)
 {
-  numberValue = parseIntValue(numberValue, 0xFFFF, 0x0000);
+  numberValue = parseOverflowValue(this, numberValue, overflow, {
+    method: 'pushUInt16',
+    min: 0x0000,
+    max: 0xFFFF
+  });
 
-  this.data.push(function(buffer, offset)
+  return pushNumber(this, 2, byteOrder, function(buffer, offset, endian)
   {
-    buffer[littleEndian ? 'writeUInt16LE' : 'writeUInt16BE'](
-      numberValue, offset, true
-    );
-
-    return 2;
+    buffer['writeUInt16' + endian](numberValue, offset, true);
   });
-
-  this.length += 2;
-
-  return this;
 };
 
 /**
@@ -487,108 +998,956 @@ BufferBuilder.prototype.pushUInt16 = function(numberValue, littleEndian)
  * Increases the length of the builder by 4.
  *
  * @param {number} numberValue A number between 0 and 4294967295.
- * @param {boolean} [littleEndian] `TRUE` for little endian byte order;
- * `FALSE` for big endian. Defaults to `FALSE`.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * Defaults to `FALSE`.
+ * @param {string} [overflow] What to do with numbers outside of the type's
+ * range: `'throw'` an error, `'clamp'` them to the nearest bound or `'wrap'`
+ * them around. Defaults to the builder's `overflow`.
  * @returns {BufferBuilder} Self.
- * @throws {Error} If the specified value is not a 32-bit unsigned integer.
+ * @throws {Error} If the specified overflow is not valid.
+ * @throws {Error} If the specified value is not a number or is outside of
+ * the type's range and the overflow is `'throw'`.
  * @example
  * builder.pushUInt32(4000111222);
  * builder.pushUInt32(4000111222, true);
+ * builder.pushUInt32(4000111222, 'CDAB');
+ * builder.pushUInt32(-1, false, 'clamp');
  */
-BufferBuilder.prototype.pushUInt32 = function(numberValue, littleEndian)
+BufferBuilder.prototype.pushUInt32 = function(numberValue, byteOrder, overflow)
 {
-  numberValue = parseIntValue(numberValue, 0xFFFFFFFF, 0x00000000);
+  numberValue = parseOverflowValue(this, numberValue, overflow, {
+    method: 'pushUInt32',
+    min: 0x00000000,
+    max: 0xFFFFFFFF
+  });
 
-  this.data.push(function(buffer, offset)
+  return pushNumber(this, 4, byteOrder, function(buffer, offset, endian)
   {
-    buffer[littleEndian ? 'writeUInt32LE' : 'writeUInt32BE'](
-      numberValue, offset, true
-    );
+    buffer['writeUInt32' + endian](numberValue, offset, true);
+  });
+};
 
-    return 4;
+/**
+ * Appends the specified number as a signed 64-bit integer to this builder.
+ *
+ * Increases the length of the builder by 8.
+ *
+ * @param {bigint|number|string} numberValue A number between
+ * -9223372036854775808 and 9223372036854775807.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * Defaults to `FALSE`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a 64-bit signed integer.
+ * @example
+ * builder.pushInt64(BigInt('-1234567890123456789'));
+ * builder.pushInt64(-1234567890, true);
+ */
+BufferBuilder.prototype.pushInt64 = function(numberValue, byteOrder)
+{
+  checkStrictValue(this, numberValue, {
+    method: 'pushInt64',
+    argument: 'numberValue',
+    type: 'bigint'
   });
 
-  this.length += 4;
+  numberValue = parseInt64Value(numberValue, true);
 
-  return this;
+  return pushUInt32Pair(this, toUInt32Pair(numberValue), byteOrder);
 };
 
 /**
- * Appends the specified number as a signed 32 bit floating-point number
- * defined in IEEE 754.
+ * Appends the specified number as an unsigned 64-bit integer to this builder.
  *
- * Increases the length of the builder by 4.
+ * Increases the length of the builder by 8.
  *
- * @param {number} numberValue A number between -3.4028234663852886e+38
- * and 3.4028234663852886e+38.
- * @param {boolean} [littleEndian] `TRUE` for little endian byte order;
- * `FALSE` for big endian. Defaults to `FALSE`.
+ * @param {bigint|number|string} numberValue A number between 0
+ * and 18446744073709551615.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * Defaults to `FALSE`.
  * @returns {BufferBuilder} Self.
- * @throws {Error} If the specified value is not a float.
+ * @throws {Error} If the specified value is not a 64-bit unsigned integer.
  * @example
- * builder.pushFloat(123.456);
- * builder.pushFloat(-123.456);
+ * builder.pushUInt64(BigInt('18446744073709551615'));
+ * builder.pushUInt64(1234567890, true);
  */
-BufferBuilder.prototype.pushFloat = function(numberValue, littleEndian)
+BufferBuilder.prototype.pushUInt64 = function(numberValue, byteOrder)
 {
-  numberValue = parseFloatValue(
-    numberValue, 3.4028234663852886e+38, -3.4028234663852886e+38
-  );
-
-  this.data.push(function(buffer, offset)
-  {
-    buffer[littleEndian ? 'writeFloatLE' : 'writeFloatBE'](
-      numberValue, offset, true
-    );
-
-    return 4;
+  checkStrictValue(this, numberValue, {
+    method: 'pushUInt64',
+    argument: 'numberValue',
+    type: 'bigint'
   });
 
-  this.length += 4;
+  numberValue = parseInt64Value(numberValue, false);
 
-  return this;
+  return pushUInt32Pair(this, toUInt32Pair(numberValue), byteOrder);
 };
 
 /**
- * Appends the specified number as a signed 64 bit floating-point number
- * defined in IEEE 754.
+ * Appends the specified number as a signed integer of the specified byte
+ * count to this builder.
  *
- * Increases the length of the builder by 8.
+ * Increases the length of the builder by the specified byte count.
  *
- * @param {number} numberValue A number between -1.7976931348623157e+308
- * and 1.7976931348623157e+308.
- * @param {boolean} [littleEndian] `TRUE` for little endian byte order;
- * `FALSE` for big endian. Defaults to `FALSE`.
+ * @param {number} numberValue A number between -2^(byteCount * 8 - 1)
+ * and 2^(byteCount * 8 - 1) - 1.
+ * @param {number} byteCount A number of bytes. Must be between 1 and 6.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * Defaults to `FALSE`.
  * @returns {BufferBuilder} Self.
- * @throws {Error} If the specified value is not a double.
+ * @throws {Error} If the specified byte count is not a number between 1 and 6.
+ * @throws {Error} If the specified value is not a signed integer of
+ * the specified byte count.
  * @example
- * builder.pushDouble(12345.6789);
- * builder.pushDouble(-12345.99999);
+ * builder.pushIntN(-8388608, 3);
+ * builder.pushIntN(-123456789012, 5, true);
  */
-BufferBuilder.prototype.pushDouble = function(numberValue, littleEndian)
+BufferBuilder.prototype.pushIntN = function(
+  numberValue, byteCount, byteOrder)
 {
-  numberValue = parseFloatValue(
-    numberValue, 1.7976931348623157e+308, -1.7976931348623157e+308
-  );
+  byteCount = parseByteCount(byteCount);
 
-  this.data.push(function(buffer, offset)
-  {
-    buffer[littleEndian ? 'writeDoubleLE' : 'writeDoubleBE'](
-      numberValue, offset, true
-    );
+  var max = Math.pow(2, byteCount * 8 - 1);
 
-    return 8;
+  checkStrictValue(this, numberValue, {
+    method: 'pushIntN',
+    argument: 'numberValue',
+    type: 'integer'
   });
 
-  this.length += 8;
+  numberValue = parseIntValue(numberValue, max - 1, -max);
 
-  return this;
+  return pushNumber(this, byteCount, byteOrder, function(buffer, offset, endian)
+  {
+    buffer['writeInt' + endian](numberValue, offset, byteCount);
+  });
 };
 
 /**
- * @private
- * @param {number} value
- * @param {number} max
+ * Appends the specified number as an unsigned integer of the specified byte
+ * count to this builder.
+ *
+ * Increases the length of the builder by the specified byte count.
+ *
+ * @param {number} numberValue A number between 0 and 2^(byteCount * 8) - 1.
+ * @param {number} byteCount A number of bytes. Must be between 1 and 6.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * Defaults to `FALSE`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified byte count is not a number between 1 and 6.
+ * @throws {Error} If the specified value is not an unsigned integer of
+ * the specified byte count.
+ * @example
+ * builder.pushUIntN(16777215, 3);
+ * builder.pushUIntN(281474976710655, 6, true);
+ */
+BufferBuilder.prototype.pushUIntN = function(
+  numberValue, byteCount, byteOrder)
+{
+  byteCount = parseByteCount(byteCount);
+
+  checkStrictValue(this, numberValue, {
+    method: 'pushUIntN',
+    argument: 'numberValue',
+    type: 'integer'
+  });
+
+  numberValue = parseIntValue(
+    numberValue, Math.pow(2, byteCount * 8) - 1, 0
+  );
+
+  return pushNumber(this, byteCount, byteOrder, function(buffer, offset, endian)
+  {
+    buffer['writeUInt' + endian](numberValue, offset, byteCount);
+  });
+};
+
+/**
+ * Appends the specified number as an unsigned LEB128 variable-length integer.
+ *
+ * Increases the length of the builder by the number of bytes needed
+ * to encode the value (7 bits per byte).
+ *
+ * @param {bigint|number|string} numberValue An integer between 0
+ * and 18446744073709551615.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a 64-bit unsigned integer.
+ * @example
+ * builder.pushVarUInt(624485);
+ * builder.pushVarUInt(BigInt('18446744073709551615'));
+ */
+BufferBuilder.prototype.pushVarUInt = function(numberValue)
+{
+  checkStrictValue(this, numberValue, {
+    method: 'pushVarUInt',
+    argument: 'numberValue',
+    type: 'bigint'
+  });
+
+  return this.pushBytes(
+    encodeVarInt(parseInt64Value(numberValue, false), false)
+  );
+};
+
+/**
+ * Appends the specified number as a signed LEB128 variable-length integer.
+ *
+ * Increases the length of the builder by the number of bytes needed
+ * to encode the value (7 bits per byte).
+ *
+ * @param {bigint|number|string} numberValue An integer between
+ * -9223372036854775808 and 9223372036854775807.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a 64-bit signed integer.
+ * @example
+ * builder.pushVarInt(-123456);
+ * builder.pushVarInt(BigInt('-9223372036854775808'));
+ */
+BufferBuilder.prototype.pushVarInt = function(numberValue)
+{
+  checkStrictValue(this, numberValue, {
+    method: 'pushVarInt',
+    argument: 'numberValue',
+    type: 'bigint'
+  });
+
+  return this.pushBytes(
+    encodeVarInt(parseInt64Value(numberValue, true), true)
+  );
+};
+
+/**
+ * Appends the specified number as an unsigned packed BCD number (two decimal
+ * digits per byte, the most significant digit first), padded with leading
+ * zeros to the specified byte count.
+ *
+ * Increases the length of the builder by the specified byte count.
+ *
+ * @param {number} numberValue A number between 0 and
+ * 10^(byteCount * 2) - 1.
+ * @param {number} byteCount A number of bytes. Must be between 1 and 7.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified byte count is not a number between 1 and 7.
+ * @throws {Error} If the specified value does not fit in the byte count.
+ * @example
+ * builder.pushBcd(12345678, 4);
+ * builder.pushBcd(42, 3);
+ */
+BufferBuilder.prototype.pushBcd = function(numberValue, byteCount)
+{
+  byteCount = parseBcdByteCount(byteCount);
+
+  checkStrictValue(this, numberValue, {
+    method: 'pushBcd',
+    argument: 'numberValue',
+    type: 'integer'
+  });
+
+  numberValue = parseIntValue(
+    numberValue, Math.pow(10, byteCount * 2) - 1, 0
+  );
+
+  var bytesArray = [];
+
+  for (var i = 0; i < byteCount; ++i)
+  {
+    var twoDigits = numberValue % 100;
+
+    bytesArray.unshift(Math.floor(twoDigits / 10) * 16 + twoDigits % 10);
+
+    numberValue = Math.floor(numberValue / 100);
+  }
+
+  return this.pushBytes(bytesArray);
+};
+
+/**
+ * Appends the specified integer as a fixed-width string of ASCII digits.
+ *
+ * Digits greater than 9 are written as upper case letters. Negative numbers
+ * are prefixed with a minus sign, which goes before the padding if the pad
+ * character is `'0'` and after it otherwise.
+ *
+ * Increases the length of the builder by the specified width.
+ *
+ * @param {number} numberValue A safe integer.
+ * @param {number} width A number of characters. Must be greater than 0.
+ * @param {number} [radix] A base of the digits. Must be between 2 and 36.
+ * Defaults to 10.
+ * @param {string} [padChar] A character used to pad the digits to
+ * the specified width. Defaults to `'0'`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a safe integer.
+ * @throws {Error} If the specified radix is not a number between 2 and 36.
+ * @throws {Error} If the specified pad character is not a single character.
+ * @throws {Error} If the specified value does not fit in the width.
+ * @example
+ * builder.pushAsciiNumber(42, 6);
+ * builder.pushAsciiNumber(0xBEEF, 8, 16);
+ * builder.pushAsciiNumber(-7, 4, 10, ' ');
+ */
+BufferBuilder.prototype.pushAsciiNumber = function(
+  numberValue, width, radix, padChar)
+{
+  checkStrictValue(this, numberValue, {
+    method: 'pushAsciiNumber',
+    argument: 'numberValue',
+    type: 'integer'
+  });
+
+  numberValue = parseIntValue(
+    numberValue, Number.MAX_SAFE_INTEGER, -Number.MAX_SAFE_INTEGER
+  );
+  width = parseInt(width, 10);
+  radix = parseRadix(radix);
+  padChar = padChar === undefined ? '0' : padChar;
+
+  if (isNaN(width) || width < 1)
+  {
+    throw new Error('Expected a width greater than 0.');
+  }
+
+  if (typeof padChar !== 'string' || padChar.length !== 1)
+  {
+    throw new Error('Expected a single pad character.');
+  }
+
+  var sign = numberValue < 0 ? '-' : '';
+  var digits = Math.abs(numberValue).toString(radix).toUpperCase();
+  var padLength = width - sign.length - digits.length;
+
+  if (padLength < 0)
+  {
+    throw new Error(
+      'The value ' + numberValue + ' does not fit in ' + width + ' characters.'
+    );
+  }
+
+  var padding = new Array(padLength + 1).join(padChar);
+
+  return this.pushString(
+    padChar === '0' ? sign + padding + digits : padding + sign + digits,
+    'ascii'
+  );
+};
+
+/**
+ * Appends the specified number as a fixed-point number in the Q format
+ * (e.g. Q15, Q31 or Q16.16).
+ *
+ * The number is multiplied by 2^fractionBits, rounded and stored as
+ * an integer of `integerBits + fractionBits` bits. For signed numbers,
+ * the integer bits include the sign bit (i.e. Q15 is `1, 15` and Q16.16
+ * is `16, 16`).
+ *
+ * Increases the length of the builder by the number of bytes occupied
+ * by the number.
+ *
+ * @param {number} numberValue A number.
+ * @param {number} integerBits A number of integer bits.
+ * @param {number} fractionBits A number of fraction bits.
+ * The sum of integer and fraction bits must be 8, 16, 24, 32, 40 or 48.
+ * @param {object} [options]
+ * @param {boolean} [options.signed] Whether the number is signed.
+ * Defaults to `TRUE`.
+ * @param {(boolean|string)} [options.byteOrder] `TRUE` for little endian
+ * byte order; `FALSE` for big endian or a byte order descriptor.
+ * Defaults to `FALSE`.
+ * @param {string} [options.rounding] `'nearest'` (ties away from zero),
+ * `'floor'` or `'truncate'`. Defaults to `'nearest'`.
+ * @param {string} [options.overflow] What to do with numbers outside of
+ * the format's range: `'throw'` an error, `'clamp'` them to the nearest
+ * bound or `'wrap'` them around. Defaults to `'throw'`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified bit counts or options are not valid.
+ * @throws {Error} If the specified value is not a number or is outside of
+ * the format's range and the overflow option is `'throw'`.
+ * @example
+ * builder.pushFixed(0.5, 1, 15);
+ * builder.pushFixed(-123.456, 16, 16, {byteOrder: true});
+ * builder.pushFixed(300, 8, 8, {signed: false, overflow: 'clamp'});
+ */
+BufferBuilder.prototype.pushFixed = function(
+  numberValue, integerBits, fractionBits, options)
+{
+  options = options || {};
+
+  checkStrictValue(this, numberValue, {
+    method: 'pushFixed',
+    argument: 'numberValue',
+    type: 'number'
+  });
+
+  checkStrictValue(this, integerBits, {
+    method: 'pushFixed',
+    argument: 'integerBits',
+    type: 'integer'
+  });
+
+  checkStrictValue(this, fractionBits, {
+    method: 'pushFixed',
+    argument: 'fractionBits',
+    type: 'integer'
+  });
+
+  var byteCount = parseFixedFormat(integerBits, fractionBits);
+  var scale = Math.pow(2, parseInt(fractionBits, 10));
+  var signed = options.signed !== false;
+  var range = Math.pow(2, byteCount * 8);
+  var min = signed ? range / -2 : 0;
+  var max = min + range - 1;
+
+  numberValue = parseFloat(numberValue);
+
+  if (isNaN(numberValue))
+  {
+    throw new Error('Expected a number.');
+  }
+
+  var integerValue = toRange(
+    roundFixed(numberValue * scale, options.rounding),
+    min,
+    max,
+    options.overflow
+  );
+
+  if (integerValue === null)
+  {
+    throw new Error(
+      'Expected a number between ' + min / scale + ' and ' + max / scale + '.'
+    );
+  }
+
+  return signed
+    ? this.pushIntN(integerValue, byteCount, options.byteOrder)
+    : this.pushUIntN(integerValue, byteCount, options.byteOrder);
+};
+
+/**
+ * Appends the specified number as a signed 16 bit floating-point number
+ * defined in IEEE 754 (half precision).
+ *
+ * Values are rounded to the nearest representable number (ties to even),
+ * so finite values greater than -65520 and less than 65520 are accepted
+ * and stored as at most ±65504. Values too small for a normal number are
+ * stored as subnormals or zero. `NaN`, `Infinity` and `-Infinity` are stored
+ * as such.
+ *
+ * Increases the length of the builder by 2.
+ *
+ * @param {number} numberValue A number greater than -65520 and less than
+ * 65520, `NaN`, `Infinity` or `-Infinity`.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'BA'`).
+ * Defaults to `FALSE`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a half precision float.
+ * @example
+ * builder.pushFloat16(1.5);
+ * builder.pushFloat16(-0.0001, true);
+ * builder.pushFloat16(Infinity);
+ */
+BufferBuilder.prototype.pushFloat16 = function(numberValue, byteOrder)
+{
+  checkStrictValue(this, numberValue, {
+    method: 'pushFloat16',
+    argument: 'numberValue',
+    type: 'float16'
+  });
+
+  // Infinities and NaN are representable and parsing would lose the sign of -0
+  if (typeof numberValue !== 'number'
+    || (isFinite(numberValue) && numberValue !== 0))
+  {
+    numberValue = parseFloat(numberValue);
+
+    // 65520 is the midpoint between 65504 and 65536, so it rounds to Infinity
+    if (isNaN(numberValue) || Math.abs(numberValue) >= 65520)
+    {
+      throw new Error(
+        'Expected a floating-point number greater than -65520 '
+        + 'and less than 65520.'
+      );
+    }
+  }
+
+  var uInt16 = fromFloat16(numberValue);
+
+  return pushNumber(this, 2, byteOrder, function(buffer, offset, endian)
+  {
+    buffer['writeUInt16' + endian](uInt16, offset, true);
+  });
+};
+
+/**
+ * Appends the specified number as a signed 32 bit floating-point number
+ * defined in IEEE 754.
+ *
+ * Increases the length of the builder by 4.
+ *
+ * @param {number} numberValue A number between -3.4028234663852886e+38
+ * and 3.4028234663852886e+38.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * Defaults to `FALSE`.
+ * @param {string} [overflow] What to do with numbers outside of the type's
+ * range: `'throw'` an error, `'clamp'` them to the nearest bound or `'wrap'`
+ * them, i.e. store them as `Infinity` or `-Infinity` like IEEE 754 does.
+ * Defaults to the builder's `overflow`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified overflow is not valid.
+ * @throws {Error} If the specified value is not a number or is outside of
+ * the type's range and the overflow is `'throw'`.
+ * @example
+ * builder.pushFloat(123.456);
+ * builder.pushFloat(-123.456);
+ * builder.pushFloat(123.456, 'CDAB');
+ * builder.pushFloat(Infinity, false, 'clamp');
+ */
+BufferBuilder.prototype.pushFloat = function(numberValue, byteOrder, overflow)
+{
+  numberValue = parseOverflowValue(this, numberValue, overflow, {
+    method: 'pushFloat',
+    min: -3.4028234663852886e+38,
+    max: 3.4028234663852886e+38,
+    float: true
+  });
+
+  return pushNumber(this, 4, byteOrder, function(buffer, offset, endian)
+  {
+    buffer['writeFloat' + endian](numberValue, offset, true);
+  });
+};
+
+/**
+ * Appends the specified number as a signed 64 bit floating-point number
+ * defined in IEEE 754.
+ *
+ * Increases the length of the builder by 8.
+ *
+ * @param {number} numberValue A number between -1.7976931348623157e+308
+ * and 1.7976931348623157e+308.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * Defaults to `FALSE`.
+ * @param {string} [overflow] What to do with numbers outside of the type's
+ * range: `'throw'` an error, `'clamp'` them to the nearest bound or `'wrap'`
+ * them, i.e. store them as `Infinity` or `-Infinity` like IEEE 754 does.
+ * Defaults to the builder's `overflow`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified overflow is not valid.
+ * @throws {Error} If the specified value is not a number or is outside of
+ * the type's range and the overflow is `'throw'`.
+ * @example
+ * builder.pushDouble(12345.6789);
+ * builder.pushDouble(-12345.99999);
+ * builder.pushDouble(Infinity, false, 'clamp');
+ */
+BufferBuilder.prototype.pushDouble = function(numberValue, byteOrder, overflow)
+{
+  numberValue = parseOverflowValue(this, numberValue, overflow, {
+    method: 'pushDouble',
+    min: -1.7976931348623157e+308,
+    max: 1.7976931348623157e+308,
+    float: true
+  });
+
+  return pushNumber(this, 8, byteOrder, function(buffer, offset, endian)
+  {
+    buffer['writeDouble' + endian](numberValue, offset, true);
+  });
+};
+
+/**
+ * Appends elements of the specified typed array.
+ *
+ * Increases the length of the builder by the byte length of the array.
+ *
+ * @param {ArrayBufferView} typedArray An `Int8Array`, `Uint8Array`,
+ * `Int16Array`, `Uint16Array`, `Int32Array`, `Uint32Array`, `Float32Array` or
+ * `Float64Array`.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`). Defaults
+ * to the builder's `byteOrder`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a supported typed array.
+ * @example
+ * builder.pushTypedArray(new Float32Array([1.5, 2.5]));
+ * builder.pushTypedArray(new Uint16Array([1, 2, 3]), true);
+ */
+BufferBuilder.prototype.pushTypedArray = function(typedArray, byteOrder)
+{
+  var type = ArrayBuffer.isView(typedArray)
+    ? getTypedArrayType(typedArray)
+    : null;
+
+  if (type === null)
+  {
+    throw new Error('Expected a typed array.');
+  }
+
+  return this.pushBuffer(fromTypedArray(
+    typedArray,
+    resolveByteOrder(byteOrder, typedArray.BYTES_PER_ELEMENT, this.byteOrder)
+  ));
+};
+
+/**
+ * Appends the specified numbers as signed 8 bit integers.
+ *
+ * An `Int8Array` is appended as is, elements of other arrays are validated
+ * first.
+ *
+ * Increases the length of the builder by the number of elements.
+ *
+ * @param {(Array.<number>|Int8Array)} values Numbers between -128 and 127.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not an array.
+ * @throws {Error} If any of the elements is not a valid value.
+ * @example
+ * builder.pushInt8Array([1, 2, 3]);
+ * builder.pushInt8Array(new Int8Array([1, 2, 3]));
+ */
+BufferBuilder.prototype.pushInt8Array = function(values)
+{
+  return pushArray(this, values, null, {type: 'Int8', min: -128, max: 127});
+};
+
+/**
+ * Appends the specified numbers as unsigned 8 bit integers.
+ *
+ * A `Uint8Array` is appended as is, elements of other arrays are validated
+ * first.
+ *
+ * Increases the length of the builder by the number of elements.
+ *
+ * @param {(Array.<number>|Uint8Array)} values Numbers between 0 and 255.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not an array.
+ * @throws {Error} If any of the elements is not a valid value.
+ * @example
+ * builder.pushUInt8Array([1, 2, 3]);
+ * builder.pushUInt8Array(new Uint8Array([1, 2, 3]));
+ */
+BufferBuilder.prototype.pushUInt8Array = function(values)
+{
+  return pushArray(this, values, null, {type: 'UInt8', min: 0, max: 0xFF});
+};
+
+/**
+ * Appends the specified numbers as signed 16 bit integers.
+ *
+ * An `Int16Array` is appended as is, elements of other arrays are validated
+ * first.
+ *
+ * Increases the length of the builder by the number of elements multiplied by
+ * 2.
+ *
+ * @param {(Array.<number>|Int16Array)} values Numbers between -32768 and 32767.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'BA'`). Defaults to
+ * the builder's `byteOrder`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not an array.
+ * @throws {Error} If any of the elements is not a valid value.
+ * @example
+ * builder.pushInt16Array([1, 2, 3]);
+ * builder.pushInt16Array(new Int16Array([1, 2, 3]), true);
+ */
+BufferBuilder.prototype.pushInt16Array = function(values, byteOrder)
+{
+  return pushArray(
+    this, values, byteOrder, {type: 'Int16', min: -32768, max: 32767}
+  );
+};
+
+/**
+ * Appends the specified numbers as unsigned 16 bit integers.
+ *
+ * A `Uint16Array` is appended as is, elements of other arrays are validated
+ * first.
+ *
+ * Increases the length of the builder by the number of elements multiplied by
+ * 2.
+ *
+ * @param {(Array.<number>|Uint16Array)} values Numbers between 0 and 65535.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'BA'`). Defaults to
+ * the builder's `byteOrder`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not an array.
+ * @throws {Error} If any of the elements is not a valid value.
+ * @example
+ * builder.pushUInt16Array([1, 2, 3]);
+ * builder.pushUInt16Array(new Uint16Array([1, 2, 3]), true);
+ */
+BufferBuilder.prototype.pushUInt16Array = function(values, byteOrder)
+{
+  return pushArray(
+    this, values, byteOrder, {type: 'UInt16', min: 0, max: 0xFFFF}
+  );
+};
+
+/**
+ * Appends the specified numbers as signed 32 bit integers.
+ *
+ * An `Int32Array` is appended as is, elements of other arrays are validated
+ * first.
+ *
+ * Increases the length of the builder by the number of elements multiplied by
+ * 4.
+ *
+ * @param {(Array.<number>|Int32Array)} values Numbers between -2147483648 and
+ * 2147483647.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`). Defaults
+ * to the builder's `byteOrder`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not an array.
+ * @throws {Error} If any of the elements is not a valid value.
+ * @example
+ * builder.pushInt32Array([1, 2, 3]);
+ * builder.pushInt32Array(new Int32Array([1, 2, 3]), true);
+ */
+BufferBuilder.prototype.pushInt32Array = function(values, byteOrder)
+{
+  return pushArray(
+    this, values, byteOrder, {type: 'Int32', min: -2147483648, max: 2147483647}
+  );
+};
+
+/**
+ * Appends the specified numbers as unsigned 32 bit integers.
+ *
+ * A `Uint32Array` is appended as is, elements of other arrays are validated
+ * first.
+ *
+ * Increases the length of the builder by the number of elements multiplied by
+ * 4.
+ *
+ * @param {(Array.<number>|Uint32Array)} values Numbers between 0 and
+ * 4294967295.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`). Defaults
+ * to the builder's `byteOrder`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not an array.
+ * @throws {Error} If any of the elements is not a valid value.
+ * @example
+ * builder.pushUInt32Array([1, 2, 3]);
+ * builder.pushUInt32Array(new Uint32Array([1, 2, 3]), true);
+ */
+BufferBuilder.prototype.pushUInt32Array = function(values, byteOrder)
+{
+  return pushArray(
+    this, values, byteOrder, {type: 'UInt32', min: 0, max: 0xFFFFFFFF}
+  );
+};
+
+/**
+ * Appends the specified numbers as 32 bit floating-point numbers.
+ *
+ * A `Float32Array` is appended as is, elements of other arrays are validated
+ * first.
+ *
+ * Increases the length of the builder by the number of elements multiplied by
+ * 4.
+ *
+ * @param {(Array.<number>|Float32Array)} values Finite numbers.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`). Defaults
+ * to the builder's `byteOrder`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not an array.
+ * @throws {Error} If any of the elements is not a valid value.
+ * @example
+ * builder.pushFloat32Array([1, 2, 3]);
+ * builder.pushFloat32Array(new Float32Array([1, 2, 3]), true);
+ */
+BufferBuilder.prototype.pushFloat32Array = function(values, byteOrder)
+{
+  return pushArray(this, values, byteOrder, {
+    type: 'Float32',
+    min: -3.4028234663852886e+38,
+    max: 3.4028234663852886e+38,
+    float: true
+  });
+};
+
+/**
+ * Appends the specified numbers as 64 bit floating-point numbers.
+ *
+ * A `Float64Array` is appended as is, elements of other arrays are validated
+ * first.
+ *
+ * Increases the length of the builder by the number of elements multiplied by
+ * 8.
+ *
+ * @param {(Array.<number>|Float64Array)} values Finite numbers.
+ * @param {(boolean|string)} [byteOrder] `TRUE` for little endian byte order;
+ * `FALSE` for big endian or a byte order descriptor (e.g. `'CDAB'`). Defaults
+ * to the builder's `byteOrder`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not an array.
+ * @throws {Error} If any of the elements is not a valid value.
+ * @example
+ * builder.pushFloat64Array([1, 2, 3]);
+ * builder.pushFloat64Array(new Float64Array([1, 2, 3]), true);
+ */
+BufferBuilder.prototype.pushFloat64Array = function(values, byteOrder)
+{
+  return pushArray(this, values, byteOrder, {
+    type: 'Float64',
+    min: -1.7976931348623157e+308,
+    max: 1.7976931348623157e+308,
+    float: true
+  });
+};
+
+/**
+ * Appends the specified date in the specified format.
+ *
+ * Supported formats (all dates are in UTC):
+ *
+ *   - `'unix32'` - unsigned 32 bit seconds since 1970-01-01,
+ *   - `'unix64'` - signed 64 bit seconds since 1970-01-01,
+ *   - `'unix64ms'` - signed 64 bit milliseconds since 1970-01-01,
+ *   - `'unix64ns'` - signed 64 bit nanoseconds since 1970-01-01,
+ *     which can be specified as a `bigint`,
+ *   - `'ntp64'` - NTP timestamp: unsigned 32 bit seconds since 1900-01-01
+ *     followed by a 32 bit fraction of a second (seconds below 2^31 belong
+ *     to the era starting in 2036),
+ *   - `'filetime'` - Windows FILETIME: unsigned 64 bit number of
+ *     100 nanosecond intervals since 1601-01-01,
+ *   - `'ntp64ns'` and `'filetimens'` - the same as `'ntp64'` and
+ *     `'filetime'`, but with dates that can be specified as a `bigint`
+ *     number of nanoseconds since 1970-01-01,
+ *   - `'dos'` - 32 bit DOS date (high word) and time (low word) with
+ *     a two second resolution (FAT and ZIP store it in little endian),
+ *   - `'cp56time2a'` - IEC 60870-5 seven byte time, always in little
+ *     endian (the byte order is ignored).
+ *
+ * Precision not supported by the format is truncated.
+ *
+ * Increases the length of the builder by the format's size.
+ *
+ * @param {(Date|number|bigint)} date A date, a number of milliseconds since
+ * 1970-01-01 or, for the `'unix64ns'`, `'ntp64ns'` and `'filetimens'`
+ * formats, a `bigint` number of nanoseconds.
+ * @param {string} format A name of the date format.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified format is not supported.
+ * @throws {Error} If the specified value is not a valid date.
+ * @throws {Error} If the specified date can not be represented
+ * in the format.
+ * @example
+ * builder.pushDate(new Date(), 'unix32');
+ * builder.pushDate(Date.now(), 'filetime', true);
+ * builder.pushDate(1623760496789000000n, 'unix64ns');
+ */
+BufferBuilder.prototype.pushDate = function(date, format, byteOrder)
+{
+  checkStrictValue(this, date, {
+    method: 'pushDate',
+    argument: 'date',
+    type: 'date'
+  });
+
+  return this.pushBytes(encodeDate(date, format, byteOrder, this.byteOrder));
+};
+
+/**
+ * Appends the specified UUID as 16 bytes.
+ *
+ * The UUID must be in the canonical `xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx`
+ * form (case insensitive), optionally enclosed in braces.
+ *
+ * Increases the length of the builder by 16.
+ *
+ * @param {string} uuid A UUID string.
+ * @param {string} [layout] `'rfc4122'` if all fields should be written in big
+ * endian or `'guid'` if the first three fields should be written in little
+ * endian (the Microsoft GUID layout). Defaults to `'rfc4122'`.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified layout is not `'rfc4122'` or `'guid'`.
+ * @throws {Error} If the specified value is not a valid UUID string.
+ * @example
+ * builder.pushUuid('0000180d-0000-1000-8000-00805f9b34fb');
+ * builder.pushUuid('{6B29FC40-CA47-1067-B31D-00DD010662DA}', 'guid');
+ */
+BufferBuilder.prototype.pushUuid = function(uuid, layout)
+{
+  return this.pushBytes(parseUuid(uuid, parseUuidLayout(layout)));
+};
+
+/**
+ * Appends the specified IPv4 address.
+ *
+ * The address must be in the dotted-decimal form (e.g. `192.168.1.10`).
+ *
+ * Increases the length of the builder by 4.
+ *
+ * @param {string} address An address string.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a valid address.
+ * @example
+ * builder.pushIPv4('192.168.1.10');
+ */
+BufferBuilder.prototype.pushIPv4 = function(address)
+{
+  return this.pushBytes(parseIPv4(address));
+};
+
+/**
+ * Appends the specified IPv6 address.
+ *
+ * The address can use the `::` compression and end with an IPv4 address in
+ * the dotted-decimal form (e.g. `2001:db8::1` or `::ffff:192.0.2.1`).
+ *
+ * Increases the length of the builder by 16.
+ *
+ * @param {string} address An address string.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a valid address.
+ * @example
+ * builder.pushIPv6('2001:db8::1');
+ * builder.pushIPv6('::ffff:192.0.2.1');
+ */
+BufferBuilder.prototype.pushIPv6 = function(address)
+{
+  return this.pushBytes(parseIPv6(address));
+};
+
+/**
+ * Appends the specified MAC address.
+ *
+ * The address must consist of six hexadecimal bytes separated by colons
+ * or hyphens (e.g. `00:1a:2b:3c:4d:5e` or `00-1A-2B-3C-4D-5E`).
+ *
+ * Increases the length of the builder by 6.
+ *
+ * @param {string} address An address string.
+ * @returns {BufferBuilder} Self.
+ * @throws {Error} If the specified value is not a valid address.
+ * @example
+ * builder.pushMac('00:1a:2b:3c:4d:5e');
+ */
+BufferBuilder.prototype.pushMac = function(address)
+{
+  return this.pushBytes(parseMac(address));
+};
+
+/**
+ * @private
+ * @param {number} value
+ * @param {number} max
  * @param {number} min
  * @returns {number}
  * @throws {Error}
@@ -627,4 +1986,499 @@ function parseFloatValue(value, max, min)
   return value;
 }
 
+/**
+ * @private
+ * @param {bigint|number|string} value
+ * @param {boolean} signed
+ * @returns {bigint}
+ * @throws {Error}
+ */
+function parseInt64Value(value, signed)
+{
+  /*jshint newcap:false*/
+
+  var min = signed ? '-9223372036854775808' : '0';
+  var max = signed ? '9223372036854775807' : '18446744073709551615';
+
+  value = parseBigIntValue(value);
+
+  if (value === null || value < BigInt(min) || value > BigInt(max))
+  {
+    throw new Error('Expected an integer between ' + min + ' and ' + max + '.');
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ * @param {bigint|number|string} value
+ * @returns {?bigint}
+ */
+function parseBigIntValue(value)
+{
+  /*jshint newcap:false*/
+
+  if (typeof value === 'bigint')
+  {
+    return value;
+  }
+
+  if (typeof value === 'number')
+  {
+    return isFinite(value) ? BigInt(Math.trunc(value)) : null;
+  }
+
+  var matches = String(value).match(/^\s*([+\-]?[0-9]+)/);
+
+  return matches === null ? null : BigInt(matches[1]);
+}
+
+/**
+ * @private
+ * @param {BufferBuilder} builder
+ * @param {(Array.<number>|ArrayBufferView)} values
+ * @param {(boolean|string)} byteOrder
+ * @param {{type: string, min: number, max: number, float: boolean}} array
+ * @returns {BufferBuilder}
+ * @throws {Error} If the specified value is not an array.
+ * @throws {Error} If any of the elements is not a valid value.
+ */
+function pushArray(builder, values, byteOrder, array)
+{
+  var TypedArray = getTypedArrayConstructor(array.type);
+
+  if (!(values instanceof TypedArray))
+  {
+    if (!Array.isArray(values) && !ArrayBuffer.isView(values))
+    {
+      throw new Error('Expected an array.');
+    }
+
+    var parseValue = array.float ? parseFloatValue : parseIntValue;
+
+    values = new TypedArray(Array.prototype.map.call(values, function(value, i)
+    {
+      checkStrictValue(builder, value, {
+        method: 'push' + array.type + 'Array',
+        argument: 'values[' + i + ']',
+        type: array.float ? 'number' : 'integer'
+      });
+
+      return parseValue(value, array.max, array.min);
+    }));
+  }
+
+  return builder.pushTypedArray(values, byteOrder);
+}
+
+/**
+ * @private
+ * @param {Buffer} stringBuffer
+ * @param {number} maxLength
+ * @param {string} [encoding]
+ * @returns {number} The greatest number of bytes not exceeding the specified
+ * max length that ends on a character boundary.
+ */
+function truncateEncoded(stringBuffer, maxLength, encoding)
+{
+  if (stringBuffer.length <= maxLength)
+  {
+    return stringBuffer.length;
+  }
+
+  var end = maxLength;
+
+  if (isUtf16Encoding(encoding))
+  {
+    end -= end % 2;
+
+    if (end > 0 && (stringBuffer[end - 1] & 0xFC) === 0xD8)
+    {
+      end -= 2;
+    }
+  }
+  else if (/^utf-?8$/i.test(encoding || 'utf8'))
+  {
+    while (end > 0 && (stringBuffer[end] & 0xC0) === 0x80)
+    {
+      --end;
+    }
+  }
+
+  return end;
+}
+
+/**
+ * @private
+ * @param {BufferBuilder} builder
+ * @param {number} byteLength
+ * @param {string} [prefixType]
+ * @param {string} subject What is being prefixed, for the error message.
+ * @throws {Error} If the prefix type is not supported or the byte length
+ * does not fit in it.
+ */
+function pushLengthPrefix(builder, byteLength, prefixType, subject)
+{
+  var prefix = parsePrefixType(prefixType);
+
+  if (byteLength > prefix.max)
+  {
+    throw new Error(
+      'The ' + subject + ' is too long for the ' + prefix.type
+      + ' length prefix.'
+    );
+  }
+
+  if (prefix.type === 'VarUInt')
+  {
+    builder.pushVarUInt(byteLength);
+  }
+  else
+  {
+    builder['push' + prefix.type](byteLength, prefix.byteOrder);
+  }
+}
+
+/**
+ * @private
+ * @param {BufferBuilder} builder
+ * @param {Array.<number>} words
+ * @param {(boolean|string)} byteOrder
+ * @returns {BufferBuilder}
+ */
+function pushUInt32Pair(builder, words, byteOrder)
+{
+  return pushNumber(builder, 8, byteOrder, function(buffer, offset, endian)
+  {
+    var first = endian === 'LE' ? words[1] : words[0];
+    var second = endian === 'LE' ? words[0] : words[1];
+
+    buffer['writeUInt32' + endian](first, offset, true);
+    buffer['writeUInt32' + endian](second, offset + 4, true);
+  });
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @param {string} [rounding]
+ * @returns {number}
+ * @throws {Error}
+ */
+function roundFixed(value, rounding)
+{
+  if (rounding === undefined || rounding === 'nearest')
+  {
+    return value < 0 ? -Math.round(-value) : Math.round(value);
+  }
+
+  if (rounding === 'floor')
+  {
+    return Math.floor(value);
+  }
+
+  if (rounding === 'truncate')
+  {
+    return Math.trunc(value);
+  }
+
+  throw new Error(
+    'Expected the rounding to be one of: nearest, floor, truncate.'
+  );
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @param {string} [overflow]
+ * @returns {?number} `NULL` if the value is out of range and should not
+ * be clamped or wrapped.
+ * @throws {Error}
+ */
+function toRange(value, min, max, overflow)
+{
+  if (overflow === undefined || overflow === 'throw')
+  {
+    return value < min || value > max ? null : value;
+  }
+
+  if (overflow === 'clamp')
+  {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  if (overflow === 'wrap')
+  {
+    var range = max - min + 1;
+
+    return isFinite(value)
+      ? ((value - min) % range + range) % range + min
+      : null;
+  }
+
+  throw new Error('Expected the overflow to be one of: throw, clamp, wrap.');
+}
+
+/**
+ * @private
+ * @param {BufferBuilder} builder
+ * @param {*} value
+ * @param {string} [overflow]
+ * @param {object} limits
+ * @param {string} limits.method
+ * @param {string} [limits.argument]
+ * @param {number} limits.min
+ * @param {number} limits.max
+ * @param {boolean} [limits.float]
+ * @returns {number}
+ * @throws {TypeError} If the builder is strict and the specified value
+ * is not a number or not an integer.
+ * @throws {Error} If the specified overflow is not valid.
+ * @throws {Error} If the specified value is not a number or is out of range
+ * and the overflow is `'throw'`.
+ */
+function parseOverflowValue(builder, value, overflow, limits)
+{
+  checkStrictValue(builder, value, {
+    method: limits.method,
+    argument: limits.argument || 'numberValue',
+    type: limits.float ? 'number' : 'integer'
+  });
+
+  var parseValue = limits.float ? parseFloatValue : parseIntValue;
+  var policy = parseOverflow(overflow, builder.overflow);
+  var numberValue = limits.float ? parseFloat(value) : parseInt(value, 10);
+
+  if (policy === 'throw'
+    || isNaN(numberValue)
+    || (numberValue >= limits.min && numberValue <= limits.max))
+  {
+    return parseValue(value, limits.max, limits.min);
+  }
+
+  var result = limits.float && policy === 'wrap'
+    ? numberValue * Infinity
+    : toRange(numberValue, limits.min, limits.max, policy);
+
+  if (typeof builder.onOverflow === 'function')
+  {
+    builder.onOverflow({
+      method: limits.method,
+      policy: policy,
+      value: numberValue,
+      result: result
+    });
+  }
+
+  return result;
+}
+
+/**
+ * @private
+ * @param {(string|boolean)} [overflow]
+ * @returns {(string|undefined)}
+ */
+function skipByteOrder(overflow)
+{
+  return typeof overflow === 'boolean' ? undefined : overflow;
+}
+
+/**
+ * @private
+ * @param {string} [overflow]
+ * @param {string} defaultOverflow
+ * @returns {string}
+ * @throws {Error}
+ */
+function parseOverflow(overflow, defaultOverflow)
+{
+  if (overflow === undefined || overflow === null)
+  {
+    overflow = defaultOverflow;
+  }
+
+  if (overflow !== 'throw' && overflow !== 'clamp' && overflow !== 'wrap')
+  {
+    throw new Error('Expected the overflow to be one of: throw, clamp, wrap.');
+  }
+
+  return overflow;
+}
+
+/**
+ * @private
+ * @param {BufferBuilder} builder
+ * @returns {{value: number, count: number}}
+ */
+function openBitStash(builder)
+{
+  var bitStash = builder.bitStash;
+  var data = builder.data;
+
+  if (bitStash !== null
+    && bitStash.count < 8
+    && data[data.length - 1] === bitStash.write)
+  {
+    return bitStash;
+  }
+
+  bitStash = builder.bitStash = {value: 0, count: 0, write: null};
+
+  bitStash.write = function(buffer, offset)
+  {
+    buffer[offset] = bitStash.value;
+
+    return 1;
+  };
+
+  data.push(bitStash.write);
+
+  builder.length += 1;
+
+  return bitStash;
+}
+
+/**
+ * @private
+ * @param {BufferBuilder} builder
+ * @param {number} size
+ * @param {(boolean|string)} byteOrder
+ * @param {function(Buffer, number, string)} write
+ * @returns {BufferBuilder}
+ * @throws {Error}
+ */
+function pushNumber(builder, size, byteOrder, write)
+{
+  var order = resolveByteOrder(byteOrder, size, builder.byteOrder);
+
+  builder.data.push(function(buffer, offset)
+  {
+    if (typeof order === 'string')
+    {
+      write(buffer, offset, order);
+
+      return size;
+    }
+
+    var bigEndianBuffer = new Buffer(size);
+
+    write(bigEndianBuffer, 0, 'BE');
+
+    fromBigEndian(bigEndianBuffer, order).forEach(function(byteValue, i)
+    {
+      buffer[offset + i] = byteValue;
+    });
+
+    return size;
+  });
+
+  builder.length += size;
+
+  return builder;
+}
+
+/**
+ * @private
+ * @type {Object.<string, {description: string, test: function(*): boolean}>}
+ */
+var STRICT_TYPES = {
+  integer: {
+    description: 'an integer',
+    test: function(value)
+    {
+      return typeof value === 'number' && Number.isInteger(value);
+    }
+  },
+  bigint: {
+    description: 'an integer or a bigint',
+    test: function(value)
+    {
+      return typeof value === 'bigint' || STRICT_TYPES.integer.test(value);
+    }
+  },
+  number: {
+    description: 'a finite number',
+    test: function(value)
+    {
+      return typeof value === 'number' && isFinite(value);
+    }
+  },
+  float16: {
+    description: 'a number',
+    test: function(value)
+    {
+      return typeof value === 'number';
+    }
+  },
+  date: {
+    description: 'a valid Date, a finite number or a bigint',
+    test: function(value)
+    {
+      if (value instanceof Date)
+      {
+        return isFinite(value.getTime());
+      }
+
+      return typeof value === 'bigint' || STRICT_TYPES.number.test(value);
+    }
+  },
+  byte: {
+    description: 'an integer between 0 and 255',
+    test: function(value)
+    {
+      return STRICT_TYPES.integer.test(value) && value >= 0 && value <= 255;
+    }
+  },
+  array: {
+    description: 'an array',
+    test: Array.isArray
+  }
+};
+
+/**
+ * @private
+ * @param {BufferBuilder} builder
+ * @param {*} value
+ * @param {{method: string, argument: string, type: string}} check
+ * @throws {TypeError} If the builder is strict and the specified value is not
+ * of the specified type.
+ */
+function checkStrictValue(builder, value, check)
+{
+  var strictType = STRICT_TYPES[check.type];
+
+  if (!builder.strict || strictType.test(value))
+  {
+    return;
+  }
+
+  throw new TypeError(
+    'Expected ' + check.argument + ' of ' + check.method + '() to be '
+    + strictType.description + ', got ' + describeValue(value) + '.'
+  );
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function describeValue(value)
+{
+  if (typeof value === 'string')
+  {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === 'bigint')
+  {
+    return value + 'n';
+  }
+
+  return Array.isArray(value) ? '[' + value + ']' : String(value);
+}
+
 module.exports = BufferBuilder;
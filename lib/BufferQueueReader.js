@@ -1,15 +1,80 @@
 'use strict';
 
-var toBits = require('./helpers').toBits;
+var helpers = require('./helpers');
+var dateFormats = require('./dateFormats');
+
+var toBits = helpers.toBits;
+var parseBitOrder = helpers.parseBitOrder;
+var shiftBitField = helpers.shiftBitField;
+var toInt64 = helpers.toInt64;
+var toIntN = helpers.toIntN;
+var toFloat16 = helpers.toFloat16;
+var decodeVarInt = helpers.decodeVarInt;
+var parseBcdByteCount = helpers.parseBcdByteCount;
+var decodeBcd = helpers.decodeBcd;
+var parseRadix = helpers.parseRadix;
+var parseAsciiNumber = helpers.parseAsciiNumber;
+var parseFixedFormat = helpers.parseFixedFormat;
+var parseUuidLayout = helpers.parseUuidLayout;
+var formatUuid = helpers.formatUuid;
+var getTypedArrayConstructor = helpers.getTypedArrayConstructor;
+var toTypedArray = helpers.toTypedArray;
+var formatIPv4 = helpers.formatIPv4;
+var formatIPv6 = helpers.formatIPv6;
+var formatMac = helpers.formatMac;
+var parseByteCount = helpers.parseByteCount;
+var parsePrefixType = helpers.parsePrefixType;
+var getTrimPattern = helpers.getTrimPattern;
+var parseTerminator = helpers.parseTerminator;
+var decodeString = helpers.decodeString;
+var isUtf16Encoding = helpers.isUtf16Encoding;
+var parseSearchElement = helpers.parseSearchElement;
+var parseSearchIndex = helpers.parseSearchIndex;
+var findBytes = helpers.findBytes;
+var findLastBytes = helpers.findLastBytes;
+var parsePattern = helpers.parsePattern;
+var findPattern = helpers.findPattern;
+var findPartialPattern = helpers.findPartialPattern;
+var resolveByteOrder = helpers.resolveByteOrder;
+var toBigEndian = helpers.toBigEndian;
+var toUInt = helpers.toUInt;
+var getDateFormat = dateFormats.getDateFormat;
+var decodeDate = dateFormats.decodeDate;
 
 /**
  * A class providing extended functionality for reading lists/streams of
  * `Buffer` instances.
  *
+ * Methods reading multi-byte numbers accept an optional byte order, which
+ * can be `TRUE` (little endian), `FALSE` (big endian), `'LE'`, `'BE'` or
+ * a descriptor listing the bytes in the order they are stored, `A` being
+ * the most significant one: `'ABCD'` (big endian), `'DCBA'` (little endian),
+ * `'CDAB'` (swapped 16 bit words) or `'BADC'` (swapped bytes in each word).
+ * Descriptors of a different size than the value (e.g. `'CDAB'` used with
+ * a double or `'GHEFCDAB'` used with a 32 bit integer) are applied as
+ * the equivalent word and byte swaps.
+ *
+ * If the byte order is not specified, the reader's `byteOrder` is used.
+ * It defaults to big endian and can be set through the constructor options,
+ * changed directly or switched temporarily with `withByteOrder()`.
+ *
  * @constructor
  * @param {...Buffer} [bufferN] An optional buffer to push.
+ * @param {object} [options] Options, if specified as the last argument.
+ * @param {(boolean|string)} [options.byteOrder] The default byte order of
+ * multi-byte numbers. Defaults to `'BE'`.
+ * @param {string} [options.bitOrder] The default order of bits in each byte
+ * of the bit arrays. Defaults to `'LSB'`.
  * @throws {Error} If any of the specified buffers aren't instances of `Buffer`.
  * @property {number} length The remaining length of the reader.
+ * @property {(boolean|string)} byteOrder The default byte order of
+ * multi-byte numbers. Defaults to `'BE'`.
+ * @property {string} bitOrder The default order of bits in each byte of
+ * the bit arrays: `'LSB'` (least significant bit first) or `'MSB'`
+ * (most significant bit first). Defaults to `'LSB'`.
+ * @property {?string} detectedEncoding The encoding picked by the BOM
+ * detection of `shiftAvailableString()`. `NULL` until the first detection;
+ * set it back to `NULL` to detect the encoding of the next stream.
  * @example
  * var reader = new BufferQueueReader(new Buffer(3), new Buffer(8));
  *
@@ -27,6 +92,18 @@ var toBits = require('./helpers').toBits;
  */
 function BufferQueueReader()
 {
+  var bufferCount = arguments.length;
+  var options = arguments[bufferCount - 1];
+
+  if (bufferCount > 0 && isOptions(options))
+  {
+    bufferCount -= 1;
+  }
+  else
+  {
+    options = {};
+  }
+
   /**
    * @type {number}
    */
@@ -43,13 +120,78 @@ function BufferQueueReader()
    * @type {Array.<Buffer>}
    */
   this.buffers = [];
+
+  /**
+   * @type {(boolean|string)}
+   */
+  this.byteOrder = options.byteOrder === undefined ? 'BE' : options.byteOrder;
+
+  /**
+   * @type {string}
+   */
+  this.bitOrder = parseBitOrder(options.bitOrder, 'LSB');
+
+  /**
+   * @private
+   * @type {{value: number, count: number, mark: number}}
+   */
+  this.bitStash = {value: 0, count: 0, mark: 0};
+
+  /**
+   * @type {?string}
+   */
+  this.detectedEncoding = null;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.pushedLength = 0;
+
+  /**
+   * @private
+   * @type {{position: number, ends: Array.<object>, first: number}}
+   */
+  this.lineScan = {position: 0, ends: [], first: 0};
   
-  for (var i = 0, l = arguments.length; i < l; ++i)
+  for (var i = 0; i < bufferCount; ++i)
   {
     this.push(arguments[i]);
   }
 }
 
+/**
+ * Calls the specified function with the reader's default byte order
+ * temporarily set to the specified one, e.g. to read a nested section
+ * of a different byte order. The previous default byte order is restored
+ * afterwards, even if the function throws.
+ *
+ * @param {(boolean|string)} byteOrder The byte order to use.
+ * @param {function(BufferQueueReader)} callback A function to call. Receives
+ * this reader as its only argument.
+ * @returns {*} The result of the function.
+ * @example
+ * var header = reader.withByteOrder('LE', function()
+ * {
+ *   return {type: reader.shiftUInt16(), length: reader.shiftUInt32()};
+ * });
+ */
+BufferQueueReader.prototype.withByteOrder = function(byteOrder, callback)
+{
+  var previousByteOrder = this.byteOrder;
+
+  this.byteOrder = byteOrder;
+
+  try
+  {
+    return callback.call(this, this);
+  }
+  finally
+  {
+    this.byteOrder = previousByteOrder;
+  }
+};
+
 /**
  * Adds the specified buffers to the reader.
  *
@@ -80,6 +222,8 @@ BufferQueueReader.prototype.push = function()
     this.buffers.push(buffer);
     
     this.length += buffer.length;
+    this.pushedLength += buffer.length;
+    this.bitStash.mark += buffer.length;
   }
 };
 
@@ -126,72 +270,182 @@ BufferQueueReader.prototype.skip = function(count)
 };
 
 /**
- * Returns a position of the next occurence of the specified byte after
- * the specified starting index.
+ * Returns a position of the next occurence of the specified byte or sequence
+ * of bytes after the specified starting index.
+ *
+ * Strings are searched for as bytes in the specified encoding. A sequence
+ * can span any number of the pushed buffers.
  *
- * @param {number} searchElement A byte value to search for.
+ * @param {(number|string|Buffer|Array.<number>)} searchElement A byte value,
+ * a string or a sequence of bytes to search for.
  * @param {number} [fromIndex] A starting index. Defaults to 0 (the beginning).
+ * @param {string} [encoding] An encoding of the string search element.
+ * Can be any Buffer encoding or a registered code page name.
+ * Defaults to `utf8`.
  * @returns {number} A position of the found element (starting at 0)
  * or -1 if the search element was not found.
- * @throws {Error} If the search element is not a number between 0x00 and 0xFF.
+ * @throws {Error} If the search element is not a number between 0x00 and 0xFF
+ * or a non-empty string, Buffer or array of bytes.
  * @throws {Error} If the starting index is not a number between 0
  * and the reader's length.
  * @example
  * var index = reader.indexOf(0xFF, 20);
+ * var syncIndex = reader.indexOf([0xAA, 0x55]);
  */
-BufferQueueReader.prototype.indexOf = function(searchElement, fromIndex)
+BufferQueueReader.prototype.indexOf = function(
+  searchElement, fromIndex, encoding)
 {
-  /*jshint maxstatements:22*/
+  var needle = parseSearchElement(searchElement, encoding);
 
-  searchElement = parseInt(searchElement, 10);
+  fromIndex = parseSearchIndex(fromIndex, 0, this.length);
 
-  if (isNaN(searchElement) || searchElement < 0x00 || searchElement > 0xFF)
-  {
-    throw new Error(
-      "The search element must be a number between 0x00 and 0xFF."
-    );
-  }
+  return findBytes(createByteAccessor(this), needle, fromIndex, this.length);
+};
+
+/**
+ * Returns a position of the last occurence of the specified byte or sequence
+ * of bytes starting at or before the specified index.
+ *
+ * @param {(number|string|Buffer|Array.<number>)} searchElement A byte value,
+ * a string or a sequence of bytes to search for.
+ * @param {number} [fromIndex] A starting index. Defaults to the reader's
+ * length (the end).
+ * @param {string} [encoding] An encoding of the string search element.
+ * Defaults to `utf8`.
+ * @returns {number} A position of the found element (starting at 0)
+ * or -1 if the search element was not found.
+ * @throws {Error} If the search element is not a number between 0x00 and 0xFF
+ * or a non-empty string, Buffer or array of bytes.
+ * @throws {Error} If the starting index is not a number between 0
+ * and the reader's length.
+ * @example
+ * var lastSyncIndex = reader.lastIndexOf([0xAA, 0x55]);
+ */
+BufferQueueReader.prototype.lastIndexOf = function(
+  searchElement, fromIndex, encoding)
+{
+  var needle = parseSearchElement(searchElement, encoding);
+
+  fromIndex = parseSearchIndex(fromIndex, this.length, this.length);
+
+  return findLastBytes(
+    createByteAccessor(this), needle, fromIndex, this.length
+  );
+};
 
-  fromIndex = arguments.length >= 2 ? parseInt(fromIndex, 10) : 0;
+/**
+ * Determines whether the reader contains the specified byte or sequence
+ * of bytes after the specified starting index.
+ *
+ * @param {(number|string|Buffer|Array.<number>)} searchElement A byte value,
+ * a string or a sequence of bytes to search for.
+ * @param {number} [fromIndex] A starting index. Defaults to 0 (the beginning).
+ * @param {string} [encoding] An encoding of the string search element.
+ * Defaults to `utf8`.
+ * @returns {boolean}
+ * @throws {Error} If the search element is not a number between 0x00 and 0xFF
+ * or a non-empty string, Buffer or array of bytes.
+ * @throws {Error} If the starting index is not a number between 0
+ * and the reader's length.
+ * @example
+ * var hasHeaders = reader.includes('\r\n\r\n');
+ */
+BufferQueueReader.prototype.includes = function(
+  searchElement, fromIndex, encoding)
+{
+  return this.indexOf(searchElement, fromIndex, encoding) !== -1;
+};
+
+/**
+ * Returns a position of the next match of the specified pattern after
+ * the specified starting index.
+ *
+ * The pattern is a string of space separated hex bytes or an array of pattern
+ * bytes. A hex byte can use `?` as a wildcard nibble (`??` matches any byte)
+ * and can be followed by a `/mask` (`81/F0` matches 0x80 to 0x8F).
+ * An array can contain byte values, `NULL` wildcards, hex byte strings
+ * and `{value, mask}` objects.
+ *
+ * @param {(string|Buffer|Array.<(number|string|object)>)} pattern
+ * A pattern to search for.
+ * @param {number} [fromIndex] A starting index. Defaults to 0 (the beginning).
+ * @returns {number} A position of the match (starting at 0) or -1
+ * if the pattern was not found.
+ * @throws {Error} If the pattern is empty or contains an invalid byte.
+ * @throws {Error} If the starting index is not a number between 0
+ * and the reader's length.
+ * @example
+ * var frameIndex = reader.findPattern('68 ?? ?? 68');
+ * var syncIndex = reader.findPattern([0xAA, {value: 0x50, mask: 0xF0}]);
+ */
+BufferQueueReader.prototype.findPattern = function(pattern, fromIndex)
+{
+  pattern = parsePattern(pattern);
+  fromIndex = parseSearchIndex(fromIndex, 0, this.length);
+
+  return findPattern(createByteAccessor(this), pattern, fromIndex, this.length);
+};
+
+/**
+ * Skips the bytes preceding the next match of the specified pattern.
+ *
+ * If the pattern was not found, skips all the bytes except the trailing ones
+ * that match the beginning of the pattern, so a match completed by the next
+ * push is not lost.
+ *
+ * @param {(string|Buffer|Array.<(number|string|object)>)} pattern
+ * A pattern to search for. See `findPattern()`.
+ * @returns {number} A number of the skipped bytes.
+ * @throws {Error} If the pattern is empty or contains an invalid byte.
+ * @example
+ * var droppedCount = reader.skipToPattern('68 ?? ?? 68');
+ *
+ * if (reader.findPattern('68 ?? ?? 68') === 0) { ... }
+ */
+BufferQueueReader.prototype.skipToPattern = function(pattern)
+{
+  pattern = parsePattern(pattern);
 
-  if (isNaN(fromIndex) || fromIndex < 0 || fromIndex > this.length)
+  var byteAt = createByteAccessor(this);
+  var count = findPattern(byteAt, pattern, 0, this.length);
+
+  if (count === -1)
   {
-    throw new Error(
-      "The search starting index must be a number between 0 "
-      + "and the reader's length."
+    count = findPartialPattern(
+      byteAt,
+      pattern,
+      Math.max(0, this.length - pattern.values.length + 1),
+      this.length
     );
   }
-  
-  var offset = this.offset + fromIndex;
-  var index = 0;
-  var buffer = this.buffers[index];
-  
-  while (index < this.buffers.length && offset >= buffer.length)
-  {
-    offset -= buffer.length;
-    buffer = this.buffers[++index];
-  }
 
-  var totalOffset = fromIndex;
-  
-  while (index < this.buffers.length)
-  {
-    if (buffer[offset] === searchElement)
-    {
-      return totalOffset;
-    }
-    
-    offset += 1;
-    totalOffset += 1;
-    
-    if (offset >= buffer.length)
-    {
-      offset = 0;
-      buffer = this.buffers[++index];
-    }
-  }
-  
-  return -1;
+  this.skip(count);
+
+  return count;
+};
+
+/**
+ * Returns a number of the complete lines in the reader.
+ *
+ * Lines are terminated by LF, CRLF or a lone CR. A CR at the end of
+ * the queued data is not a terminator until the next byte tells whether
+ * it is a part of CRLF.
+ *
+ * Bytes are inspected only once: the following calls, `shiftLine()`
+ * and `readLine()` continue from where the previous scan stopped.
+ *
+ * @returns {number}
+ * @example
+ * while (reader.linesAvailable() > 0)
+ * {
+ *   handleResponse(reader.shiftLine());
+ * }
+ */
+BufferQueueReader.prototype.linesAvailable = function()
+{
+  var lineScan = scanLines(this);
+
+  return lineScan.ends.length - lineScan.first;
 };
 
 /**
@@ -316,15 +570,79 @@ BufferQueueReader.prototype.copy = function(
  *
  * @param {number} count A number of bits to shift.
  * Must be between 1 and the reader's length multiplied by 8.
+ * @param {string} [bitOrder] `'LSB'` if the first bit of each byte is
+ * the least significant one or `'MSB'` if it is the most significant one.
+ * Defaults to the reader's `bitOrder`.
  * @returns {Array.<boolean>} An array of bits.
  * @throws {Error} If the specified count is not a number between 1 and
  * the reader's length multiplied by 8.
+ * @throws {Error} If the specified bit order is not `'LSB'` or `'MSB'`.
  * @example
  * var bitsArray = reader.shiftBits(13);
+ * var msbFirstBitsArray = reader.shiftBits(16, 'MSB');
+ */
+BufferQueueReader.prototype.shiftBits = function(count, bitOrder)
+{
+  bitOrder = parseBitOrder(bitOrder, this.bitOrder);
+
+  return toBits(this.shiftBytes(Math.ceil(count / 8)), count, bitOrder);
+};
+
+/**
+ * Shifts an unsigned integer of the specified number of bits, starting with
+ * the most significant bit.
+ *
+ * Bit fields don't have to be aligned to bytes: the bits remaining in
+ * the last partially read byte are used by the next call. Any other shift
+ * or skip discards them, so byte reads can follow bit fields directly.
+ *
+ * Decreases the reader's length by the number of bytes that had to be
+ * shifted to extract the bits.
+ *
+ * @param {number} width A number of bits to shift. Must be between 1 and
+ * the number of remaining bits.
+ * @returns {bigint|number} A `number` for widths up to 32 bits
+ * or a `bigint` otherwise.
+ * @throws {Error} If the specified width is not a number between 1 and
+ * the number of remaining bits.
+ * @example
+ * var version = reader.shiftBitField(2);
+ * var type = reader.shiftBitField(2);
+ * var tokenLength = reader.shiftBitField(4);
+ * var code = reader.shiftUInt8();
+ */
+BufferQueueReader.prototype.shiftBitField = function(width)
+{
+  var bitStash = this.bitStash;
+
+  if (bitStash.mark !== this.length)
+  {
+    bitStash.count = 0;
+  }
+
+  var value = shiftBitField(
+    bitStash, width, this.length, this.shiftByte.bind(this)
+  );
+
+  bitStash.mark = this.length;
+
+  return value;
+};
+
+/**
+ * Discards the bits remaining in the last partially read byte, so that
+ * the next bit field starts at the beginning of the next byte.
+ *
+ * @example
+ * var flags = reader.shiftBitField(3);
+ *
+ * reader.alignToByte();
+ *
+ * var length = reader.shiftBitField(8);
  */
-BufferQueueReader.prototype.shiftBits = function(count)
+BufferQueueReader.prototype.alignToByte = function()
 {
-  return toBits(this.shiftBytes(Math.ceil(count / 8)), count);
+  this.bitStash.count = 0;
 };
 
 /**
@@ -446,7 +764,8 @@ BufferQueueReader.prototype.shiftBuffer = function(count)
  *
  * @param {number} length A number of bytes to shift.
  * Must be between 1 and the reader's length.
- * @param {string} [encoding] An encoding of the string. Defaults to `utf8`.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
  * @returns {string} A string of the specified length.
  * @throws {Error} If the specified length is not a number between 1 and
  * the reader's length.
@@ -456,38 +775,236 @@ BufferQueueReader.prototype.shiftBuffer = function(count)
  */
 BufferQueueReader.prototype.shiftString = function(length, encoding)
 {
-  return this.shiftBuffer(length).toString(encoding || 'utf8');
+  return decodeString(this.shiftBuffer(length), encoding);
 };
 
 /**
  * Shifts a string from the beginning of the reader until the first
- * occurence of the NULL character (\0).
+ * occurence of the terminator (by default, the NULL character).
  *
- * Decreases the reader's length by the returned string's length plus one.
+ * Decreases the reader's length by the returned string's byte length plus
+ * the terminator's length.
  *
- * @param {string} [encoding] An encoding of the string. Defaults to `utf8`.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @param {(string|Buffer|Array.<number>)} [terminator] A custom terminator
+ * sequence. A string is encoded with the specified encoding. Defaults to
+ * the NUL character of the encoding: `0x00` or, for `utf16le` and `ucs2`,
+ * `0x00 0x00` at an even distance from the string's start.
  * @returns {string} A string constructed from the shifted bytes or empty string
- * if NULL character could not be found.
+ * if the terminator could not be found.
+ * @throws {Error} If the specified terminator is not valid.
  * @throws {Error} If the specified encoding is not supported.
  * @example
  * var stringValue = reader.shiftZeroString('utf8');
+ * var wideString = reader.shiftZeroString('utf16le');
+ * var line = reader.shiftZeroString('ascii', '\r\n');
  */
-BufferQueueReader.prototype.shiftZeroString = function(encoding)
+BufferQueueReader.prototype.shiftZeroString = function(encoding, terminator)
 {
-  var zeroIndex = this.indexOf(0);
+  terminator = parseTerminator(terminator, encoding);
+
+  var terminatorIndex = findTerminator(this, 0, terminator);
 
-  if (zeroIndex === -1)
+  if (terminatorIndex === -1)
   {
     return '';
   }
 
-  var zeroString = this.shiftString(zeroIndex, encoding);
+  var zeroString = terminatorIndex === 0
+    ? ''
+    : this.shiftString(terminatorIndex, encoding);
 
-  this.skip(1);
+  this.skip(terminator.bytes.length);
 
   return zeroString;
 };
 
+/**
+ * Shifts a buffer preceded by its length.
+ *
+ * Decreases the reader's length by the size of the prefix plus the prefixed
+ * length.
+ *
+ * @param {string} [prefixType] A type of the length prefix: `'UInt8'`,
+ * `'UInt16'`, `'UInt16LE'`, `'UInt16BE'`, `'UInt32'`, `'UInt32LE'`,
+ * `'UInt32BE'` or `'VarUInt'` (LEB128). 16 and 32 bit prefixes without
+ * a suffix use the reader's byte order. Defaults to `'UInt8'`.
+ * @returns {Buffer} A buffer of the prefixed length.
+ * @throws {Error} If the specified prefix type is not supported.
+ * @throws {Error} If the prefix or the prefixed bytes exceed the reader's
+ * boundries.
+ * @example
+ * var payload = reader.shiftPrefixedBuffer('UInt16');
+ */
+BufferQueueReader.prototype.shiftPrefixedBuffer = function(prefixType)
+{
+  var prefixed = readPrefix(this, 0, prefixType);
+
+  this.skip(prefixed.offset);
+
+  return prefixed.length === 0
+    ? new Buffer(0)
+    : this.shiftBuffer(prefixed.length);
+};
+
+/**
+ * Shifts a string with the specified encoding preceded by its byte length.
+ *
+ * Decreases the reader's length by the size of the prefix plus the prefixed
+ * length.
+ *
+ * @param {string} [prefixType] A type of the length prefix: `'UInt8'`,
+ * `'UInt16'`, `'UInt16LE'`, `'UInt16BE'`, `'UInt32'`, `'UInt32LE'`,
+ * `'UInt32BE'` or `'VarUInt'` (LEB128). 16 and 32 bit prefixes without
+ * a suffix use the reader's byte order. Defaults to `'UInt8'`.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @returns {string} A string constructed from the prefixed bytes.
+ * @throws {Error} If the specified prefix type is not supported.
+ * @throws {Error} If the prefix or the prefixed bytes exceed the reader's
+ * boundries.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var name = reader.shiftPrefixedString('VarUInt');
+ * var label = reader.shiftPrefixedString('UInt16LE', 'ascii');
+ */
+BufferQueueReader.prototype.shiftPrefixedString = function(prefixType, encoding)
+{
+  return decodeString(this.shiftPrefixedBuffer(prefixType), encoding);
+};
+
+/**
+ * Shifts a fixed-width string field with the specified encoding and removes
+ * the trailing padding from it.
+ *
+ * Decreases the reader's length by the specified byte count.
+ *
+ * @param {number} length A number of bytes to shift.
+ * Must be between 1 and the reader's length.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @param {object} [options]
+ * @param {string} [options.trim] Which trailing padding to remove: `'nul'`
+ * characters, `'space'` characters, `'both'` or `'none'`.
+ * Defaults to `'both'`.
+ * @returns {string} A string without the trailing padding.
+ * @throws {Error} If the specified trim is not valid.
+ * @throws {Error} If the specified length is not a number between 1 and
+ * the reader's length.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var name = reader.shiftFixedString(32, 'ascii');
+ * var code = reader.shiftFixedString(8, 'latin1', {trim: 'space'});
+ */
+BufferQueueReader.prototype.shiftFixedString = function(
+  length, encoding, options)
+{
+  var trimPattern = getTrimPattern(options ? options.trim : null);
+  var stringValue = this.shiftString(length, encoding);
+
+  return trimPattern ? stringValue.replace(trimPattern, '') : stringValue;
+};
+
+/**
+ * Shifts all the complete characters currently queued as a string with
+ * the specified encoding.
+ *
+ * Bytes of a multi-byte character cut at the end of the queued data are left
+ * in the reader until the rest of the character is pushed, so that decoding
+ * a stream chunk by chunk never produces replacement characters.
+ *
+ * If the BOM detection is enabled, a UTF-8, UTF-16LE or UTF-16BE byte order
+ * mark at the beginning of the data is shifted and its encoding is used
+ * instead of the specified one, now and in the following calls (until
+ * the reader's `detectedEncoding` is set back to `NULL`). If the data does not
+ * start with a BOM, the specified encoding is picked.
+ *
+ * Decreases the reader's length by the number of the shifted bytes.
+ *
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding,
+ * `utf16be` or a name of a registered code page. Defaults to `utf8`.
+ * @param {object} [options]
+ * @param {boolean} [options.detectBom] Whether to detect the encoding from
+ * the byte order mark. Defaults to `FALSE`.
+ * @returns {string} A string of the complete characters or an empty string
+ * if there are none yet.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * socket.on('data', function(data)
+ * {
+ *   reader.push(data);
+ *
+ *   var text = reader.shiftAvailableString('utf8', {detectBom: true});
+ * });
+ */
+BufferQueueReader.prototype.shiftAvailableString = function(encoding, options)
+{
+  if (options && options.detectBom)
+  {
+    if (!detectBom(this, encoding))
+    {
+      return '';
+    }
+
+    encoding = this.detectedEncoding;
+  }
+
+  var byteCount = countCompleteBytes(this, encoding || 'utf8');
+
+  if (byteCount === 0)
+  {
+    return '';
+  }
+
+  var buffer = this.shiftBuffer(byteCount);
+
+  return (/^utf-?16be$/i).test(encoding)
+    ? buffer.swap16().toString('ucs2')
+    : decodeString(buffer, encoding);
+};
+
+/**
+ * Shifts the next line terminated by LF, CRLF or a lone CR.
+ *
+ * Decreases the reader's length by the line's byte length plus
+ * the terminator's length.
+ *
+ * @param {object} [options]
+ * @param {string} [options.encoding] An ASCII-compatible encoding of the line:
+ * a `Buffer` encoding or a name of a registered code page. Defaults to `utf8`.
+ * @param {number} [options.maxLength] The maximum number of bytes of a line
+ * (without the terminator). Defaults to no limit.
+ * @returns {?string} The line without the terminator or `NULL` if there
+ * is no complete line in the reader.
+ * @throws {Error} If the specified maximum length is not a number greater
+ * than 0.
+ * @throws {Error} If the next line (complete or not) is longer than
+ * the specified maximum length.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var sentence = reader.shiftLine({encoding: 'ascii', maxLength: 82});
+ */
+BufferQueueReader.prototype.shiftLine = function(options)
+{
+  options = options || {};
+
+  var line = findLine(this, options.maxLength);
+
+  if (line === null)
+  {
+    return null;
+  }
+
+  var lineString = line.length === 0
+    ? ''
+    : decodeString(this.shiftBuffer(line.length), options.encoding);
+
+  this.skip(line.terminatorLength);
+
+  return lineString;
+};
+
 /**
  * Shifts a signed 8 bit integer.
  *
@@ -508,17 +1025,17 @@ BufferQueueReader.prototype.shiftInt8 = function()
  *
  * Decreases the reader's length by two bytes.
  *
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
  * @returns {number} A number between -32768 and 32767.
  * @throws {Error} If the reader's length is less than 2.
  * @example
  * var int16BE = reader.shiftInt16();
  * var int16LE = reader.shiftInt16(true);
  */
-BufferQueueReader.prototype.shiftInt16 = function(littleEndian)
+BufferQueueReader.prototype.shiftInt16 = function(byteOrder)
 {
-  return toInt16(shiftUInt(this, 2, littleEndian));
+  return toInt16(shiftUInt(this, 2, byteOrder));
 };
 
 /**
@@ -526,17 +1043,18 @@ BufferQueueReader.prototype.shiftInt16 = function(littleEndian)
  *
  * Decreases the reader's length by four bytes.
  *
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
  * @returns {number} A number between -2147483648 and 2147483647.
  * @throws {Error} If the reader's length is less than 4.
  * @example
  * var int32BE = reader.shiftInt32();
  * var int32LE = reader.shiftInt32(true);
+ * var int32CDAB = reader.shiftInt32('CDAB');
  */
-BufferQueueReader.prototype.shiftInt32 = function(littleEndian)
+BufferQueueReader.prototype.shiftInt32 = function(byteOrder)
 {
-  return toInt32(shiftUInt(this, 4, littleEndian));
+  return toInt32(shiftUInt(this, 4, byteOrder));
 };
 
 /**
@@ -559,17 +1077,17 @@ BufferQueueReader.prototype.shiftUInt8 = function()
  *
  * Decreases the reader's length by two bytes.
  *
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
  * @returns {number} A number between 0 and 65535.
  * @throws {Error} If the reader's length is less than 2.
  * @example
  * var uint16BE = reader.shiftUInt16();
  * var uint16LE = reader.shiftUInt16(true);
  */
-BufferQueueReader.prototype.shiftUInt16 = function(littleEndian)
+BufferQueueReader.prototype.shiftUInt16 = function(byteOrder)
 {
-  return shiftUInt(this, 2, littleEndian);
+  return shiftUInt(this, 2, byteOrder);
 };
 
 /**
@@ -577,585 +1095,2376 @@ BufferQueueReader.prototype.shiftUInt16 = function(littleEndian)
  *
  * Decreases the reader's length by four bytes.
  *
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
  * @returns {number} A number between 0 and 4294967295.
  * @throws {Error} If the reader's length is less than 4.
  * @example
  * var uint32BE = reader.shiftUInt32();
  * var uint32LE = reader.shiftUInt32(true);
+ * var uint32CDAB = reader.shiftUInt32('CDAB');
  */
-BufferQueueReader.prototype.shiftUInt32 = function(littleEndian)
+BufferQueueReader.prototype.shiftUInt32 = function(byteOrder)
 {
-  return shiftUInt(this, 4, littleEndian);
+  return shiftUInt(this, 4, byteOrder);
 };
 
 /**
- * Shifts a signed 32 bit floating-point number as defined in IEEE 754.
+ * Shifts a signed 64 bit integer.
  *
- * Decreases the reader's length by four bytes.
+ * Decreases the reader's length by eight bytes.
  *
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
- * @returns {number} A 32 bit floating-point number.
- * @throws {Error} If the reader's length is less than 4.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @param {boolean} [safeNumber] Whether to return a `number` instead of
+ * a `bigint` if the value is within the safe integer range.
+ * @returns {bigint|number} A number between -9223372036854775808
+ * and 9223372036854775807.
+ * @throws {Error} If the reader's length is less than 8.
  * @example
- * var floatBE = reader.shiftFloat();
- * var floatLE = reader.shiftFloat(true);
+ * var int64BE = reader.shiftInt64();
+ * var int64LE = reader.shiftInt64(true);
+ * var int64Number = reader.shiftInt64(false, true);
  */
-BufferQueueReader.prototype.shiftFloat = function(littleEndian)
+BufferQueueReader.prototype.shiftInt64 = function(byteOrder, safeNumber)
 {
-  var readFloat = littleEndian ? 'readFloatLE' : 'readFloatBE';
+  var words = shiftUInt32Pair(this, byteOrder);
 
-  return this.shiftBuffer(4)[readFloat](0, false);
+  return toInt64(words[0], words[1], true, safeNumber);
 };
 
 /**
- * Shifts a signed 64 bit floating-point number as defined in IEEE 754.
+ * Shifts an unsigned 64 bit integer.
  *
  * Decreases the reader's length by eight bytes.
  *
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
- * @returns {number} A 64 bit floating-point number.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @param {boolean} [safeNumber] Whether to return a `number` instead of
+ * a `bigint` if the value is within the safe integer range.
+ * @returns {bigint|number} A number between 0 and 18446744073709551615.
  * @throws {Error} If the reader's length is less than 8.
  * @example
- * var doubleBE = reader.shiftDouble();
- * var doubleLE = reader.shiftDouble(true);
+ * var uint64BE = reader.shiftUInt64();
+ * var uint64LE = reader.shiftUInt64(true);
+ * var uint64Number = reader.shiftUInt64(false, true);
  */
-BufferQueueReader.prototype.shiftDouble = function(littleEndian)
+BufferQueueReader.prototype.shiftUInt64 = function(byteOrder, safeNumber)
 {
-  var readDouble = littleEndian ? 'readDoubleLE' : 'readDoubleBE';
+  var words = shiftUInt32Pair(this, byteOrder);
 
-  return this.shiftBuffer(8)[readDouble](0, false);
+  return toInt64(words[0], words[1], false, safeNumber);
 };
 
 /**
- * Returns an array of bits (boolean values) starting at the specified offset.
+ * Shifts a signed integer of the specified byte count.
  *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 1.
- * @param {number} count A number of bits to read. Must be between 1 and
- * the reader's length multiplied by 8 minus the starting index.
- * @returns {Array.<boolean>} An array of bits.
- * @throws {Error} If the specified count is not a number between 1 and the
- * reader's length multiplied by 8 minus the starting index.
+ * Decreases the reader's length by the specified byte count.
+ *
+ * @param {number} byteCount A number of bytes. Must be between 1 and 6.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between -2^(byteCount * 8 - 1)
+ * and 2^(byteCount * 8 - 1) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 6.
+ * @throws {Error} If the reader's length is less than the byte count.
  * @example
- * var bitsArray = reader.readBits(5, 13);
+ * var int24BE = reader.shiftIntN(3);
+ * var int48LE = reader.shiftIntN(6, true);
  */
-BufferQueueReader.prototype.readBits = function(offset, count)
+BufferQueueReader.prototype.shiftIntN = function(byteCount, byteOrder)
 {
-  return toBits(this.readBytes(offset, Math.ceil(count / 8)), count);
+  byteCount = parseByteCount(byteCount);
+
+  return toIntN(shiftUInt(this, byteCount, byteOrder), byteCount);
 };
 
 /**
- * Returns a byte at the specified position.
+ * Shifts an unsigned integer of the specified byte count.
  *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 1.
+ * Decreases the reader's length by the specified byte count.
+ *
+ * @param {number} byteCount A number of bytes. Must be between 1 and 6.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between 0 and 2^(byteCount * 8) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 6.
+ * @throws {Error} If the reader's length is less than the byte count.
+ * @example
+ * var uint24BE = reader.shiftUIntN(3);
+ * var uint40LE = reader.shiftUIntN(5, true);
+ */
+BufferQueueReader.prototype.shiftUIntN = function(byteCount, byteOrder)
+{
+  return shiftUInt(this, parseByteCount(byteCount), byteOrder);
+};
+
+/**
+ * Shifts an unsigned LEB128 variable-length integer.
+ *
+ * Decreases the reader's length by the number of bytes used by the integer.
+ *
+ * @returns {bigint|number} A `number` if the value is within the safe
+ * integer range or a `bigint` otherwise.
+ * @throws {Error} If the reader is empty or the integer is cut at the end
+ * of the queued data.
+ * @throws {Error} If the integer is longer than 10 bytes or does not fit
+ * in 64 bits.
+ * @example
+ * var sectionSize = reader.shiftVarUInt();
+ */
+BufferQueueReader.prototype.shiftVarUInt = function()
+{
+  return shiftVarInt(this, false);
+};
+
+/**
+ * Shifts a signed LEB128 variable-length integer.
+ *
+ * Decreases the reader's length by the number of bytes used by the integer.
+ *
+ * @returns {bigint|number} A `number` if the value is within the safe
+ * integer range or a `bigint` otherwise.
+ * @throws {Error} If the reader is empty or the integer is cut at the end
+ * of the queued data.
+ * @throws {Error} If the integer is longer than 10 bytes or does not fit
+ * in 64 bits.
+ * @example
+ * var lineAdvance = reader.shiftVarInt();
+ */
+BufferQueueReader.prototype.shiftVarInt = function()
+{
+  return shiftVarInt(this, true);
+};
+
+/**
+ * Shifts an unsigned packed BCD number (two decimal digits per byte,
+ * the most significant digit first).
+ *
+ * Decreases the reader's length by the specified byte count.
+ *
+ * @param {number} byteCount A number of bytes. Must be between 1 and 7.
+ * @returns {number} A number between 0 and 10^(byteCount * 2) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 7.
+ * @throws {Error} If the reader's length is less than the byte count.
+ * @throws {Error} If any of the nibbles is not a decimal digit.
+ * @example
+ * var meterReading = reader.shiftBcd(4);
+ */
+BufferQueueReader.prototype.shiftBcd = function(byteCount)
+{
+  byteCount = parseBcdByteCount(byteCount);
+
+  var value = this.readBcd(0, byteCount);
+
+  this.skip(byteCount);
+
+  return value;
+};
+
+/**
+ * Shifts an integer stored as a fixed-width string of ASCII digits.
+ *
+ * Leading and trailing whitespace is ignored, as are leading occurrences
+ * of the specified pad character. The digits may be preceded by a sign.
+ *
+ * Decreases the reader's length by the specified width.
+ *
+ * @param {number} width A number of characters.
+ * @param {number} [radix] A base of the digits. Must be between 2 and 36.
+ * Defaults to 10.
+ * @param {string} [padChar] A character used to pad the digits.
+ * @returns {number} A safe integer.
+ * @throws {Error} If the reader's length is less than the width.
+ * @throws {Error} If the specified radix is not a number between 2 and 36.
+ * @throws {Error} If the field does not contain a valid integer.
+ * @example
+ * var decimal = reader.shiftAsciiNumber(6);
+ * var hex = reader.shiftAsciiNumber(4, 16);
+ * var padded = reader.shiftAsciiNumber(8, 10, '*');
+ */
+BufferQueueReader.prototype.shiftAsciiNumber = function(width, radix, padChar)
+{
+  var value = this.readAsciiNumber(0, width, radix, padChar);
+
+  this.skip(width);
+
+  return value;
+};
+
+/**
+ * Shifts a fixed-point number in the Q format (e.g. Q15, Q31 or Q16.16).
+ *
+ * The number is stored as an integer of `integerBits + fractionBits` bits,
+ * which is divided by 2^fractionBits. For signed numbers, the integer bits
+ * include the sign bit (i.e. Q15 is `1, 15` and Q16.16 is `16, 16`).
+ *
+ * Decreases the reader's length by the number of bytes occupied
+ * by the number.
+ *
+ * @param {number} integerBits A number of integer bits.
+ * @param {number} fractionBits A number of fraction bits.
+ * The sum of integer and fraction bits must be 8, 16, 24, 32, 40 or 48.
+ * @param {object} [options]
+ * @param {boolean} [options.signed] Whether the number is signed.
+ * Defaults to `TRUE`.
+ * @param {(boolean|string)} [options.byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A fixed-point number.
+ * @throws {Error} If the specified bit counts are not valid.
+ * @throws {Error} If the reader's length is less than the number's size.
+ * @example
+ * var q15 = reader.shiftFixed(1, 15);
+ * var q16x16 = reader.shiftFixed(16, 16, {byteOrder: true});
+ * var uq8x8 = reader.shiftFixed(8, 8, {signed: false});
+ */
+BufferQueueReader.prototype.shiftFixed = function(
+  integerBits, fractionBits, options)
+{
+  var byteCount = parseFixedFormat(integerBits, fractionBits);
+  var value = this.readFixed(0, integerBits, fractionBits, options);
+
+  this.skip(byteCount);
+
+  return value;
+};
+
+/**
+ * Shifts a signed 16 bit floating-point number as defined in IEEE 754
+ * (half precision).
+ *
+ * Decreases the reader's length by two bytes.
+ *
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {number} A 16 bit floating-point number.
+ * @throws {Error} If the reader's length is less than 2.
+ * @example
+ * var float16BE = reader.shiftFloat16();
+ * var float16LE = reader.shiftFloat16(true);
+ */
+BufferQueueReader.prototype.shiftFloat16 = function(byteOrder)
+{
+  return toFloat16(shiftUInt(this, 2, byteOrder));
+};
+
+/**
+ * Shifts a signed 32 bit floating-point number as defined in IEEE 754.
+ *
+ * Decreases the reader's length by four bytes.
+ *
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A 32 bit floating-point number.
+ * @throws {Error} If the reader's length is less than 4.
+ * @example
+ * var floatBE = reader.shiftFloat();
+ * var floatLE = reader.shiftFloat(true);
+ * var floatCDAB = reader.shiftFloat('CDAB');
+ */
+BufferQueueReader.prototype.shiftFloat = function(byteOrder)
+{
+  var order = resolveByteOrder(byteOrder, 4, this.byteOrder);
+  var bytes = this.shiftBytes(4);
+
+  return new Buffer(toBigEndian(bytes, order)).readFloatBE(0);
+};
+
+/**
+ * Shifts a signed 64 bit floating-point number as defined in IEEE 754.
+ *
+ * Decreases the reader's length by eight bytes.
+ *
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A 64 bit floating-point number.
+ * @throws {Error} If the reader's length is less than 8.
+ * @example
+ * var doubleBE = reader.shiftDouble();
+ * var doubleLE = reader.shiftDouble(true);
+ * var doubleCDAB = reader.shiftDouble('CDAB');
+ */
+BufferQueueReader.prototype.shiftDouble = function(byteOrder)
+{
+  var order = resolveByteOrder(byteOrder, 8, this.byteOrder);
+  var bytes = this.shiftBytes(8);
+
+  return new Buffer(toBigEndian(bytes, order)).readDoubleBE(0);
+};
+
+/**
+ * Shifts the specified number of signed 8 bit integers as an `Int8Array`.
+ *
+ * Decreases the reader's length by the specified count.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @returns {Int8Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count.
+ * @example
+ * var offsets = reader.shiftInt8Array(16);
+ */
+BufferQueueReader.prototype.shiftInt8Array = function(count)
+{
+  var value = this.readInt8Array(0, count);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of unsigned 8 bit integers as a `Uint8Array`.
+ *
+ * Decreases the reader's length by the specified count.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @returns {Uint8Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count.
+ * @example
+ * var levels = reader.shiftUInt8Array(32);
+ */
+BufferQueueReader.prototype.shiftUInt8Array = function(count)
+{
+  var value = this.readUInt8Array(0, count);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of signed 16 bit integers as an `Int16Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 2.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {Int16Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 2.
+ * @example
+ * var samples = reader.shiftInt16Array(1000);
+ * var samplesLE = reader.shiftInt16Array(1000, true);
+ */
+BufferQueueReader.prototype.shiftInt16Array = function(count, byteOrder)
+{
+  var value = this.readInt16Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of unsigned 16 bit integers as a `Uint16Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 2.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {Uint16Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 2.
+ * @example
+ * var registers = reader.shiftUInt16Array(125);
+ * var registersLE = reader.shiftUInt16Array(125, true);
+ */
+BufferQueueReader.prototype.shiftUInt16Array = function(count, byteOrder)
+{
+  var value = this.readUInt16Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of signed 32 bit integers as an `Int32Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 4.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Int32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 4.
+ * @example
+ * var positions = reader.shiftInt32Array(6);
+ * var positionsLE = reader.shiftInt32Array(6, true);
+ */
+BufferQueueReader.prototype.shiftInt32Array = function(count, byteOrder)
+{
+  var value = this.readInt32Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of unsigned 32 bit integers as a `Uint32Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 4.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Uint32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 4.
+ * @example
+ * var counters = reader.shiftUInt32Array(12);
+ * var countersLE = reader.shiftUInt32Array(12, true);
+ */
+BufferQueueReader.prototype.shiftUInt32Array = function(count, byteOrder)
+{
+  var value = this.readUInt32Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of 32 bit floating-point numbers as a
+ * `Float32Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 4.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Float32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 4.
+ * @example
+ * var samples = reader.shiftFloat32Array(1000);
+ * var samplesLE = reader.shiftFloat32Array(1000, true);
+ */
+BufferQueueReader.prototype.shiftFloat32Array = function(count, byteOrder)
+{
+  var value = this.readFloat32Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of 64 bit floating-point numbers as a
+ * `Float64Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 8.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Float64Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 8.
+ * @example
+ * var coordinates = reader.shiftFloat64Array(3);
+ * var coordinatesLE = reader.shiftFloat64Array(3, true);
+ */
+BufferQueueReader.prototype.shiftFloat64Array = function(count, byteOrder)
+{
+  var value = this.readFloat64Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts a date stored in the specified format.
+ *
+ * Supported formats (all dates are in UTC):
+ *
+ *   - `'unix32'` - unsigned 32 bit seconds since 1970-01-01,
+ *   - `'unix64'` - signed 64 bit seconds since 1970-01-01,
+ *   - `'unix64ms'` - signed 64 bit milliseconds since 1970-01-01,
+ *   - `'unix64ns'` - signed 64 bit nanoseconds since 1970-01-01,
+ *     represented as a `bigint`,
+ *   - `'ntp64'` - NTP timestamp: unsigned 32 bit seconds since 1900-01-01
+ *     followed by a 32 bit fraction of a second (seconds below 2^31 belong
+ *     to the era starting in 2036),
+ *   - `'filetime'` - Windows FILETIME: unsigned 64 bit number of
+ *     100 nanosecond intervals since 1601-01-01,
+ *   - `'ntp64ns'` and `'filetimens'` - the same as `'ntp64'` and
+ *     `'filetime'`, but represented as a `bigint` number of nanoseconds
+ *     since 1970-01-01,
+ *   - `'dos'` - 32 bit DOS date (high word) and time (low word) with
+ *     a two second resolution (FAT and ZIP store it in little endian),
+ *   - `'cp56time2a'` - IEC 60870-5 seven byte time, always in little
+ *     endian (the byte order is ignored).
+ *
+ * Dates decoded from the `'ntp64'` and `'filetime'` formats are truncated to
+ * milliseconds. Use `'ntp64ns'` or `'filetimens'` to keep the full precision.
+ *
+ * Decreases the reader's length by the format's size.
+ *
+ * @param {string} format A name of the date format.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {(Date|bigint)} A date or, for the `'unix64ns'`, `'ntp64ns'`
+ * and `'filetimens'` formats, a number of nanoseconds.
+ * @throws {Error} If the specified format is not supported.
+ * @throws {Error} If the reader's length is less than the format's size.
+ * @throws {Error} If the bytes do not represent a valid date.
+ * @example
+ * var createdAt = reader.shiftDate('unix32');
+ * var modifiedAt = reader.shiftDate('filetime', true);
+ * var capturedAt = reader.shiftDate('unix64ns');
+ */
+BufferQueueReader.prototype.shiftDate = function(format, byteOrder)
+{
+  var value = this.readDate(0, format, byteOrder);
+
+  this.skip(getDateFormat(format).size);
+
+  return value;
+};
+
+/**
+ * Shifts a 16 byte UUID and returns it in the canonical string form
+ * (lower case `xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx`).
+ *
+ * Decreases the reader's length by sixteen bytes.
+ *
+ * @param {string} [layout] `'rfc4122'` if all fields are stored in big
+ * endian or `'guid'` if the first three fields are stored in little endian
+ * (the Microsoft GUID layout). Defaults to `'rfc4122'`.
+ * @returns {string} A UUID string.
+ * @throws {Error} If the specified layout is not `'rfc4122'` or `'guid'`.
+ * @throws {Error} If the reader's length is less than 16.
+ * @example
+ * var serviceUuid = reader.shiftUuid();
+ * var classId = reader.shiftUuid('guid');
+ */
+BufferQueueReader.prototype.shiftUuid = function(layout)
+{
+  var value = this.readUuid(0, layout);
+
+  this.skip(16);
+
+  return value;
+};
+
+/**
+ * Shifts an IPv4 address and returns it in the dotted-decimal form (e.g.
+ * `192.168.1.10`).
+ *
+ * Decreases the reader's length by four bytes.
+ *
+ * @returns {string} An address string.
+ * @throws {Error} If the reader's length is less than 4.
+ * @example
+ * var gateway = reader.shiftIPv4();
+ */
+BufferQueueReader.prototype.shiftIPv4 = function()
+{
+  var value = this.readIPv4(0);
+
+  this.skip(4);
+
+  return value;
+};
+
+/**
+ * Shifts an IPv6 address and returns it in the RFC 5952 form (e.g.
+ * `2001:db8::1` or `::ffff:192.0.2.1`).
+ *
+ * Decreases the reader's length by sixteen bytes.
+ *
+ * @returns {string} An address string.
+ * @throws {Error} If the reader's length is less than 16.
+ * @example
+ * var gateway = reader.shiftIPv6();
+ */
+BufferQueueReader.prototype.shiftIPv6 = function()
+{
+  var value = this.readIPv6(0);
+
+  this.skip(16);
+
+  return value;
+};
+
+/**
+ * Shifts a MAC address and returns it as lower case hexadecimal bytes
+ * separated by colons (e.g. `00:1a:2b:3c:4d:5e`).
+ *
+ * Decreases the reader's length by six bytes.
+ *
+ * @returns {string} An address string.
+ * @throws {Error} If the reader's length is less than 6.
+ * @example
+ * var hardwareAddress = reader.shiftMac();
+ */
+BufferQueueReader.prototype.shiftMac = function()
+{
+  var value = this.readMac(0);
+
+  this.skip(6);
+
+  return value;
+};
+
+/**
+ * Returns an array of bits (boolean values) starting at the specified offset.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @param {number} count A number of bits to read. Must be between 1 and
+ * the reader's length multiplied by 8 minus the starting index.
+ * @param {string} [bitOrder] `'LSB'` if the first bit of each byte is
+ * the least significant one or `'MSB'` if it is the most significant one.
+ * Defaults to the reader's `bitOrder`.
+ * @returns {Array.<boolean>} An array of bits.
+ * @throws {Error} If the specified count is not a number between 1 and the
+ * reader's length multiplied by 8 minus the starting index.
+ * @throws {Error} If the specified bit order is not `'LSB'` or `'MSB'`.
+ * @example
+ * var bitsArray = reader.readBits(5, 13);
+ * var msbFirstBitsArray = reader.readBits(0, 16, 'MSB');
+ */
+BufferQueueReader.prototype.readBits = function(offset, count, bitOrder)
+{
+  bitOrder = parseBitOrder(bitOrder, this.bitOrder);
+
+  return toBits(
+    this.readBytes(offset, Math.ceil(count / 8)), count, bitOrder
+  );
+};
+
+/**
+ * Returns a byte at the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
  * @returns {number} A number between 0x00 and 0xFF.
  * @throws {Error} If the reader is empty.
  * @example
- * var byteValue = reader.readByte(1);
+ * var byteValue = reader.readByte(1);
+ */
+BufferQueueReader.prototype.readByte = function(offset)
+{
+  offset = parseInt(offset, 10);
+
+  if (isNaN(offset) || offset < 0 || offset >= this.length)
+  {
+    throw new Error(
+      "The offset must be a number between 0 and the reader's length minus one."
+    );
+  }
+
+  offset += this.offset;
+
+  var index = 0;
+  var buffer;
+
+  while ((buffer = this.buffers[index++]).length <= offset)
+  {
+    offset -= buffer.length;
+  }
+
+  return buffer[offset];
+};
+
+/**
+ * Returns an ASCII character at the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @returns {string} An ASCII character.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var charValue = reader.readChar(4);
+ */
+BufferQueueReader.prototype.readChar = function(offset)
+{
+  return String.fromCharCode(this.readByte(offset));
+};
+
+/**
+ * Returns the specified number of bytes starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the specified count.
+ * @param {number} count A number of bytes to read.
+ * Must be between 1 and the reader's length minus the offset.
+ * @returns {Array.<number>} An array of bytes.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified count is not a number between 1 and
+ * the reader's length minus the offset.
+ * @example
+ * var bytesArray = reader.readBytes(0, 6);
+ */
+BufferQueueReader.prototype.readBytes = function(offset, count)
+{
+  offset = parseInt(offset, 10);
+
+  if (isNaN(offset) || offset < 0)
+  {
+    throw new Error("The offset must be a number greater than 0.");
+  }
+
+  count = parseInt(count, 10);
+
+  if (isNaN(count) || count < 1)
+  {
+    throw new Error("The byte count must be a number greater than 0.");
+  }
+
+  if (offset + count > this.length)
+  {
+    throw new Error(
+      "A sum of the offset and byte count must be less than or "
+      + "equal to the reader's length"
+    );
+  }
+
+  offset += this.offset;
+
+  var byteArray = [];
+  var index = 0;
+  var buffer;
+
+  while ((buffer = this.buffers[index++]).length <= offset)
+  {
+    offset -= buffer.length;
+  }
+
+  while (count--)
+  {
+    byteArray.push(buffer[offset++]);
+      
+    if (offset >= buffer.length)
+    {
+      offset = 0;
+      buffer = this.buffers[index++];
+    }
+  }
+
+  return byteArray;
+};
+
+/**
+ * Returns the specified number of bytes as an instance of Buffer
+ * starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the specified count.
+ * @param {number} count A number of bytes to read.
+ * Must be between 1 and the reader's length minus the offset.
+ * @returns {Buffer} A Buffer of bytes.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified count is not a number between 1 and
+ * the reader's length minus the offset.
+ * @example
+ * var buffer = reader.readBuffer(5, 10);
+ */
+BufferQueueReader.prototype.readBuffer = function(offset, count)
+{
+  /*jshint maxstatements:26*/
+
+  offset = parseInt(offset, 10);
+
+  if (isNaN(offset) || offset < 0)
+  {
+    throw new Error("The offset must be a number greater than 0.");
+  }
+
+  count = parseInt(count, 10);
+
+  if (isNaN(count) || count < 1)
+  {
+    throw new Error("The byte count must be a number greater than 0.");
+  }
+
+  if (offset + count > this.length)
+  {
+    throw new Error(
+      "A sum of the offset and byte count must be less than or "
+      + "equal to the reader's length"
+    );
+  }
+
+  offset += this.offset;
+
+  var index = 0;
+  var buffer;
+
+  while ((buffer = this.buffers[index++]).length <= offset)
+  {
+    offset -= buffer.length;
+  }
+
+  if (buffer.length >= offset + count)
+  {
+    return buffer.slice(offset, offset + count);
+  }
+
+  var resultBuffer = new Buffer(count);
+  var resultOffset = 0;
+
+  while (count)
+  {
+    var written = buffer.copy(
+      resultBuffer,
+      resultOffset,
+      offset,
+      Math.min(buffer.length, offset + count)
+    );
+
+    resultOffset += written;
+    count -= written;
+    offset += written;
+
+    if (offset >= buffer.length)
+    {
+      offset = 0;
+      buffer = this.buffers[index++];
+    }
+  }
+
+  return resultBuffer;
+};
+
+/**
+ * Returns the specified number of bytes as a string with
+ * the specified encoding.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the specified length.
+ * @param {number} length A number of bytes to read.
+ * Must be between 1 and the reader's length minus the offset.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @returns {string} A string of the specified length.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified length is not a number between 1 and
+ * the reader's length.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var stringValue = reader.readString(1, 12, 'ascii');
+ */
+BufferQueueReader.prototype.readString = function(offset, length, encoding)
+{
+  return decodeString(this.readBuffer(offset, length), encoding);
+};
+
+/**
+ * Returns a string from the specified offset until the first
+ * occurence of the terminator (by default, the NULL character).
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @param {(string|Buffer|Array.<number>)} [terminator] A custom terminator
+ * sequence. A string is encoded with the specified encoding. Defaults to
+ * the NUL character of the encoding: `0x00` or, for `utf16le` and `ucs2`,
+ * `0x00 0x00` at an even distance from the string's start.
+ * @returns {string} A string constructed from the read bytes or empty string
+ * if the terminator could not be found.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified terminator is not valid.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var stringValue = reader.readZeroString(0, 'utf8');
+ * var wideString = reader.readZeroString(4, 'ucs2');
+ */
+BufferQueueReader.prototype.readZeroString = function(
+  offset, encoding, terminator)
+{
+  var terminatorIndex = findTerminator(
+    this, offset, parseTerminator(terminator, encoding)
+  );
+
+  if (terminatorIndex === -1 || terminatorIndex - offset === 0)
+  {
+    return '';
+  }
+
+  return this.readString(offset, terminatorIndex - offset, encoding);
+};
+
+/**
+ * Returns a buffer preceded by its length starting at the specified offset.
+ *
+ * @param {number} offset A starting index of the prefix.
+ * Must be between 0 and the reader's length minus the size of the prefix.
+ * @param {string} [prefixType] A type of the length prefix: `'UInt8'`,
+ * `'UInt16'`, `'UInt16LE'`, `'UInt16BE'`, `'UInt32'`, `'UInt32LE'`,
+ * `'UInt32BE'` or `'VarUInt'` (LEB128). 16 and 32 bit prefixes without
+ * a suffix use the reader's byte order. Defaults to `'UInt8'`.
+ * @returns {Buffer} A buffer of the prefixed length.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified prefix type is not supported.
+ * @throws {Error} If the prefix or the prefixed bytes exceed the reader's
+ * boundries.
+ * @example
+ * var payload = reader.readPrefixedBuffer(4, 'UInt32BE');
+ */
+BufferQueueReader.prototype.readPrefixedBuffer = function(offset, prefixType)
+{
+  var prefixed = readPrefix(this, offset, prefixType);
+
+  return prefixed.length === 0
+    ? new Buffer(0)
+    : this.readBuffer(prefixed.offset, prefixed.length);
+};
+
+/**
+ * Returns a string with the specified encoding preceded by its byte length
+ * starting at the specified offset.
+ *
+ * @param {number} offset A starting index of the prefix.
+ * Must be between 0 and the reader's length minus the size of the prefix.
+ * @param {string} [prefixType] A type of the length prefix: `'UInt8'`,
+ * `'UInt16'`, `'UInt16LE'`, `'UInt16BE'`, `'UInt32'`, `'UInt32LE'`,
+ * `'UInt32BE'` or `'VarUInt'` (LEB128). 16 and 32 bit prefixes without
+ * a suffix use the reader's byte order. Defaults to `'UInt8'`.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @returns {string} A string constructed from the prefixed bytes.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified prefix type is not supported.
+ * @throws {Error} If the prefix or the prefixed bytes exceed the reader's
+ * boundries.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var name = reader.readPrefixedString(0, 'UInt8', 'ascii');
+ */
+BufferQueueReader.prototype.readPrefixedString = function(
+  offset, prefixType, encoding)
+{
+  return decodeString(this.readPrefixedBuffer(offset, prefixType), encoding);
+};
+
+/**
+ * Returns a fixed-width string field with the specified encoding starting
+ * at the specified offset without the trailing padding.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the specified length.
+ * @param {number} length A number of bytes to read.
+ * Must be between 1 and the reader's length minus the offset.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @param {object} [options]
+ * @param {string} [options.trim] Which trailing padding to remove: `'nul'`
+ * characters, `'space'` characters, `'both'` or `'none'`.
+ * Defaults to `'both'`.
+ * @returns {string} A string without the trailing padding.
+ * @throws {Error} If the specified trim is not valid.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified length is not a number between 1 and
+ * the reader's length minus the offset.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var name = reader.readFixedString(4, 32, 'ascii', {trim: 'nul'});
+ */
+BufferQueueReader.prototype.readFixedString = function(
+  offset, length, encoding, options)
+{
+  var trimPattern = getTrimPattern(options ? options.trim : null);
+  var stringValue = this.readString(offset, length, encoding);
+
+  return trimPattern ? stringValue.replace(trimPattern, '') : stringValue;
+};
+
+/**
+ * Returns the next line terminated by LF, CRLF or a lone CR without
+ * shifting it.
+ *
+ * @param {object} [options]
+ * @param {string} [options.encoding] An ASCII-compatible encoding of the line:
+ * a `Buffer` encoding or a name of a registered code page. Defaults to `utf8`.
+ * @param {number} [options.maxLength] The maximum number of bytes of a line
+ * (without the terminator). Defaults to no limit.
+ * @returns {?string} The line without the terminator or `NULL` if there
+ * is no complete line in the reader.
+ * @throws {Error} If the specified maximum length is not a number greater
+ * than 0.
+ * @throws {Error} If the next line (complete or not) is longer than
+ * the specified maximum length.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * if (reader.readLine() === 'OK')
+ * {
+ *   reader.shiftLine();
+ * }
+ */
+BufferQueueReader.prototype.readLine = function(options)
+{
+  options = options || {};
+
+  var line = findLine(this, options.maxLength);
+
+  if (line === null)
+  {
+    return null;
+  }
+
+  return line.length === 0
+    ? ''
+    : decodeString(this.readBuffer(0, line.length), options.encoding);
+};
+
+/**
+ * Returns a signed 8 bit integer at the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @returns {number} A number between -128 and 127.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the reader is empty.
+ * @example
+ * var int8 = reader.readInt8(5);
+ */
+BufferQueueReader.prototype.readInt8 = function(offset)
+{
+  return toInt8(this.readByte(offset));
+};
+
+/**
+ * Returns a signed 16 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 2.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between -32768 and 32767.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var int16BE = reader.readInt16(0);
+ * var int16LE = reader.readInt16(2, true);
+ */
+BufferQueueReader.prototype.readInt16 = function(offset, byteOrder)
+{
+  return toInt16(readUInt(this, offset, 2, byteOrder));
+};
+
+/**
+ * Returns a signed 32 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 4.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between -2147483648 and 2147483647.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var int32BE = reader.readInt32(0);
+ * var int32LE = reader.readInt32(4, true);
+ * var int32CDAB = reader.readInt32(8, 'CDAB');
+ */
+BufferQueueReader.prototype.readInt32 = function(offset, byteOrder)
+{
+  return toInt32(readUInt(this, offset, 4, byteOrder));
+};
+
+/**
+ * Returns an unsigned 8 bit integer at the specified position.
+ *
+ * @param {number} offset A starting index. Must be between 0 and
+ * the reader's length minus 1.
+ * @returns {number} A number between 0 and 255.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var uint8 = reader.readUInt8(0);
+ */
+BufferQueueReader.prototype.readUInt8 = function(offset)
+{
+  return this.readByte(offset);
+};
+
+/**
+ * Returns an unsigned 16 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 2.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between 0 and 65535.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var uint16BE = reader.readUInt16(0);
+ * var uint16LE = reader.readUInt16(2, true);
  */
-BufferQueueReader.prototype.readByte = function(offset)
+BufferQueueReader.prototype.readUInt16 = function(offset, byteOrder)
 {
-  offset = parseInt(offset, 10);
+  return readUInt(this, offset, 2, byteOrder);
+};
 
-  if (isNaN(offset) || offset < 0 || offset >= this.length)
-  {
-    throw new Error(
-      "The offset must be a number between 0 and the reader's length minus one."
-    );
-  }
+/**
+ * Returns an unsigned 32 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 4.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between 0 and 4294967295.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var uint32BE = reader.readUInt32(0);
+ * var uint32LE = reader.readUInt32(4, true);
+ * var uint32CDAB = reader.readUInt32(8, 'CDAB');
+ */
+BufferQueueReader.prototype.readUInt32 = function(offset, byteOrder)
+{
+  return readUInt(this, offset, 4, byteOrder);
+};
 
-  offset += this.offset;
+/**
+ * Returns a signed 64 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 8.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @param {boolean} [safeNumber] Whether to return a `number` instead of
+ * a `bigint` if the value is within the safe integer range.
+ * @returns {bigint|number} A number between -9223372036854775808
+ * and 9223372036854775807.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var int64BE = reader.readInt64(0);
+ * var int64LE = reader.readInt64(8, true);
+ * var int64Number = reader.readInt64(16, false, true);
+ */
+BufferQueueReader.prototype.readInt64 = function(
+  offset, byteOrder, safeNumber)
+{
+  var words = readUInt32Pair(this, offset, byteOrder);
 
-  var index = 0;
-  var buffer;
+  return toInt64(words[0], words[1], true, safeNumber);
+};
+
+/**
+ * Returns an unsigned 64 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 8.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @param {boolean} [safeNumber] Whether to return a `number` instead of
+ * a `bigint` if the value is within the safe integer range.
+ * @returns {bigint|number} A number between 0 and 18446744073709551615.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var uint64BE = reader.readUInt64(0);
+ * var uint64LE = reader.readUInt64(8, true);
+ * var uint64Number = reader.readUInt64(16, false, true);
+ */
+BufferQueueReader.prototype.readUInt64 = function(
+  offset, byteOrder, safeNumber)
+{
+  var words = readUInt32Pair(this, offset, byteOrder);
+
+  return toInt64(words[0], words[1], false, safeNumber);
+};
+
+/**
+ * Returns a signed integer of the specified byte count starting from
+ * the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the byte count.
+ * @param {number} byteCount A number of bytes. Must be between 1 and 6.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between -2^(byteCount * 8 - 1)
+ * and 2^(byteCount * 8 - 1) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 6.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var int24BE = reader.readIntN(0, 3);
+ * var int48LE = reader.readIntN(3, 6, true);
+ */
+BufferQueueReader.prototype.readIntN = function(
+  offset, byteCount, byteOrder)
+{
+  byteCount = parseByteCount(byteCount);
+
+  return toIntN(readUInt(this, offset, byteCount, byteOrder), byteCount);
+};
+
+/**
+ * Returns an unsigned integer of the specified byte count starting from
+ * the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the byte count.
+ * @param {number} byteCount A number of bytes. Must be between 1 and 6.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between 0 and 2^(byteCount * 8) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 6.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var uint24BE = reader.readUIntN(0, 3);
+ * var uint40LE = reader.readUIntN(3, 5, true);
+ */
+BufferQueueReader.prototype.readUIntN = function(
+  offset, byteCount, byteOrder)
+{
+  return readUInt(this, offset, parseByteCount(byteCount), byteOrder);
+};
+
+/**
+ * Returns an unsigned LEB128 variable-length integer starting at
+ * the specified offset.
+ *
+ * If the integer is cut at the end of the queued data, the result's
+ * `incomplete` flag is set, its value is `NULL` and its length is
+ * the number of bytes available so far.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @returns {{value: ?(bigint|number), length: number, incomplete: boolean}}
+ * The value (a `number` if it is within the safe integer range or a `bigint`
+ * otherwise) and the number of bytes it occupies.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the integer is longer than 10 bytes or does not fit
+ * in 64 bits.
+ * @example
+ * var result = reader.readVarUInt(0);
+ *
+ * if (!result.incomplete)
+ * {
+ *   reader.skip(result.length);
+ * }
+ */
+BufferQueueReader.prototype.readVarUInt = function(offset)
+{
+  return readVarInt(this, offset, false);
+};
+
+/**
+ * Returns a signed LEB128 variable-length integer starting at
+ * the specified offset.
+ *
+ * If the integer is cut at the end of the queued data, the result's
+ * `incomplete` flag is set, its value is `NULL` and its length is
+ * the number of bytes available so far.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @returns {{value: ?(bigint|number), length: number, incomplete: boolean}}
+ * The value (a `number` if it is within the safe integer range or a `bigint`
+ * otherwise) and the number of bytes it occupies.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the integer is longer than 10 bytes or does not fit
+ * in 64 bits.
+ * @example
+ * var result = reader.readVarInt(0);
+ */
+BufferQueueReader.prototype.readVarInt = function(offset)
+{
+  return readVarInt(this, offset, true);
+};
+
+/**
+ * Returns an unsigned packed BCD number (two decimal digits per byte,
+ * the most significant digit first) starting at the specified offset.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the byte count.
+ * @param {number} byteCount A number of bytes. Must be between 1 and 7.
+ * @returns {number} A number between 0 and 10^(byteCount * 2) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 7.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If any of the nibbles is not a decimal digit.
+ * @example
+ * var meterReading = reader.readBcd(2, 4);
+ */
+BufferQueueReader.prototype.readBcd = function(offset, byteCount)
+{
+  return decodeBcd(this.readBytes(offset, parseBcdByteCount(byteCount)));
+};
+
+/**
+ * Returns an integer stored as a fixed-width string of ASCII digits
+ * starting at the specified offset.
+ *
+ * Leading and trailing whitespace is ignored, as are leading occurrences
+ * of the specified pad character. The digits may be preceded by a sign.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the width.
+ * @param {number} width A number of characters.
+ * @param {number} [radix] A base of the digits. Must be between 2 and 36.
+ * Defaults to 10.
+ * @param {string} [padChar] A character used to pad the digits.
+ * @returns {number} A safe integer.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified radix is not a number between 2 and 36.
+ * @throws {Error} If the field does not contain a valid integer.
+ * @example
+ * var decimal = reader.readAsciiNumber(0, 6);
+ * var hex = reader.readAsciiNumber(6, 4, 16);
+ */
+BufferQueueReader.prototype.readAsciiNumber = function(
+  offset, width, radix, padChar)
+{
+  radix = parseRadix(radix);
+
+  var stringValue = this.readString(offset, width, 'ascii');
+
+  return parseAsciiNumber(stringValue, radix, padChar);
+};
+
+/**
+ * Returns a fixed-point number in the Q format (e.g. Q15, Q31 or Q16.16)
+ * starting at the specified offset.
+ *
+ * The number is stored as an integer of `integerBits + fractionBits` bits,
+ * which is divided by 2^fractionBits. For signed numbers, the integer bits
+ * include the sign bit (i.e. Q15 is `1, 15` and Q16.16 is `16, 16`).
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the number's size.
+ * @param {number} integerBits A number of integer bits.
+ * @param {number} fractionBits A number of fraction bits.
+ * The sum of integer and fraction bits must be 8, 16, 24, 32, 40 or 48.
+ * @param {object} [options]
+ * @param {boolean} [options.signed] Whether the number is signed.
+ * Defaults to `TRUE`.
+ * @param {(boolean|string)} [options.byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A fixed-point number.
+ * @throws {Error} If the specified bit counts are not valid.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var q15 = reader.readFixed(0, 1, 15);
+ * var q16x16 = reader.readFixed(2, 16, 16, {byteOrder: true});
+ */
+BufferQueueReader.prototype.readFixed = function(
+  offset, integerBits, fractionBits, options)
+{
+  options = options || {};
+
+  var byteCount = parseFixedFormat(integerBits, fractionBits);
+  var integerValue = options.signed === false
+    ? this.readUIntN(offset, byteCount, options.byteOrder)
+    : this.readIntN(offset, byteCount, options.byteOrder);
+
+  return integerValue / Math.pow(2, parseInt(fractionBits, 10));
+};
+
+/**
+ * Returns a signed 16 bit floating-point number as defined in IEEE 754
+ * (half precision).
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 2.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {number} A 16 bit floating-point number.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var float16BE = reader.readFloat16(0);
+ * var float16LE = reader.readFloat16(2, true);
+ */
+BufferQueueReader.prototype.readFloat16 = function(offset, byteOrder)
+{
+  return toFloat16(readUInt(this, offset, 2, byteOrder));
+};
+
+/**
+ * Returns a signed 32 bit floating-point number as defined in IEEE 754.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 4.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A 32 bit floating-point number.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var floatBE = reader.readFloat(0);
+ * var floatLE = reader.readFloat(4, true);
+ * var floatCDAB = reader.readFloat(8, 'CDAB');
+ */
+BufferQueueReader.prototype.readFloat = function(offset, byteOrder)
+{
+  var order = resolveByteOrder(byteOrder, 4, this.byteOrder);
+  var bytes = this.readBytes(offset, 4);
+
+  return new Buffer(toBigEndian(bytes, order)).readFloatBE(0);
+};
+
+/**
+ * Returns a signed 64 bit floating-point number as defined in IEEE 754.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 8.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A 64 bit floating-point number.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var doubleBE = reader.readDouble(0);
+ * var doubleLE = reader.readDouble(8, true);
+ * var doubleCDAB = reader.readDouble(16, 'CDAB');
+ */
+BufferQueueReader.prototype.readDouble = function(offset, byteOrder)
+{
+  var order = resolveByteOrder(byteOrder, 8, this.byteOrder);
+  var bytes = this.readBytes(offset, 8);
+
+  return new Buffer(toBigEndian(bytes, order)).readDoubleBE(0);
+};
+
+/**
+ * Returns the specified number of signed 8 bit integers starting at the
+ * specified offset as an `Int8Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @returns {Int8Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var offsets = reader.readInt8Array(0, 16);
+ */
+BufferQueueReader.prototype.readInt8Array = function(offset, count)
+{
+  return readTypedArray(this, offset, null, {type: 'Int8', count: count});
+};
+
+/**
+ * Returns the specified number of unsigned 8 bit integers starting at the
+ * specified offset as a `Uint8Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @returns {Uint8Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var levels = reader.readUInt8Array(0, 32);
+ */
+BufferQueueReader.prototype.readUInt8Array = function(offset, count)
+{
+  return readTypedArray(this, offset, null, {type: 'UInt8', count: count});
+};
+
+/**
+ * Returns the specified number of signed 16 bit integers starting at the
+ * specified offset as an `Int16Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 2.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {Int16Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var samples = reader.readInt16Array(0, 1000);
+ * var samplesLE = reader.readInt16Array(4, 1000, true);
+ */
+BufferQueueReader.prototype.readInt16Array = function(offset, count, byteOrder)
+{
+  return readTypedArray(this, offset, byteOrder, {type: 'Int16', count: count});
+};
+
+/**
+ * Returns the specified number of unsigned 16 bit integers starting at the
+ * specified offset as a `Uint16Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 2.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {Uint16Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var registers = reader.readUInt16Array(0, 125);
+ * var registersLE = reader.readUInt16Array(4, 125, true);
+ */
+BufferQueueReader.prototype.readUInt16Array = function(offset, count, byteOrder)
+{
+  return readTypedArray(
+    this, offset, byteOrder, {type: 'UInt16', count: count}
+  );
+};
+
+/**
+ * Returns the specified number of signed 32 bit integers starting at the
+ * specified offset as an `Int32Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 4.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Int32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var positions = reader.readInt32Array(0, 6);
+ * var positionsLE = reader.readInt32Array(4, 6, true);
+ */
+BufferQueueReader.prototype.readInt32Array = function(offset, count, byteOrder)
+{
+  return readTypedArray(this, offset, byteOrder, {type: 'Int32', count: count});
+};
+
+/**
+ * Returns the specified number of unsigned 32 bit integers starting at the
+ * specified offset as a `Uint32Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 4.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Uint32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var counters = reader.readUInt32Array(0, 12);
+ * var countersLE = reader.readUInt32Array(4, 12, true);
+ */
+BufferQueueReader.prototype.readUInt32Array = function(offset, count, byteOrder)
+{
+  return readTypedArray(
+    this, offset, byteOrder, {type: 'UInt32', count: count}
+  );
+};
+
+/**
+ * Returns the specified number of 32 bit floating-point numbers starting at the
+ * specified offset as a `Float32Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 4.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Float32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var samples = reader.readFloat32Array(0, 1000);
+ * var samplesLE = reader.readFloat32Array(4, 1000, true);
+ */
+BufferQueueReader.prototype.readFloat32Array = function(
+  offset, count, byteOrder)
+{
+  return readTypedArray(
+    this, offset, byteOrder, {type: 'Float32', count: count}
+  );
+};
+
+/**
+ * Returns the specified number of 64 bit floating-point numbers starting at the
+ * specified offset as a `Float64Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 8.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Float64Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var coordinates = reader.readFloat64Array(0, 3);
+ * var coordinatesLE = reader.readFloat64Array(4, 3, true);
+ */
+BufferQueueReader.prototype.readFloat64Array = function(
+  offset, count, byteOrder)
+{
+  return readTypedArray(
+    this, offset, byteOrder, {type: 'Float64', count: count}
+  );
+};
+
+/**
+ * Returns a date stored in the specified format starting at the specified
+ * offset.
+ *
+ * See `shiftDate()` for the supported formats.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the format's size.
+ * @param {string} format A name of the date format.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {(Date|bigint)} A date or, for the `'unix64ns'`, `'ntp64ns'`
+ * and `'filetimens'` formats, a number of nanoseconds.
+ * @throws {Error} If the specified format is not supported.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the bytes do not represent a valid date.
+ * @example
+ * var createdAt = reader.readDate(0, 'unix32');
+ * var modifiedAt = reader.readDate(4, 'filetime', true);
+ * var capturedAt = reader.readDate(12, 'unix64ns');
+ */
+BufferQueueReader.prototype.readDate = function(offset, format, byteOrder)
+{
+  return decodeDate(
+    this.readBytes(offset, getDateFormat(format).size),
+    format,
+    byteOrder,
+    this.byteOrder
+  );
+};
+
+/**
+ * Returns a 16 byte UUID starting at the specified offset in the canonical
+ * string form (lower case `xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx`).
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 16.
+ * @param {string} [layout] `'rfc4122'` if all fields are stored in big
+ * endian or `'guid'` if the first three fields are stored in little endian
+ * (the Microsoft GUID layout). Defaults to `'rfc4122'`.
+ * @returns {string} A UUID string.
+ * @throws {Error} If the specified layout is not `'rfc4122'` or `'guid'`.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var serviceUuid = reader.readUuid(0);
+ * var classId = reader.readUuid(16, 'guid');
+ */
+BufferQueueReader.prototype.readUuid = function(offset, layout)
+{
+  layout = parseUuidLayout(layout);
 
-  while ((buffer = this.buffers[index++]).length <= offset)
-  {
-    offset -= buffer.length;
-  }
+  return formatUuid(this.readBytes(offset, 16), layout);
+};
 
-  return buffer[offset];
+/**
+ * Returns an IPv4 address starting at the specified offset in the
+ * dotted-decimal form (e.g. `192.168.1.10`).
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 4.
+ * @returns {string} An address string.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var gateway = reader.readIPv4(4);
+ */
+BufferQueueReader.prototype.readIPv4 = function(offset)
+{
+  return formatIPv4(this.readBytes(offset, 4));
 };
 
 /**
- * Returns an ASCII character at the specified position.
+ * Returns an IPv6 address starting at the specified offset in the RFC 5952 form
+ * (e.g. `2001:db8::1` or `::ffff:192.0.2.1`).
  *
  * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 1.
- * @returns {string} An ASCII character.
+ * Must be between 0 and the reader's length minus 16.
+ * @returns {string} An address string.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
  * @example
- * var charValue = reader.readChar(4);
+ * var gateway = reader.readIPv6(4);
  */
-BufferQueueReader.prototype.readChar = function(offset)
+BufferQueueReader.prototype.readIPv6 = function(offset)
 {
-  return String.fromCharCode(this.readByte(offset));
+  return formatIPv6(this.readBytes(offset, 16));
 };
 
 /**
- * Returns the specified number of bytes starting from the specified position.
+ * Returns a MAC address starting at the specified offset as lower case
+ * hexadecimal bytes separated by colons (e.g. `00:1a:2b:3c:4d:5e`).
  *
  * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus the specified count.
- * @param {number} count A number of bytes to read.
- * Must be between 1 and the reader's length minus the offset.
- * @returns {Array.<number>} An array of bytes.
+ * Must be between 0 and the reader's length minus 6.
+ * @returns {string} An address string.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @throws {Error} If the specified count is not a number between 1 and
- * the reader's length minus the offset.
  * @example
- * var bytesArray = reader.readBytes(0, 6);
+ * var hardwareAddress = reader.readMac(4);
  */
-BufferQueueReader.prototype.readBytes = function(offset, count)
+BufferQueueReader.prototype.readMac = function(offset)
 {
-  offset = parseInt(offset, 10);
+  return formatMac(this.readBytes(offset, 6));
+};
 
-  if (isNaN(offset) || offset < 0)
+/**
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {number} offset
+ * @param {(boolean|string)} byteOrder
+ * @param {{type: string, count: number}} array
+ * @returns {ArrayBufferView}
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ */
+function readTypedArray(reader, offset, byteOrder, array)
+{
+  var size = getTypedArrayConstructor(array.type).BYTES_PER_ELEMENT;
+  var count = parseInt(array.count, 10);
+
+  if (isNaN(count) || count < 1)
   {
-    throw new Error("The offset must be a number greater than 0.");
+    throw new Error("The element count must be a number greater than 0.");
   }
 
-  count = parseInt(count, 10);
+  var byteArray = new Uint8Array(count * size);
 
-  if (isNaN(count) || count < 1)
+  offset = parseInt(offset, 10);
+
+  reader.copy(new Buffer(byteArray.buffer), 0, offset, offset + count * size);
+
+  return toTypedArray(
+    byteArray, array.type, resolveByteOrder(byteOrder, size, reader.byteOrder)
+  );
+}
+
+/**
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {number} size
+ * @param {(boolean|string)} byteOrder
+ * @returns {number}
+ */
+function shiftUInt(reader, size, byteOrder)
+{
+  if (reader.length < size)
   {
-    throw new Error("The byte count must be a number greater than 0.");
+    throw new Error("The reader's length is less than " + size + " bytes.");
   }
 
-  if (offset + count > this.length)
+  var order = resolveByteOrder(byteOrder, size, reader.byteOrder);
+
+  if (typeof order !== 'string')
   {
-    throw new Error(
-      "A sum of the offset and byte count must be less than or "
-      + "equal to the reader's length"
-    );
+    return toUInt(toBigEndian(reader.shiftBytes(size), order));
   }
 
-  offset += this.offset;
+  var littleEndian = order === 'LE';
 
-  var byteArray = [];
-  var index = 0;
-  var buffer;
+  reader.length -= size;
 
-  while ((buffer = this.buffers[index++]).length <= offset)
-  {
-    offset -= buffer.length;
-  }
+  var value = 0;
+  var multiplier = 1;
 
-  while (count--)
+  while (size--)
   {
-    byteArray.push(buffer[offset++]);
-      
-    if (offset >= buffer.length)
+    var buffer = reader.buffers[0];
+
+    if (littleEndian)
     {
-      offset = 0;
-      buffer = this.buffers[index++];
+      value += buffer[reader.offset++] * multiplier;
+      multiplier *= 0x100;
+    }
+    else
+    {
+      value = value * 0x100 + buffer[reader.offset++];
+    }
+
+    if (reader.offset >= buffer.length)
+    {
+      reader.offset -= reader.buffers.shift().length;
     }
   }
 
-  return byteArray;
-};
+  return value;
+}
 
 /**
- * Returns the specified number of bytes as an instance of Buffer
- * starting from the specified position.
- *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus the specified count.
- * @param {number} count A number of bytes to read.
- * Must be between 1 and the reader's length minus the offset.
- * @returns {Buffer} A Buffer of bytes.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @throws {Error} If the specified count is not a number between 1 and
- * the reader's length minus the offset.
- * @example
- * var buffer = reader.readBuffer(5, 10);
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {number} offset
+ * @param {number} size
+ * @param {(boolean|string)} byteOrder
+ * @returns {number}
+ * @throws {Error}
  */
-BufferQueueReader.prototype.readBuffer = function(offset, count)
+function readUInt(reader, offset, size, byteOrder)
 {
-  /*jshint maxstatements:26*/
+  /*jshint maxstatements:24*/
 
   offset = parseInt(offset, 10);
 
-  if (isNaN(offset) || offset < 0)
+  if (isNaN(offset) || offset < 0 || offset + size > reader.length)
   {
-    throw new Error("The offset must be a number greater than 0.");
+    throw new Error(
+      "The offset must be a number between 0 and the reader's length minus "
+      + size + "."
+    );
   }
 
-  count = parseInt(count, 10);
+  var order = resolveByteOrder(byteOrder, size, reader.byteOrder);
 
-  if (isNaN(count) || count < 1)
+  if (typeof order !== 'string')
   {
-    throw new Error("The byte count must be a number greater than 0.");
+    return toUInt(toBigEndian(reader.readBytes(offset, size), order));
   }
 
-  if (offset + count > this.length)
-  {
-    throw new Error(
-      "A sum of the offset and byte count must be less than or "
-      + "equal to the reader's length"
-    );
-  }
+  var littleEndian = order === 'LE';
 
-  offset += this.offset;
+  offset += reader.offset;
 
   var index = 0;
   var buffer;
 
-  while ((buffer = this.buffers[index++]).length <= offset)
+  while ((buffer = reader.buffers[index++]).length <= offset)
   {
     offset -= buffer.length;
   }
 
-  if (buffer.length >= offset + count)
-  {
-    return buffer.slice(offset, offset + count);
-  }
-
-  var resultBuffer = new Buffer(count);
-  var resultOffset = 0;
+  var value = 0;
+  var multiplier = 1;
 
-  while (count)
+  while (size--)
   {
-    var written = buffer.copy(
-      resultBuffer,
-      resultOffset,
-      offset,
-      Math.min(buffer.length, offset + count)
-    );
-
-    resultOffset += written;
-    count -= written;
-    offset += written;
+    if (littleEndian)
+    {
+      value += buffer[offset++] * multiplier;
+      multiplier *= 0x100;
+    }
+    else
+    {
+      value = value * 0x100 + buffer[offset++];
+    }
 
     if (offset >= buffer.length)
     {
       offset = 0;
-      buffer = this.buffers[index++];
+      buffer = reader.buffers[index++];
     }
   }
 
-  return resultBuffer;
-};
-
-/**
- * Returns the specified number of bytes as a string with
- * the specified encoding.
- *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus the specified length.
- * @param {number} length A number of bytes to read.
- * Must be between 1 and the reader's length minus the offset.
- * @param {string} [encoding] An encoding of the string. Defaults to `utf8`.
- * @returns {string} A string of the specified length.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @throws {Error} If the specified length is not a number between 1 and
- * the reader's length.
- * @throws {Error} If the specified encoding is not supported.
- * @example
- * var stringValue = reader.readString(1, 12, 'ascii');
- */
-BufferQueueReader.prototype.readString = function(offset, length, encoding)
-{
-  return this.readBuffer(offset, length).toString(encoding || 'utf8');
-};
+  return value;
+}
 
 /**
- * Returns a string from the specified offset until the first
- * occurence of the NULL character (\0).
- *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length.
- * @param {string} [encoding] An encoding of the string. Defaults to `utf8`.
- * @returns {string} A string constructed from the read bytes or empty string if
- * NULL character could not be found.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @throws {Error} If the specified encoding is not supported.
- * @example
- * var stringValue = reader.readZeroString(0, 'utf8');
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {(boolean|string)} byteOrder
+ * @returns {Array.<number>}
+ * @throws {Error}
  */
-BufferQueueReader.prototype.readZeroString = function(offset, encoding)
+function shiftUInt32Pair(reader, byteOrder)
 {
-  var zeroIndex = this.indexOf(0, offset);
-
-  if (zeroIndex === -1 || zeroIndex - offset === 0)
+  if (reader.length < 8)
   {
-    return '';
+    throw new Error("The reader's length is less than 8 bytes.");
   }
 
-  return this.readString(offset, zeroIndex - offset, encoding);
-};
+  var order = resolveByteOrder(byteOrder, 8, reader.byteOrder);
+  var buffer = new Buffer(toBigEndian(reader.shiftBytes(8), order));
+
+  return [buffer.readUInt32BE(0), buffer.readUInt32BE(4)];
+}
 
 /**
- * Returns a signed 8 bit integer at the specified position.
- *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 1.
- * @returns {number} A number between -128 and 127.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @throws {Error} If the reader is empty.
- * @example
- * var int8 = reader.readInt8(5);
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {number} offset
+ * @param {(boolean|string)} byteOrder
+ * @returns {Array.<number>}
+ * @throws {Error}
  */
-BufferQueueReader.prototype.readInt8 = function(offset)
+function readUInt32Pair(reader, offset, byteOrder)
 {
-  return toInt8(this.readByte(offset));
-};
+  var order = resolveByteOrder(byteOrder, 8, reader.byteOrder);
+  var buffer = new Buffer(toBigEndian(reader.readBytes(offset, 8), order));
+
+  return [buffer.readUInt32BE(0), buffer.readUInt32BE(4)];
+}
 
 /**
- * Returns a signed 16 bit integer starting from the specified position.
- *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 2.
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
- * @returns {number} A number between -32768 and 32767.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @example
- * var int16BE = reader.readInt16(0);
- * var int16LE = reader.readInt16(2, true);
+ * @private
+ * @param {number} uInt8
+ * @returns {number}
  */
-BufferQueueReader.prototype.readInt16 = function(offset, littleEndian)
+function toInt8(uInt8)
 {
-  return toInt16(readUInt(this, offset, 2, littleEndian));
-};
+  return uInt8 & 0x80 ? (0x100 - uInt8) * -1 : uInt8;
+}
 
 /**
- * Returns a signed 32 bit integer starting from the specified position.
- *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 4.
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
- * @returns {number} A number between -2147483648 and 2147483647.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @example
- * var int32BE = reader.readInt32(0);
- * var int32LE = reader.readInt32(4, true);
+ * @private
+ * @param {number} uInt16
+ * @returns {number}
+ */
+function toInt16(uInt16)
+{
+  return uInt16 & 0x8000 ? (0x10000 - uInt16) * -1 : uInt16;
+}
+
+/**
+ * @private
+ * @param {number} uInt32
+ * @returns {number}
  */
-BufferQueueReader.prototype.readInt32 = function(offset, littleEndian)
+function toInt32(uInt32)
 {
-  return toInt32(readUInt(this, offset, 4, littleEndian));
-};
+  return uInt32 & 0x80000000 ? (0x100000000 - uInt32) * -1 : uInt32;
+}
 
 /**
- * Returns an unsigned 8 bit integer at the specified position.
- *
- * @param {number} offset A starting index. Must be between 0 and
- * the reader's length minus 1.
- * @returns {number} A number between 0 and 255.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @example
- * var uint8 = reader.readUInt8(0);
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {boolean} signed
+ * @returns {bigint|number}
+ * @throws {Error}
  */
-BufferQueueReader.prototype.readUInt8 = function(offset)
+function shiftVarInt(reader, signed)
 {
-  return this.readByte(offset);
-};
+  if (reader.length === 0)
+  {
+    throw new Error("The reader is empty.");
+  }
+
+  var result = readVarInt(reader, 0, signed);
+
+  if (result.incomplete)
+  {
+    throw new Error(
+      "The variable-length integer exceeds the reader's length."
+    );
+  }
+
+  reader.skip(result.length);
+
+  return result.value;
+}
 
 /**
- * Returns an unsigned 16 bit integer starting from the specified position.
- *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 2.
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
- * @returns {number} A number between 0 and 65535.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @example
- * var uint16BE = reader.readUInt16(0);
- * var uint16LE = reader.readUInt16(2, true);
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {number} offset
+ * @param {boolean} signed
+ * @returns {{value: ?(bigint|number), length: number, incomplete: boolean}}
+ * @throws {Error}
  */
-BufferQueueReader.prototype.readUInt16 = function(offset, littleEndian)
+function readVarInt(reader, offset, signed)
 {
-  return readUInt(this, offset, 2, littleEndian);
-};
+  offset = parseInt(offset, 10);
+
+  if (isNaN(offset) || offset < 0 || offset >= reader.length)
+  {
+    throw new Error(
+      "The offset must be a number between 0 and the reader's length minus one."
+    );
+  }
+
+  var byteCount = reader.length - offset;
+  var result = decodeVarInt(
+    function(i) { return reader.readByte(offset + i); },
+    byteCount,
+    signed
+  );
+
+  if (result === null)
+  {
+    return {value: null, length: byteCount, incomplete: true};
+  }
+
+  result.incomplete = false;
+
+  return result;
+}
 
 /**
- * Returns an unsigned 32 bit integer starting from the specified position.
- *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 4.
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
- * @returns {number} A number between 0 and 4294967295.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @example
- * var uint32BE = reader.readUInt32(0);
- * var uint32LE = reader.readUInt32(4, true);
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {number} offset
+ * @param {{bytes: Array.<number>, alignment: number}} terminator
+ * @returns {number} An index of the terminator or -1 if it was not found.
+ * @throws {Error}
  */
-BufferQueueReader.prototype.readUInt32 = function(offset, littleEndian)
+function findTerminator(reader, offset, terminator)
 {
-  return readUInt(this, offset, 4, littleEndian);
-};
+  var bytes = terminator.bytes;
+  var index = parseInt(offset, 10);
+
+  offset = index;
+
+  while ((index = reader.indexOf(bytes, index)) !== -1)
+  {
+    if ((index - offset) % terminator.alignment === 0)
+    {
+      return index;
+    }
+
+    index += 1;
+  }
+
+  return -1;
+}
 
 /**
- * Returns a signed 32 bit floating-point number as defined in IEEE 754.
- *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 4.
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
- * @returns {number} A 32 bit floating-point number.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @example
- * var floatBE = reader.readFloat(0);
- * var floatLE = reader.readFloat(4, true);
+ * @private
+ * @param {BufferQueueReader} reader
+ * @returns {function(number): number} A function returning a byte at
+ * the specified position relative to the reader's offset. Remembers
+ * the buffer of the last position, so nearby positions are found without
+ * walking the queue from its start.
  */
-BufferQueueReader.prototype.readFloat = function(offset, littleEndian)
+function createByteAccessor(reader)
 {
-  var readFloat = littleEndian ? 'readFloatLE' : 'readFloatBE';
+  var buffers = reader.buffers;
+  var bufferIndex = 0;
+  var bufferStart = -reader.offset;
 
-  return this.readBuffer(offset, 4)[readFloat](0, false);
-};
+  return function(index)
+  {
+    while (index < bufferStart)
+    {
+      bufferStart -= buffers[--bufferIndex].length;
+    }
+
+    while (index >= bufferStart + buffers[bufferIndex].length)
+    {
+      bufferStart += buffers[bufferIndex++].length;
+    }
+
+    return buffers[bufferIndex][index - bufferStart];
+  };
+}
 
 /**
- * Returns a signed 64 bit floating-point number as defined in IEEE 754.
- *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 8.
- * @param {boolean} littleEndian Whether to use little endian
- * instead of big endian.
- * @returns {number} A 64 bit floating-point number.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @example
- * var doubleBE = reader.readDouble(0);
- * var doubleLE = reader.readDouble(8, true);
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {number} offset
+ * @param {string} [prefixType]
+ * @returns {{offset: number, length: number}} The offset and the length of
+ * the prefixed bytes.
+ * @throws {Error}
  */
-BufferQueueReader.prototype.readDouble = function(offset, littleEndian)
+function readPrefix(reader, offset, prefixType)
 {
-  var readDouble = littleEndian ? 'readDoubleLE' : 'readDoubleBE';
+  var prefix = parsePrefixType(prefixType);
 
-  return this.readBuffer(offset, 8)[readDouble](0, false);
-};
+  offset = parseInt(offset, 10);
+
+  var result = prefix.type === 'VarUInt'
+    ? reader.readVarUInt(offset)
+    : {
+      value: reader['read' + prefix.type](offset, prefix.byteOrder),
+      length: prefix.size
+    };
+
+  if (result.incomplete)
+  {
+    throw new Error("The length prefix exceeds the reader's length.");
+  }
+
+  offset += result.length;
+
+  if (typeof result.value !== 'number'
+    || offset + result.value > reader.length)
+  {
+    throw new Error("The prefixed length exceeds the reader's length.");
+  }
+
+  return {offset: offset, length: result.value};
+}
 
 /**
  * @private
  * @param {BufferQueueReader} reader
- * @param {number} size
- * @param {boolean} littleEndian
- * @returns {number}
+ * @returns {{position: number, ends: Array.<object>, first: number}} The
+ * reader's line scan, updated to cover all the queued bytes. Positions are
+ * counted from the first byte ever pushed, so they stay valid as the bytes
+ * are shifted. The ends before the `first` one belong to the shifted lines.
  */
-function shiftUInt(reader, size, littleEndian)
+function scanLines(reader)
 {
-  if (reader.length < size)
+  var lineScan = reader.lineScan;
+  var start = reader.pushedLength - reader.length;
+
+  skipShiftedLines(lineScan, start);
+
+  var position = Math.max(lineScan.position, start);
+
+  if (position === reader.pushedLength)
   {
-    throw new Error("The reader's length is less than " + size + " bytes.");
+    return lineScan;
   }
 
-  reader.length -= size;
+  // Only the last pushed bytes are not scanned yet, so look for the first
+  // of them from the end of the queue
+  var crPosition = -1;
+  var index = reader.buffers.length - 1;
+  var offset = reader.buffers[index].length - (reader.pushedLength - position);
 
-  var value = 0;
-  var shift = -8;
+  while (offset < 0)
+  {
+    offset += reader.buffers[--index].length;
+  }
 
-  while (size--)
+  for (; index < reader.buffers.length; ++index, offset = 0)
   {
-    var buffer = reader.buffers[0];
+    var buffer = reader.buffers[index];
 
-    if (littleEndian)
-    {
-      value += ((buffer[reader.offset++] << (shift += 8)) >>> 0);
-    }
-    else
+    for (; offset < buffer.length; ++offset, ++position)
     {
-      value = ((value << 8) >>> 0) + buffer[reader.offset++];
+      crPosition = scanLineByte(
+        lineScan.ends, buffer[offset], position, crPosition
+      );
     }
+  }
 
-    if (reader.offset >= buffer.length)
+  lineScan.position = crPosition === -1 ? position : crPosition;
+
+  return lineScan;
+}
+
+/**
+ * @private
+ * @param {{ends: Array.<object>, first: number}} lineScan
+ * @param {number} start A position of the first queued byte.
+ */
+function skipShiftedLines(lineScan, start)
+{
+  var ends = lineScan.ends;
+
+  while (lineScan.first < ends.length && ends[lineScan.first].end <= start)
+  {
+    ++lineScan.first;
+  }
+
+  // Drop the skipped ends in bulk, so shifting lines one by one stays linear
+  if (lineScan.first > ends.length / 2)
+  {
+    ends.splice(0, lineScan.first);
+    lineScan.first = 0;
+  }
+}
+
+/**
+ * @private
+ * @param {Array.<{end: number, terminatorLength: number}>} ends
+ * @param {number} byteValue
+ * @param {number} position
+ * @param {number} crPosition A position of the preceding CR or -1.
+ * @returns {number} A position of the CR waiting for the next byte or -1.
+ */
+function scanLineByte(ends, byteValue, position, crPosition)
+{
+  if (crPosition !== -1)
+  {
+    if (byteValue === 0x0A)
     {
-      reader.offset -= reader.buffers.shift().length;
+      ends.push({end: position + 1, terminatorLength: 2});
+
+      return -1;
     }
+
+    ends.push({end: crPosition + 1, terminatorLength: 1});
   }
 
-  return value;
+  if (byteValue === 0x0D)
+  {
+    return position;
+  }
+
+  if (byteValue === 0x0A)
+  {
+    ends.push({end: position + 1, terminatorLength: 1});
+  }
+
+  return -1;
 }
 
 /**
  * @private
  * @param {BufferQueueReader} reader
- * @param {number} offset
- * @param {number} size
- * @param {boolean} littleEndian
- * @returns {number}
+ * @param {number} [maxLength]
+ * @returns {?{length: number, terminatorLength: number}}
  * @throws {Error}
  */
-function readUInt(reader, offset, size, littleEndian)
+function findLine(reader, maxLength)
 {
-  offset = parseInt(offset, 10);
+  if (maxLength !== undefined && maxLength !== null)
+  {
+    maxLength = parseInt(maxLength, 10);
 
-  if (isNaN(offset) || offset < 0 || offset + size > reader.length)
+    if (isNaN(maxLength) || maxLength < 1)
+    {
+      throw new Error(
+        "The maximum line length must be a number greater than 0."
+      );
+    }
+  }
+  else
+  {
+    maxLength = Infinity;
+  }
+
+  var lineScan = scanLines(reader);
+  var lineEnd = lineScan.ends[lineScan.first];
+  var start = reader.pushedLength - reader.length;
+  var end = lineEnd === undefined ? lineScan.position : lineEnd.end;
+  var terminatorLength = lineEnd === undefined
+    ? 0
+    : Math.min(lineEnd.terminatorLength, end - start);
+
+  if (end - start - terminatorLength > maxLength)
   {
     throw new Error(
-      "The offset must be a number between 0 and the reader's length minus 2."
+      "The line exceeds the maximum length of " + maxLength + " bytes."
     );
   }
 
-  offset += reader.offset;
+  return lineEnd === undefined ? null : {
+    length: end - start - terminatorLength,
+    terminatorLength: terminatorLength
+  };
+}
 
-  var index = 0;
-  var buffer;
+/**
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {string} [fallbackEncoding]
+ * @returns {boolean} Whether the encoding was detected. `FALSE` if the queued
+ * data is too short to tell.
+ */
+function detectBom(reader, fallbackEncoding)
+{
+  if (reader.detectedEncoding !== null)
+  {
+    return true;
+  }
 
-  while ((buffer = reader.buffers[index++]).length <= offset)
+  if (reader.length === 0)
   {
-    offset -= buffer.length;
+    return false;
   }
 
-  var value = 0;
-  var shift = -8;
+  var bytes = reader.readBytes(0, Math.min(reader.length, 3));
 
-  while (size--)
+  for (var i = 0; i < BYTE_ORDER_MARKS.length; ++i)
   {
-    if (littleEndian)
+    var bom = BYTE_ORDER_MARKS[i].bytes;
+    var matchLength = 0;
+
+    while (matchLength < bytes.length && matchLength < bom.length
+      && bytes[matchLength] === bom[matchLength])
     {
-      value += ((buffer[offset++] << (shift += 8)) >>> 0);
+      ++matchLength;
     }
-    else
+
+    if (matchLength === bom.length)
     {
-      value = ((value << 8) >>> 0) + buffer[offset++];
+      reader.skip(bom.length);
+      reader.detectedEncoding = BYTE_ORDER_MARKS[i].encoding;
+
+      return true;
     }
 
-    if (offset >= buffer.length)
+    if (matchLength === bytes.length)
     {
-      offset = 0;
-      buffer = reader.buffers[index++];
+      return false;
     }
   }
 
-  return value;
+  reader.detectedEncoding = fallbackEncoding || 'utf8';
+
+  return true;
 }
 
 /**
  * @private
- * @param {number} uInt8
- * @returns {number}
+ * @type {Array.<{bytes: Array.<number>, encoding: string}>}
  */
-function toInt8(uInt8)
+var BYTE_ORDER_MARKS = [
+  {bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf8'},
+  {bytes: [0xFF, 0xFE], encoding: 'utf16le'},
+  {bytes: [0xFE, 0xFF], encoding: 'utf16be'}
+];
+
+/**
+ * @private
+ * @param {BufferQueueReader} reader
+ * @param {string} encoding
+ * @returns {number} A number of the queued bytes that end on a character
+ * boundary.
+ */
+function countCompleteBytes(reader, encoding)
 {
-  return uInt8 & 0x80 ? (0x100 - uInt8) * -1 : uInt8;
+  var length = reader.length;
+
+  if (/^utf-?8$/i.test(encoding))
+  {
+    return countCompleteUtf8Bytes(reader);
+  }
+
+  if (isUtf16Encoding(encoding) || /^utf-?16be$/i.test(encoding))
+  {
+    var end = length - length % 2;
+    var highByteIndex = isUtf16Encoding(encoding) ? end - 1 : end - 2;
+
+    if (end > 0 && (reader.readByte(highByteIndex) & 0xFC) === 0xD8)
+    {
+      end -= 2;
+    }
+
+    return end;
+  }
+
+  return length;
 }
 
 /**
  * @private
- * @param {number} uInt16
+ * @param {BufferQueueReader} reader
  * @returns {number}
  */
-function toInt16(uInt16)
+function countCompleteUtf8Bytes(reader)
 {
-  return uInt16 & 0x8000 ? (0x10000 - uInt16) * -1 : uInt16;
+  var length = reader.length;
+  var start = length - 1;
+
+  while (start >= 0 && start > length - 4
+    && (reader.readByte(start) & 0xC0) === 0x80)
+  {
+    --start;
+  }
+
+  if (start < 0)
+  {
+    return length;
+  }
+
+  var leadByte = reader.readByte(start);
+  // Bytes that can not start a sequence are decoded alone as U+FFFD
+  var charLength = leadByte >= 0xF5 || leadByte === 0xC0 || leadByte === 0xC1
+    ? 1
+    : leadByte >= 0xF0 ? 4
+    : leadByte >= 0xE0 ? 3
+    : leadByte >= 0xC0 ? 2
+    : 1;
+
+  return length - start < charLength ? start : length;
 }
 
 /**
  * @private
- * @param {number} uInt32
- * @returns {number}
+ * @param {*} value
+ * @returns {boolean}
  */
-function toInt32(uInt32)
+function isOptions(value)
 {
-  return uInt32 & 0x80000000 ? (0x100000000 - uInt32) * -1 : uInt32;
+  return typeof value === 'object' && value !== null && !Buffer.isBuffer(value);
 }
 
 module.exports = BufferQueueReader;
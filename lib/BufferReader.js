@@ -1,14 +1,73 @@
 'use strict';
 
-var toBits = require('./helpers').toBits;
+var helpers = require('./helpers');
+var dateFormats = require('./dateFormats');
+
+var toBits = helpers.toBits;
+var parseBitOrder = helpers.parseBitOrder;
+var shiftBitField = helpers.shiftBitField;
+var toInt64 = helpers.toInt64;
+var toFloat16 = helpers.toFloat16;
+var decodeVarInt = helpers.decodeVarInt;
+var parseBcdByteCount = helpers.parseBcdByteCount;
+var decodeBcd = helpers.decodeBcd;
+var parseRadix = helpers.parseRadix;
+var parseAsciiNumber = helpers.parseAsciiNumber;
+var parseFixedFormat = helpers.parseFixedFormat;
+var parseUuidLayout = helpers.parseUuidLayout;
+var formatUuid = helpers.formatUuid;
+var getTypedArrayConstructor = helpers.getTypedArrayConstructor;
+var toTypedArray = helpers.toTypedArray;
+var formatIPv4 = helpers.formatIPv4;
+var formatIPv6 = helpers.formatIPv6;
+var formatMac = helpers.formatMac;
+var parseByteCount = helpers.parseByteCount;
+var parsePrefixType = helpers.parsePrefixType;
+var getTrimPattern = helpers.getTrimPattern;
+var parseTerminator = helpers.parseTerminator;
+var decodeString = helpers.decodeString;
+var parseSearchElement = helpers.parseSearchElement;
+var parseSearchIndex = helpers.parseSearchIndex;
+var findBytes = helpers.findBytes;
+var findLastBytes = helpers.findLastBytes;
+var parsePattern = helpers.parsePattern;
+var findPattern = helpers.findPattern;
+var findPartialPattern = helpers.findPartialPattern;
+var resolveByteOrder = helpers.resolveByteOrder;
+var toBigEndian = helpers.toBigEndian;
+var getDateFormat = dateFormats.getDateFormat;
+var decodeDate = dateFormats.decodeDate;
 
 /**
  * A class providing extended functionality for reading `Buffer` instances.
  *
+ * Methods reading multi-byte numbers accept an optional byte order, which
+ * can be `TRUE` (little endian), `FALSE` (big endian), `'LE'`, `'BE'` or
+ * a descriptor listing the bytes in the order they are stored, `A` being
+ * the most significant one: `'ABCD'` (big endian), `'DCBA'` (little endian),
+ * `'CDAB'` (swapped 16 bit words) or `'BADC'` (swapped bytes in each word).
+ * Descriptors of a different size than the value (e.g. `'CDAB'` used with
+ * a double or `'GHEFCDAB'` used with a 32 bit integer) are applied as
+ * the equivalent word and byte swaps.
+ *
+ * If the byte order is not specified, the reader's `byteOrder` is used.
+ * It defaults to big endian and can be set through the constructor options,
+ * changed directly or switched temporarily with `withByteOrder()`.
+ *
  * @constructor
  * @param {Buffer} buffer A buffer to wrap.
+ * @param {object} [options]
+ * @param {(boolean|string)} [options.byteOrder] The default byte order of
+ * multi-byte numbers. Defaults to `'BE'`.
+ * @param {string} [options.bitOrder] The default order of bits in each byte
+ * of the bit arrays. Defaults to `'LSB'`.
  * @throws {Error} If the specified `buffer` is not a `Buffer`.
  * @property {number} length The remaining length of the reader.
+ * @property {(boolean|string)} byteOrder The default byte order of
+ * multi-byte numbers. Defaults to `'BE'`.
+ * @property {string} bitOrder The default order of bits in each byte of
+ * the bit arrays: `'LSB'` (least significant bit first) or `'MSB'`
+ * (most significant bit first). Defaults to `'LSB'`.
  * @example
  * var buffer = new Buffer(256);
  * var reader = new BufferReader(buffer);
@@ -21,13 +80,15 @@ var toBits = require('./helpers').toBits;
  *
  * console.log('double=', reader.shiftDouble());
  */
-function BufferReader(buffer)
+function BufferReader(buffer, options)
 {
   if (!Buffer.isBuffer(buffer))
   {
     throw new Error("Buffer reader expects an instance of Buffer.");
   }
 
+  options = options || {};
+
   /**
    * @type {number}
    */
@@ -44,8 +105,56 @@ function BufferReader(buffer)
    * @type {Buffer}
    */
   this.buffer = buffer;
+
+  /**
+   * @type {(boolean|string)}
+   */
+  this.byteOrder = options.byteOrder === undefined ? 'BE' : options.byteOrder;
+
+  /**
+   * @type {string}
+   */
+  this.bitOrder = parseBitOrder(options.bitOrder, 'LSB');
+
+  /**
+   * @private
+   * @type {{value: number, count: number, mark: number}}
+   */
+  this.bitStash = {value: 0, count: 0, mark: 0};
 }
 
+/**
+ * Calls the specified function with the reader's default byte order
+ * temporarily set to the specified one, e.g. to read a nested section
+ * of a different byte order. The previous default byte order is restored
+ * afterwards, even if the function throws.
+ *
+ * @param {(boolean|string)} byteOrder The byte order to use.
+ * @param {function(BufferReader)} callback A function to call. Receives
+ * this reader as its only argument.
+ * @returns {*} The result of the function.
+ * @example
+ * var header = reader.withByteOrder('LE', function()
+ * {
+ *   return {type: reader.shiftUInt16(), length: reader.shiftUInt32()};
+ * });
+ */
+BufferReader.prototype.withByteOrder = function(byteOrder, callback)
+{
+  var previousByteOrder = this.byteOrder;
+
+  this.byteOrder = byteOrder;
+
+  try
+  {
+    return callback.call(this, this);
+  }
+  finally
+  {
+    this.byteOrder = previousByteOrder;
+  }
+};
+
 /**
  * Skips the specified number of bytes.
  *
@@ -79,49 +188,151 @@ BufferReader.prototype.skip = function(count)
 };
 
 /**
- * Returns a position of the next occurence of the specified byte after
- * the specified starting index.
+ * Returns a position of the next occurence of the specified byte or sequence
+ * of bytes after the specified starting index.
+ *
+ * Strings are searched for as bytes in the specified encoding.
  *
- * @param {number} searchElement A byte value to search for.
+ * @param {(number|string|Buffer|Array.<number>)} searchElement A byte value,
+ * a string or a sequence of bytes to search for.
  * @param {number=0} fromIndex A starting index. Defaults to 0 (the beginning).
+ * @param {string=utf8} encoding An encoding of the string search element.
+ * Can be any Buffer encoding or a registered code page name.
  * @returns {number} A position of the found element (starting at 0) or
  * -1 if the search element was not found.
- * @throws {Error} If the search element is not a number between 0x00 and 0xFF.
+ * @throws {Error} If the search element is not a number between 0x00 and 0xFF
+ * or a non-empty string, Buffer or array of bytes.
  * @throws {Error} If the starting index is not a number between 0 and
  * the reader's length.
  * @example
  * var index = reader.indexOf(0xAB, 10);
+ * var headerEnd = reader.indexOf('\r\n\r\n');
  */
-BufferReader.prototype.indexOf = function(searchElement, fromIndex)
+BufferReader.prototype.indexOf = function(searchElement, fromIndex, encoding)
 {
-  searchElement = parseInt(searchElement, 10);
+  var needle = parseSearchElement(searchElement, encoding);
 
-  if (isNaN(searchElement) || searchElement < 0x00 || searchElement > 0xFF)
-  {
-    throw new Error(
-      "The search element must be a number between 0x00 and 0xFF."
-    );
-  }
+  fromIndex = parseSearchIndex(fromIndex, 0, this.length);
+
+  return findBytes(createByteAccessor(this), needle, fromIndex, this.length);
+};
+
+/**
+ * Returns a position of the last occurence of the specified byte or sequence
+ * of bytes starting at or before the specified index.
+ *
+ * @param {(number|string|Buffer|Array.<number>)} searchElement A byte value,
+ * a string or a sequence of bytes to search for.
+ * @param {number=this.length} fromIndex A starting index. Defaults to
+ * the reader's length (the end).
+ * @param {string=utf8} encoding An encoding of the string search element.
+ * @returns {number} A position of the found element (starting at 0) or
+ * -1 if the search element was not found.
+ * @throws {Error} If the search element is not a number between 0x00 and 0xFF
+ * or a non-empty string, Buffer or array of bytes.
+ * @throws {Error} If the starting index is not a number between 0 and
+ * the reader's length.
+ * @example
+ * var lastSyncIndex = reader.lastIndexOf([0xAA, 0x55]);
+ */
+BufferReader.prototype.lastIndexOf = function(
+  searchElement, fromIndex, encoding)
+{
+  var needle = parseSearchElement(searchElement, encoding);
+
+  fromIndex = parseSearchIndex(fromIndex, this.length, this.length);
+
+  return findLastBytes(
+    createByteAccessor(this), needle, fromIndex, this.length
+  );
+};
+
+/**
+ * Determines whether the reader contains the specified byte or sequence
+ * of bytes after the specified starting index.
+ *
+ * @param {(number|string|Buffer|Array.<number>)} searchElement A byte value,
+ * a string or a sequence of bytes to search for.
+ * @param {number=0} fromIndex A starting index. Defaults to 0 (the beginning).
+ * @param {string=utf8} encoding An encoding of the string search element.
+ * @returns {boolean}
+ * @throws {Error} If the search element is not a number between 0x00 and 0xFF
+ * or a non-empty string, Buffer or array of bytes.
+ * @throws {Error} If the starting index is not a number between 0 and
+ * the reader's length.
+ * @example
+ * if (reader.includes([0xAA, 0x55])) { ... }
+ */
+BufferReader.prototype.includes = function(searchElement, fromIndex, encoding)
+{
+  return this.indexOf(searchElement, fromIndex, encoding) !== -1;
+};
+
+/**
+ * Returns a position of the next match of the specified pattern after
+ * the specified starting index.
+ *
+ * The pattern is a string of space separated hex bytes or an array of pattern
+ * bytes. A hex byte can use `?` as a wildcard nibble (`??` matches any byte)
+ * and can be followed by a `/mask` (`81/F0` matches 0x80 to 0x8F).
+ * An array can contain byte values, `NULL` wildcards, hex byte strings
+ * and `{value, mask}` objects.
+ *
+ * @param {(string|Buffer|Array.<(number|string|object)>)} pattern
+ * A pattern to search for.
+ * @param {number} [fromIndex] A starting index. Defaults to 0 (the beginning).
+ * @returns {number} A position of the match (starting at 0) or -1
+ * if the pattern was not found.
+ * @throws {Error} If the pattern is empty or contains an invalid byte.
+ * @throws {Error} If the starting index is not a number between 0
+ * and the reader's length.
+ * @example
+ * var frameIndex = reader.findPattern('68 ?? ?? 68');
+ * var syncIndex = reader.findPattern([0xAA, {value: 0x50, mask: 0xF0}]);
+ */
+BufferReader.prototype.findPattern = function(pattern, fromIndex)
+{
+  pattern = parsePattern(pattern);
+  fromIndex = parseSearchIndex(fromIndex, 0, this.length);
+
+  return findPattern(createByteAccessor(this), pattern, fromIndex, this.length);
+};
+
+/**
+ * Skips the bytes preceding the next match of the specified pattern.
+ *
+ * If the pattern was not found, skips all the bytes except the trailing ones
+ * that match the beginning of the pattern.
+ *
+ * @param {(string|Buffer|Array.<(number|string|object)>)} pattern
+ * A pattern to search for. See `findPattern()`.
+ * @returns {number} A number of the skipped bytes.
+ * @throws {Error} If the pattern is empty or contains an invalid byte.
+ * @example
+ * var droppedCount = reader.skipToPattern('68 ?? ?? 68');
+ *
+ * if (reader.findPattern('68 ?? ?? 68') === 0) { ... }
+ */
+BufferReader.prototype.skipToPattern = function(pattern)
+{
+  pattern = parsePattern(pattern);
 
-  fromIndex = arguments.length >= 2 ? parseInt(fromIndex, 10) : 0;
+  var byteAt = createByteAccessor(this);
+  var count = findPattern(byteAt, pattern, 0, this.length);
 
-  if (isNaN(fromIndex) || fromIndex < 0 || fromIndex > this.length)
+  if (count === -1)
   {
-    throw new Error(
-      "The search starting index must be a number " +
-      "between 0 and the reader's length."
+    count = findPartialPattern(
+      byteAt,
+      pattern,
+      Math.max(0, this.length - pattern.values.length + 1),
+      this.length
     );
   }
 
-  for (var i = this.offset + fromIndex; i < this.length; ++i)
-  {
-    if (this.buffer[i] === searchElement)
-    {
-      return i - this.offset;
-    }
-  }
+  this.skip(count);
 
-  return -1;
+  return count;
 };
 
 /**
@@ -214,15 +425,79 @@ BufferReader.prototype.copy = function(
  *
  * @param {number} count A number of bits to shift.
  * Must be between 1 and the reader's length multiplied by 8.
+ * @param {string} [bitOrder] `'LSB'` if the first bit of each byte is
+ * the least significant one or `'MSB'` if it is the most significant one.
+ * Defaults to the reader's `bitOrder`.
  * @returns {Array.<boolean>} An array of bits.
  * @throws {Error} If the specified count is not a number between 1 and
  * the reader's length multiplied by 8.
+ * @throws {Error} If the specified bit order is not `'LSB'` or `'MSB'`.
  * @example
  * var bitsArray = reader.shiftBits(13);
+ * var msbFirstBitsArray = reader.shiftBits(16, 'MSB');
+ */
+BufferReader.prototype.shiftBits = function(count, bitOrder)
+{
+  bitOrder = parseBitOrder(bitOrder, this.bitOrder);
+
+  return toBits(this.shiftBytes(Math.ceil(count / 8)), count, bitOrder);
+};
+
+/**
+ * Shifts an unsigned integer of the specified number of bits, starting with
+ * the most significant bit.
+ *
+ * Bit fields don't have to be aligned to bytes: the bits remaining in
+ * the last partially read byte are used by the next call. Any other shift
+ * or skip discards them, so byte reads can follow bit fields directly.
+ *
+ * Decreases the reader's length by the number of bytes that had to be
+ * shifted to extract the bits.
+ *
+ * @param {number} width A number of bits to shift. Must be between 1 and
+ * the number of remaining bits.
+ * @returns {bigint|number} A `number` for widths up to 32 bits
+ * or a `bigint` otherwise.
+ * @throws {Error} If the specified width is not a number between 1 and
+ * the number of remaining bits.
+ * @example
+ * var version = reader.shiftBitField(2);
+ * var type = reader.shiftBitField(2);
+ * var tokenLength = reader.shiftBitField(4);
+ * var code = reader.shiftUInt8();
+ */
+BufferReader.prototype.shiftBitField = function(width)
+{
+  var bitStash = this.bitStash;
+
+  if (bitStash.mark !== this.offset)
+  {
+    bitStash.count = 0;
+  }
+
+  var value = shiftBitField(
+    bitStash, width, this.length, this.shiftByte.bind(this)
+  );
+
+  bitStash.mark = this.offset;
+
+  return value;
+};
+
+/**
+ * Discards the bits remaining in the last partially read byte, so that
+ * the next bit field starts at the beginning of the next byte.
+ *
+ * @example
+ * var flags = reader.shiftBitField(3);
+ *
+ * reader.alignToByte();
+ *
+ * var length = reader.shiftBitField(8);
  */
-BufferReader.prototype.shiftBits = function(count)
+BufferReader.prototype.alignToByte = function()
 {
-  return toBits(this.shiftBytes(Math.ceil(count / 8)), count);
+  this.bitStash.count = 0;
 };
 
 /**
@@ -325,7 +600,8 @@ BufferReader.prototype.shiftBuffer = function(count)
  *
  * @param {number} length A number of bytes to shift.
  * Must be between 1 and the reader's length.
- * @param {string} [encoding] An encoding of the string. Defaults to `utf8`.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
  * @returns {string} A string of the specified length.
  * @throws {Error} If the specified length is not a number between 1 and
  * the reader's length.
@@ -335,38 +611,136 @@ BufferReader.prototype.shiftBuffer = function(count)
  */
 BufferReader.prototype.shiftString = function(length, encoding)
 {
-  return this.shiftBuffer(length).toString(encoding || 'utf8');
+  return decodeString(this.shiftBuffer(length), encoding);
 };
 
 /**
  * Shifts a string from the beginning of the reader until the first
- * occurence of the NULL character (\0).
+ * occurence of the terminator (by default, the NULL character).
  *
- * Decreases the reader's length by the returned string's length plus one.
+ * Decreases the reader's length by the returned string's byte length plus
+ * the terminator's length.
  *
- * @param {string} [encoding] An encoding of the string. Defaults to `utf8`.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @param {(string|Buffer|Array.<number>)} [terminator] A custom terminator
+ * sequence. A string is encoded with the specified encoding. Defaults to
+ * the NUL character of the encoding: `0x00` or, for `utf16le` and `ucs2`,
+ * `0x00 0x00` at an even distance from the string's start.
  * @returns {string} A string constructed from the shifted bytes or empty string
- * if NULL character could not be found.
+ * if the terminator could not be found.
+ * @throws {Error} If the specified terminator is not valid.
  * @throws {Error} If the specified encoding is not supported.
  * @example
  * var stringValue = reader.shiftZeroString('utf8');
+ * var wideString = reader.shiftZeroString('utf16le');
+ * var line = reader.shiftZeroString('ascii', '\r\n');
  */
-BufferReader.prototype.shiftZeroString = function(encoding)
+BufferReader.prototype.shiftZeroString = function(encoding, terminator)
 {
-  var zeroIndex = this.indexOf(0);
+  terminator = parseTerminator(terminator, encoding);
+
+  var terminatorIndex = findTerminator(this, 0, terminator);
 
-  if (zeroIndex === -1)
+  if (terminatorIndex === -1)
   {
     return '';
   }
 
-  var zeroString = this.shiftString(zeroIndex, encoding);
+  var zeroString = terminatorIndex === 0
+    ? ''
+    : this.shiftString(terminatorIndex, encoding);
 
-  this.skip(1);
+  this.skip(terminator.bytes.length);
 
   return zeroString;
 };
 
+/**
+ * Shifts a buffer preceded by its length.
+ *
+ * Decreases the reader's length by the size of the prefix plus the prefixed
+ * length.
+ *
+ * @param {string} [prefixType] A type of the length prefix: `'UInt8'`,
+ * `'UInt16'`, `'UInt16LE'`, `'UInt16BE'`, `'UInt32'`, `'UInt32LE'`,
+ * `'UInt32BE'` or `'VarUInt'` (LEB128). 16 and 32 bit prefixes without
+ * a suffix use the reader's byte order. Defaults to `'UInt8'`.
+ * @returns {Buffer} A buffer of the prefixed length.
+ * @throws {Error} If the specified prefix type is not supported.
+ * @throws {Error} If the prefix or the prefixed bytes exceed the reader's
+ * boundries.
+ * @example
+ * var payload = reader.shiftPrefixedBuffer('UInt16');
+ */
+BufferReader.prototype.shiftPrefixedBuffer = function(prefixType)
+{
+  var prefixed = readPrefix(this, 0, prefixType);
+
+  this.skip(prefixed.offset);
+
+  return prefixed.length === 0
+    ? new Buffer(0)
+    : this.shiftBuffer(prefixed.length);
+};
+
+/**
+ * Shifts a string with the specified encoding preceded by its byte length.
+ *
+ * Decreases the reader's length by the size of the prefix plus the prefixed
+ * length.
+ *
+ * @param {string} [prefixType] A type of the length prefix: `'UInt8'`,
+ * `'UInt16'`, `'UInt16LE'`, `'UInt16BE'`, `'UInt32'`, `'UInt32LE'`,
+ * `'UInt32BE'` or `'VarUInt'` (LEB128). 16 and 32 bit prefixes without
+ * a suffix use the reader's byte order. Defaults to `'UInt8'`.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @returns {string} A string constructed from the prefixed bytes.
+ * @throws {Error} If the specified prefix type is not supported.
+ * @throws {Error} If the prefix or the prefixed bytes exceed the reader's
+ * boundries.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var name = reader.shiftPrefixedString('VarUInt');
+ * var label = reader.shiftPrefixedString('UInt16LE', 'ascii');
+ */
+BufferReader.prototype.shiftPrefixedString = function(prefixType, encoding)
+{
+  return decodeString(this.shiftPrefixedBuffer(prefixType), encoding);
+};
+
+/**
+ * Shifts a fixed-width string field with the specified encoding and removes
+ * the trailing padding from it.
+ *
+ * Decreases the reader's length by the specified byte count.
+ *
+ * @param {number} length A number of bytes to shift.
+ * Must be between 1 and the reader's length.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @param {object} [options]
+ * @param {string} [options.trim] Which trailing padding to remove: `'nul'`
+ * characters, `'space'` characters, `'both'` or `'none'`.
+ * Defaults to `'both'`.
+ * @returns {string} A string without the trailing padding.
+ * @throws {Error} If the specified trim is not valid.
+ * @throws {Error} If the specified length is not a number between 1 and
+ * the reader's length.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var name = reader.shiftFixedString(32, 'ascii');
+ * var code = reader.shiftFixedString(8, 'latin1', {trim: 'space'});
+ */
+BufferReader.prototype.shiftFixedString = function(length, encoding, options)
+{
+  var trimPattern = getTrimPattern(options ? options.trim : null);
+  var stringValue = this.shiftString(length, encoding);
+
+  return trimPattern ? stringValue.replace(trimPattern, '') : stringValue;
+};
+
 /**
  * Shifts a signed 8 bit integer.
  *
@@ -391,17 +765,17 @@ BufferReader.prototype.shiftInt8 = function()
  *
  * Decreases the reader's length by two bytes.
  *
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
  * @returns {number} A number between -32768 and 32767.
  * @throws {Error} If the reader's length is less than 2.
  * @example
  * var int16BE = reader.shiftInt16();
  * var int16LE = reader.shiftInt16(true);
  */
-BufferReader.prototype.shiftInt16 = function(littleEndian)
+BufferReader.prototype.shiftInt16 = function(byteOrder)
 {
-  var value = this.readInt16(0, littleEndian);
+  var value = this.readInt16(0, byteOrder);
 
   this.skip(2);
 
@@ -413,17 +787,18 @@ BufferReader.prototype.shiftInt16 = function(littleEndian)
  *
  * Decreases the reader's length by four bytes.
  *
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
  * @returns {number} A number between -2147483648 and 2147483647.
  * @throws {Error} If the reader's length is less than 4.
  * @example
  * var int32BE = reader.shiftInt32();
  * var int32LE = reader.shiftInt32(true);
+ * var int32CDAB = reader.shiftInt32('CDAB');
  */
-BufferReader.prototype.shiftInt32 = function(littleEndian)
+BufferReader.prototype.shiftInt32 = function(byteOrder)
 {
-  var value = this.readInt32(0, littleEndian);
+  var value = this.readInt32(0, byteOrder);
 
   this.skip(4);
 
@@ -454,17 +829,17 @@ BufferReader.prototype.shiftUInt8 = function()
  *
  * Decreases the reader's length by two bytes.
  *
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
  * @returns {number} A number between 0 and 65535.
  * @throws {Error} If the reader's length is less than 2.
  * @example
  * var uint16BE = reader.shiftUInt16();
  * var uint16LE = reader.shiftUInt16(true);
  */
-BufferReader.prototype.shiftUInt16 = function(littleEndian)
+BufferReader.prototype.shiftUInt16 = function(byteOrder)
 {
-  var value = this.readUInt16(0, littleEndian);
+  var value = this.readUInt16(0, byteOrder);
 
   this.skip(2);
 
@@ -476,17 +851,18 @@ BufferReader.prototype.shiftUInt16 = function(littleEndian)
  *
  * Decreases the reader's length by four bytes.
  *
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
  * @returns {number} A number between 0 and 4294967295.
  * @throws {Error} If the reader's length is less than 4.
  * @example
  * var uint32BE = reader.shiftUInt32();
  * var uint32LE = reader.shiftUInt32(true);
+ * var uint32CDAB = reader.shiftUInt32('CDAB');
  */
-BufferReader.prototype.shiftUInt32 = function(littleEndian)
+BufferReader.prototype.shiftUInt32 = function(byteOrder)
 {
-  var value = this.readUInt32(0, littleEndian);
+  var value = this.readUInt32(0, byteOrder);
 
   this.skip(4);
 
@@ -494,43 +870,50 @@ BufferReader.prototype.shiftUInt32 = function(littleEndian)
 };
 
 /**
- * Shifts a signed 32 bit floating-point number as defined in IEEE 754.
+ * Shifts a signed 64 bit integer.
  *
- * Decreases the reader's length by four bytes.
+ * Decreases the reader's length by eight bytes.
  *
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
- * @returns {number} A 32 bit floating-point number.
- * @throws {Error} If the reader's length is less than 4.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @param {boolean} [safeNumber] Whether to return a `number` instead of
+ * a `bigint` if the value is within the safe integer range.
+ * @returns {bigint|number} A number between -9223372036854775808
+ * and 9223372036854775807.
+ * @throws {Error} If the reader's length is less than 8.
  * @example
- * var floatBE = reader.shiftFloat();
- * var floatLE = reader.shiftFloat(true);
+ * var int64BE = reader.shiftInt64();
+ * var int64LE = reader.shiftInt64(true);
+ * var int64Number = reader.shiftInt64(false, true);
  */
-BufferReader.prototype.shiftFloat = function(littleEndian)
+BufferReader.prototype.shiftInt64 = function(byteOrder, safeNumber)
 {
-  var value = this.readFloat(0, littleEndian);
+  var value = this.readInt64(0, byteOrder, safeNumber);
 
-  this.skip(4);
+  this.skip(8);
 
   return value;
 };
 
 /**
- * Shifts a signed 64 bit floating-point number as defined in IEEE 754.
+ * Shifts an unsigned 64 bit integer.
  *
  * Decreases the reader's length by eight bytes.
  *
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
- * @returns {number} A 64 bit floating-point number.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @param {boolean} [safeNumber] Whether to return a `number` instead of
+ * a `bigint` if the value is within the safe integer range.
+ * @returns {bigint|number} A number between 0 and 18446744073709551615.
  * @throws {Error} If the reader's length is less than 8.
  * @example
- * var doubleBE = reader.shiftDouble();
- * var doubleLE = reader.shiftDouble(true);
+ * var uint64BE = reader.shiftUInt64();
+ * var uint64LE = reader.shiftUInt64(true);
+ * var uint64Number = reader.shiftUInt64(false, true);
  */
-BufferReader.prototype.shiftDouble = function(littleEndian)
+BufferReader.prototype.shiftUInt64 = function(byteOrder, safeNumber)
 {
-  var value = this.readDouble(0, littleEndian);
+  var value = this.readUInt64(0, byteOrder, safeNumber);
 
   this.skip(8);
 
@@ -538,119 +921,714 @@ BufferReader.prototype.shiftDouble = function(littleEndian)
 };
 
 /**
- * Returns an array of bits (boolean values) starting at the specified offset.
+ * Shifts a signed integer of the specified byte count.
  *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 1.
- * @param {number} count A number of bits to read. Must be between 1 and
- * the reader's length multiplied by 8 minus the starting index.
- * @returns {Array.<boolean>} An array of bits.
- * @throws {Error} If the specified count is not a number between 1 and
- * the reader's length multiplied by 8 minus the starting index.
+ * Decreases the reader's length by the specified byte count.
+ *
+ * @param {number} byteCount A number of bytes. Must be between 1 and 6.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between -2^(byteCount * 8 - 1)
+ * and 2^(byteCount * 8 - 1) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 6.
+ * @throws {Error} If the reader's length is less than the byte count.
  * @example
- * var bitsArray = reader.readBits(5, 13);
+ * var int24BE = reader.shiftIntN(3);
+ * var int48LE = reader.shiftIntN(6, true);
  */
-BufferReader.prototype.readBits = function(offset, count)
+BufferReader.prototype.shiftIntN = function(byteCount, byteOrder)
 {
-  // @todo bit or bytes offset
-  return toBits(this.readBytes(offset, Math.ceil(count / 8)), count);
+  byteCount = parseByteCount(byteCount);
+
+  var value = this.readIntN(0, byteCount, byteOrder);
+
+  this.skip(byteCount);
+
+  return value;
 };
 
 /**
- * Returns a byte at the specified position.
+ * Shifts an unsigned integer of the specified byte count.
  *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 1.
- * @returns {number} A number between 0x00 and 0xFF.
- * @throws {Error} If the reader is empty.
+ * Decreases the reader's length by the specified byte count.
+ *
+ * @param {number} byteCount A number of bytes. Must be between 1 and 6.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between 0 and 2^(byteCount * 8) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 6.
+ * @throws {Error} If the reader's length is less than the byte count.
  * @example
- * var byteValue = reader.readByte(1);
+ * var uint24BE = reader.shiftUIntN(3);
+ * var uint40LE = reader.shiftUIntN(5, true);
  */
-BufferReader.prototype.readByte = function(offset)
+BufferReader.prototype.shiftUIntN = function(byteCount, byteOrder)
 {
-  offset = parseInt(offset, 10);
+  byteCount = parseByteCount(byteCount);
 
-  if (isNaN(offset) || offset < 0 || offset >= this.length)
-  {
-    throw new Error(
-      "The offset must be a number between 0 and the reader's length minus one."
-    );
-  }
+  var value = this.readUIntN(0, byteCount, byteOrder);
 
-  return this.buffer[this.offset + offset];
+  this.skip(byteCount);
+
+  return value;
 };
 
 /**
- * Returns an ASCII character at the specified position.
+ * Shifts an unsigned LEB128 variable-length integer.
  *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 1.
- * @returns {string} An ASCII character.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * Decreases the reader's length by the number of bytes used by the integer.
+ *
+ * @returns {bigint|number} A `number` if the value is within the safe
+ * integer range or a `bigint` otherwise.
+ * @throws {Error} If the integer exceeds the reader's boundries.
+ * @throws {Error} If the integer is longer than 10 bytes or does not fit
+ * in 64 bits.
  * @example
- * var charValue = reader.readChar(4);
+ * var sectionSize = reader.shiftVarUInt();
  */
-BufferReader.prototype.readChar = function(offset)
+BufferReader.prototype.shiftVarUInt = function()
 {
-  return String.fromCharCode(this.readByte(offset));
+  var result = this.readVarUInt(0);
+
+  this.skip(result.length);
+
+  return result.value;
 };
 
 /**
- * Returns the specified number of bytes starting from the specified position.
+ * Shifts a signed LEB128 variable-length integer.
  *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus the specified count.
- * @param {number} count A number of bytes to read.
- * Must be between 1 and the reader's length minus the offset.
- * @returns {Array.<number>} An array of bytes.
- * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @throws {Error} If the specified count is not a number between 1 and
- * the reader's length minus the offset.
+ * Decreases the reader's length by the number of bytes used by the integer.
+ *
+ * @returns {bigint|number} A `number` if the value is within the safe
+ * integer range or a `bigint` otherwise.
+ * @throws {Error} If the integer exceeds the reader's boundries.
+ * @throws {Error} If the integer is longer than 10 bytes or does not fit
+ * in 64 bits.
  * @example
- * var bytesArray = reader.readBytes(0, 6);
+ * var lineAdvance = reader.shiftVarInt();
  */
-BufferReader.prototype.readBytes = function(offset, count)
+BufferReader.prototype.shiftVarInt = function()
 {
-  offset = parseInt(offset, 10);
-
-  if (isNaN(offset) || offset < 0)
-  {
-    throw new Error("The offset must be a number greater than 0.");
-  }
+  var result = this.readVarInt(0);
 
-  count = parseInt(count, 10);
+  this.skip(result.length);
 
-  if (isNaN(count) || count < 1)
-  {
-    throw new Error("The byte count must be a number greater than 0.");
-  }
+  return result.value;
+};
 
-  if (offset + count > this.length)
-  {
-    throw new Error(
-      "A sum of the offset and byte count must be less than " +
-      "or equal to the reader's length."
-    );
-  }
-  
-  offset += this.offset;
+/**
+ * Shifts an unsigned packed BCD number (two decimal digits per byte,
+ * the most significant digit first).
+ *
+ * Decreases the reader's length by the specified byte count.
+ *
+ * @param {number} byteCount A number of bytes. Must be between 1 and 7.
+ * @returns {number} A number between 0 and 10^(byteCount * 2) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 7.
+ * @throws {Error} If the reader's length is less than the byte count.
+ * @throws {Error} If any of the nibbles is not a decimal digit.
+ * @example
+ * var meterReading = reader.shiftBcd(4);
+ */
+BufferReader.prototype.shiftBcd = function(byteCount)
+{
+  byteCount = parseBcdByteCount(byteCount);
 
-  var byteArray = [];
+  var value = this.readBcd(0, byteCount);
 
-  while (count--)
-  {
-    byteArray.push(this.buffer[offset++]);
-  }
+  this.skip(byteCount);
 
-  return byteArray;
+  return value;
 };
 
 /**
- * Returns the specified number of bytes as an instance of Buffer
- * starting from the specified position.
+ * Shifts an integer stored as a fixed-width string of ASCII digits.
  *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus the specified count.
+ * Leading and trailing whitespace is ignored, as are leading occurrences
+ * of the specified pad character. The digits may be preceded by a sign.
+ *
+ * Decreases the reader's length by the specified width.
+ *
+ * @param {number} width A number of characters.
+ * @param {number} [radix] A base of the digits. Must be between 2 and 36.
+ * Defaults to 10.
+ * @param {string} [padChar] A character used to pad the digits.
+ * @returns {number} A safe integer.
+ * @throws {Error} If the reader's length is less than the width.
+ * @throws {Error} If the specified radix is not a number between 2 and 36.
+ * @throws {Error} If the field does not contain a valid integer.
+ * @example
+ * var decimal = reader.shiftAsciiNumber(6);
+ * var hex = reader.shiftAsciiNumber(4, 16);
+ * var padded = reader.shiftAsciiNumber(8, 10, '*');
+ */
+BufferReader.prototype.shiftAsciiNumber = function(width, radix, padChar)
+{
+  var value = this.readAsciiNumber(0, width, radix, padChar);
+
+  this.skip(width);
+
+  return value;
+};
+
+/**
+ * Shifts a fixed-point number in the Q format (e.g. Q15, Q31 or Q16.16).
+ *
+ * The number is stored as an integer of `integerBits + fractionBits` bits,
+ * which is divided by 2^fractionBits. For signed numbers, the integer bits
+ * include the sign bit (i.e. Q15 is `1, 15` and Q16.16 is `16, 16`).
+ *
+ * Decreases the reader's length by the number of bytes occupied
+ * by the number.
+ *
+ * @param {number} integerBits A number of integer bits.
+ * @param {number} fractionBits A number of fraction bits.
+ * The sum of integer and fraction bits must be 8, 16, 24, 32, 40 or 48.
+ * @param {object} [options]
+ * @param {boolean} [options.signed] Whether the number is signed.
+ * Defaults to `TRUE`.
+ * @param {(boolean|string)} [options.byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A fixed-point number.
+ * @throws {Error} If the specified bit counts are not valid.
+ * @throws {Error} If the reader's length is less than the number's size.
+ * @example
+ * var q15 = reader.shiftFixed(1, 15);
+ * var q16x16 = reader.shiftFixed(16, 16, {byteOrder: true});
+ * var uq8x8 = reader.shiftFixed(8, 8, {signed: false});
+ */
+BufferReader.prototype.shiftFixed = function(integerBits, fractionBits, options)
+{
+  var byteCount = parseFixedFormat(integerBits, fractionBits);
+  var value = this.readFixed(0, integerBits, fractionBits, options);
+
+  this.skip(byteCount);
+
+  return value;
+};
+
+/**
+ * Shifts a signed 16 bit floating-point number as defined in IEEE 754
+ * (half precision).
+ *
+ * Decreases the reader's length by two bytes.
+ *
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {number} A 16 bit floating-point number.
+ * @throws {Error} If the reader's length is less than 2.
+ * @example
+ * var float16BE = reader.shiftFloat16();
+ * var float16LE = reader.shiftFloat16(true);
+ */
+BufferReader.prototype.shiftFloat16 = function(byteOrder)
+{
+  var value = this.readFloat16(0, byteOrder);
+
+  this.skip(2);
+
+  return value;
+};
+
+/**
+ * Shifts a signed 32 bit floating-point number as defined in IEEE 754.
+ *
+ * Decreases the reader's length by four bytes.
+ *
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A 32 bit floating-point number.
+ * @throws {Error} If the reader's length is less than 4.
+ * @example
+ * var floatBE = reader.shiftFloat();
+ * var floatLE = reader.shiftFloat(true);
+ * var floatCDAB = reader.shiftFloat('CDAB');
+ */
+BufferReader.prototype.shiftFloat = function(byteOrder)
+{
+  var value = this.readFloat(0, byteOrder);
+
+  this.skip(4);
+
+  return value;
+};
+
+/**
+ * Shifts a signed 64 bit floating-point number as defined in IEEE 754.
+ *
+ * Decreases the reader's length by eight bytes.
+ *
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A 64 bit floating-point number.
+ * @throws {Error} If the reader's length is less than 8.
+ * @example
+ * var doubleBE = reader.shiftDouble();
+ * var doubleLE = reader.shiftDouble(true);
+ * var doubleCDAB = reader.shiftDouble('CDAB');
+ */
+BufferReader.prototype.shiftDouble = function(byteOrder)
+{
+  var value = this.readDouble(0, byteOrder);
+
+  this.skip(8);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of signed 8 bit integers as an `Int8Array`.
+ *
+ * Decreases the reader's length by the specified count.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @returns {Int8Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count.
+ * @example
+ * var offsets = reader.shiftInt8Array(16);
+ */
+BufferReader.prototype.shiftInt8Array = function(count)
+{
+  var value = this.readInt8Array(0, count);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of unsigned 8 bit integers as a `Uint8Array`.
+ *
+ * Decreases the reader's length by the specified count.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @returns {Uint8Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count.
+ * @example
+ * var levels = reader.shiftUInt8Array(32);
+ */
+BufferReader.prototype.shiftUInt8Array = function(count)
+{
+  var value = this.readUInt8Array(0, count);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of signed 16 bit integers as an `Int16Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 2.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {Int16Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 2.
+ * @example
+ * var samples = reader.shiftInt16Array(1000);
+ * var samplesLE = reader.shiftInt16Array(1000, true);
+ */
+BufferReader.prototype.shiftInt16Array = function(count, byteOrder)
+{
+  var value = this.readInt16Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of unsigned 16 bit integers as a `Uint16Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 2.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {Uint16Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 2.
+ * @example
+ * var registers = reader.shiftUInt16Array(125);
+ * var registersLE = reader.shiftUInt16Array(125, true);
+ */
+BufferReader.prototype.shiftUInt16Array = function(count, byteOrder)
+{
+  var value = this.readUInt16Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of signed 32 bit integers as an `Int32Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 4.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Int32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 4.
+ * @example
+ * var positions = reader.shiftInt32Array(6);
+ * var positionsLE = reader.shiftInt32Array(6, true);
+ */
+BufferReader.prototype.shiftInt32Array = function(count, byteOrder)
+{
+  var value = this.readInt32Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of unsigned 32 bit integers as a `Uint32Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 4.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Uint32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 4.
+ * @example
+ * var counters = reader.shiftUInt32Array(12);
+ * var countersLE = reader.shiftUInt32Array(12, true);
+ */
+BufferReader.prototype.shiftUInt32Array = function(count, byteOrder)
+{
+  var value = this.readUInt32Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of 32 bit floating-point numbers as a
+ * `Float32Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 4.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Float32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 4.
+ * @example
+ * var samples = reader.shiftFloat32Array(1000);
+ * var samplesLE = reader.shiftFloat32Array(1000, true);
+ */
+BufferReader.prototype.shiftFloat32Array = function(count, byteOrder)
+{
+  var value = this.readFloat32Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts the specified number of 64 bit floating-point numbers as a
+ * `Float64Array`.
+ *
+ * Decreases the reader's length by the specified count multiplied by 8.
+ *
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Float64Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the reader's length is less than the specified count
+ * multiplied by 8.
+ * @example
+ * var coordinates = reader.shiftFloat64Array(3);
+ * var coordinatesLE = reader.shiftFloat64Array(3, true);
+ */
+BufferReader.prototype.shiftFloat64Array = function(count, byteOrder)
+{
+  var value = this.readFloat64Array(0, count, byteOrder);
+
+  this.skip(value.byteLength);
+
+  return value;
+};
+
+/**
+ * Shifts a date stored in the specified format.
+ *
+ * Supported formats (all dates are in UTC):
+ *
+ *   - `'unix32'` - unsigned 32 bit seconds since 1970-01-01,
+ *   - `'unix64'` - signed 64 bit seconds since 1970-01-01,
+ *   - `'unix64ms'` - signed 64 bit milliseconds since 1970-01-01,
+ *   - `'unix64ns'` - signed 64 bit nanoseconds since 1970-01-01,
+ *     represented as a `bigint`,
+ *   - `'ntp64'` - NTP timestamp: unsigned 32 bit seconds since 1900-01-01
+ *     followed by a 32 bit fraction of a second (seconds below 2^31 belong
+ *     to the era starting in 2036),
+ *   - `'filetime'` - Windows FILETIME: unsigned 64 bit number of
+ *     100 nanosecond intervals since 1601-01-01,
+ *   - `'ntp64ns'` and `'filetimens'` - the same as `'ntp64'` and
+ *     `'filetime'`, but represented as a `bigint` number of nanoseconds
+ *     since 1970-01-01,
+ *   - `'dos'` - 32 bit DOS date (high word) and time (low word) with
+ *     a two second resolution (FAT and ZIP store it in little endian),
+ *   - `'cp56time2a'` - IEC 60870-5 seven byte time, always in little
+ *     endian (the byte order is ignored).
+ *
+ * Dates decoded from the `'ntp64'` and `'filetime'` formats are truncated to
+ * milliseconds. Use `'ntp64ns'` or `'filetimens'` to keep the full precision.
+ *
+ * Decreases the reader's length by the format's size.
+ *
+ * @param {string} format A name of the date format.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {(Date|bigint)} A date or, for the `'unix64ns'`, `'ntp64ns'`
+ * and `'filetimens'` formats, a number of nanoseconds.
+ * @throws {Error} If the specified format is not supported.
+ * @throws {Error} If the reader's length is less than the format's size.
+ * @throws {Error} If the bytes do not represent a valid date.
+ * @example
+ * var createdAt = reader.shiftDate('unix32');
+ * var modifiedAt = reader.shiftDate('filetime', true);
+ * var capturedAt = reader.shiftDate('unix64ns');
+ */
+BufferReader.prototype.shiftDate = function(format, byteOrder)
+{
+  var value = this.readDate(0, format, byteOrder);
+
+  this.skip(getDateFormat(format).size);
+
+  return value;
+};
+
+/**
+ * Shifts a 16 byte UUID and returns it in the canonical string form
+ * (lower case `xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx`).
+ *
+ * Decreases the reader's length by sixteen bytes.
+ *
+ * @param {string} [layout] `'rfc4122'` if all fields are stored in big
+ * endian or `'guid'` if the first three fields are stored in little endian
+ * (the Microsoft GUID layout). Defaults to `'rfc4122'`.
+ * @returns {string} A UUID string.
+ * @throws {Error} If the specified layout is not `'rfc4122'` or `'guid'`.
+ * @throws {Error} If the reader's length is less than 16.
+ * @example
+ * var serviceUuid = reader.shiftUuid();
+ * var classId = reader.shiftUuid('guid');
+ */
+BufferReader.prototype.shiftUuid = function(layout)
+{
+  var value = this.readUuid(0, layout);
+
+  this.skip(16);
+
+  return value;
+};
+
+/**
+ * Shifts an IPv4 address and returns it in the dotted-decimal form (e.g.
+ * `192.168.1.10`).
+ *
+ * Decreases the reader's length by four bytes.
+ *
+ * @returns {string} An address string.
+ * @throws {Error} If the reader's length is less than 4.
+ * @example
+ * var gateway = reader.shiftIPv4();
+ */
+BufferReader.prototype.shiftIPv4 = function()
+{
+  var value = this.readIPv4(0);
+
+  this.skip(4);
+
+  return value;
+};
+
+/**
+ * Shifts an IPv6 address and returns it in the RFC 5952 form (e.g.
+ * `2001:db8::1` or `::ffff:192.0.2.1`).
+ *
+ * Decreases the reader's length by sixteen bytes.
+ *
+ * @returns {string} An address string.
+ * @throws {Error} If the reader's length is less than 16.
+ * @example
+ * var gateway = reader.shiftIPv6();
+ */
+BufferReader.prototype.shiftIPv6 = function()
+{
+  var value = this.readIPv6(0);
+
+  this.skip(16);
+
+  return value;
+};
+
+/**
+ * Shifts a MAC address and returns it as lower case hexadecimal bytes
+ * separated by colons (e.g. `00:1a:2b:3c:4d:5e`).
+ *
+ * Decreases the reader's length by six bytes.
+ *
+ * @returns {string} An address string.
+ * @throws {Error} If the reader's length is less than 6.
+ * @example
+ * var hardwareAddress = reader.shiftMac();
+ */
+BufferReader.prototype.shiftMac = function()
+{
+  var value = this.readMac(0);
+
+  this.skip(6);
+
+  return value;
+};
+
+/**
+ * Returns an array of bits (boolean values) starting at the specified offset.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @param {number} count A number of bits to read. Must be between 1 and
+ * the reader's length multiplied by 8 minus the starting index.
+ * @param {string} [bitOrder] `'LSB'` if the first bit of each byte is
+ * the least significant one or `'MSB'` if it is the most significant one.
+ * Defaults to the reader's `bitOrder`.
+ * @returns {Array.<boolean>} An array of bits.
+ * @throws {Error} If the specified count is not a number between 1 and
+ * the reader's length multiplied by 8 minus the starting index.
+ * @throws {Error} If the specified bit order is not `'LSB'` or `'MSB'`.
+ * @example
+ * var bitsArray = reader.readBits(5, 13);
+ * var msbFirstBitsArray = reader.readBits(0, 16, 'MSB');
+ */
+BufferReader.prototype.readBits = function(offset, count, bitOrder)
+{
+  // @todo bit or bytes offset
+  bitOrder = parseBitOrder(bitOrder, this.bitOrder);
+
+  return toBits(
+    this.readBytes(offset, Math.ceil(count / 8)), count, bitOrder
+  );
+};
+
+/**
+ * Returns a byte at the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @returns {number} A number between 0x00 and 0xFF.
+ * @throws {Error} If the reader is empty.
+ * @example
+ * var byteValue = reader.readByte(1);
+ */
+BufferReader.prototype.readByte = function(offset)
+{
+  offset = parseInt(offset, 10);
+
+  if (isNaN(offset) || offset < 0 || offset >= this.length)
+  {
+    throw new Error(
+      "The offset must be a number between 0 and the reader's length minus one."
+    );
+  }
+
+  return this.buffer[this.offset + offset];
+};
+
+/**
+ * Returns an ASCII character at the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @returns {string} An ASCII character.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var charValue = reader.readChar(4);
+ */
+BufferReader.prototype.readChar = function(offset)
+{
+  return String.fromCharCode(this.readByte(offset));
+};
+
+/**
+ * Returns the specified number of bytes starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the specified count.
+ * @param {number} count A number of bytes to read.
+ * Must be between 1 and the reader's length minus the offset.
+ * @returns {Array.<number>} An array of bytes.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified count is not a number between 1 and
+ * the reader's length minus the offset.
+ * @example
+ * var bytesArray = reader.readBytes(0, 6);
+ */
+BufferReader.prototype.readBytes = function(offset, count)
+{
+  offset = parseInt(offset, 10);
+
+  if (isNaN(offset) || offset < 0)
+  {
+    throw new Error("The offset must be a number greater than 0.");
+  }
+
+  count = parseInt(count, 10);
+
+  if (isNaN(count) || count < 1)
+  {
+    throw new Error("The byte count must be a number greater than 0.");
+  }
+
+  if (offset + count > this.length)
+  {
+    throw new Error(
+      "A sum of the offset and byte count must be less than " +
+      "or equal to the reader's length."
+    );
+  }
+  
+  offset += this.offset;
+
+  var byteArray = [];
+
+  while (count--)
+  {
+    byteArray.push(this.buffer[offset++]);
+  }
+
+  return byteArray;
+};
+
+/**
+ * Returns the specified number of bytes as an instance of Buffer
+ * starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the specified count.
  * @param {number} count A number of bytes to read.
  * Must be between 1 and the reader's length minus the offset.
  * @returns {Buffer} A Buffer of bytes.
@@ -658,210 +1636,1010 @@ BufferReader.prototype.readBytes = function(offset, count)
  * @throws {Error} If the specified count is not a number between 1 and
  * the reader's length minus the offset.
  * @example
- * var buffer = reader.readBuffer(5, 10);
+ * var buffer = reader.readBuffer(5, 10);
+ */
+BufferReader.prototype.readBuffer = function(offset, count)
+{
+  return new Buffer(this.readBytes(offset, count));
+};
+
+/**
+ * Returns the specified number of bytes as a string with
+ * the specified encoding.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the specified length.
+ * @param {number} length A number of bytes to read.
+ * Must be between 1 and the reader's length minus the offset.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @returns {string} A string of the specified length.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified length is not a number between 1 and
+ * the reader's length.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var stringValue = reader.readString(1, 12, 'ascii');
+ */
+BufferReader.prototype.readString = function(offset, length, encoding)
+{
+  return decodeString(this.readBuffer(offset, length), encoding);
+};
+
+/**
+ * Returns a string from the specified offset until the first
+ * occurence of the terminator (by default, the NULL character).
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @param {(string|Buffer|Array.<number>)} [terminator] A custom terminator
+ * sequence. A string is encoded with the specified encoding. Defaults to
+ * the NUL character of the encoding: `0x00` or, for `utf16le` and `ucs2`,
+ * `0x00 0x00` at an even distance from the string's start.
+ * @returns {string} A string constructed from the read bytes or empty string
+ * if the terminator could not be found.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified terminator is not valid.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var stringValue = reader.readZeroString(0, 'utf8');
+ * var wideString = reader.readZeroString(4, 'ucs2');
+ */
+BufferReader.prototype.readZeroString = function(offset, encoding, terminator)
+{
+  var terminatorIndex = findTerminator(
+    this, offset, parseTerminator(terminator, encoding)
+  );
+
+  if (terminatorIndex === -1 || terminatorIndex - offset === 0)
+  {
+    return '';
+  }
+
+  return this.readString(offset, terminatorIndex - offset, encoding);
+};
+
+/**
+ * Returns a buffer preceded by its length starting at the specified offset.
+ *
+ * @param {number} offset A starting index of the prefix.
+ * Must be between 0 and the reader's length minus the size of the prefix.
+ * @param {string} [prefixType] A type of the length prefix: `'UInt8'`,
+ * `'UInt16'`, `'UInt16LE'`, `'UInt16BE'`, `'UInt32'`, `'UInt32LE'`,
+ * `'UInt32BE'` or `'VarUInt'` (LEB128). 16 and 32 bit prefixes without
+ * a suffix use the reader's byte order. Defaults to `'UInt8'`.
+ * @returns {Buffer} A buffer of the prefixed length.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified prefix type is not supported.
+ * @throws {Error} If the prefix or the prefixed bytes exceed the reader's
+ * boundries.
+ * @example
+ * var payload = reader.readPrefixedBuffer(4, 'UInt32BE');
+ */
+BufferReader.prototype.readPrefixedBuffer = function(offset, prefixType)
+{
+  var prefixed = readPrefix(this, offset, prefixType);
+
+  return prefixed.length === 0
+    ? new Buffer(0)
+    : this.readBuffer(prefixed.offset, prefixed.length);
+};
+
+/**
+ * Returns a string with the specified encoding preceded by its byte length
+ * starting at the specified offset.
+ *
+ * @param {number} offset A starting index of the prefix.
+ * Must be between 0 and the reader's length minus the size of the prefix.
+ * @param {string} [prefixType] A type of the length prefix: `'UInt8'`,
+ * `'UInt16'`, `'UInt16LE'`, `'UInt16BE'`, `'UInt32'`, `'UInt32LE'`,
+ * `'UInt32BE'` or `'VarUInt'` (LEB128). 16 and 32 bit prefixes without
+ * a suffix use the reader's byte order. Defaults to `'UInt8'`.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @returns {string} A string constructed from the prefixed bytes.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified prefix type is not supported.
+ * @throws {Error} If the prefix or the prefixed bytes exceed the reader's
+ * boundries.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var name = reader.readPrefixedString(0, 'UInt8', 'ascii');
+ */
+BufferReader.prototype.readPrefixedString = function(
+  offset, prefixType, encoding)
+{
+  return decodeString(this.readPrefixedBuffer(offset, prefixType), encoding);
+};
+
+/**
+ * Returns a fixed-width string field with the specified encoding starting
+ * at the specified offset without the trailing padding.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the specified length.
+ * @param {number} length A number of bytes to read.
+ * Must be between 1 and the reader's length minus the offset.
+ * @param {string} [encoding] An encoding of the string: a `Buffer` encoding
+ * or a name of a registered code page. Defaults to `utf8`.
+ * @param {object} [options]
+ * @param {string} [options.trim] Which trailing padding to remove: `'nul'`
+ * characters, `'space'` characters, `'both'` or `'none'`.
+ * Defaults to `'both'`.
+ * @returns {string} A string without the trailing padding.
+ * @throws {Error} If the specified trim is not valid.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the specified length is not a number between 1 and
+ * the reader's length minus the offset.
+ * @throws {Error} If the specified encoding is not supported.
+ * @example
+ * var name = reader.readFixedString(4, 32, 'ascii', {trim: 'nul'});
+ */
+BufferReader.prototype.readFixedString = function(
+  offset, length, encoding, options)
+{
+  var trimPattern = getTrimPattern(options ? options.trim : null);
+  var stringValue = this.readString(offset, length, encoding);
+
+  return trimPattern ? stringValue.replace(trimPattern, '') : stringValue;
+};
+
+/**
+ * Returns a signed 8 bit integer at the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @returns {number} A number between -128 and 127.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the reader is empty.
+ * @example
+ * var int8 = reader.readInt8(5);
+ */
+BufferReader.prototype.readInt8 = function(offset)
+{
+  return this.buffer.readInt8(this.offset + offset);
+};
+
+/**
+ * Returns a signed 16 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 2.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between -32768 and 32767.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var int16BE = reader.readInt16(0);
+ * var int16LE = reader.readInt16(2, true);
+ */
+BufferReader.prototype.readInt16 = function(offset, byteOrder)
+{
+  return readNumber(this, offset, byteOrder, {type: 'Int16', size: 2});
+};
+
+/**
+ * Returns a signed 32 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 4.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between -2147483648 and 2147483647.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var int32BE = reader.readInt32(0);
+ * var int32LE = reader.readInt32(4, true);
+ * var int32CDAB = reader.readInt32(8, 'CDAB');
+ */
+BufferReader.prototype.readInt32 = function(offset, byteOrder)
+{
+  return readNumber(this, offset, byteOrder, {type: 'Int32', size: 4});
+};
+
+/**
+ * Returns an unsigned 8 bit integer at the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @returns {number} A number between 0 and 255.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var uint8 = reader.readUInt8(0);
+ */
+BufferReader.prototype.readUInt8 = function(offset)
+{
+  return this.buffer.readUInt8(this.offset + offset);
+};
+
+/**
+ * Returns an unsigned 16 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 2.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between 0 and 65535.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var uint16BE = reader.readUInt16(0);
+ * var uint16LE = reader.readUInt16(2, true);
+ */
+BufferReader.prototype.readUInt16 = function(offset, byteOrder)
+{
+  return readNumber(this, offset, byteOrder, {type: 'UInt16', size: 2});
+};
+
+/**
+ * Returns an unsigned 32 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 4.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between 0 and 4294967295.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var uint32BE = reader.readUInt32(0);
+ * var uint32LE = reader.readUInt32(4, true);
+ * var uint32CDAB = reader.readUInt32(8, 'CDAB');
+ */
+BufferReader.prototype.readUInt32 = function(offset, byteOrder)
+{
+  return readNumber(this, offset, byteOrder, {type: 'UInt32', size: 4});
+};
+
+/**
+ * Returns a signed 64 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 8.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @param {boolean} [safeNumber] Whether to return a `number` instead of
+ * a `bigint` if the value is within the safe integer range.
+ * @returns {bigint|number} A number between -9223372036854775808
+ * and 9223372036854775807.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var int64BE = reader.readInt64(0);
+ * var int64LE = reader.readInt64(8, true);
+ * var int64Number = reader.readInt64(16, false, true);
+ */
+BufferReader.prototype.readInt64 = function(offset, byteOrder, safeNumber)
+{
+  var words = readUInt32Pair(this, offset, byteOrder);
+
+  return toInt64(words[0], words[1], true, safeNumber);
+};
+
+/**
+ * Returns an unsigned 64 bit integer starting from the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 8.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @param {boolean} [safeNumber] Whether to return a `number` instead of
+ * a `bigint` if the value is within the safe integer range.
+ * @returns {bigint|number} A number between 0 and 18446744073709551615.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var uint64BE = reader.readUInt64(0);
+ * var uint64LE = reader.readUInt64(8, true);
+ * var uint64Number = reader.readUInt64(16, false, true);
+ */
+BufferReader.prototype.readUInt64 = function(offset, byteOrder, safeNumber)
+{
+  var words = readUInt32Pair(this, offset, byteOrder);
+
+  return toInt64(words[0], words[1], false, safeNumber);
+};
+
+/**
+ * Returns a signed integer of the specified byte count starting from
+ * the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the byte count.
+ * @param {number} byteCount A number of bytes. Must be between 1 and 6.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between -2^(byteCount * 8 - 1)
+ * and 2^(byteCount * 8 - 1) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 6.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var int24BE = reader.readIntN(0, 3);
+ * var int48LE = reader.readIntN(3, 6, true);
+ */
+BufferReader.prototype.readIntN = function(offset, byteCount, byteOrder)
+{
+  return readNumber(this, offset, byteOrder, {
+    type: 'Int',
+    size: parseByteCount(byteCount)
+  });
+};
+
+/**
+ * Returns an unsigned integer of the specified byte count starting from
+ * the specified position.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus the byte count.
+ * @param {number} byteCount A number of bytes. Must be between 1 and 6.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A number between 0 and 2^(byteCount * 8) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 6.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var uint24BE = reader.readUIntN(0, 3);
+ * var uint40LE = reader.readUIntN(3, 5, true);
+ */
+BufferReader.prototype.readUIntN = function(offset, byteCount, byteOrder)
+{
+  return readNumber(this, offset, byteOrder, {
+    type: 'UInt',
+    size: parseByteCount(byteCount)
+  });
+};
+
+/**
+ * Returns an unsigned LEB128 variable-length integer starting at
+ * the specified offset.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @returns {{value: (bigint|number), length: number}} The value (a `number`
+ * if it is within the safe integer range or a `bigint` otherwise) and
+ * the number of bytes it occupies.
+ * @throws {Error} If the integer exceeds the reader's boundries.
+ * @throws {Error} If the integer is longer than 10 bytes or does not fit
+ * in 64 bits.
+ * @example
+ * var result = reader.readVarUInt(4);
+ * var nextOffset = 4 + result.length;
+ */
+BufferReader.prototype.readVarUInt = function(offset)
+{
+  return readVarInt(this, offset, false);
+};
+
+/**
+ * Returns a signed LEB128 variable-length integer starting at
+ * the specified offset.
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 1.
+ * @returns {{value: (bigint|number), length: number}} The value (a `number`
+ * if it is within the safe integer range or a `bigint` otherwise) and
+ * the number of bytes it occupies.
+ * @throws {Error} If the integer exceeds the reader's boundries.
+ * @throws {Error} If the integer is longer than 10 bytes or does not fit
+ * in 64 bits.
+ * @example
+ * var result = reader.readVarInt(4);
+ * var nextOffset = 4 + result.length;
  */
-BufferReader.prototype.readBuffer = function(offset, count)
+BufferReader.prototype.readVarInt = function(offset)
 {
-  return new Buffer(this.readBytes(offset, count));
+  return readVarInt(this, offset, true);
 };
 
 /**
- * Returns the specified number of bytes as a string with
- * the specified encoding.
+ * Returns an unsigned packed BCD number (two decimal digits per byte,
+ * the most significant digit first) starting at the specified offset.
  *
  * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus the specified length.
- * @param {number} length A number of bytes to read.
- * Must be between 1 and the reader's length minus the offset.
- * @param {string} [encoding] An encoding of the string. Defaults to `utf8`.
- * @returns {string} A string of the specified length.
+ * Must be between 0 and the reader's length minus the byte count.
+ * @param {number} byteCount A number of bytes. Must be between 1 and 7.
+ * @returns {number} A number between 0 and 10^(byteCount * 2) - 1.
+ * @throws {Error} If the specified byte count is not a number between 1 and 7.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @throws {Error} If the specified length is not a number between 1 and
- * the reader's length.
- * @throws {Error} If the specified encoding is not supported.
+ * @throws {Error} If any of the nibbles is not a decimal digit.
  * @example
- * var stringValue = reader.readString(1, 12, 'ascii');
+ * var meterReading = reader.readBcd(2, 4);
  */
-BufferReader.prototype.readString = function(offset, length, encoding)
+BufferReader.prototype.readBcd = function(offset, byteCount)
 {
-  return this.readBuffer(offset, length).toString(encoding || 'utf8');
+  return decodeBcd(this.readBytes(offset, parseBcdByteCount(byteCount)));
 };
 
 /**
- * Returns a string from the specified offset until the first
- * occurence of the NULL character (\0).
+ * Returns an integer stored as a fixed-width string of ASCII digits
+ * starting at the specified offset.
+ *
+ * Leading and trailing whitespace is ignored, as are leading occurrences
+ * of the specified pad character. The digits may be preceded by a sign.
  *
  * @param {number} offset A starting index.
- * Must be between 0 and the reader's length.
- * @param {string} [encoding] An encoding of the string. Defaults to `utf8`.
- * @returns {string} A string constructed from the read bytes or empty string
- * if NULL character could not be found.
+ * Must be between 0 and the reader's length minus the width.
+ * @param {number} width A number of characters.
+ * @param {number} [radix] A base of the digits. Must be between 2 and 36.
+ * Defaults to 10.
+ * @param {string} [padChar] A character used to pad the digits.
+ * @returns {number} A safe integer.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @throws {Error} If the specified encoding is not supported.
+ * @throws {Error} If the specified radix is not a number between 2 and 36.
+ * @throws {Error} If the field does not contain a valid integer.
  * @example
- * var stringValue = reader.readZeroString(0, 'utf8');
+ * var decimal = reader.readAsciiNumber(0, 6);
+ * var hex = reader.readAsciiNumber(6, 4, 16);
  */
-BufferReader.prototype.readZeroString = function(offset, encoding)
+BufferReader.prototype.readAsciiNumber = function(
+  offset, width, radix, padChar)
 {
-  var zeroIndex = this.indexOf(0, offset);
+  radix = parseRadix(radix);
 
-  if (zeroIndex === -1 || zeroIndex - offset === 0)
-  {
-    return '';
-  }
+  var stringValue = this.readString(offset, width, 'ascii');
 
-  return this.readString(offset, zeroIndex - offset, encoding);
+  return parseAsciiNumber(stringValue, radix, padChar);
 };
 
 /**
- * Returns a signed 8 bit integer at the specified position.
+ * Returns a fixed-point number in the Q format (e.g. Q15, Q31 or Q16.16)
+ * starting at the specified offset.
+ *
+ * The number is stored as an integer of `integerBits + fractionBits` bits,
+ * which is divided by 2^fractionBits. For signed numbers, the integer bits
+ * include the sign bit (i.e. Q15 is `1, 15` and Q16.16 is `16, 16`).
  *
  * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 1.
- * @returns {number} A number between -128 and 127.
+ * Must be between 0 and the reader's length minus the number's size.
+ * @param {number} integerBits A number of integer bits.
+ * @param {number} fractionBits A number of fraction bits.
+ * The sum of integer and fraction bits must be 8, 16, 24, 32, 40 or 48.
+ * @param {object} [options]
+ * @param {boolean} [options.signed] Whether the number is signed.
+ * Defaults to `TRUE`.
+ * @param {(boolean|string)} [options.byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A fixed-point number.
+ * @throws {Error} If the specified bit counts are not valid.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
- * @throws {Error} If the reader is empty.
  * @example
- * var int8 = reader.readInt8(5);
+ * var q15 = reader.readFixed(0, 1, 15);
+ * var q16x16 = reader.readFixed(2, 16, 16, {byteOrder: true});
  */
-BufferReader.prototype.readInt8 = function(offset)
+BufferReader.prototype.readFixed = function(
+  offset, integerBits, fractionBits, options)
 {
-  return this.buffer.readInt8(this.offset + offset);
+  options = options || {};
+
+  var byteCount = parseFixedFormat(integerBits, fractionBits);
+  var integerValue = options.signed === false
+    ? this.readUIntN(offset, byteCount, options.byteOrder)
+    : this.readIntN(offset, byteCount, options.byteOrder);
+
+  return integerValue / Math.pow(2, parseInt(fractionBits, 10));
 };
 
 /**
- * Returns a signed 16 bit integer starting from the specified position.
+ * Returns a signed 16 bit floating-point number as defined in IEEE 754
+ * (half precision).
  *
  * @param {number} offset A starting index.
  * Must be between 0 and the reader's length minus 2.
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
- * @returns {number} A number between -32768 and 32767.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {number} A 16 bit floating-point number.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
  * @example
- * var int16BE = reader.readInt16(0);
- * var int16LE = reader.readInt16(2, true);
+ * var float16BE = reader.readFloat16(0);
+ * var float16LE = reader.readFloat16(2, true);
  */
-BufferReader.prototype.readInt16 = function(offset, littleEndian)
+BufferReader.prototype.readFloat16 = function(offset, byteOrder)
 {
-  return this.buffer[littleEndian ? 'readInt16LE' : 'readInt16BE'](
-    this.offset + offset
+  return toFloat16(
+    readNumber(this, offset, byteOrder, {type: 'UInt16', size: 2})
   );
 };
 
 /**
- * Returns a signed 32 bit integer starting from the specified position.
+ * Returns a signed 32 bit floating-point number as defined in IEEE 754.
  *
  * @param {number} offset A starting index.
  * Must be between 0 and the reader's length minus 4.
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
- * @returns {number} A number between -2147483648 and 2147483647.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A 32 bit floating-point number.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
  * @example
- * var int32BE = reader.readInt32(0);
- * var int32LE = reader.readInt32(4, true);
+ * var floatBE = reader.readFloat(0, );
+ * var floatLE = reader.readFloat(4, true);
+ * var floatCDAB = reader.readFloat(8, 'CDAB');
  */
-BufferReader.prototype.readInt32 = function(offset, littleEndian)
+BufferReader.prototype.readFloat = function(offset, byteOrder)
 {
-  return this.buffer[littleEndian ? 'readInt32LE' : 'readInt32BE'](
-    this.offset + offset
-  );
+  return readNumber(this, offset, byteOrder, {type: 'Float', size: 4});
 };
 
 /**
- * Returns an unsigned 8 bit integer at the specified position.
+ * Returns a signed 64 bit floating-point number as defined in IEEE 754.
  *
  * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 1.
- * @returns {number} A number between 0 and 255.
+ * Must be between 0 and the reader's length minus 8.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {number} A 64 bit floating-point number.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
  * @example
- * var uint8 = reader.readUInt8(0);
+ * var doubleBE = reader.readDouble(0);
+ * var doubleLE = reader.readDouble(8, true);
+ * var doubleCDAB = reader.readDouble(16, 'CDAB');
  */
-BufferReader.prototype.readUInt8 = function(offset)
+BufferReader.prototype.readDouble = function(offset, byteOrder)
 {
-  return this.buffer.readUInt8(this.offset + offset);
+  return readNumber(this, offset, byteOrder, {type: 'Double', size: 8});
 };
 
 /**
- * Returns an unsigned 16 bit integer starting from the specified position.
+ * Returns the specified number of signed 8 bit integers starting at the
+ * specified offset as an `Int8Array`.
  *
- * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 2.
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
- * @returns {number} A number between 0 and 65535.
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @returns {Int8Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
  * @example
- * var uint16BE = reader.readUInt16(0);
- * var uint16LE = reader.readUInt16(2, true);
+ * var offsets = reader.readInt8Array(0, 16);
+ */
+BufferReader.prototype.readInt8Array = function(offset, count)
+{
+  return readTypedArray(this, offset, null, {type: 'Int8', count: count});
+};
+
+/**
+ * Returns the specified number of unsigned 8 bit integers starting at the
+ * specified offset as a `Uint8Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @returns {Uint8Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var levels = reader.readUInt8Array(0, 32);
+ */
+BufferReader.prototype.readUInt8Array = function(offset, count)
+{
+  return readTypedArray(this, offset, null, {type: 'UInt8', count: count});
+};
+
+/**
+ * Returns the specified number of signed 16 bit integers starting at the
+ * specified offset as an `Int16Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 2.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {Int16Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var samples = reader.readInt16Array(0, 1000);
+ * var samplesLE = reader.readInt16Array(4, 1000, true);
+ */
+BufferReader.prototype.readInt16Array = function(offset, count, byteOrder)
+{
+  return readTypedArray(this, offset, byteOrder, {type: 'Int16', count: count});
+};
+
+/**
+ * Returns the specified number of unsigned 16 bit integers starting at the
+ * specified offset as a `Uint16Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 2.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'BA'`).
+ * @returns {Uint16Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var registers = reader.readUInt16Array(0, 125);
+ * var registersLE = reader.readUInt16Array(4, 125, true);
  */
-BufferReader.prototype.readUInt16 = function(offset, littleEndian)
+BufferReader.prototype.readUInt16Array = function(offset, count, byteOrder)
 {
-  return this.buffer[littleEndian ? 'readUInt16LE' : 'readUInt16BE'](
-    this.offset + offset
+  return readTypedArray(
+    this, offset, byteOrder, {type: 'UInt16', count: count}
   );
 };
 
 /**
- * Returns an unsigned 32 bit integer starting from the specified position.
+ * Returns the specified number of signed 32 bit integers starting at the
+ * specified offset as an `Int32Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 4.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Int32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var positions = reader.readInt32Array(0, 6);
+ * var positionsLE = reader.readInt32Array(4, 6, true);
+ */
+BufferReader.prototype.readInt32Array = function(offset, count, byteOrder)
+{
+  return readTypedArray(this, offset, byteOrder, {type: 'Int32', count: count});
+};
+
+/**
+ * Returns the specified number of unsigned 32 bit integers starting at the
+ * specified offset as a `Uint32Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 4.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Uint32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var counters = reader.readUInt32Array(0, 12);
+ * var countersLE = reader.readUInt32Array(4, 12, true);
+ */
+BufferReader.prototype.readUInt32Array = function(offset, count, byteOrder)
+{
+  return readTypedArray(
+    this, offset, byteOrder, {type: 'UInt32', count: count}
+  );
+};
+
+/**
+ * Returns the specified number of 32 bit floating-point numbers starting at the
+ * specified offset as a `Float32Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 4.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Float32Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var samples = reader.readFloat32Array(0, 1000);
+ * var samplesLE = reader.readFloat32Array(4, 1000, true);
+ */
+BufferReader.prototype.readFloat32Array = function(offset, count, byteOrder)
+{
+  return readTypedArray(
+    this, offset, byteOrder, {type: 'Float32', count: count}
+  );
+};
+
+/**
+ * Returns the specified number of 64 bit floating-point numbers starting at the
+ * specified offset as a `Float64Array`.
+ *
+ * @param {number} offset A starting index. Must be between 0 and the reader's
+ * length minus the specified count multiplied by 8.
+ * @param {number} count A number of elements. Must be greater than 0.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian instead of
+ * big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {Float64Array} A new typed array.
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var coordinates = reader.readFloat64Array(0, 3);
+ * var coordinatesLE = reader.readFloat64Array(4, 3, true);
+ */
+BufferReader.prototype.readFloat64Array = function(offset, count, byteOrder)
+{
+  return readTypedArray(
+    this, offset, byteOrder, {type: 'Float64', count: count}
+  );
+};
+
+/**
+ * Returns a date stored in the specified format starting at the specified
+ * offset.
+ *
+ * See `shiftDate()` for the supported formats.
  *
  * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 4.
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
- * @returns {number} A number between 0 and 4294967295.
+ * Must be between 0 and the reader's length minus the format's size.
+ * @param {string} format A name of the date format.
+ * @param {(boolean|string)} [byteOrder] Whether to use little endian
+ * instead of big endian or a byte order descriptor (e.g. `'CDAB'`).
+ * @returns {(Date|bigint)} A date or, for the `'unix64ns'`, `'ntp64ns'`
+ * and `'filetimens'` formats, a number of nanoseconds.
+ * @throws {Error} If the specified format is not supported.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @throws {Error} If the bytes do not represent a valid date.
  * @example
- * var uint32BE = reader.readUInt32(0);
- * var uint32LE = reader.readUInt32(4, true);
+ * var createdAt = reader.readDate(0, 'unix32');
+ * var modifiedAt = reader.readDate(4, 'filetime', true);
+ * var capturedAt = reader.readDate(12, 'unix64ns');
  */
-BufferReader.prototype.readUInt32 = function(offset, littleEndian)
+BufferReader.prototype.readDate = function(offset, format, byteOrder)
 {
-  return this.buffer[littleEndian ? 'readUInt32LE' : 'readUInt32BE'](
-    this.offset + offset
+  return decodeDate(
+    this.readBytes(offset, getDateFormat(format).size),
+    format,
+    byteOrder,
+    this.byteOrder
   );
 };
 
 /**
- * Returns a signed 32 bit floating-point number as defined in IEEE 754.
+ * Returns a 16 byte UUID starting at the specified offset in the canonical
+ * string form (lower case `xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx`).
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 16.
+ * @param {string} [layout] `'rfc4122'` if all fields are stored in big
+ * endian or `'guid'` if the first three fields are stored in little endian
+ * (the Microsoft GUID layout). Defaults to `'rfc4122'`.
+ * @returns {string} A UUID string.
+ * @throws {Error} If the specified layout is not `'rfc4122'` or `'guid'`.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var serviceUuid = reader.readUuid(0);
+ * var classId = reader.readUuid(16, 'guid');
+ */
+BufferReader.prototype.readUuid = function(offset, layout)
+{
+  layout = parseUuidLayout(layout);
+
+  return formatUuid(this.readBytes(offset, 16), layout);
+};
+
+/**
+ * Returns an IPv4 address starting at the specified offset in the
+ * dotted-decimal form (e.g. `192.168.1.10`).
  *
  * @param {number} offset A starting index.
  * Must be between 0 and the reader's length minus 4.
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
- * @returns {number} A 32 bit floating-point number.
+ * @returns {string} An address string.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
  * @example
- * var floatBE = reader.readFloat(0, );
- * var floatLE = reader.readFloat(4, true);
+ * var gateway = reader.readIPv4(4);
  */
-BufferReader.prototype.readFloat = function(offset, littleEndian)
+BufferReader.prototype.readIPv4 = function(offset)
 {
-  return this.buffer[littleEndian ? 'readFloatLE' : 'readFloatBE'](
-    this.offset + offset
-  );
+  return formatIPv4(this.readBytes(offset, 4));
 };
 
 /**
- * Returns a signed 64 bit floating-point number as defined in IEEE 754.
+ * Returns an IPv6 address starting at the specified offset in the RFC 5952 form
+ * (e.g. `2001:db8::1` or `::ffff:192.0.2.1`).
  *
  * @param {number} offset A starting index.
- * Must be between 0 and the reader's length minus 8.
- * @param {boolean} [littleEndian] Whether to use little endian
- * instead of big endian.
- * @returns {number} A 64 bit floating-point number.
+ * Must be between 0 and the reader's length minus 16.
+ * @returns {string} An address string.
  * @throws {Error} If the specified offset exceeds the reader's boundries.
  * @example
- * var doubleBE = reader.readDouble(0);
- * var doubleLE = reader.readDouble(8, true);
+ * var gateway = reader.readIPv6(4);
  */
-BufferReader.prototype.readDouble = function(offset, littleEndian)
+BufferReader.prototype.readIPv6 = function(offset)
 {
-  return this.buffer[littleEndian ? 'readDoubleLE' : 'readDoubleBE'](
-    this.offset + offset
-  );
+  return formatIPv6(this.readBytes(offset, 16));
+};
+
+/**
+ * Returns a MAC address starting at the specified offset as lower case
+ * hexadecimal bytes separated by colons (e.g. `00:1a:2b:3c:4d:5e`).
+ *
+ * @param {number} offset A starting index.
+ * Must be between 0 and the reader's length minus 6.
+ * @returns {string} An address string.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ * @example
+ * var hardwareAddress = reader.readMac(4);
+ */
+BufferReader.prototype.readMac = function(offset)
+{
+  return formatMac(this.readBytes(offset, 6));
 };
 
+/**
+ * @private
+ * @param {BufferReader} reader
+ * @param {number} offset
+ * @param {(boolean|string)} byteOrder
+ * @param {{type: string, count: number}} array
+ * @returns {ArrayBufferView}
+ * @throws {Error} If the specified count is not a number greater than 0.
+ * @throws {Error} If the specified offset exceeds the reader's boundries.
+ */
+function readTypedArray(reader, offset, byteOrder, array)
+{
+  var size = getTypedArrayConstructor(array.type).BYTES_PER_ELEMENT;
+  var count = parseInt(array.count, 10);
+
+  if (isNaN(count) || count < 1)
+  {
+    throw new Error("The element count must be a number greater than 0.");
+  }
+
+  var byteArray = new Uint8Array(count * size);
+
+  offset = parseInt(offset, 10);
+
+  reader.copy(new Buffer(byteArray.buffer), 0, offset, offset + count * size);
+
+  return toTypedArray(
+    byteArray, array.type, resolveByteOrder(byteOrder, size, reader.byteOrder)
+  );
+}
+
+/**
+ * @private
+ * @param {BufferReader} reader
+ * @param {number} offset
+ * @param {(boolean|string)} byteOrder
+ * @returns {Array.<number>}
+ */
+function readUInt32Pair(reader, offset, byteOrder)
+{
+  var order = resolveByteOrder(byteOrder, 8, reader.byteOrder);
+
+  if (order === 'BE')
+  {
+    return [
+      reader.readUInt32(offset, false),
+      reader.readUInt32(offset + 4, false)
+    ];
+  }
+
+  var buffer = new Buffer(toBigEndian(reader.readBytes(offset, 8), order));
+
+  return [buffer.readUInt32BE(0), buffer.readUInt32BE(4)];
+}
+
+/**
+ * @private
+ * @param {BufferReader} reader
+ * @param {number} offset
+ * @param {(boolean|string)} byteOrder
+ * @param {{type: string, size: number}} number
+ * @returns {number}
+ */
+function readNumber(reader, offset, byteOrder, number)
+{
+  var size = number.size;
+  var order = resolveByteOrder(byteOrder, size, reader.byteOrder);
+
+  if (typeof order === 'string')
+  {
+    return reader.buffer['read' + number.type + order](
+      reader.offset + offset, size
+    );
+  }
+
+  var buffer = new Buffer(toBigEndian(reader.readBytes(offset, size), order));
+
+  return buffer['read' + number.type + 'BE'](0, size);
+}
+
+/**
+ * @private
+ * @param {BufferReader} reader
+ * @param {number} offset
+ * @param {boolean} signed
+ * @returns {{value: (bigint|number), length: number}}
+ * @throws {Error}
+ */
+function readVarInt(reader, offset, signed)
+{
+  offset = parseInt(offset, 10);
+
+  if (isNaN(offset) || offset < 0 || offset >= reader.length)
+  {
+    throw new Error(
+      "The offset must be a number between 0 and the reader's length minus one."
+    );
+  }
+
+  var start = reader.offset + offset;
+  var result = decodeVarInt(
+    function(i) { return reader.buffer[start + i]; },
+    reader.length - offset,
+    signed
+  );
+
+  if (result === null)
+  {
+    throw new Error(
+      "The variable-length integer exceeds the reader's boundries."
+    );
+  }
+
+  return result;
+}
+/**
+ * @private
+ * @param {BufferReader} reader
+ * @param {number} offset
+ * @param {{bytes: Array.<number>, alignment: number}} terminator
+ * @returns {number} An index of the terminator or -1 if it was not found.
+ * @throws {Error}
+ */
+function findTerminator(reader, offset, terminator)
+{
+  var bytes = terminator.bytes;
+  var index = parseInt(offset, 10);
+
+  offset = index;
+
+  while ((index = reader.indexOf(bytes, index)) !== -1)
+  {
+    if ((index - offset) % terminator.alignment === 0)
+    {
+      return index;
+    }
+
+    index += 1;
+  }
+
+  return -1;
+}
+
+/**
+ * @private
+ * @param {BufferReader} reader
+ * @returns {function(number): number} A function returning a byte at
+ * the specified position relative to the reader's offset.
+ */
+function createByteAccessor(reader)
+{
+  var buffer = reader.buffer;
+  var offset = reader.offset;
+
+  return function(index)
+  {
+    return buffer[offset + index];
+  };
+}
+
+/**
+ * @private
+ * @param {BufferReader} reader
+ * @param {number} offset
+ * @param {string} [prefixType]
+ * @returns {{offset: number, length: number}} The offset and the length of
+ * the prefixed bytes.
+ * @throws {Error}
+ */
+function readPrefix(reader, offset, prefixType)
+{
+  var prefix = parsePrefixType(prefixType);
+
+  offset = parseInt(offset, 10);
+
+  var result = prefix.type === 'VarUInt'
+    ? reader.readVarUInt(offset)
+    : {
+      value: reader['read' + prefix.type](offset, prefix.byteOrder),
+      length: prefix.size
+    };
+
+  offset += result.length;
+
+  if (typeof result.value !== 'number'
+    || offset + result.value > reader.length)
+  {
+    throw new Error("The prefixed length exceeds the reader's boundries.");
+  }
+
+  return {offset: offset, length: result.value};
+}
+
+
 module.exports = BufferReader;
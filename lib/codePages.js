@@ -0,0 +1,580 @@
+'use strict';
+
+/**
+ * A registry of single-byte code pages.
+ *
+ * The name (or an alias) of every registered code page can be used as
+ * the `encoding` argument of the string methods of `BufferReader`,
+ * `BufferQueueReader` and `BufferBuilder`, next to the encodings supported
+ * by `Buffer`. Names are case-insensitive and ignore everything but letters
+ * and digits, so `'CP-037'`, `'cp037'` and `'IBM037'` are the same code page.
+ *
+ * Built-in code pages: `cp037` and `cp500` (EBCDIC), `cp437`, `cp850`,
+ * `cp852` (DOS), `windows-1250`, `windows-1251`, `windows-1252`,
+ * `iso-8859-2` and `iso-8859-15`.
+ *
+ * @example
+ * var codePages = require('h5.buffers').codePages;
+ *
+ * codePages.register('my-panel', myPanelTable);
+ *
+ * var record = reader.shiftString(40, 'cp037');
+ *
+ * builder.pushString('Žluťoučký kůň', 'windows-1250');
+ */
+
+/**
+ * @private
+ * @type {Object.<string, object>}
+ */
+var registry = {};
+
+/**
+ * @private
+ * @type {Array.<string>}
+ */
+var names = [];
+
+/**
+ * Registers the specified code page, replacing any code page registered
+ * under the same name or alias.
+ *
+ * @param {string} name A name of the code page.
+ * @param {Array.<?number>} table Code points of the characters of all 256
+ * bytes or only of the bytes 0x80-0xFF, in which case the bytes 0x00-0x7F
+ * are ASCII. `NULL` marks bytes that do not map to any character; they are
+ * decoded as U+FFFD.
+ * @param {Array.<string>} [aliases] Other names of the code page.
+ * @throws {Error} If the name or any of the aliases is an encoding supported
+ * by `Buffer`.
+ * @throws {Error} If the specified table is not an array of 128 or 256
+ * code points.
+ * @example
+ * codePages.register('cp1047', cp1047Table, ['ibm1047']);
+ */
+exports.register = function(name, table, aliases)
+{
+  var allNames = [name].concat(aliases || []);
+
+  allNames.forEach(function(anyName)
+  {
+    if (Buffer.isEncoding(anyName))
+    {
+      throw new Error(
+        "The code page name can not be a Buffer encoding: " + anyName + "."
+      );
+    }
+  });
+
+  var codePage = createCodePage(String(name), table);
+
+  allNames.forEach(function(anyName)
+  {
+    registry[normalizeName(anyName)] = codePage;
+  });
+
+  if (names.indexOf(codePage.name) === -1)
+  {
+    names.push(codePage.name);
+  }
+};
+
+/**
+ * Checks whether a code page is registered under the specified name.
+ *
+ * @param {string} [name] A name or an alias of the code page.
+ * @returns {boolean}
+ * @example
+ * codePages.has('IBM500'); // true
+ * codePages.has('utf8'); // false
+ */
+exports.has = function(name)
+{
+  return typeof name === 'string'
+    && registry.hasOwnProperty(normalizeName(name));
+};
+
+/**
+ * Returns the names of the registered code pages (without the aliases).
+ *
+ * @returns {Array.<string>}
+ * @example
+ * console.log(codePages.getNames());
+ */
+exports.getNames = function()
+{
+  return names.slice();
+};
+
+/**
+ * Decodes the specified bytes with the specified code page.
+ *
+ * @param {(Buffer|Array.<number>)} buffer Bytes to decode.
+ * @param {string} name A name or an alias of the code page.
+ * @returns {string}
+ * @throws {Error} If the specified code page is not registered.
+ * @example
+ * codePages.decode(new Buffer([0xC8, 0x85, 0x93, 0x93, 0x96]), 'cp037');
+ */
+exports.decode = function(buffer, name)
+{
+  var decodeTable = getCodePage(name).decodeTable;
+  var chars = [];
+
+  for (var i = 0; i < buffer.length; ++i)
+  {
+    chars.push(decodeTable[buffer[i]]);
+  }
+
+  return chars.join('');
+};
+
+/**
+ * Encodes the specified string with the specified code page.
+ *
+ * @param {string} stringValue A string to encode.
+ * @param {string} name A name or an alias of the code page.
+ * @param {string} [unmappable] What to do with characters that the code page
+ * does not contain: `'throw'` an error, `'replace'` them with `?`
+ * or `'skip'` them. Defaults to `'throw'`.
+ * @returns {Buffer}
+ * @throws {Error} If the specified code page is not registered.
+ * @throws {Error} If the specified unmappable policy is not valid.
+ * @throws {Error} If the string contains a character that the code page
+ * does not contain and the unmappable policy is `'throw'`.
+ * @example
+ * codePages.encode('Hello', 'cp037');
+ * codePages.encode('€ 10', 'cp437', 'replace');
+ */
+exports.encode = function(stringValue, name, unmappable)
+{
+  var codePage = getCodePage(name);
+  var policy = exports.parseUnmappable(unmappable, 'throw');
+  var encodeMap = codePage.encodeMap;
+  var byteArray = [];
+
+  for (var i = 0; i < stringValue.length; ++i)
+  {
+    var char = readChar(stringValue, i);
+
+    i += char.length - 1;
+
+    if (encodeMap.hasOwnProperty(char))
+    {
+      byteArray.push(encodeMap[char]);
+    }
+    else if (policy === 'replace')
+    {
+      byteArray.push(encodeMap['?']);
+    }
+    else if (policy === 'throw')
+    {
+      throw new Error(
+        "The character U+" + toHex(char.codePointAt(0))
+        + " can not be encoded in the " + codePage.name + " code page."
+      );
+    }
+  }
+
+  return new Buffer(byteArray);
+};
+
+/**
+ * @private
+ * @param {string} [unmappable]
+ * @param {string} defaultUnmappable
+ * @returns {string}
+ * @throws {Error}
+ */
+exports.parseUnmappable = function(unmappable, defaultUnmappable)
+{
+  if (unmappable === undefined || unmappable === null)
+  {
+    unmappable = defaultUnmappable;
+  }
+
+  if (unmappable !== 'throw' && unmappable !== 'replace'
+    && unmappable !== 'skip')
+  {
+    throw new Error(
+      "Expected the unmappable to be one of: throw, replace, skip."
+    );
+  }
+
+  return unmappable;
+};
+
+/**
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name)
+{
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * @private
+ * @param {string} name
+ * @returns {object}
+ * @throws {Error}
+ */
+function getCodePage(name)
+{
+  if (!exports.has(name))
+  {
+    throw new Error("Unknown code page: " + name + ".");
+  }
+
+  return registry[normalizeName(name)];
+}
+
+/**
+ * @private
+ * @param {string} name
+ * @param {Array.<?number>} table
+ * @returns {object} The code page's name, its decode table (a character
+ * for each byte) and its encode map (a byte for each character).
+ * @throws {Error}
+ */
+function createCodePage(name, table)
+{
+  if (!Array.isArray(table) || (table.length !== 128 && table.length !== 256)
+    || !table.every(isCodePoint))
+  {
+    throw new Error(
+      "Expected the code page table to be an array of 128 or 256 code points."
+    );
+  }
+
+  var start = 256 - table.length;
+  var decodeTable = [];
+  var encodeMap = {};
+
+  for (var byteValue = 0; byteValue < 256; ++byteValue)
+  {
+    var codePoint = byteValue < start ? byteValue : table[byteValue - start];
+    var char = codePoint === null ? '\uFFFD' : String.fromCharCode(codePoint);
+
+    decodeTable.push(char);
+
+    if (codePoint !== null && !encodeMap.hasOwnProperty(char))
+    {
+      encodeMap[char] = byteValue;
+    }
+  }
+
+  return {name: name, decodeTable: decodeTable, encodeMap: encodeMap};
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCodePoint(value)
+{
+  return value === null || (typeof value === 'number'
+    && value >= 0 && value <= 0xFFFF && Math.floor(value) === value);
+}
+
+/**
+ * @private
+ * @param {string} stringValue
+ * @param {number} index
+ * @returns {string} The character at the specified index, including both
+ * halves of a surrogate pair.
+ */
+function readChar(stringValue, index)
+{
+  var code = stringValue.charCodeAt(index);
+
+  if (code >= 0xD800 && code <= 0xDBFF && index + 1 < stringValue.length)
+  {
+    var nextCode = stringValue.charCodeAt(index + 1);
+
+    if (nextCode >= 0xDC00 && nextCode <= 0xDFFF)
+    {
+      return stringValue.substr(index, 2);
+    }
+  }
+
+  return stringValue.charAt(index);
+}
+
+/**
+ * @private
+ * @param {number} codePoint
+ * @returns {string}
+ */
+function toHex(codePoint)
+{
+  var hex = codePoint.toString(16).toUpperCase();
+
+  return hex.length < 4 ? ('000' + hex).substr(-4) : hex;
+}
+
+/**
+ * @private
+ * @type {Array.<object>}
+ */
+var BUILT_IN_CODE_PAGES = [
+  {
+    name: 'cp037',
+    aliases: ['ibm037', 'ebcdic-cp-us'],
+    table: [
+      0x0000, 0x0001, 0x0002, 0x0003, 0x009C, 0x0009, 0x0086, 0x007F,
+      0x0097, 0x008D, 0x008E, 0x000B, 0x000C, 0x000D, 0x000E, 0x000F,
+      0x0010, 0x0011, 0x0012, 0x0013, 0x009D, 0x0085, 0x0008, 0x0087,
+      0x0018, 0x0019, 0x0092, 0x008F, 0x001C, 0x001D, 0x001E, 0x001F,
+      0x0080, 0x0081, 0x0082, 0x0083, 0x0084, 0x000A, 0x0017, 0x001B,
+      0x0088, 0x0089, 0x008A, 0x008B, 0x008C, 0x0005, 0x0006, 0x0007,
+      0x0090, 0x0091, 0x0016, 0x0093, 0x0094, 0x0095, 0x0096, 0x0004,
+      0x0098, 0x0099, 0x009A, 0x009B, 0x0014, 0x0015, 0x009E, 0x001A,
+      0x0020, 0x00A0, 0x00E2, 0x00E4, 0x00E0, 0x00E1, 0x00E3, 0x00E5,
+      0x00E7, 0x00F1, 0x00A2, 0x002E, 0x003C, 0x0028, 0x002B, 0x007C,
+      0x0026, 0x00E9, 0x00EA, 0x00EB, 0x00E8, 0x00ED, 0x00EE, 0x00EF,
+      0x00EC, 0x00DF, 0x0021, 0x0024, 0x002A, 0x0029, 0x003B, 0x00AC,
+      0x002D, 0x002F, 0x00C2, 0x00C4, 0x00C0, 0x00C1, 0x00C3, 0x00C5,
+      0x00C7, 0x00D1, 0x00A6, 0x002C, 0x0025, 0x005F, 0x003E, 0x003F,
+      0x00F8, 0x00C9, 0x00CA, 0x00CB, 0x00C8, 0x00CD, 0x00CE, 0x00CF,
+      0x00CC, 0x0060, 0x003A, 0x0023, 0x0040, 0x0027, 0x003D, 0x0022,
+      0x00D8, 0x0061, 0x0062, 0x0063, 0x0064, 0x0065, 0x0066, 0x0067,
+      0x0068, 0x0069, 0x00AB, 0x00BB, 0x00F0, 0x00FD, 0x00FE, 0x00B1,
+      0x00B0, 0x006A, 0x006B, 0x006C, 0x006D, 0x006E, 0x006F, 0x0070,
+      0x0071, 0x0072, 0x00AA, 0x00BA, 0x00E6, 0x00B8, 0x00C6, 0x00A4,
+      0x00B5, 0x007E, 0x0073, 0x0074, 0x0075, 0x0076, 0x0077, 0x0078,
+      0x0079, 0x007A, 0x00A1, 0x00BF, 0x00D0, 0x00DD, 0x00DE, 0x00AE,
+      0x005E, 0x00A3, 0x00A5, 0x00B7, 0x00A9, 0x00A7, 0x00B6, 0x00BC,
+      0x00BD, 0x00BE, 0x005B, 0x005D, 0x00AF, 0x00A8, 0x00B4, 0x00D7,
+      0x007B, 0x0041, 0x0042, 0x0043, 0x0044, 0x0045, 0x0046, 0x0047,
+      0x0048, 0x0049, 0x00AD, 0x00F4, 0x00F6, 0x00F2, 0x00F3, 0x00F5,
+      0x007D, 0x004A, 0x004B, 0x004C, 0x004D, 0x004E, 0x004F, 0x0050,
+      0x0051, 0x0052, 0x00B9, 0x00FB, 0x00FC, 0x00F9, 0x00FA, 0x00FF,
+      0x005C, 0x00F7, 0x0053, 0x0054, 0x0055, 0x0056, 0x0057, 0x0058,
+      0x0059, 0x005A, 0x00B2, 0x00D4, 0x00D6, 0x00D2, 0x00D3, 0x00D5,
+      0x0030, 0x0031, 0x0032, 0x0033, 0x0034, 0x0035, 0x0036, 0x0037,
+      0x0038, 0x0039, 0x00B3, 0x00DB, 0x00DC, 0x00D9, 0x00DA, 0x009F
+    ]
+  },
+  {
+    name: 'cp500',
+    aliases: ['ibm500', 'ebcdic-international'],
+    table: [
+      0x0000, 0x0001, 0x0002, 0x0003, 0x009C, 0x0009, 0x0086, 0x007F,
+      0x0097, 0x008D, 0x008E, 0x000B, 0x000C, 0x000D, 0x000E, 0x000F,
+      0x0010, 0x0011, 0x0012, 0x0013, 0x009D, 0x0085, 0x0008, 0x0087,
+      0x0018, 0x0019, 0x0092, 0x008F, 0x001C, 0x001D, 0x001E, 0x001F,
+      0x0080, 0x0081, 0x0082, 0x0083, 0x0084, 0x000A, 0x0017, 0x001B,
+      0x0088, 0x0089, 0x008A, 0x008B, 0x008C, 0x0005, 0x0006, 0x0007,
+      0x0090, 0x0091, 0x0016, 0x0093, 0x0094, 0x0095, 0x0096, 0x0004,
+      0x0098, 0x0099, 0x009A, 0x009B, 0x0014, 0x0015, 0x009E, 0x001A,
+      0x0020, 0x00A0, 0x00E2, 0x00E4, 0x00E0, 0x00E1, 0x00E3, 0x00E5,
+      0x00E7, 0x00F1, 0x005B, 0x002E, 0x003C, 0x0028, 0x002B, 0x0021,
+      0x0026, 0x00E9, 0x00EA, 0x00EB, 0x00E8, 0x00ED, 0x00EE, 0x00EF,
+      0x00EC, 0x00DF, 0x005D, 0x0024, 0x002A, 0x0029, 0x003B, 0x005E,
+      0x002D, 0x002F, 0x00C2, 0x00C4, 0x00C0, 0x00C1, 0x00C3, 0x00C5,
+      0x00C7, 0x00D1, 0x00A6, 0x002C, 0x0025, 0x005F, 0x003E, 0x003F,
+      0x00F8, 0x00C9, 0x00CA, 0x00CB, 0x00C8, 0x00CD, 0x00CE, 0x00CF,
+      0x00CC, 0x0060, 0x003A, 0x0023, 0x0040, 0x0027, 0x003D, 0x0022,
+      0x00D8, 0x0061, 0x0062, 0x0063, 0x0064, 0x0065, 0x0066, 0x0067,
+      0x0068, 0x0069, 0x00AB, 0x00BB, 0x00F0, 0x00FD, 0x00FE, 0x00B1,
+      0x00B0, 0x006A, 0x006B, 0x006C, 0x006D, 0x006E, 0x006F, 0x0070,
+      0x0071, 0x0072, 0x00AA, 0x00BA, 0x00E6, 0x00B8, 0x00C6, 0x00A4,
+      0x00B5, 0x007E, 0x0073, 0x0074, 0x0075, 0x0076, 0x0077, 0x0078,
+      0x0079, 0x007A, 0x00A1, 0x00BF, 0x00D0, 0x00DD, 0x00DE, 0x00AE,
+      0x00A2, 0x00A3, 0x00A5, 0x00B7, 0x00A9, 0x00A7, 0x00B6, 0x00BC,
+      0x00BD, 0x00BE, 0x00AC, 0x007C, 0x00AF, 0x00A8, 0x00B4, 0x00D7,
+      0x007B, 0x0041, 0x0042, 0x0043, 0x0044, 0x0045, 0x0046, 0x0047,
+      0x0048, 0x0049, 0x00AD, 0x00F4, 0x00F6, 0x00F2, 0x00F3, 0x00F5,
+      0x007D, 0x004A, 0x004B, 0x004C, 0x004D, 0x004E, 0x004F, 0x0050,
+      0x0051, 0x0052, 0x00B9, 0x00FB, 0x00FC, 0x00F9, 0x00FA, 0x00FF,
+      0x005C, 0x00F7, 0x0053, 0x0054, 0x0055, 0x0056, 0x0057, 0x0058,
+      0x0059, 0x005A, 0x00B2, 0x00D4, 0x00D6, 0x00D2, 0x00D3, 0x00D5,
+      0x0030, 0x0031, 0x0032, 0x0033, 0x0034, 0x0035, 0x0036, 0x0037,
+      0x0038, 0x0039, 0x00B3, 0x00DB, 0x00DC, 0x00D9, 0x00DA, 0x009F
+    ]
+  },
+  {
+    name: 'cp437',
+    aliases: ['ibm437'],
+    table: [
+      0x00C7, 0x00FC, 0x00E9, 0x00E2, 0x00E4, 0x00E0, 0x00E5, 0x00E7,
+      0x00EA, 0x00EB, 0x00E8, 0x00EF, 0x00EE, 0x00EC, 0x00C4, 0x00C5,
+      0x00C9, 0x00E6, 0x00C6, 0x00F4, 0x00F6, 0x00F2, 0x00FB, 0x00F9,
+      0x00FF, 0x00D6, 0x00DC, 0x00A2, 0x00A3, 0x00A5, 0x20A7, 0x0192,
+      0x00E1, 0x00ED, 0x00F3, 0x00FA, 0x00F1, 0x00D1, 0x00AA, 0x00BA,
+      0x00BF, 0x2310, 0x00AC, 0x00BD, 0x00BC, 0x00A1, 0x00AB, 0x00BB,
+      0x2591, 0x2592, 0x2593, 0x2502, 0x2524, 0x2561, 0x2562, 0x2556,
+      0x2555, 0x2563, 0x2551, 0x2557, 0x255D, 0x255C, 0x255B, 0x2510,
+      0x2514, 0x2534, 0x252C, 0x251C, 0x2500, 0x253C, 0x255E, 0x255F,
+      0x255A, 0x2554, 0x2569, 0x2566, 0x2560, 0x2550, 0x256C, 0x2567,
+      0x2568, 0x2564, 0x2565, 0x2559, 0x2558, 0x2552, 0x2553, 0x256B,
+      0x256A, 0x2518, 0x250C, 0x2588, 0x2584, 0x258C, 0x2590, 0x2580,
+      0x03B1, 0x00DF, 0x0393, 0x03C0, 0x03A3, 0x03C3, 0x00B5, 0x03C4,
+      0x03A6, 0x0398, 0x03A9, 0x03B4, 0x221E, 0x03C6, 0x03B5, 0x2229,
+      0x2261, 0x00B1, 0x2265, 0x2264, 0x2320, 0x2321, 0x00F7, 0x2248,
+      0x00B0, 0x2219, 0x00B7, 0x221A, 0x207F, 0x00B2, 0x25A0, 0x00A0
+    ]
+  },
+  {
+    name: 'cp850',
+    aliases: ['ibm850'],
+    table: [
+      0x00C7, 0x00FC, 0x00E9, 0x00E2, 0x00E4, 0x00E0, 0x00E5, 0x00E7,
+      0x00EA, 0x00EB, 0x00E8, 0x00EF, 0x00EE, 0x00EC, 0x00C4, 0x00C5,
+      0x00C9, 0x00E6, 0x00C6, 0x00F4, 0x00F6, 0x00F2, 0x00FB, 0x00F9,
+      0x00FF, 0x00D6, 0x00DC, 0x00F8, 0x00A3, 0x00D8, 0x00D7, 0x0192,
+      0x00E1, 0x00ED, 0x00F3, 0x00FA, 0x00F1, 0x00D1, 0x00AA, 0x00BA,
+      0x00BF, 0x00AE, 0x00AC, 0x00BD, 0x00BC, 0x00A1, 0x00AB, 0x00BB,
+      0x2591, 0x2592, 0x2593, 0x2502, 0x2524, 0x00C1, 0x00C2, 0x00C0,
+      0x00A9, 0x2563, 0x2551, 0x2557, 0x255D, 0x00A2, 0x00A5, 0x2510,
+      0x2514, 0x2534, 0x252C, 0x251C, 0x2500, 0x253C, 0x00E3, 0x00C3,
+      0x255A, 0x2554, 0x2569, 0x2566, 0x2560, 0x2550, 0x256C, 0x00A4,
+      0x00F0, 0x00D0, 0x00CA, 0x00CB, 0x00C8, 0x0131, 0x00CD, 0x00CE,
+      0x00CF, 0x2518, 0x250C, 0x2588, 0x2584, 0x00A6, 0x00CC, 0x2580,
+      0x00D3, 0x00DF, 0x00D4, 0x00D2, 0x00F5, 0x00D5, 0x00B5, 0x00FE,
+      0x00DE, 0x00DA, 0x00DB, 0x00D9, 0x00FD, 0x00DD, 0x00AF, 0x00B4,
+      0x00AD, 0x00B1, 0x2017, 0x00BE, 0x00B6, 0x00A7, 0x00F7, 0x00B8,
+      0x00B0, 0x00A8, 0x00B7, 0x00B9, 0x00B3, 0x00B2, 0x25A0, 0x00A0
+    ]
+  },
+  {
+    name: 'cp852',
+    aliases: ['ibm852'],
+    table: [
+      0x00C7, 0x00FC, 0x00E9, 0x00E2, 0x00E4, 0x016F, 0x0107, 0x00E7,
+      0x0142, 0x00EB, 0x0150, 0x0151, 0x00EE, 0x0179, 0x00C4, 0x0106,
+      0x00C9, 0x0139, 0x013A, 0x00F4, 0x00F6, 0x013D, 0x013E, 0x015A,
+      0x015B, 0x00D6, 0x00DC, 0x0164, 0x0165, 0x0141, 0x00D7, 0x010D,
+      0x00E1, 0x00ED, 0x00F3, 0x00FA, 0x0104, 0x0105, 0x017D, 0x017E,
+      0x0118, 0x0119, 0x00AC, 0x017A, 0x010C, 0x015F, 0x00AB, 0x00BB,
+      0x2591, 0x2592, 0x2593, 0x2502, 0x2524, 0x00C1, 0x00C2, 0x011A,
+      0x015E, 0x2563, 0x2551, 0x2557, 0x255D, 0x017B, 0x017C, 0x2510,
+      0x2514, 0x2534, 0x252C, 0x251C, 0x2500, 0x253C, 0x0102, 0x0103,
+      0x255A, 0x2554, 0x2569, 0x2566, 0x2560, 0x2550, 0x256C, 0x00A4,
+      0x0111, 0x0110, 0x010E, 0x00CB, 0x010F, 0x0147, 0x00CD, 0x00CE,
+      0x011B, 0x2518, 0x250C, 0x2588, 0x2584, 0x0162, 0x016E, 0x2580,
+      0x00D3, 0x00DF, 0x00D4, 0x0143, 0x0144, 0x0148, 0x0160, 0x0161,
+      0x0154, 0x00DA, 0x0155, 0x0170, 0x00FD, 0x00DD, 0x0163, 0x00B4,
+      0x00AD, 0x02DD, 0x02DB, 0x02C7, 0x02D8, 0x00A7, 0x00F7, 0x00B8,
+      0x00B0, 0x00A8, 0x02D9, 0x0171, 0x0158, 0x0159, 0x25A0, 0x00A0
+    ]
+  },
+  {
+    name: 'windows-1250',
+    aliases: ['cp1250'],
+    table: [
+      0x20AC,   null, 0x201A,   null, 0x201E, 0x2026, 0x2020, 0x2021,
+      null,   0x2030, 0x0160, 0x2039, 0x015A, 0x0164, 0x017D, 0x0179,
+      null,   0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+      null,   0x2122, 0x0161, 0x203A, 0x015B, 0x0165, 0x017E, 0x017A,
+      0x00A0, 0x02C7, 0x02D8, 0x0141, 0x00A4, 0x0104, 0x00A6, 0x00A7,
+      0x00A8, 0x00A9, 0x015E, 0x00AB, 0x00AC, 0x00AD, 0x00AE, 0x017B,
+      0x00B0, 0x00B1, 0x02DB, 0x0142, 0x00B4, 0x00B5, 0x00B6, 0x00B7,
+      0x00B8, 0x0105, 0x015F, 0x00BB, 0x013D, 0x02DD, 0x013E, 0x017C,
+      0x0154, 0x00C1, 0x00C2, 0x0102, 0x00C4, 0x0139, 0x0106, 0x00C7,
+      0x010C, 0x00C9, 0x0118, 0x00CB, 0x011A, 0x00CD, 0x00CE, 0x010E,
+      0x0110, 0x0143, 0x0147, 0x00D3, 0x00D4, 0x0150, 0x00D6, 0x00D7,
+      0x0158, 0x016E, 0x00DA, 0x0170, 0x00DC, 0x00DD, 0x0162, 0x00DF,
+      0x0155, 0x00E1, 0x00E2, 0x0103, 0x00E4, 0x013A, 0x0107, 0x00E7,
+      0x010D, 0x00E9, 0x0119, 0x00EB, 0x011B, 0x00ED, 0x00EE, 0x010F,
+      0x0111, 0x0144, 0x0148, 0x00F3, 0x00F4, 0x0151, 0x00F6, 0x00F7,
+      0x0159, 0x016F, 0x00FA, 0x0171, 0x00FC, 0x00FD, 0x0163, 0x02D9
+    ]
+  },
+  {
+    name: 'windows-1251',
+    aliases: ['cp1251'],
+    table: [
+      0x0402, 0x0403, 0x201A, 0x0453, 0x201E, 0x2026, 0x2020, 0x2021,
+      0x20AC, 0x2030, 0x0409, 0x2039, 0x040A, 0x040C, 0x040B, 0x040F,
+      0x0452, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+      null,   0x2122, 0x0459, 0x203A, 0x045A, 0x045C, 0x045B, 0x045F,
+      0x00A0, 0x040E, 0x045E, 0x0408, 0x00A4, 0x0490, 0x00A6, 0x00A7,
+      0x0401, 0x00A9, 0x0404, 0x00AB, 0x00AC, 0x00AD, 0x00AE, 0x0407,
+      0x00B0, 0x00B1, 0x0406, 0x0456, 0x0491, 0x00B5, 0x00B6, 0x00B7,
+      0x0451, 0x2116, 0x0454, 0x00BB, 0x0458, 0x0405, 0x0455, 0x0457,
+      0x0410, 0x0411, 0x0412, 0x0413, 0x0414, 0x0415, 0x0416, 0x0417,
+      0x0418, 0x0419, 0x041A, 0x041B, 0x041C, 0x041D, 0x041E, 0x041F,
+      0x0420, 0x0421, 0x0422, 0x0423, 0x0424, 0x0425, 0x0426, 0x0427,
+      0x0428, 0x0429, 0x042A, 0x042B, 0x042C, 0x042D, 0x042E, 0x042F,
+      0x0430, 0x0431, 0x0432, 0x0433, 0x0434, 0x0435, 0x0436, 0x0437,
+      0x0438, 0x0439, 0x043A, 0x043B, 0x043C, 0x043D, 0x043E, 0x043F,
+      0x0440, 0x0441, 0x0442, 0x0443, 0x0444, 0x0445, 0x0446, 0x0447,
+      0x0448, 0x0449, 0x044A, 0x044B, 0x044C, 0x044D, 0x044E, 0x044F
+    ]
+  },
+  {
+    name: 'windows-1252',
+    aliases: ['cp1252'],
+    table: [
+      0x20AC,   null, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+      0x02C6, 0x2030, 0x0160, 0x2039, 0x0152,   null, 0x017D,   null,
+      null,   0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+      0x02DC, 0x2122, 0x0161, 0x203A, 0x0153,   null, 0x017E, 0x0178,
+      0x00A0, 0x00A1, 0x00A2, 0x00A3, 0x00A4, 0x00A5, 0x00A6, 0x00A7,
+      0x00A8, 0x00A9, 0x00AA, 0x00AB, 0x00AC, 0x00AD, 0x00AE, 0x00AF,
+      0x00B0, 0x00B1, 0x00B2, 0x00B3, 0x00B4, 0x00B5, 0x00B6, 0x00B7,
+      0x00B8, 0x00B9, 0x00BA, 0x00BB, 0x00BC, 0x00BD, 0x00BE, 0x00BF,
+      0x00C0, 0x00C1, 0x00C2, 0x00C3, 0x00C4, 0x00C5, 0x00C6, 0x00C7,
+      0x00C8, 0x00C9, 0x00CA, 0x00CB, 0x00CC, 0x00CD, 0x00CE, 0x00CF,
+      0x00D0, 0x00D1, 0x00D2, 0x00D3, 0x00D4, 0x00D5, 0x00D6, 0x00D7,
+      0x00D8, 0x00D9, 0x00DA, 0x00DB, 0x00DC, 0x00DD, 0x00DE, 0x00DF,
+      0x00E0, 0x00E1, 0x00E2, 0x00E3, 0x00E4, 0x00E5, 0x00E6, 0x00E7,
+      0x00E8, 0x00E9, 0x00EA, 0x00EB, 0x00EC, 0x00ED, 0x00EE, 0x00EF,
+      0x00F0, 0x00F1, 0x00F2, 0x00F3, 0x00F4, 0x00F5, 0x00F6, 0x00F7,
+      0x00F8, 0x00F9, 0x00FA, 0x00FB, 0x00FC, 0x00FD, 0x00FE, 0x00FF
+    ]
+  },
+  {
+    name: 'iso-8859-2',
+    aliases: ['latin2'],
+    table: [
+      0x0080, 0x0081, 0x0082, 0x0083, 0x0084, 0x0085, 0x0086, 0x0087,
+      0x0088, 0x0089, 0x008A, 0x008B, 0x008C, 0x008D, 0x008E, 0x008F,
+      0x0090, 0x0091, 0x0092, 0x0093, 0x0094, 0x0095, 0x0096, 0x0097,
+      0x0098, 0x0099, 0x009A, 0x009B, 0x009C, 0x009D, 0x009E, 0x009F,
+      0x00A0, 0x0104, 0x02D8, 0x0141, 0x00A4, 0x013D, 0x015A, 0x00A7,
+      0x00A8, 0x0160, 0x015E, 0x0164, 0x0179, 0x00AD, 0x017D, 0x017B,
+      0x00B0, 0x0105, 0x02DB, 0x0142, 0x00B4, 0x013E, 0x015B, 0x02C7,
+      0x00B8, 0x0161, 0x015F, 0x0165, 0x017A, 0x02DD, 0x017E, 0x017C,
+      0x0154, 0x00C1, 0x00C2, 0x0102, 0x00C4, 0x0139, 0x0106, 0x00C7,
+      0x010C, 0x00C9, 0x0118, 0x00CB, 0x011A, 0x00CD, 0x00CE, 0x010E,
+      0x0110, 0x0143, 0x0147, 0x00D3, 0x00D4, 0x0150, 0x00D6, 0x00D7,
+      0x0158, 0x016E, 0x00DA, 0x0170, 0x00DC, 0x00DD, 0x0162, 0x00DF,
+      0x0155, 0x00E1, 0x00E2, 0x0103, 0x00E4, 0x013A, 0x0107, 0x00E7,
+      0x010D, 0x00E9, 0x0119, 0x00EB, 0x011B, 0x00ED, 0x00EE, 0x010F,
+      0x0111, 0x0144, 0x0148, 0x00F3, 0x00F4, 0x0151, 0x00F6, 0x00F7,
+      0x0159, 0x016F, 0x00FA, 0x0171, 0x00FC, 0x00FD, 0x0163, 0x02D9
+    ]
+  },
+  {
+    name: 'iso-8859-15',
+    aliases: ['latin9'],
+    table: [
+      0x0080, 0x0081, 0x0082, 0x0083, 0x0084, 0x0085, 0x0086, 0x0087,
+      0x0088, 0x0089, 0x008A, 0x008B, 0x008C, 0x008D, 0x008E, 0x008F,
+      0x0090, 0x0091, 0x0092, 0x0093, 0x0094, 0x0095, 0x0096, 0x0097,
+      0x0098, 0x0099, 0x009A, 0x009B, 0x009C, 0x009D, 0x009E, 0x009F,
+      0x00A0, 0x00A1, 0x00A2, 0x00A3, 0x20AC, 0x00A5, 0x0160, 0x00A7,
+      0x0161, 0x00A9, 0x00AA, 0x00AB, 0x00AC, 0x00AD, 0x00AE, 0x00AF,
+      0x00B0, 0x00B1, 0x00B2, 0x00B3, 0x017D, 0x00B5, 0x00B6, 0x00B7,
+      0x017E, 0x00B9, 0x00BA, 0x00BB, 0x0152, 0x0153, 0x0178, 0x00BF,
+      0x00C0, 0x00C1, 0x00C2, 0x00C3, 0x00C4, 0x00C5, 0x00C6, 0x00C7,
+      0x00C8, 0x00C9, 0x00CA, 0x00CB, 0x00CC, 0x00CD, 0x00CE, 0x00CF,
+      0x00D0, 0x00D1, 0x00D2, 0x00D3, 0x00D4, 0x00D5, 0x00D6, 0x00D7,
+      0x00D8, 0x00D9, 0x00DA, 0x00DB, 0x00DC, 0x00DD, 0x00DE, 0x00DF,
+      0x00E0, 0x00E1, 0x00E2, 0x00E3, 0x00E4, 0x00E5, 0x00E6, 0x00E7,
+      0x00E8, 0x00E9, 0x00EA, 0x00EB, 0x00EC, 0x00ED, 0x00EE, 0x00EF,
+      0x00F0, 0x00F1, 0x00F2, 0x00F3, 0x00F4, 0x00F5, 0x00F6, 0x00F7,
+      0x00F8, 0x00F9, 0x00FA, 0x00FB, 0x00FC, 0x00FD, 0x00FE, 0x00FF
+    ]
+  }
+];
+
+BUILT_IN_CODE_PAGES.forEach(function(codePage)
+{
+  exports.register(codePage.name, codePage.table, codePage.aliases);
+});
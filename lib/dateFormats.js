@@ -0,0 +1,582 @@
+/*global BigInt:false*/
+
+'use strict';
+
+var helpers = require('./helpers');
+
+var resolveByteOrder = helpers.resolveByteOrder;
+var toBigEndian = helpers.toBigEndian;
+var fromBigEndian = helpers.fromBigEndian;
+var toUInt = helpers.toUInt;
+
+var MAX_DATE_TIME = 8640000000000000;
+var NTP_EPOCH_SECONDS = 2208988800;
+var NTP_ERA_SECONDS = 0x100000000;
+var FILETIME_EPOCH_MILLISECONDS = 11644473600000;
+var NANOSECONDS_PER_SECOND = 1000000000;
+
+/**
+ * @private
+ * @type {Object.<string, object>}
+ */
+var dateFormats = {
+  unix32: {
+    size: 4,
+    signed: false,
+    unit: 1000,
+    decode: decodeUnixTime,
+    encode: encodeUnixTime
+  },
+  unix64: {
+    size: 8,
+    signed: true,
+    unit: 1000,
+    decode: decodeUnixTime,
+    encode: encodeUnixTime
+  },
+  unix64ms: {
+    size: 8,
+    signed: true,
+    unit: 1,
+    decode: decodeUnixTime,
+    encode: encodeUnixTime
+  },
+  unix64ns: {
+    size: 8,
+    nanoseconds: true,
+    decode: decodeUnixNanoseconds,
+    encode: encodeUnixNanoseconds
+  },
+  ntp64: {
+    size: 8,
+    nanoseconds: false,
+    decode: decodeNtpTime,
+    encode: encodeNtpTime
+  },
+  ntp64ns: {
+    size: 8,
+    nanoseconds: true,
+    decode: decodeNtpTime,
+    encode: encodeNtpTime
+  },
+  filetime: {
+    size: 8,
+    nanoseconds: false,
+    decode: decodeFileTime,
+    encode: encodeFileTime
+  },
+  filetimens: {
+    size: 8,
+    nanoseconds: true,
+    decode: decodeFileTime,
+    encode: encodeFileTime
+  },
+  dos: {
+    size: 4,
+    decode: decodeDosDate,
+    encode: encodeDosDate
+  },
+  cp56time2a: {
+    size: 7,
+    byteOrder: 'BE',
+    decode: decodeCp56Time2a,
+    encode: encodeCp56Time2a
+  }
+};
+
+/**
+ * @private
+ * @param {string} format
+ * @returns {{size: number, decode: function, encode: function}}
+ * @throws {Error} If the specified format is not supported.
+ */
+exports.getDateFormat = function(format)
+{
+  if (!dateFormats.hasOwnProperty(format))
+  {
+    throw new Error("Unknown date format: " + format + ".");
+  }
+
+  return dateFormats[format];
+};
+
+/**
+ * @private
+ * @param {Array.<number>} byteArray
+ * @param {string} format
+ * @param {(boolean|string)} byteOrder
+ * @param {(boolean|string)} defaultByteOrder
+ * @returns {(Date|bigint)}
+ * @throws {Error} If the specified format is not supported.
+ * @throws {Error} If the bytes do not represent a valid date.
+ */
+exports.decodeDate = function(byteArray, format, byteOrder, defaultByteOrder)
+{
+  var dateFormat = exports.getDateFormat(format);
+
+  return dateFormat.decode(
+    toBigEndian(
+      byteArray,
+      resolveDateByteOrder(dateFormat, byteOrder, defaultByteOrder)
+    ),
+    dateFormat
+  );
+};
+
+/**
+ * @private
+ * @param {(Date|number|bigint)} date
+ * @param {string} format
+ * @param {(boolean|string)} byteOrder
+ * @param {(boolean|string)} defaultByteOrder
+ * @returns {Array.<number>}
+ * @throws {Error} If the specified format is not supported.
+ * @throws {Error} If the specified date is not valid.
+ * @throws {Error} If the specified date can not be represented in the format.
+ */
+exports.encodeDate = function(date, format, byteOrder, defaultByteOrder)
+{
+  var dateFormat = exports.getDateFormat(format);
+
+  return fromBigEndian(
+    dateFormat.encode(date, dateFormat, format),
+    resolveDateByteOrder(dateFormat, byteOrder, defaultByteOrder)
+  );
+};
+
+/**
+ * @private
+ * @param {{size: number, byteOrder: string}} dateFormat
+ * @param {(boolean|string)} byteOrder
+ * @param {(boolean|string)} defaultByteOrder
+ * @returns {(string|Array.<number>)}
+ */
+function resolveDateByteOrder(dateFormat, byteOrder, defaultByteOrder)
+{
+  if (dateFormat.byteOrder)
+  {
+    return dateFormat.byteOrder;
+  }
+
+  return resolveByteOrder(byteOrder, dateFormat.size, defaultByteOrder);
+}
+
+/**
+ * @private
+ * @param {Array.<number>} bytes
+ * @param {{signed: boolean, unit: number}} dateFormat
+ * @returns {Date}
+ * @throws {Error} If the timestamp is out of the range of dates.
+ */
+function decodeUnixTime(bytes, dateFormat)
+{
+  var value = toBigUInt(bytes);
+
+  if (dateFormat.signed)
+  {
+    value = BigInt.asIntN(64, value);
+  }
+
+  return toDate(Number(value) * dateFormat.unit);
+}
+
+/**
+ * @private
+ * @param {(Date|number)} date
+ * @param {{size: number, signed: boolean, unit: number}} dateFormat
+ * @param {string} format
+ * @returns {Array.<number>}
+ * @throws {Error} If the specified date is not valid.
+ * @throws {Error} If the specified date can not be represented in the format.
+ */
+function encodeUnixTime(date, dateFormat, format)
+{
+  /*jshint newcap:false*/
+
+  var value = Math.floor(toTime(date) / dateFormat.unit);
+
+  if (!dateFormat.signed)
+  {
+    checkRange(value, 0, Math.pow(2, dateFormat.size * 8) - 1, format);
+  }
+
+  return toBytes(BigInt(value), dateFormat.size);
+}
+
+/**
+ * @private
+ * @param {Array.<number>} bytes
+ * @returns {bigint}
+ */
+function decodeUnixNanoseconds(bytes)
+{
+  return BigInt.asIntN(64, toBigUInt(bytes));
+}
+
+/**
+ * @private
+ * @param {(Date|number|bigint)} date
+ * @param {{nanoseconds: boolean}} dateFormat
+ * @param {string} format
+ * @returns {Array.<number>}
+ * @throws {Error} If the specified date is not valid.
+ * @throws {Error} If the specified date can not be represented in the format.
+ */
+function encodeUnixNanoseconds(date, dateFormat, format)
+{
+  /*jshint newcap:false*/
+
+  var nanoseconds = toNanoseconds(date, dateFormat);
+  var max = (BigInt(1) << BigInt(63)) - BigInt(1);
+
+  checkRange(nanoseconds, -max - BigInt(1), max, format);
+
+  return toBytes(nanoseconds, 8);
+}
+
+/**
+ * @private
+ * @param {Array.<number>} bytes
+ * @param {{nanoseconds: boolean}} dateFormat
+ * @returns {(Date|bigint)} A date or a number of nanoseconds since 1970-01-01.
+ */
+function decodeNtpTime(bytes, dateFormat)
+{
+  /*jshint newcap:false*/
+
+  var seconds = toUInt(bytes.slice(0, 4));
+  var fraction = toUInt(bytes.slice(4, 8));
+
+  if (seconds < 0x80000000)
+  {
+    seconds += NTP_ERA_SECONDS;
+  }
+
+  if (dateFormat.nanoseconds)
+  {
+    var second = BigInt(NANOSECONDS_PER_SECOND);
+
+    return BigInt(seconds - NTP_EPOCH_SECONDS) * second
+      + (BigInt(fraction) * second >> BigInt(32));
+  }
+
+  return toDate(
+    (seconds - NTP_EPOCH_SECONDS) * 1000
+    + Math.floor(fraction * 1000 / NTP_ERA_SECONDS)
+  );
+}
+
+/**
+ * @private
+ * @param {(Date|number|bigint)} date
+ * @param {{nanoseconds: boolean}} dateFormat
+ * @param {string} format
+ * @returns {Array.<number>}
+ * @throws {Error} If the specified date is not valid.
+ * @throws {Error} If the specified date is not between 1968 and 2104.
+ */
+function encodeNtpTime(date, dateFormat, format)
+{
+  /*jshint newcap:false*/
+
+  var second = BigInt(NANOSECONDS_PER_SECOND);
+  var nanoseconds = toNanoseconds(date, dateFormat)
+    + BigInt(NTP_EPOCH_SECONDS) * second;
+
+  checkRange(
+    nanoseconds,
+    BigInt(0x80000000) * second,
+    BigInt(NTP_ERA_SECONDS + 0x80000000) * second - BigInt(1),
+    format
+  );
+
+  var seconds = nanoseconds / second;
+  // Rounded up, so that decoding the fraction (rounded down) is lossless
+  var fraction = ((nanoseconds % second << BigInt(32)) + second - BigInt(1))
+    / second;
+
+  return toBytes(
+    (seconds % BigInt(NTP_ERA_SECONDS) << BigInt(32)) + fraction, 8
+  );
+}
+
+/**
+ * @private
+ * @param {Array.<number>} bytes
+ * @param {{nanoseconds: boolean}} dateFormat
+ * @returns {(Date|bigint)} A date or a number of nanoseconds since 1970-01-01.
+ * @throws {Error} If the timestamp is out of the range of dates.
+ */
+function decodeFileTime(bytes, dateFormat)
+{
+  /*jshint newcap:false*/
+
+  var ticks = toBigUInt(bytes);
+
+  if (dateFormat.nanoseconds)
+  {
+    return ticks * BigInt(100)
+      - BigInt(FILETIME_EPOCH_MILLISECONDS) * BigInt(1000000);
+  }
+
+  return toDate(Number(ticks / BigInt(10000)) - FILETIME_EPOCH_MILLISECONDS);
+}
+
+/**
+ * @private
+ * @param {(Date|number|bigint)} date
+ * @param {{nanoseconds: boolean}} dateFormat
+ * @param {string} format
+ * @returns {Array.<number>}
+ * @throws {Error} If the specified date is not valid.
+ * @throws {Error} If the specified date is before 1601.
+ */
+function encodeFileTime(date, dateFormat, format)
+{
+  /*jshint newcap:false*/
+
+  var nanoseconds = toNanoseconds(date, dateFormat)
+    + BigInt(FILETIME_EPOCH_MILLISECONDS) * BigInt(1000000);
+
+  checkRange(
+    nanoseconds,
+    BigInt(0),
+    (BigInt(1) << BigInt(64)) * BigInt(100) - BigInt(1),
+    format
+  );
+
+  return toBytes(nanoseconds / BigInt(100), 8);
+}
+
+/**
+ * @private
+ * @param {Array.<number>} bytes
+ * @returns {Date}
+ * @throws {Error} If the bytes do not represent a valid DOS date and time.
+ */
+function decodeDosDate(bytes)
+{
+  var date = toUInt(bytes.slice(0, 2));
+  var time = toUInt(bytes.slice(2, 4));
+  var fields = [
+    (date >> 9) + 1980,
+    ((date >> 5) & 0x0F) - 1,
+    date & 0x1F,
+    time >> 11,
+    (time >> 5) & 0x3F,
+    (time & 0x1F) * 2
+  ];
+
+  if (fields[1] < 0 || fields[1] > 11 || fields[2] === 0
+    || fields[2] > getDaysInMonth(fields[0], fields[1])
+    || fields[3] > 23 || fields[4] > 59 || fields[5] > 59)
+  {
+    throw new Error("Invalid DOS date and time.");
+  }
+
+  return new Date(Date.UTC.apply(Date, fields));
+}
+
+/**
+ * @private
+ * @param {(Date|number)} value
+ * @param {object} dateFormat
+ * @param {string} format
+ * @returns {Array.<number>}
+ * @throws {Error} If the specified date is not valid.
+ * @throws {Error} If the specified date is not between 1980 and 2107.
+ */
+function encodeDosDate(value, dateFormat, format)
+{
+  var date = new Date(toTime(value));
+
+  checkRange(date.getUTCFullYear(), 1980, 2107, format);
+
+  var dateWord = ((date.getUTCFullYear() - 1980) << 9)
+    | ((date.getUTCMonth() + 1) << 5)
+    | date.getUTCDate();
+  var timeWord = (date.getUTCHours() << 11)
+    | (date.getUTCMinutes() << 5)
+    | (date.getUTCSeconds() >> 1);
+
+  return [dateWord >> 8, dateWord & 0xFF, timeWord >> 8, timeWord & 0xFF];
+}
+
+/**
+ * @private
+ * @param {Array.<number>} bytes
+ * @returns {Date}
+ * @throws {Error} If the bytes do not represent a valid CP56Time2a time.
+ */
+function decodeCp56Time2a(bytes)
+{
+  var milliseconds = bytes[0] + bytes[1] * 0x100;
+  var minutes = bytes[2] & 0x3F;
+  var hours = bytes[3] & 0x1F;
+  var day = bytes[4] & 0x1F;
+  var month = bytes[5] & 0x0F;
+  var year = 2000 + (bytes[6] & 0x7F);
+
+  if (milliseconds > 59999 || minutes > 59 || hours > 23
+    || day === 0 || month === 0 || month > 12
+    || day > getDaysInMonth(year, month - 1))
+  {
+    throw new Error("Invalid CP56Time2a time.");
+  }
+
+  return new Date(Date.UTC(
+    year, month - 1, day, hours, minutes, 0, milliseconds
+  ));
+}
+
+/**
+ * @private
+ * @param {(Date|number)} value
+ * @param {object} dateFormat
+ * @param {string} format
+ * @returns {Array.<number>}
+ * @throws {Error} If the specified date is not valid.
+ * @throws {Error} If the specified date is not between 2000 and 2099.
+ */
+function encodeCp56Time2a(value, dateFormat, format)
+{
+  var date = new Date(toTime(value));
+
+  checkRange(date.getUTCFullYear(), 2000, 2099, format);
+
+  var milliseconds = date.getUTCSeconds() * 1000 + date.getUTCMilliseconds();
+  var dayOfWeek = date.getUTCDay() || 7;
+
+  return [
+    milliseconds & 0xFF,
+    milliseconds >> 8,
+    date.getUTCMinutes(),
+    date.getUTCHours(),
+    (dayOfWeek << 5) | date.getUTCDate(),
+    date.getUTCMonth() + 1,
+    date.getUTCFullYear() - 2000
+  ];
+}
+
+/**
+ * @private
+ * @param {(Date|number)} date
+ * @returns {number}
+ * @throws {Error} If the specified value is not a valid date.
+ */
+function toTime(date)
+{
+  var time = date instanceof Date ? date.getTime() : date;
+
+  if (typeof time !== 'number' || isNaN(time)
+    || Math.abs(time) > MAX_DATE_TIME)
+  {
+    throw new Error('Expected a valid date.');
+  }
+
+  return Math.floor(time);
+}
+
+/**
+ * @private
+ * @param {(Date|number|bigint)} date
+ * @param {{nanoseconds: boolean}} dateFormat
+ * @returns {bigint} A number of nanoseconds since 1970-01-01.
+ * @throws {Error} If the specified value is not a valid date.
+ */
+function toNanoseconds(date, dateFormat)
+{
+  /*jshint newcap:false*/
+
+  return dateFormat.nanoseconds && typeof date === 'bigint'
+    ? date
+    : BigInt(toTime(date)) * BigInt(1000000);
+}
+
+/**
+ * @private
+ * @param {number} time
+ * @returns {Date}
+ * @throws {Error} If the specified time is out of the range of dates.
+ */
+function toDate(time)
+{
+  if (Math.abs(time) > MAX_DATE_TIME)
+  {
+    throw new Error("The timestamp is out of the range of dates.");
+  }
+
+  return new Date(time);
+}
+
+/**
+ * @private
+ * @param {Array.<number>} bigEndianArray
+ * @returns {bigint}
+ */
+function toBigUInt(bigEndianArray)
+{
+  /*jshint newcap:false*/
+
+  var value = BigInt(0);
+
+  for (var i = 0; i < bigEndianArray.length; ++i)
+  {
+    value = (value << BigInt(8)) + BigInt(bigEndianArray[i]);
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ * @param {bigint} value
+ * @param {number} size
+ * @returns {Array.<number>}
+ */
+function toBytes(value, size)
+{
+  /*jshint newcap:false*/
+
+  var bytes = [];
+
+  value = BigInt.asUintN(size * 8, value);
+
+  for (var i = 0; i < size; ++i)
+  {
+    bytes.unshift(Number(value & BigInt(0xFF)));
+
+    value >>= BigInt(8);
+  }
+
+  return bytes;
+}
+
+/**
+ * @private
+ * @param {(number|bigint)} value
+ * @param {(number|bigint)} min
+ * @param {(number|bigint)} max
+ * @param {string} format
+ * @throws {Error} If the specified value is not between min and max.
+ */
+function checkRange(value, min, max, format)
+{
+  if (value < min || value > max)
+  {
+    throw new Error(
+      'The date can not be represented in the ' + format + ' format.'
+    );
+  }
+}
+
+/**
+ * @private
+ * @param {number} year
+ * @param {number} month A zero-based month.
+ * @returns {number} A number of days in the specified month.
+ */
+function getDaysInMonth(year, month)
+{
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
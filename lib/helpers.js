@@ -1,13 +1,19 @@
+/*global BigInt:false*/
+
 'use strict';
 
+var codePages = require('./codePages');
+
 /**
  * @private
  * @param {Array.<number>} byteArray
  * @param {number} bitCount
+ * @param {string} [bitOrder]
  * @returns {Array.<boolean>}
  */
-exports.toBits = function(byteArray, bitCount)
+exports.toBits = function(byteArray, bitCount, bitOrder)
 {
+  var msbFirst = bitOrder === 'MSB';
   var bitArray = [];
   var byteCount = byteArray.length;
 
@@ -22,9 +28,1899 @@ exports.toBits = function(byteArray, bitCount)
         break;
       }
 
-      bitArray.push(Boolean(byteValue & Math.pow(2, bitIndex)));
+      bitArray.push(
+        Boolean(byteValue & Math.pow(2, msbFirst ? 7 - bitIndex : bitIndex))
+      );
     }
   }
 
   return bitArray;
 };
+
+/**
+ * @private
+ * @param {string} [bitOrder]
+ * @param {string} defaultBitOrder
+ * @returns {string} `LSB` or `MSB`.
+ * @throws {Error}
+ */
+exports.parseBitOrder = function(bitOrder, defaultBitOrder)
+{
+  if (bitOrder === undefined || bitOrder === null)
+  {
+    bitOrder = defaultBitOrder;
+  }
+
+  var upperCaseBitOrder = String(bitOrder).toUpperCase();
+
+  if (upperCaseBitOrder !== 'LSB' && upperCaseBitOrder !== 'MSB')
+  {
+    throw new Error("Unknown bit order: " + bitOrder + ".");
+  }
+
+  return upperCaseBitOrder;
+};
+
+/**
+ * @private
+ * @param {{value: number, count: number}} bitStash
+ * @param {number} width
+ * @param {number} byteCount
+ * @param {function(): number} shiftByte
+ * @returns {bigint|number}
+ * @throws {Error}
+ */
+exports.shiftBitField = function(bitStash, width, byteCount, shiftByte)
+{
+  /*jshint newcap:false*/
+
+  width = parseInt(width, 10);
+
+  if (isNaN(width) || width < 1 || width > bitStash.count + byteCount * 8)
+  {
+    throw new Error(
+      "The bit count must be a number greater than 0 and less than " +
+      "or equal to the number of remaining bits."
+    );
+  }
+
+  var bigInt = width > 32;
+  var value = bigInt ? BigInt(0) : 0;
+
+  while (width > 0)
+  {
+    if (bitStash.count === 0)
+    {
+      bitStash.value = shiftByte();
+      bitStash.count = 8;
+    }
+
+    var bitCount = Math.min(width, bitStash.count);
+    var bits = (bitStash.value >> (bitStash.count - bitCount))
+      & ((1 << bitCount) - 1);
+
+    bitStash.count -= bitCount;
+    width -= bitCount;
+
+    value = bigInt
+      ? (value << BigInt(bitCount)) + BigInt(bits)
+      : value * (1 << bitCount) + bits;
+  }
+
+  return value;
+};
+
+/**
+ * @private
+ * @param {number} high
+ * @param {number} low
+ * @param {boolean} signed
+ * @param {boolean} [safeNumber]
+ * @returns {bigint|number}
+ */
+exports.toInt64 = function(high, low, signed, safeNumber)
+{
+  /*jshint newcap:false*/
+
+  if (safeNumber)
+  {
+    var highValue = signed && high & 0x80000000 ? high - 0x100000000 : high;
+    var numberValue = highValue * 0x100000000 + low;
+
+    if (Number.isSafeInteger(numberValue))
+    {
+      return numberValue;
+    }
+  }
+
+  var value = (BigInt(high) << BigInt(32)) + BigInt(low);
+
+  return signed ? BigInt.asIntN(64, value) : value;
+};
+
+/**
+ * @private
+ * @param {bigint} value
+ * @returns {Array.<number>}
+ */
+exports.toUInt32Pair = function(value)
+{
+  /*jshint newcap:false*/
+
+  value = BigInt.asUintN(64, value);
+
+  return [
+    Number(value >> BigInt(32)),
+    Number(value & BigInt(0xFFFFFFFF))
+  ];
+};
+
+/**
+ * @private
+ * @param {number} byteCount
+ * @returns {number}
+ * @throws {Error}
+ */
+exports.parseByteCount = function(byteCount)
+{
+  byteCount = parseInt(byteCount, 10);
+
+  if (isNaN(byteCount) || byteCount < 1 || byteCount > 6)
+  {
+    throw new Error("The byte count must be a number between 1 and 6.");
+  }
+
+  return byteCount;
+};
+
+/**
+ * @private
+ * @param {number} uIntN
+ * @param {number} byteCount
+ * @returns {number}
+ */
+exports.toIntN = function(uIntN, byteCount)
+{
+  var range = Math.pow(2, byteCount * 8);
+
+  return uIntN >= range / 2 ? uIntN - range : uIntN;
+};
+
+/**
+ * @private
+ * @param {function(number): number} readByte
+ * @param {number} byteCount
+ * @param {boolean} signed
+ * @returns {?{value: (bigint|number), length: number}} `NULL` if the last
+ * available byte has the continuation bit set.
+ * @throws {Error} If the integer is longer than 10 bytes or does not fit
+ * in 64 bits.
+ */
+exports.decodeVarInt = function(readByte, byteCount, signed)
+{
+  var byteArray = [];
+
+  if (byteCount > MAX_VARINT_LENGTH)
+  {
+    byteCount = MAX_VARINT_LENGTH;
+  }
+
+  for (var i = 0; i < byteCount; ++i)
+  {
+    var byteValue = readByte(i);
+
+    byteArray.push(byteValue);
+
+    if (byteValue < 0x80)
+    {
+      if (i === MAX_VARINT_LENGTH - 1
+        && byteValue !== 0x00
+        && byteValue !== (signed ? 0x7F : 0x01))
+      {
+        throw new Error(
+          "The variable-length integer does not fit in 64 bits."
+        );
+      }
+
+      return {
+        value: toVarIntValue(byteArray, signed),
+        length: byteArray.length
+      };
+    }
+  }
+
+  if (byteCount === MAX_VARINT_LENGTH)
+  {
+    throw new Error(
+      "The variable-length integer is longer than "
+      + MAX_VARINT_LENGTH + " bytes."
+    );
+  }
+
+  return null;
+};
+
+/**
+ * The maximum length of a LEB128 encoded 64 bit integer.
+ *
+ * @private
+ * @type {number}
+ */
+var MAX_VARINT_LENGTH = 10;
+
+/**
+ * @private
+ * @param {bigint} value
+ * @param {boolean} signed
+ * @returns {Array.<number>}
+ */
+exports.encodeVarInt = function(value, signed)
+{
+  /*jshint newcap:false*/
+
+  var byteArray = [];
+  var more = true;
+
+  while (more)
+  {
+    var byteValue = Number(value & BigInt(0x7F));
+
+    value >>= BigInt(7);
+
+    if (signed)
+    {
+      more = byteValue & 0x40 ? value !== BigInt(-1) : value !== BigInt(0);
+    }
+    else
+    {
+      more = value !== BigInt(0);
+    }
+
+    byteArray.push(more ? byteValue | 0x80 : byteValue);
+  }
+
+  return byteArray;
+};
+
+/**
+ * @private
+ * @param {number} uInt16
+ * @returns {number}
+ */
+exports.toFloat16 = function(uInt16)
+{
+  var sign = uInt16 & 0x8000 ? -1 : 1;
+  var exponent = (uInt16 >> 10) & 0x1F;
+  var fraction = uInt16 & 0x3FF;
+
+  if (exponent === 0)
+  {
+    return sign * fraction * Math.pow(2, -24);
+  }
+
+  if (exponent === 0x1F)
+  {
+    return fraction === 0 ? sign * Infinity : NaN;
+  }
+
+  return sign * (1 + fraction / 1024) * Math.pow(2, exponent - 15);
+};
+
+/**
+ * @private
+ * @param {number} value
+ * @returns {number}
+ */
+exports.fromFloat16 = function(value)
+{
+  if (isNaN(value))
+  {
+    return 0x7E00;
+  }
+
+  var sign = value < 0 || (value === 0 && 1 / value < 0) ? 0x8000 : 0;
+  var absValue = Math.abs(value);
+
+  if (absValue === Infinity)
+  {
+    return sign | 0x7C00;
+  }
+
+  if (absValue < Math.pow(2, -14))
+  {
+    return sign | roundHalfToEven(absValue * Math.pow(2, 24));
+  }
+
+  var exponent = Math.floor(Math.log(absValue) / Math.LN2);
+
+  if (Math.pow(2, exponent) > absValue)
+  {
+    exponent -= 1;
+  }
+  else if (Math.pow(2, exponent + 1) <= absValue)
+  {
+    exponent += 1;
+  }
+
+  var fraction = roundHalfToEven(
+    (absValue / Math.pow(2, exponent) - 1) * 1024
+  );
+
+  // A rounded up fraction of 1024 carries over into the exponent.
+  return sign | Math.min(((exponent + 15) << 10) + fraction, 0x7C00);
+};
+
+/**
+ * @private
+ * @param {number} integerBits
+ * @param {number} fractionBits
+ * @returns {number} A number of bytes.
+ * @throws {Error}
+ */
+exports.parseFixedFormat = function(integerBits, fractionBits)
+{
+  integerBits = parseInt(integerBits, 10);
+  fractionBits = parseInt(fractionBits, 10);
+
+  var bitCount = integerBits + fractionBits;
+
+  if (isNaN(bitCount) || integerBits < 0 || fractionBits < 0
+    || bitCount % 8 !== 0 || bitCount < 8 || bitCount > 48)
+  {
+    throw new Error(
+      "The integer and fraction bits must be numbers greater than " +
+      "or equal to 0 adding up to 8, 16, 24, 32, 40 or 48."
+    );
+  }
+
+  return bitCount / 8;
+};
+
+/**
+ * @private
+ * @param {number} byteCount
+ * @returns {number}
+ * @throws {Error}
+ */
+exports.parseBcdByteCount = function(byteCount)
+{
+  byteCount = parseInt(byteCount, 10);
+
+  if (isNaN(byteCount) || byteCount < 1 || byteCount > 7)
+  {
+    throw new Error("The byte count must be a number between 1 and 7.");
+  }
+
+  return byteCount;
+};
+
+/**
+ * @private
+ * @param {Array.<number>} byteArray
+ * @returns {number}
+ * @throws {Error}
+ */
+exports.decodeBcd = function(byteArray)
+{
+  var value = 0;
+
+  for (var i = 0; i < byteArray.length; ++i)
+  {
+    var high = byteArray[i] >> 4;
+    var low = byteArray[i] & 0x0F;
+
+    if (high > 9 || low > 9)
+    {
+      throw new Error(
+        "Invalid packed BCD byte 0x" + hex(byteArray[i]) +
+        " at index " + i + "."
+      );
+    }
+
+    value = value * 100 + high * 10 + low;
+  }
+
+  return value;
+};
+
+/**
+ * @private
+ * @param {number} [radix]
+ * @returns {number}
+ * @throws {Error}
+ */
+exports.parseRadix = function(radix)
+{
+  radix = radix === undefined || radix === null ? 10 : parseInt(radix, 10);
+
+  if (isNaN(radix) || radix < 2 || radix > 36)
+  {
+    throw new Error("The radix must be a number between 2 and 36.");
+  }
+
+  return radix;
+};
+
+/**
+ * @private
+ * @param {string} stringValue
+ * @param {number} radix
+ * @param {string} [padChar]
+ * @returns {number}
+ * @throws {Error}
+ */
+exports.parseAsciiNumber = function(stringValue, radix, padChar)
+{
+  var digits = stringValue.trim();
+
+  if (typeof padChar === 'string' && padChar.length === 1)
+  {
+    while (digits.charAt(0) === padChar)
+    {
+      digits = digits.substr(1);
+    }
+  }
+
+  var sign = digits.charAt(0) === '-' ? -1 : 1;
+
+  if (digits.charAt(0) === '-' || digits.charAt(0) === '+')
+  {
+    digits = digits.substr(1);
+  }
+
+  if (digits === '' && padChar === '0')
+  {
+    digits = '0';
+  }
+
+  var valid = digits.length > 0 && digits.split('').every(function(digit)
+  {
+    return !isNaN(parseInt(digit, radix));
+  });
+  var value = valid ? sign * parseInt(digits, radix) : NaN;
+
+  if (!Number.isSafeInteger(value))
+  {
+    throw new Error(
+      "Expected a base " + radix + " integer in the ASCII number field: " +
+      JSON.stringify(stringValue) + "."
+    );
+  }
+
+  return value;
+};
+
+/**
+ * @private
+ * @param {string} [layout]
+ * @returns {string}
+ * @throws {Error}
+ */
+exports.parseUuidLayout = function(layout)
+{
+  if (layout === undefined || layout === null)
+  {
+    return 'rfc4122';
+  }
+
+  var lowerCaseLayout = String(layout).toLowerCase();
+
+  if (lowerCaseLayout !== 'rfc4122' && lowerCaseLayout !== 'guid')
+  {
+    throw new Error("Unknown UUID layout: " + layout + ".");
+  }
+
+  return lowerCaseLayout;
+};
+
+/**
+ * @private
+ * @param {Array.<number>} byteArray
+ * @param {string} layout
+ * @returns {string}
+ */
+exports.formatUuid = function(byteArray, layout)
+{
+  var hexString = orderUuidBytes(byteArray, layout)
+    .map(function(byteValue) { return hex(byteValue).toLowerCase(); })
+    .join('');
+
+  return hexString.substr(0, 8) + '-'
+    + hexString.substr(8, 4) + '-'
+    + hexString.substr(12, 4) + '-'
+    + hexString.substr(16, 4) + '-'
+    + hexString.substr(20);
+};
+
+/**
+ * @private
+ * @param {string} uuid
+ * @param {string} layout
+ * @returns {Array.<number>}
+ * @throws {Error}
+ */
+exports.parseUuid = function(uuid, layout)
+{
+  var matches = typeof uuid === 'string'
+    ? uuid.match(UUID_REGEXP)
+    : null;
+
+  if (matches === null || (matches[1] === '{') !== (matches[3] === '}'))
+  {
+    throw new Error(
+      'Expected a UUID string in the xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx form.'
+    );
+  }
+
+  var hexString = matches[2].replace(/-/g, '');
+  var byteArray = [];
+
+  for (var i = 0; i < 32; i += 2)
+  {
+    byteArray.push(parseInt(hexString.substr(i, 2), 16));
+  }
+
+  return orderUuidBytes(byteArray, layout);
+};
+
+/**
+ * @private
+ * @type {RegExp}
+ */
+var UUID_REGEXP =
+  /^(\{?)([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(\}?)$/i;
+
+/**
+ * Positions of the RFC 4122 bytes in the Microsoft GUID layout, in which
+ * the first three fields are stored in little endian.
+ *
+ * @private
+ * @type {Array.<number>}
+ */
+var GUID_BYTE_ORDER = [3, 2, 1, 0, 5, 4, 7, 6, 8, 9, 10, 11, 12, 13, 14, 15];
+
+/**
+ * @private
+ * @param {Array.<number>} byteArray
+ * @returns {string}
+ */
+exports.formatIPv4 = function(byteArray)
+{
+  return Array.prototype.join.call(byteArray, '.');
+};
+
+/**
+ * @private
+ * @param {string} address
+ * @returns {Array.<number>}
+ * @throws {Error}
+ */
+exports.parseIPv4 = function(address)
+{
+  var byteArray = typeof address === 'string' ? parseIPv4Parts(address) : null;
+
+  if (byteArray === null)
+  {
+    throw new Error('Expected an IPv4 address in the dotted-decimal form.');
+  }
+
+  return byteArray;
+};
+
+/**
+ * Formats the address as recommended by RFC 5952: lower case hexadecimal
+ * groups without leading zeros, the longest run of zero groups compressed
+ * to `::` and IPv4-mapped addresses ending with the dotted-decimal form.
+ *
+ * @private
+ * @param {Array.<number>} byteArray
+ * @returns {string}
+ */
+exports.formatIPv6 = function(byteArray)
+{
+  var groups = [];
+
+  for (var i = 0; i < 16; i += 2)
+  {
+    groups.push(byteArray[i] * 0x100 + byteArray[i + 1]);
+  }
+
+  var mapped = groups.slice(0, 5).every(function(group) { return group === 0; })
+    && groups[5] === 0xFFFF;
+
+  if (mapped)
+  {
+    return '::ffff:' + exports.formatIPv4(byteArray.slice(12, 16));
+  }
+
+  var run = findLongestZeroRun(groups);
+  var hexGroups = groups.map(function(group) { return group.toString(16); });
+
+  if (run.length < 2)
+  {
+    return hexGroups.join(':');
+  }
+
+  return hexGroups.slice(0, run.start).join(':')
+    + '::'
+    + hexGroups.slice(run.start + run.length).join(':');
+};
+
+/**
+ * @private
+ * @param {string} address
+ * @returns {Array.<number>}
+ * @throws {Error}
+ */
+exports.parseIPv6 = function(address)
+{
+  var groups = typeof address === 'string' ? parseIPv6Groups(address) : null;
+
+  if (groups === null)
+  {
+    throw new Error('Expected an IPv6 address.');
+  }
+
+  var byteArray = [];
+
+  groups.forEach(function(group)
+  {
+    byteArray.push(group >> 8, group & 0xFF);
+  });
+
+  return byteArray;
+};
+
+/**
+ * @private
+ * @param {Array.<number>} byteArray
+ * @returns {string}
+ */
+exports.formatMac = function(byteArray)
+{
+  return Array.prototype.map.call(byteArray, function(byteValue)
+  {
+    return hex(byteValue).toLowerCase();
+  }).join(':');
+};
+
+/**
+ * @private
+ * @param {string} address
+ * @returns {Array.<number>}
+ * @throws {Error}
+ */
+exports.parseMac = function(address)
+{
+  if (typeof address !== 'string' || !MAC_REGEXP.test(address))
+  {
+    throw new Error('Expected a MAC address in the xx:xx:xx:xx:xx:xx form.');
+  }
+
+  return address.split(/[:\-]/).map(function(hexByte)
+  {
+    return parseInt(hexByte, 16);
+  });
+};
+
+/**
+ * @private
+ * @type {RegExp}
+ */
+var MAC_REGEXP = /^[0-9a-f]{2}([:\-])[0-9a-f]{2}(\1[0-9a-f]{2}){4}$/i;
+
+/**
+ * @private
+ * @param {string} type
+ * @returns {function(new:ArrayBufferView, ...*)}
+ * @throws {Error}
+ */
+exports.getTypedArrayConstructor = function(type)
+{
+  if (!TYPED_ARRAY_CONSTRUCTORS.hasOwnProperty(type))
+  {
+    throw new Error("Unknown typed array type: " + type + ".");
+  }
+
+  return TYPED_ARRAY_CONSTRUCTORS[type];
+};
+
+/**
+ * @private
+ * @param {ArrayBufferView} typedArray
+ * @returns {?string}
+ */
+exports.getTypedArrayType = function(typedArray)
+{
+  for (var type in TYPED_ARRAY_CONSTRUCTORS)
+  {
+    if (TYPED_ARRAY_CONSTRUCTORS.hasOwnProperty(type)
+      && typedArray instanceof TYPED_ARRAY_CONSTRUCTORS[type])
+    {
+      return type;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Reinterprets the specified bytes as elements of the specified typed array
+ * type. The bytes are reordered in place.
+ *
+ * @private
+ * @param {Uint8Array} byteArray A byte array, whose length is a multiple of
+ * the element size, not sharing its memory with anything else.
+ * @param {string} type
+ * @param {(string|Array.<number>)} order
+ * @returns {ArrayBufferView}
+ */
+exports.toTypedArray = function(byteArray, type, order)
+{
+  var TypedArray = exports.getTypedArrayConstructor(type);
+  var size = TypedArray.BYTES_PER_ELEMENT;
+
+  reorderElements(byteArray, size, order, true);
+
+  return new TypedArray(
+    byteArray.buffer, byteArray.byteOffset, byteArray.length / size
+  );
+};
+
+/**
+ * Returns a copy of the specified typed array's bytes with each element
+ * stored in the specified byte order.
+ *
+ * @private
+ * @param {ArrayBufferView} typedArray
+ * @param {(string|Array.<number>)} order
+ * @returns {Buffer}
+ */
+exports.fromTypedArray = function(typedArray, order)
+{
+  var byteArray = new Uint8Array(typedArray.byteLength);
+
+  byteArray.set(new Uint8Array(
+    typedArray.buffer, typedArray.byteOffset, typedArray.byteLength
+  ));
+
+  reorderElements(byteArray, typedArray.BYTES_PER_ELEMENT, order, false);
+
+  return new Buffer(byteArray.buffer);
+};
+
+/**
+ * @private
+ * @type {Object.<string, function(new:ArrayBufferView, ...*)>}
+ */
+var TYPED_ARRAY_CONSTRUCTORS = {
+  Int8: Int8Array,
+  UInt8: Uint8Array,
+  Int16: Int16Array,
+  UInt16: Uint16Array,
+  Int32: Int32Array,
+  UInt32: Uint32Array,
+  Float32: Float32Array,
+  Float64: Float64Array
+};
+
+/**
+ * @private
+ * @type {string}
+ */
+var HOST_BYTE_ORDER =
+  new Uint8Array(new Uint16Array([1]).buffer)[0] === 1 ? 'LE' : 'BE';
+
+/**
+ * @private
+ * @param {string} [prefixType]
+ * @returns {{type: string, size: number, byteOrder: ?string, max: number}}
+ * The prefix's number type, its size in bytes (0 if variable), its fixed byte
+ * order (if any) and the greatest length it can store.
+ * @throws {Error}
+ */
+exports.parsePrefixType = function(prefixType)
+{
+  if (prefixType === undefined || prefixType === null)
+  {
+    return PREFIX_TYPES.uint8;
+  }
+
+  var key = String(prefixType).toLowerCase();
+
+  if (!PREFIX_TYPES.hasOwnProperty(key))
+  {
+    throw new Error("Unknown length prefix type: " + prefixType + ".");
+  }
+
+  return PREFIX_TYPES[key];
+};
+
+/**
+ * @private
+ * @type {Object.<string, object>}
+ */
+var PREFIX_TYPES = {
+  uint8: {type: 'UInt8', size: 1, byteOrder: null, max: 0xFF},
+  uint16: {type: 'UInt16', size: 2, byteOrder: null, max: 0xFFFF},
+  uint16be: {type: 'UInt16', size: 2, byteOrder: 'BE', max: 0xFFFF},
+  uint16le: {type: 'UInt16', size: 2, byteOrder: 'LE', max: 0xFFFF},
+  uint32: {type: 'UInt32', size: 4, byteOrder: null, max: 0xFFFFFFFF},
+  uint32be: {type: 'UInt32', size: 4, byteOrder: 'BE', max: 0xFFFFFFFF},
+  uint32le: {type: 'UInt32', size: 4, byteOrder: 'LE', max: 0xFFFFFFFF},
+  varuint: {
+    type: 'VarUInt',
+    size: 0,
+    byteOrder: null,
+    max: Number.MAX_SAFE_INTEGER
+  }
+};
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {string} [encoding] A `Buffer` encoding or a code page name.
+ * @returns {string}
+ * @throws {Error}
+ */
+exports.decodeString = function(buffer, encoding)
+{
+  return codePages.has(encoding)
+    ? codePages.decode(buffer, encoding)
+    : buffer.toString(encoding || 'utf8');
+};
+
+/**
+ * @private
+ * @param {string} stringValue
+ * @param {string} [encoding] A `Buffer` encoding or a code page name.
+ * @param {string} unmappable
+ * @returns {Buffer}
+ * @throws {Error}
+ */
+exports.encodeString = function(stringValue, encoding, unmappable)
+{
+  return codePages.has(encoding)
+    ? codePages.encode(stringValue, encoding, unmappable)
+    : new Buffer(stringValue, encoding || 'utf8');
+};
+
+/**
+ * @private
+ * @param {string} [encoding]
+ * @returns {boolean} Whether the specified encoding stores characters in
+ * two-byte UTF-16 code units.
+ */
+exports.isUtf16Encoding = function(encoding)
+{
+  return (/^(ucs-?2|utf-?16le)$/i).test(encoding || '');
+};
+
+/**
+ * @private
+ * @param {(string|Buffer|Array.<number>)} [terminator]
+ * @param {string} [encoding]
+ * @returns {{bytes: Array.<number>, alignment: number}} The terminator's bytes
+ * and the alignment of its position relative to the string's start.
+ * @throws {Error}
+ */
+exports.parseTerminator = function(terminator, encoding)
+{
+  var alignment = exports.isUtf16Encoding(encoding) ? 2 : 1;
+
+  if (terminator === undefined || terminator === null)
+  {
+    return {
+      bytes: alignment === 2 ? [0x00, 0x00] : [0x00],
+      alignment: alignment
+    };
+  }
+
+  if (typeof terminator === 'string')
+  {
+    terminator = exports.encodeString(terminator, encoding, 'throw');
+  }
+
+  if (Buffer.isBuffer(terminator))
+  {
+    terminator = Array.prototype.slice.call(terminator);
+  }
+
+  if (!Array.isArray(terminator) || terminator.length === 0
+    || !terminator.every(isByte))
+  {
+    throw new Error(
+      "Expected the terminator to be a non-empty array of bytes."
+    );
+  }
+
+  return {bytes: terminator, alignment: alignment};
+};
+
+/**
+ * @private
+ * @param {string} [trim]
+ * @returns {?RegExp} A pattern matching the padding to remove or `NULL`
+ * if the padding should be kept.
+ * @throws {Error}
+ */
+exports.getTrimPattern = function(trim)
+{
+  if (trim === undefined || trim === null)
+  {
+    return TRIM_PATTERNS.both;
+  }
+
+  if (!TRIM_PATTERNS.hasOwnProperty(trim))
+  {
+    throw new Error(
+      "Expected the trim to be one of: " + Object.keys(TRIM_PATTERNS) + "."
+    );
+  }
+
+  return TRIM_PATTERNS[trim];
+};
+
+/**
+ * @private
+ * @type {Object.<string, ?RegExp>}
+ */
+var TRIM_PATTERNS = {
+  nul: /\0+$/,
+  space: / +$/,
+  both: /[\0 ]+$/,
+  none: null
+};
+
+/**
+ * @private
+ * @param {(number|string|Buffer|Array.<number>)} searchElement
+ * @param {string} [encoding]
+ * @returns {Array.<number>} The bytes to search for.
+ * @throws {Error}
+ */
+exports.parseSearchElement = function(searchElement, encoding)
+{
+  if (typeof searchElement === 'number')
+  {
+    searchElement = parseInt(searchElement, 10);
+
+    if (!isByte(searchElement))
+    {
+      throw new Error(
+        "The search element must be a number between 0x00 and 0xFF."
+      );
+    }
+
+    return [searchElement];
+  }
+
+  if (typeof searchElement === 'string')
+  {
+    searchElement = exports.encodeString(searchElement, encoding, 'throw');
+  }
+
+  if (Buffer.isBuffer(searchElement))
+  {
+    searchElement = Array.prototype.slice.call(searchElement);
+  }
+
+  if (!Array.isArray(searchElement) || searchElement.length === 0
+    || !searchElement.every(isByte))
+  {
+    throw new Error(
+      "The search element must be a byte value or a non-empty string, "
+      + "Buffer or array of bytes."
+    );
+  }
+
+  return searchElement;
+};
+
+/**
+ * @private
+ * @param {*} fromIndex
+ * @param {number} defaultIndex Used if the index is not specified.
+ * @param {number} length
+ * @returns {number}
+ * @throws {Error}
+ */
+exports.parseSearchIndex = function(fromIndex, defaultIndex, length)
+{
+  fromIndex = fromIndex === undefined ? defaultIndex : parseInt(fromIndex, 10);
+
+  if (isNaN(fromIndex) || fromIndex < 0 || fromIndex > length)
+  {
+    throw new Error(
+      "The search starting index must be a number between 0 "
+      + "and the reader's length."
+    );
+  }
+
+  return fromIndex;
+};
+
+/**
+ * Searches for the first occurrence of the specified bytes using
+ * the Boyer-Moore-Horspool algorithm.
+ *
+ * @private
+ * @param {function(number): number} byteAt
+ * @param {Array.<number>} needle
+ * @param {number} fromIndex
+ * @param {number} length
+ * @returns {number} An index of the first matching byte or -1.
+ */
+exports.findBytes = function(byteAt, needle, fromIndex, length)
+{
+  var lastIndex = needle.length - 1;
+  var skipTable = createSkipTable(needle, false);
+  var position = fromIndex;
+
+  while (position + lastIndex < length)
+  {
+    var i = lastIndex;
+
+    while (i >= 0 && byteAt(position + i) === needle[i])
+    {
+      --i;
+    }
+
+    if (i === -1)
+    {
+      return position;
+    }
+
+    position += skipTable[byteAt(position + lastIndex)];
+  }
+
+  return -1;
+};
+
+/**
+ * Searches backwards for the last occurrence of the specified bytes starting
+ * at or before the specified index using the Boyer-Moore-Horspool algorithm.
+ *
+ * @private
+ * @param {function(number): number} byteAt
+ * @param {Array.<number>} needle
+ * @param {number} fromIndex
+ * @param {number} length
+ * @returns {number} An index of the first matching byte or -1.
+ */
+exports.findLastBytes = function(byteAt, needle, fromIndex, length)
+{
+  var lastIndex = needle.length - 1;
+  var skipTable = createSkipTable(needle, true);
+  var position = Math.min(fromIndex, length - needle.length);
+
+  while (position >= 0)
+  {
+    var i = 0;
+
+    while (i <= lastIndex && byteAt(position + i) === needle[i])
+    {
+      ++i;
+    }
+
+    if (i > lastIndex)
+    {
+      return position;
+    }
+
+    position -= skipTable[byteAt(position)];
+  }
+
+  return -1;
+};
+
+/**
+ * @private
+ * @param {(string|Buffer|Array.<(number|string|object)>)} pattern
+ * @returns {{values: Array.<number>, masks: Array.<number>}} The masked
+ * values and the masks of the pattern bytes.
+ * @throws {Error}
+ */
+exports.parsePattern = function(pattern)
+{
+  if (typeof pattern === 'string')
+  {
+    pattern = pattern.trim();
+    pattern = pattern === '' ? [] : pattern.split(/\s+/);
+  }
+
+  if (Buffer.isBuffer(pattern))
+  {
+    pattern = Array.prototype.slice.call(pattern);
+  }
+
+  if (!Array.isArray(pattern) || pattern.length === 0)
+  {
+    throw new Error(
+      "Expected the pattern to be a non-empty string or array of pattern bytes."
+    );
+  }
+
+  var result = {values: [], masks: []};
+
+  pattern.forEach(function(patternByte, i)
+  {
+    var parsed = parsePatternByte(patternByte);
+
+    if (parsed === null)
+    {
+      throw new Error("Invalid pattern byte at index " + i + ".");
+    }
+
+    result.values.push(parsed.value & parsed.mask);
+    result.masks.push(parsed.mask);
+  });
+
+  return result;
+};
+
+/**
+ * Searches for the first occurrence of the specified masked pattern using
+ * the Boyer-Moore-Horspool algorithm.
+ *
+ * @private
+ * @param {function(number): number} byteAt
+ * @param {{values: Array.<number>, masks: Array.<number>}} pattern
+ * @param {number} fromIndex
+ * @param {number} length
+ * @returns {number} An index of the first matching byte or -1.
+ */
+exports.findPattern = function(byteAt, pattern, fromIndex, length)
+{
+  var values = pattern.values;
+  var masks = pattern.masks;
+  var lastIndex = values.length - 1;
+  var skipTable = createPatternSkipTable(pattern);
+  var position = fromIndex;
+
+  while (position + lastIndex < length)
+  {
+    var i = lastIndex;
+
+    while (i >= 0 && (byteAt(position + i) & masks[i]) === values[i])
+    {
+      --i;
+    }
+
+    if (i === -1)
+    {
+      return position;
+    }
+
+    position += skipTable[byteAt(position + lastIndex)];
+  }
+
+  return -1;
+};
+
+/**
+ * @private
+ * @param {function(number): number} byteAt
+ * @param {{values: Array.<number>, masks: Array.<number>}} pattern
+ * @param {number} fromIndex
+ * @param {number} length
+ * @returns {number} An index of the first byte of the bytes up to the end
+ * that match the beginning of the pattern or the length if there are none.
+ */
+exports.findPartialPattern = function(byteAt, pattern, fromIndex, length)
+{
+  for (var position = fromIndex; position < length; ++position)
+  {
+    if (matchesPatternPrefix(byteAt, pattern, position, length))
+    {
+      return position;
+    }
+  }
+
+  return length;
+};
+
+/**
+ * @private
+ * @type {Object.<string, (string|Array.<number>)>}
+ */
+var byteOrderCache = {};
+
+/**
+ * @private
+ * @param {(boolean|string|Array.<number>)} [byteOrder]
+ * @param {number} size
+ * @param {(boolean|string)} [defaultByteOrder] Used if the byte order
+ * is not specified.
+ * @returns {(string|Array.<number>)} `BE`, `LE` or an array of indexes into
+ * the big endian representation for each stored byte.
+ * @throws {Error}
+ */
+exports.resolveByteOrder = function(byteOrder, size, defaultByteOrder)
+{
+  if (byteOrder === undefined || byteOrder === null)
+  {
+    byteOrder = defaultByteOrder;
+  }
+
+  if (Array.isArray(byteOrder))
+  {
+    return byteOrder;
+  }
+
+  if (byteOrder === undefined || byteOrder === null || byteOrder === false)
+  {
+    return 'BE';
+  }
+
+  if (byteOrder === true)
+  {
+    return 'LE';
+  }
+
+  var key = byteOrder + ':' + size;
+
+  if (!byteOrderCache.hasOwnProperty(key))
+  {
+    byteOrderCache[key] = parseByteOrder(String(byteOrder).toUpperCase(), size);
+  }
+
+  return byteOrderCache[key];
+};
+
+/**
+ * @private
+ * @param {Array.<number>} byteArray
+ * @param {(boolean|string|Array.<number>)} [byteOrder]
+ * @returns {Array.<number>}
+ * @throws {Error}
+ */
+exports.toBigEndian = function(byteArray, byteOrder)
+{
+  var order = exports.resolveByteOrder(byteOrder, byteArray.length);
+
+  if (order === 'BE')
+  {
+    return byteArray;
+  }
+
+  if (order === 'LE')
+  {
+    return Array.prototype.slice.call(byteArray).reverse();
+  }
+
+  var bigEndianArray = [];
+
+  for (var i = 0; i < order.length; ++i)
+  {
+    bigEndianArray[order[i]] = byteArray[i];
+  }
+
+  return bigEndianArray;
+};
+
+/**
+ * @private
+ * @param {Array.<number>} bigEndianArray
+ * @param {(boolean|string|Array.<number>)} [byteOrder]
+ * @returns {Array.<number>}
+ * @throws {Error}
+ */
+exports.fromBigEndian = function(bigEndianArray, byteOrder)
+{
+  var order = exports.resolveByteOrder(byteOrder, bigEndianArray.length);
+
+  if (order === 'BE')
+  {
+    return bigEndianArray;
+  }
+
+  if (order === 'LE')
+  {
+    return Array.prototype.slice.call(bigEndianArray).reverse();
+  }
+
+  return order.map(function(index) { return bigEndianArray[index]; });
+};
+
+/**
+ * @private
+ * @param {Array.<number>} bigEndianArray
+ * @returns {number}
+ */
+exports.toUInt = function(bigEndianArray)
+{
+  var value = 0;
+
+  for (var i = 0; i < bigEndianArray.length; ++i)
+  {
+    value = value * 0x100 + bigEndianArray[i];
+  }
+
+  return value;
+};
+
+/**
+ * @private
+ * @param {string} descriptor
+ * @param {number} size
+ * @returns {(string|Array.<number>)}
+ * @throws {Error}
+ */
+function parseByteOrder(descriptor, size)
+{
+  if (descriptor === 'BE' || descriptor === 'LE')
+  {
+    return descriptor;
+  }
+
+  var letters = descriptor.split('').map(function(letter)
+  {
+    return letter.charCodeAt(0) - 65;
+  });
+  var isPermutation = letters.every(function(index, i)
+  {
+    return index >= 0
+      && index < letters.length
+      && letters.indexOf(index) === i;
+  });
+
+  if (!isPermutation || letters.length < 2)
+  {
+    throw new Error("Unknown byte order: " + descriptor + ".");
+  }
+
+  if (size === 1)
+  {
+    return 'BE';
+  }
+
+  var order = letters.length === size
+    ? letters
+    : deriveByteOrder(letters, size);
+
+  if (order === null)
+  {
+    throw new Error(
+      "The byte order " + descriptor + " cannot be applied to "
+      + size + " byte values."
+    );
+  }
+
+  if (order.every(function(index, i) { return index === i; }))
+  {
+    return 'BE';
+  }
+
+  if (order.every(function(index, i) { return index === size - 1 - i; }))
+  {
+    return 'LE';
+  }
+
+  return order;
+}
+
+/**
+ * Derives an order of the specified size from a descriptor of a different
+ * size by treating it as a combination of swapping the order of 16 bit words
+ * and swapping the bytes within each word.
+ *
+ * @private
+ * @param {Array.<number>} letters
+ * @param {number} size
+ * @returns {Array.<number>|null}
+ */
+function deriveByteOrder(letters, size)
+{
+  var swaps = [[false, false], [true, true], [false, true], [true, false]];
+
+  for (var i = 0; i < swaps.length; ++i)
+  {
+    var byteSwap = swaps[i][0];
+    var wordSwap = swaps[i][1];
+
+    if (!isSameOrder(letters, swapBytes(letters.length, byteSwap, wordSwap)))
+    {
+      continue;
+    }
+
+    if (size % 2 === 1 && byteSwap !== wordSwap)
+    {
+      return null;
+    }
+
+    return swapBytes(size, byteSwap, wordSwap);
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ * @param {number} size
+ * @param {boolean} byteSwap
+ * @param {boolean} wordSwap
+ * @returns {Array.<number>}
+ */
+function swapBytes(size, byteSwap, wordSwap)
+{
+  var order = [];
+
+  for (var i = 0; i < size; ++i)
+  {
+    if (byteSwap && wordSwap)
+    {
+      order.push(size - 1 - i);
+
+      continue;
+    }
+
+    var wordIndex = Math.floor(i / 2);
+    var byteIndex = i % 2;
+
+    if (wordSwap)
+    {
+      wordIndex = size / 2 - 1 - wordIndex;
+    }
+
+    if (byteSwap)
+    {
+      byteIndex = 1 - byteIndex;
+    }
+
+    order.push(wordIndex * 2 + byteIndex);
+  }
+
+  return order;
+}
+
+/**
+ * @private
+ * @param {Array.<number>} a
+ * @param {Array.<number>} b
+ * @returns {boolean}
+ */
+function isSameOrder(a, b)
+{
+  return a.every(function(index, i) { return index === b[i]; });
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @returns {number}
+ */
+function roundHalfToEven(value)
+{
+  var rounded = Math.round(value);
+
+  return rounded - value === 0.5 && rounded % 2 !== 0 ? rounded - 1 : rounded;
+}
+
+/**
+ * @private
+ * @param {Array.<number>} byteArray
+ * @param {boolean} signed
+ * @returns {bigint|number}
+ */
+function toVarIntValue(byteArray, signed)
+{
+  /*jshint newcap:false*/
+
+  var bitCount = byteArray.length * 7;
+  var negative = signed && (byteArray[byteArray.length - 1] & 0x40) !== 0;
+  var i;
+
+  // Up to 49 bits always fit in a safe integer
+  if (bitCount <= 49)
+  {
+    var numberValue = 0;
+
+    for (i = byteArray.length - 1; i >= 0; --i)
+    {
+      numberValue = numberValue * 0x80 + (byteArray[i] & 0x7F);
+    }
+
+    return negative ? numberValue - Math.pow(2, bitCount) : numberValue;
+  }
+
+  var value = BigInt(0);
+
+  for (i = byteArray.length - 1; i >= 0; --i)
+  {
+    value = (value << BigInt(7)) + BigInt(byteArray[i] & 0x7F);
+  }
+
+  if (negative)
+  {
+    value -= BigInt(1) << BigInt(bitCount);
+  }
+
+  return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+}
+
+/**
+ * @private
+ * @param {number} byteValue
+ * @returns {string}
+ */
+function hex(byteValue)
+{
+  return (byteValue < 0x10 ? '0' : '') + byteValue.toString(16).toUpperCase();
+}
+
+/**
+ * @private
+ * @param {Array.<number>} byteArray
+ * @param {string} layout
+ * @returns {Array.<number>}
+ */
+function orderUuidBytes(byteArray, layout)
+{
+  if (layout !== 'guid')
+  {
+    return Array.prototype.slice.call(byteArray);
+  }
+
+  return GUID_BYTE_ORDER.map(function(index) { return byteArray[index]; });
+}
+
+/**
+ * @private
+ * @param {string} address
+ * @returns {?Array.<number>}
+ */
+function parseIPv4Parts(address)
+{
+  var parts = address.split('.');
+
+  if (parts.length !== 4)
+  {
+    return null;
+  }
+
+  var valid = parts.every(function(part)
+  {
+    return (/^(0|[1-9][0-9]{0,2})$/).test(part) && parseInt(part, 10) < 256;
+  });
+
+  if (!valid)
+  {
+    return null;
+  }
+
+  return parts.map(function(part) { return parseInt(part, 10); });
+}
+
+/**
+ * @private
+ * @param {string} address
+ * @returns {?Array.<number>}
+ */
+function parseIPv6Groups(address)
+{
+  var halves = address.split('::');
+
+  if (halves.length > 2)
+  {
+    return null;
+  }
+
+  var head = parseHexGroups(halves[0], halves.length === 1);
+  var tail = halves.length === 2 ? parseHexGroups(halves[1], true) : [];
+
+  if (head === null || tail === null)
+  {
+    return null;
+  }
+
+  var missing = 8 - head.length - tail.length;
+
+  if (halves.length === 2 ? missing < 1 : missing !== 0)
+  {
+    return null;
+  }
+
+  for (var i = 0; i < missing; ++i)
+  {
+    head.push(0);
+  }
+
+  return head.concat(tail);
+}
+
+/**
+ * @private
+ * @param {string} groupsString
+ * @param {boolean} allowIPv4 Whether the last group can be an IPv4 address.
+ * @returns {?Array.<number>}
+ */
+function parseHexGroups(groupsString, allowIPv4)
+{
+  if (groupsString === '')
+  {
+    return [];
+  }
+
+  var parts = groupsString.split(':');
+  var groups = [];
+
+  for (var i = 0; i < parts.length; ++i)
+  {
+    var ipv4 = allowIPv4 && i === parts.length - 1
+      ? parseIPv4Parts(parts[i])
+      : null;
+
+    if (ipv4 !== null)
+    {
+      groups.push(ipv4[0] * 0x100 + ipv4[1], ipv4[2] * 0x100 + ipv4[3]);
+    }
+    else if (/^[0-9a-f]{1,4}$/i.test(parts[i]))
+    {
+      groups.push(parseInt(parts[i], 16));
+    }
+    else
+    {
+      return null;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * @private
+ * @param {Array.<number>} groups
+ * @returns {{start: number, length: number}}
+ */
+function findLongestZeroRun(groups)
+{
+  var longest = {start: -1, length: 0};
+  var start = -1;
+
+  for (var i = 0; i <= groups.length; ++i)
+  {
+    if (i < groups.length && groups[i] === 0)
+    {
+      start = start === -1 ? i : start;
+    }
+    else if (start !== -1)
+    {
+      if (i - start > longest.length)
+      {
+        longest = {start: start, length: i - start};
+      }
+
+      start = -1;
+    }
+  }
+
+  return longest;
+}
+
+/**
+ * Converts each element of the specified byte array between the specified
+ * byte order and the host's byte order in place.
+ *
+ * @private
+ * @param {Uint8Array} byteArray
+ * @param {number} size
+ * @param {(string|Array.<number>)} order
+ * @param {boolean} toHost
+ */
+function reorderElements(byteArray, size, order, toHost)
+{
+  if (size === 1 || order === HOST_BYTE_ORDER)
+  {
+    return;
+  }
+
+  var swap = order === 'BE' || order === 'LE';
+
+  for (var i = 0; i < byteArray.length; i += size)
+  {
+    if (swap)
+    {
+      reverseBytes(byteArray, i, i + size - 1);
+    }
+    else if (toHost)
+    {
+      byteArray.set(toHostOrder(exports.toBigEndian(
+        Array.prototype.slice.call(byteArray, i, i + size), order
+      )), i);
+    }
+    else
+    {
+      byteArray.set(exports.fromBigEndian(toHostOrder(
+        Array.prototype.slice.call(byteArray, i, i + size)
+      ), order), i);
+    }
+  }
+}
+
+/**
+ * @private
+ * @param {Uint8Array} byteArray
+ * @param {number} start
+ * @param {number} end
+ */
+function reverseBytes(byteArray, start, end)
+{
+  while (start < end)
+  {
+    var byteValue = byteArray[start];
+
+    byteArray[start++] = byteArray[end];
+    byteArray[end--] = byteValue;
+  }
+}
+
+/**
+ * Converts between the big endian and the host's byte order.
+ *
+ * @private
+ * @param {Array.<number>} byteArray
+ * @returns {Array.<number>}
+ */
+function toHostOrder(byteArray)
+{
+  return HOST_BYTE_ORDER === 'LE' ? byteArray.reverse() : byteArray;
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isByte(value)
+{
+  return typeof value === 'number' && value >= 0x00 && value <= 0xFF
+    && Math.floor(value) === value;
+}
+
+/**
+ * @private
+ * @param {Array.<number>} needle
+ * @param {boolean} reverse Whether the table is used to search backwards.
+ * @returns {Array.<number>} A number of bytes to skip for each byte value
+ * under the window's last (or first, if reversed) byte.
+ */
+function createSkipTable(needle, reverse)
+{
+  var length = needle.length;
+  var skipTable = [];
+  var i;
+
+  for (i = 0; i <= 0xFF; ++i)
+  {
+    skipTable[i] = length;
+  }
+
+  if (reverse)
+  {
+    for (i = length - 1; i > 0; --i)
+    {
+      skipTable[needle[i]] = i;
+    }
+  }
+  else
+  {
+    for (i = 0; i < length - 1; ++i)
+    {
+      skipTable[needle[i]] = length - 1 - i;
+    }
+  }
+
+  return skipTable;
+}
+
+/**
+ * @private
+ * @param {{values: Array.<number>, masks: Array.<number>}} pattern
+ * @returns {Array.<number>} A number of bytes to skip for each byte value
+ * under the window's last byte.
+ */
+function createPatternSkipTable(pattern)
+{
+  var values = pattern.values;
+  var masks = pattern.masks;
+  var length = values.length;
+  var skipTable = [];
+
+  for (var byteValue = 0; byteValue <= 0xFF; ++byteValue)
+  {
+    var i = length - 2;
+
+    while (i >= 0 && (byteValue & masks[i]) !== values[i])
+    {
+      --i;
+    }
+
+    skipTable[byteValue] = length - 1 - i;
+  }
+
+  return skipTable;
+}
+
+/**
+ * @private
+ * @param {function(number): number} byteAt
+ * @param {{values: Array.<number>, masks: Array.<number>}} pattern
+ * @param {number} position
+ * @param {number} length
+ * @returns {boolean}
+ */
+function matchesPatternPrefix(byteAt, pattern, position, length)
+{
+  var values = pattern.values;
+  var masks = pattern.masks;
+
+  for (var i = 0; i < values.length && position + i < length; ++i)
+  {
+    if ((byteAt(position + i) & masks[i]) !== values[i])
+    {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * @private
+ * @param {*} patternByte A byte value, `NULL` (any byte), a `{value, mask}`
+ * object or a hex string with `?` wildcard nibbles and an optional `/mask`.
+ * @returns {?{value: number, mask: number}} The parsed pattern byte or `NULL`
+ * if it is invalid.
+ */
+function parsePatternByte(patternByte)
+{
+  if (patternByte === null)
+  {
+    return {value: 0x00, mask: 0x00};
+  }
+
+  if (isByte(patternByte))
+  {
+    return {value: patternByte, mask: 0xFF};
+  }
+
+  if (typeof patternByte === 'string')
+  {
+    return parseHexPatternByte(patternByte);
+  }
+
+  if (typeof patternByte !== 'object' || !isByte(patternByte.value))
+  {
+    return null;
+  }
+
+  var mask = patternByte.mask === undefined ? 0xFF : patternByte.mask;
+
+  return isByte(mask) ? {value: patternByte.value, mask: mask} : null;
+}
+
+/**
+ * @private
+ * @param {string} patternByte For example, `68`, `??`, `6?` or `68/F0`.
+ * @returns {?{value: number, mask: number}}
+ */
+function parseHexPatternByte(patternByte)
+{
+  var matches = patternByte.match(/^([0-9a-f?]{2})(?:\/([0-9a-f]{2}))?$/i);
+
+  if (matches === null)
+  {
+    return null;
+  }
+
+  var digits = matches[1];
+  var mask = parseInt(digits.replace(/[^?]/g, 'F').replace(/\?/g, '0'), 16);
+
+  if (matches[2] !== undefined)
+  {
+    mask &= parseInt(matches[2], 16);
+  }
+
+  return {value: parseInt(digits.replace(/\?/g, '0'), 16), mask: mask};
+}
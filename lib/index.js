@@ -1,3 +1,4 @@
 exports.BufferQueueReader = require('./BufferQueueReader');
 exports.BufferReader = require('./BufferReader');
 exports.BufferBuilder = require('./BufferBuilder');
+exports.codePages = require('./codePages');
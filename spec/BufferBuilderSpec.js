@@ -1,5 +1,5 @@
-/*jshint maxlen:999,maxstatements:999*/
-/*global describe:false,it:false,expect:false,beforeEach:false*/
+/*jshint maxlen:999,maxstatements:999,newcap:false*/
+/*global describe:false,it:false,expect:false,beforeEach:false,BigInt:false*/
 
 'use strict';
 
@@ -37,6 +37,17 @@ describe("BufferBuilder", function()
     expect(new BufferBuilder().length).toBe(0);
   });
 
+  it("should throw on unmappable characters by default", function()
+  {
+    expect(new BufferBuilder().unmappable).toBe('throw');
+    expect(new BufferBuilder({unmappable: 'skip'}).unmappable).toBe('skip');
+  });
+
+  it("should throw if the specified unmappable policy is not valid", function()
+  {
+    expect(function() { new BufferBuilder({unmappable: 'ignore'}); }).toThrow(new Error("Expected the unmappable to be one of: throw, replace, skip."));
+  });
+
   describe("pushBits", function()
   {
     it("should throw if the specified argument is not an array", function()
@@ -106,6 +117,169 @@ describe("BufferBuilder", function()
         parseInt('0101', 2)
       ]);
     });
+
+    it("should use the specified bit order", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushBits([0, 1, 1, 0, 0, 1, 1, 1, 0, 1, 1], 'MSB');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x67, 0x60]);
+    });
+
+    it("should use the builder's bit order by default", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.bitOrder = 'MSB';
+      builder
+        .pushBits([1, 0, 1, 0, 1, 0, 1, 1, 1, 1, 0, 0, 1, 1, 0, 1])
+        .pushBits([1], 'LSB');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xAB, 0xCD, 0x01]);
+    });
+
+    it("should throw if the bit order is not valid", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushBits([1], 'middle'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+  });
+
+  describe("pushBitField", function()
+  {
+    it("should throw if the specified width is not a number greater than 0", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushBitField(0, 0); }).toThrow();
+      expect(function() { builder.pushBitField(0, 'abc'); }).toThrow();
+    });
+
+    it("should throw if the specified value does not fit in the width", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushBitField(4, 2); }).toThrow();
+      expect(function() { builder.pushBitField(-1, 2); }).toThrow();
+      expect(function() { builder.pushBitField('abc', 2); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushBitField(1, 1)).toBe(builder);
+    });
+
+    it("should pack consecutive bit fields starting with the most significant bit", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushBitField(1, 2)
+        .pushBitField(0, 2)
+        .pushBitField(2, 4);
+
+      expect(builder.length).toBe(1);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x42]);
+    });
+
+    it("should count a partially filled byte as a whole byte", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushBitField(7, 3);
+
+      expect(builder.length).toBe(1);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xE0]);
+
+      builder.pushBitField(0x1FF, 9);
+
+      expect(builder.length).toBe(2);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xF0]);
+    });
+
+    it("should pack bit fields spanning multiple bytes", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushBitField(0xA, 4)
+        .pushBitField(0xBCD, 12)
+        .pushBitField(7, 3)
+        .pushBitField(0xF, 5);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xAB, 0xCD, 0xEF]);
+    });
+
+    it("should work with bigint values wider than 32 bits", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushBitField(1, 1)
+        .pushBitField(BigInt('0x020406080A'), 40)
+        .pushBitField(0x06070809, 31);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x81, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09]);
+    });
+
+    it("should start the following byte pushes at the next byte", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushBitField(0xF, 4)
+        .pushByte(0x12)
+        .pushBitField(0x3, 4)
+        .pushUInt16(0x5678);
+
+      expect(builder.length).toBe(5);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xF0, 0x12, 0x30, 0x56, 0x78]);
+    });
+  });
+
+  describe("alignToByte", function()
+  {
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.alignToByte()).toBe(builder);
+      expect(builder.flushBits()).toBe(builder);
+    });
+
+    it("should start the next bit field at the next byte", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushBitField(7, 3)
+        .alignToByte()
+        .pushBitField(1, 1)
+        .flushBits()
+        .pushBitField(1, 1);
+
+      expect(builder.length).toBe(3);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xE0, 0x80, 0x80]);
+    });
+
+    it("should not change the length of the builder", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.alignToByte();
+
+      expect(builder.length).toBe(0);
+
+      builder.pushBitField(1, 1).alignToByte();
+
+      expect(builder.length).toBe(1);
+    });
   });
 
   describe("pushByte", function()
@@ -319,6 +493,35 @@ describe("BufferBuilder", function()
 
       expect(builder.toBuffer()).toBeEqualToBuffer(new Buffer('ŁukaszWalukiewicz'));
     });
+
+    it("should encode the string with the specified code page", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushString('Hi!', 'CP037').pushString('Łódź', 'windows-1250');
+
+      expect(builder.length).toBe(7);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xC8, 0x89, 0x5A, 0xA3, 0xF3, 0x64, 0x9F]);
+    });
+
+    it("should throw if the string contains characters missing from the code page", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushString('10 €', 'cp437'); }).toThrow(new Error("The character U+20AC can not be encoded in the cp437 code page."));
+      expect(builder.length).toBe(0);
+    });
+
+    it("should replace or skip characters missing from the code page according to the builder's unmappable policy", function()
+    {
+      var builder = new BufferBuilder({unmappable: 'replace'});
+
+      builder.pushString('a€', 'cp437');
+      builder.unmappable = 'skip';
+      builder.pushString('b€', 'cp437');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x61, 0x3F, 0x62]);
+    });
   });
 
   describe("pushZeroString", function()
@@ -361,271 +564,357 @@ describe("BufferBuilder", function()
 
       expect(builder.toBuffer()).toBeEqualToBuffer(new Buffer('Łukasz\0Walukiewicz\0'));
     });
-  });
 
-  describe("pushInt8", function()
-  {
-    it("should throw if the specified argument is not an 8-bit integer", function()
+    it("should append a two-byte NUL character after UTF-16 strings", function()
     {
       var builder = new BufferBuilder();
 
-      expect(function() { builder.pushInt8(271); }).toThrow();
-      expect(function() { builder.pushInt8('a'); }).toThrow();
-      expect(function() { builder.pushInt8(-666); }).toThrow();
+      builder.pushZeroString('ab', 'utf16le').pushZeroString('', 'ucs2');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x61, 0x00, 0x62, 0x00, 0x00, 0x00, 0x00, 0x00]);
     });
 
-    it("should return self", function()
+    it("should append the specified terminator sequence", function()
     {
       var builder = new BufferBuilder();
 
-      expect(builder.pushInt8(1)).toBe(builder);
+      builder
+        .pushZeroString('a', 'ascii', '\r\n')
+        .pushZeroString('b', 'utf8', [0xFF, 0xFE])
+        .pushZeroString('c', 'ucs2', new Buffer([0x0A]));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x61, 0x0D, 0x0A, 0x62, 0xFF, 0xFE, 0x63, 0x00, 0x0A]);
     });
 
-    it("should increase the length of the builder by 1", function()
+    it("should throw if the specified terminator is not valid", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushInt8(10);
-      
-      expect(builder.length).toBe(1);
+      expect(function() { builder.pushZeroString('abc', 'utf8', []); }).toThrow(new Error("Expected the terminator to be a non-empty array of bytes."));
+      expect(function() { builder.pushZeroString('abc', 'utf8', [0x100]); }).toThrow();
+      expect(builder.length).toBe(0);
     });
 
-    it("should work with minimum value of -128", function()
+    it("should encode the string and the terminator with the specified code page", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushInt8(-128);
+      builder.pushZeroString('AB', 'cp500').pushZeroString('C', 'cp500', '\n');
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x80]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xC1, 0xC2, 0x00, 0xC3, 0x25]);
     });
+  });
 
-    it("should work with maximum value of 127", function()
+  describe("pushPrefixedBuffer", function()
+  {
+    it("should throw if the specified argument is not a Buffer", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushInt8(127);
+      expect(function() { builder.pushPrefixedBuffer([1, 2]); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F]);
+    it("should append the buffer preceded by an unsigned 8 bit length by default", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushPrefixedBuffer(new Buffer([0xAA, 0xBB]));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x02, 0xAA, 0xBB]);
     });
 
-    it("should append the specified numbers to the end of the result buffer", function()
+    it("should use the specified prefix type", function()
     {
       var builder = new BufferBuilder();
 
       builder
-        .pushInt8(-50)
-        .pushInt8(50);
+        .pushPrefixedBuffer(new Buffer([0xAA]), 'UInt16')
+        .pushPrefixedBuffer(new Buffer([0xBB]), 'uint16le')
+        .pushPrefixedBuffer(new Buffer([0xCC]), 'UInt32BE')
+        .pushPrefixedBuffer(new Buffer([0xDD]), 'UInt32LE')
+        .pushPrefixedBuffer(new Buffer([0xEE]), 'VarUInt');
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0xCE, 0x32]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x00, 0x01, 0xAA,
+        0x01, 0x00, 0xBB,
+        0x00, 0x00, 0x00, 0x01, 0xCC,
+        0x01, 0x00, 0x00, 0x00, 0xDD,
+        0x01, 0xEE
+      ]);
     });
 
-    it("should convert floats to integers by dropping fraction", function()
+    it("should use the builder's byte order for prefixes without a suffix", function()
     {
-      var builder = new BufferBuilder();
+      var builder = new BufferBuilder({byteOrder: 'LE'});
 
-      builder.pushInt8(12.34);
+      builder.pushPrefixedBuffer(new Buffer([0xAA]), 'UInt16');
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x0C]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x01, 0x00, 0xAA]);
     });
-  });
 
-  describe("pushInt16", function()
-  {
-    it("should throw if the specified argument is not a 16-bit integer", function()
+    it("should append only the prefix if the buffer is empty", function()
     {
       var builder = new BufferBuilder();
 
-      expect(function() { builder.pushInt16(33167); }).toThrow();
-      expect(function() { builder.pushInt16('abc'); }).toThrow();
-      expect(function() { builder.pushInt16(-66666); }).toThrow();
+      builder.pushPrefixedBuffer(new Buffer(0), 'UInt16');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00]);
     });
 
-    it("should return self", function()
+    it("should throw if the prefix type is not supported", function()
     {
       var builder = new BufferBuilder();
 
-      expect(builder.pushInt16(1)).toBe(builder);
+      expect(function() { builder.pushPrefixedBuffer(new Buffer(1), 'Int8'); }).toThrow(new Error("Unknown length prefix type: Int8."));
+      expect(builder.length).toBe(0);
     });
 
-    it("should increase the length of the builder by 2", function()
+    it("should throw if the buffer is too long for the prefix type", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushInt16(10);
-
-      expect(builder.length).toBe(2);
+      expect(function() { builder.pushPrefixedBuffer(new Buffer(256)); }).toThrow(new Error('The buffer is too long for the UInt8 length prefix.'));
+      expect(builder.length).toBe(0);
     });
 
-    it("should work with minimum value of -32768", function()
+    it("should return self", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushInt16(-32768);
+      expect(builder.pushPrefixedBuffer(new Buffer(1))).toBe(builder);
+    });
+  });
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x80, 0x00]);
+  describe("pushPrefixedString", function()
+  {
+    it("should throw if the specified argument is not a string", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushPrefixedString(1); }).toThrow();
+      expect(builder.length).toBe(0);
     });
 
-    it("should work with maximum value of 32767", function()
+    it("should append the UTF-8 string preceded by its byte length", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushInt16(32767);
+      builder.pushPrefixedString('Łukasz');
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F, 0xFF]);
+      expect(builder.toBuffer()).toBeEqualToBuffer(Buffer.concat([new Buffer([0x07]), new Buffer('Łukasz')]));
     });
 
-    it("should append the specified numbers in big endian to the end of the result buffer", function()
+    it("should use the specified prefix type and encoding", function()
     {
       var builder = new BufferBuilder();
 
-      builder
-        .pushInt16(-500)
-        .pushInt16(500);
+      builder.pushPrefixedString('ab', 'UInt16LE', 'ucs2');
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0xFE, 0x0C, 0x01, 0xF4]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x04, 0x00, 0x61, 0x00, 0x62, 0x00]);
     });
 
-    it("should append the specified numbers in little endian to the end of the result buffer", function()
+    it("should append a multi-byte variable-length prefix", function()
     {
       var builder = new BufferBuilder();
 
-      builder
-        .pushInt16(-500, true)
-        .pushInt16(500, true);
+      builder.pushPrefixedString(new Array(201).join('x'), 'VarUInt');
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x0C, 0xFE, 0xF4, 0x01]);
+      expect(builder.length).toBe(202);
+      expect(Array.prototype.slice.call(builder.toBuffer(), 0, 3)).toEqual([0xC8, 0x01, 0x78]);
     });
 
-    it("should convert floats to integers by dropping fraction", function()
+    it("should append only the prefix if the string is empty", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushInt16(12.34);
+      builder.pushPrefixedString('', 'UInt32');
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x0C]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x00]);
     });
-  });
 
-  describe("pushInt32", function()
-  {
-    it("should throw if the specified argument is not a 32-bit integer", function()
+    it("should throw if the string is too long for the prefix type", function()
     {
       var builder = new BufferBuilder();
 
-      expect(function() { builder.pushInt32(0x7FFFFFFF + 1); }).toThrow();
-      expect(function() { builder.pushInt32('abc'); }).toThrow();
-      expect(function() { builder.pushInt32(-0x80000000 - 1); }).toThrow();
+      expect(function() { builder.pushPrefixedString(new Array(129).join('ą')); }).toThrow(new Error('The string is too long for the UInt8 length prefix.'));
+      expect(builder.length).toBe(0);
     });
 
     it("should return self", function()
     {
       var builder = new BufferBuilder();
 
-      expect(builder.pushInt32(1)).toBe(builder);
+      expect(builder.pushPrefixedString('abc')).toBe(builder);
     });
 
-    it("should increase the length of the builder by 4", function()
+    it("should prefix the byte length of the string encoded with the specified code page", function()
     {
-      var builder = new BufferBuilder();
+      var builder = new BufferBuilder({unmappable: 'skip'});
 
-      builder.pushInt32(10);
+      builder.pushPrefixedString('a€b', 'UInt16', 'windows-1251');
 
-      expect(builder.length).toBe(4);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x03, 0x61, 0x88, 0x62]);
+
+      builder.pushPrefixedString('a€b', 'UInt8', 'cp437');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x03, 0x61, 0x88, 0x62, 0x02, 0x61, 0x62]);
     });
+  });
 
-    it("should work with minimum value of -2147483648", function()
+  describe("pushFixedString", function()
+  {
+    it("should throw if the specified argument is not a string", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushInt32(-2147483648);
-
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x80, 0x00, 0x00, 0x00]);
+      expect(function() { builder.pushFixedString(1, 4); }).toThrow();
     });
 
-    it("should work with maximum value of 2147483647", function()
+    it("should throw if the specified length is not a number greater than 0", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushInt32(2147483647);
+      expect(function() { builder.pushFixedString('abc'); }).toThrow();
+      expect(function() { builder.pushFixedString('abc', 0); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F, 0xFF, 0xFF, 0xFF]);
+    it("should throw if the specified pad byte is not a number between 0 and 255", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFixedString('abc', 4, 'ascii', 256); }).toThrow();
+      expect(function() { builder.pushFixedString('abc', 4, 'ascii', {padByte: 'x'}); }).toThrow();
+      expect(builder.length).toBe(0);
     });
 
-    it("should append the specified numbers in big endian to the end of the result buffer", function()
+    it("should pad the string with NUL bytes by default", function()
     {
       var builder = new BufferBuilder();
 
-      builder
-        .pushInt32(-50000)
-        .pushInt32(50000);
+      builder.pushFixedString('ab', 4);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFF, 0x3C, 0xB0, 0x00, 0x00, 0xC3, 0x50]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x61, 0x62, 0x00, 0x00]);
     });
 
-    it("should append the specified numbers in little endian to the end of the result buffer", function()
+    it("should pad the string with the specified pad byte", function()
     {
       var builder = new BufferBuilder();
 
       builder
-        .pushInt32(-50000, true)
-        .pushInt32(50000, true);
+        .pushFixedString('ab', 3, 'ascii', 0x20)
+        .pushFixedString('', 2, 'ascii', {padByte: 0xFF});
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0xB0, 0x3C, 0xFF, 0xFF, 0x50, 0xC3, 0x00, 0x00]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x61, 0x62, 0x20, 0xFF, 0xFF]);
     });
 
-    it("should convert floats to integers by dropping fraction", function()
+    it("should increase the length of the builder by the specified length", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushInt32(12.34);
-
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x0C]);
+      expect(builder.pushFixedString('Łukasz', 32).length).toBe(32);
+    });
+
+    it("should truncate a string longer than the field", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFixedString('abcdef', 4, 'ascii');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer(new Buffer('abcd'));
+    });
+
+    it("should not truncate a UTF-8 string in the middle of a character", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFixedString('aŁb', 2, 'utf8', 0x20).pushFixedString('a€', 3, 'utf-8');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x61, 0x20, 0x61, 0x00, 0x00]);
+    });
+
+    it("should not truncate a UTF-16 string in the middle of a character", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFixedString('ab', 3, 'ucs2').pushFixedString('a😀', 5, 'utf16le');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x61, 0x00, 0x00, 0x61, 0x00, 0x00, 0x00, 0x00]);
+    });
+
+    it("should throw if the string is longer than the field and truncation is disabled", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFixedString('abcde', 4, 'ascii', {truncate: false}); }).toThrow(new Error('The string is too long for the fixed length of 4 bytes.'));
+      expect(builder.length).toBe(0);
+
+      builder.pushFixedString('abcd', 4, 'ascii', {truncate: false});
+
+      expect(builder.toBuffer()).toBeEqualToBuffer(new Buffer('abcd'));
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushFixedString('abc', 3)).toBe(builder);
+    });
+
+    it("should encode the string with the specified code page", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFixedString('AB', 4, 'cp037', 0x40).pushFixedString('ABC', 2, 'cp037');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xC1, 0xC2, 0x40, 0x40, 0xC1, 0xC2]);
     });
   });
 
-  describe("pushUInt8", function()
+  describe("pushInt8", function()
   {
-    it("should throw if the specified argument is not an 8-bit unsigned integer", function()
+    it("should throw if the specified argument is not an 8-bit integer", function()
     {
       var builder = new BufferBuilder();
 
-      expect(function() { builder.pushUInt8(271); }).toThrow();
-      expect(function() { builder.pushUInt8('a'); }).toThrow();
-      expect(function() { builder.pushUInt8(-666); }).toThrow();
+      expect(function() { builder.pushInt8(271); }).toThrow();
+      expect(function() { builder.pushInt8('a'); }).toThrow();
+      expect(function() { builder.pushInt8(-666); }).toThrow();
     });
 
     it("should return self", function()
     {
       var builder = new BufferBuilder();
 
-      expect(builder.pushUInt8(1)).toBe(builder);
+      expect(builder.pushInt8(1)).toBe(builder);
     });
 
     it("should increase the length of the builder by 1", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt8(10);
-
+      builder.pushInt8(10);
+      
       expect(builder.length).toBe(1);
     });
 
-    it("should work with minimum value of 0", function()
+    it("should work with minimum value of -128", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt8(0);
+      builder.pushInt8(-128);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x00]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x80]);
     });
 
-    it("should work with maximum value of 255", function()
+    it("should work with maximum value of 127", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt8(255);
+      builder.pushInt8(127);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F]);
     });
 
     it("should append the specified numbers to the end of the result buffer", function()
@@ -633,65 +922,65 @@ describe("BufferBuilder", function()
       var builder = new BufferBuilder();
 
       builder
-        .pushUInt8(0)
-        .pushUInt8(50);
+        .pushInt8(-50)
+        .pushInt8(50);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x32]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xCE, 0x32]);
     });
 
     it("should convert floats to integers by dropping fraction", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt8(12.34);
+      builder.pushInt8(12.34);
 
       expect(builder.toBuffer()).toBeEqualToBuffer([0x0C]);
     });
   });
 
-  describe("pushUInt16", function()
+  describe("pushInt16", function()
   {
-    it("should throw if the specified argument is not a 16-bit unsigned integer", function()
+    it("should throw if the specified argument is not a 16-bit integer", function()
     {
       var builder = new BufferBuilder();
 
-      expect(function() { builder.pushUInt16(0xFFFF + 1); }).toThrow();
-      expect(function() { builder.pushUInt16('abc'); }).toThrow();
-      expect(function() { builder.pushUInt16(-1); }).toThrow();
+      expect(function() { builder.pushInt16(33167); }).toThrow();
+      expect(function() { builder.pushInt16('abc'); }).toThrow();
+      expect(function() { builder.pushInt16(-66666); }).toThrow();
     });
 
     it("should return self", function()
     {
       var builder = new BufferBuilder();
 
-      expect(builder.pushUInt16(1)).toBe(builder);
+      expect(builder.pushInt16(1)).toBe(builder);
     });
 
     it("should increase the length of the builder by 2", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt16(10);
+      builder.pushInt16(10);
 
       expect(builder.length).toBe(2);
     });
 
-    it("should work with minimum value of 0", function()
+    it("should work with minimum value of -32768", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt16(0);
+      builder.pushInt16(-32768);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x80, 0x00]);
     });
 
     it("should work with maximum value of 32767", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt16(0xFFFF);
+      builder.pushInt16(32767);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFF]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F, 0xFF]);
     });
 
     it("should append the specified numbers in big endian to the end of the result buffer", function()
@@ -699,10 +988,10 @@ describe("BufferBuilder", function()
       var builder = new BufferBuilder();
 
       builder
-        .pushUInt16(0)
-        .pushUInt16(500);
+        .pushInt16(-500)
+        .pushInt16(500);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x01, 0xF4]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFE, 0x0C, 0x01, 0xF4]);
     });
 
     it("should append the specified numbers in little endian to the end of the result buffer", function()
@@ -710,65 +999,65 @@ describe("BufferBuilder", function()
       var builder = new BufferBuilder();
 
       builder
-        .pushUInt16(0, true)
-        .pushUInt16(500, true);
+        .pushInt16(-500, true)
+        .pushInt16(500, true);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0xF4, 0x01]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x0C, 0xFE, 0xF4, 0x01]);
     });
 
     it("should convert floats to integers by dropping fraction", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt16(12.34);
+      builder.pushInt16(12.34);
 
       expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x0C]);
     });
   });
 
-  describe("pushUInt32", function()
+  describe("pushInt32", function()
   {
-    it("should throw if the specified argument is not a 32-bit unsigned integer", function()
+    it("should throw if the specified argument is not a 32-bit integer", function()
     {
       var builder = new BufferBuilder();
 
-      expect(function() { builder.pushUInt32(0xFFFFFFFF + 1); }).toThrow();
-      expect(function() { builder.pushUInt32('abc'); }).toThrow();
-      expect(function() { builder.pushUInt32(-1); }).toThrow();
+      expect(function() { builder.pushInt32(0x7FFFFFFF + 1); }).toThrow();
+      expect(function() { builder.pushInt32('abc'); }).toThrow();
+      expect(function() { builder.pushInt32(-0x80000000 - 1); }).toThrow();
     });
 
     it("should return self", function()
     {
       var builder = new BufferBuilder();
 
-      expect(builder.pushUInt32(1)).toBe(builder);
+      expect(builder.pushInt32(1)).toBe(builder);
     });
 
     it("should increase the length of the builder by 4", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt32(10);
+      builder.pushInt32(10);
 
       expect(builder.length).toBe(4);
     });
 
-    it("should work with minimum value of 0", function()
+    it("should work with minimum value of -2147483648", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt32(0);
+      builder.pushInt32(-2147483648);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x00]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x80, 0x00, 0x00, 0x00]);
     });
 
     it("should work with maximum value of 2147483647", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt32(0xFFFFFFFF);
+      builder.pushInt32(2147483647);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFF, 0xFF, 0xFF]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F, 0xFF, 0xFF, 0xFF]);
     });
 
     it("should append the specified numbers in big endian to the end of the result buffer", function()
@@ -776,10 +1065,10 @@ describe("BufferBuilder", function()
       var builder = new BufferBuilder();
 
       builder
-        .pushUInt32(0)
-        .pushUInt32(50000);
+        .pushInt32(-50000)
+        .pushInt32(50000);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xC3, 0x50]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFF, 0x3C, 0xB0, 0x00, 0x00, 0xC3, 0x50]);
     });
 
     it("should append the specified numbers in little endian to the end of the result buffer", function()
@@ -787,139 +1076,131 @@ describe("BufferBuilder", function()
       var builder = new BufferBuilder();
 
       builder
-        .pushUInt32(0, true)
-        .pushUInt32(50000, true);
+        .pushInt32(-50000, true)
+        .pushInt32(50000, true);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x00, 0x50, 0xC3, 0x00, 0x00]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xB0, 0x3C, 0xFF, 0xFF, 0x50, 0xC3, 0x00, 0x00]);
     });
 
     it("should convert floats to integers by dropping fraction", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushUInt32(12.34);
+      builder.pushInt32(12.34);
 
       expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x0C]);
     });
   });
 
-  describe("pushFloat", function()
+  describe("pushUInt8", function()
   {
-    it("should throw if the specified argument is not a 32-bit floating-point number", function()
+    it("should throw if the specified argument is not an 8-bit unsigned integer", function()
     {
       var builder = new BufferBuilder();
 
-      expect(function() { builder.pushFloat(10.402e40); }).toThrow();
-      expect(function() { builder.pushFloat('abc'); }).toThrow();
-      expect(function() { builder.pushFloat(-10.204e39); }).toThrow();
+      expect(function() { builder.pushUInt8(271); }).toThrow();
+      expect(function() { builder.pushUInt8('a'); }).toThrow();
+      expect(function() { builder.pushUInt8(-666); }).toThrow();
     });
 
     it("should return self", function()
     {
       var builder = new BufferBuilder();
 
-      expect(builder.pushFloat(1.0)).toBe(builder);
+      expect(builder.pushUInt8(1)).toBe(builder);
     });
 
-    it("should increase the length of the builder by 4", function()
+    it("should increase the length of the builder by 1", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushFloat(10.10);
+      builder.pushUInt8(10);
 
-      expect(builder.length).toBe(4);
+      expect(builder.length).toBe(1);
     });
 
-    it("should work with minimum value of -3.4028234663852886e+38", function()
+    it("should work with minimum value of 0", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushFloat(-3.4028234663852886e+38);
+      builder.pushUInt8(0);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0x7F, 0xFF, 0xFF]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00]);
     });
 
-    it("should work with maximum value of 3.4028234663852886e+38", function()
+    it("should work with maximum value of 255", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushFloat(3.4028234663852886e+38);
+      builder.pushUInt8(255);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F, 0x7F, 0xFF, 0xFF]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF]);
     });
 
-    it("should append the specified numbers in big endian to the end of the result buffer", function()
+    it("should append the specified numbers to the end of the result buffer", function()
     {
       var builder = new BufferBuilder();
 
       builder
-        .pushFloat(-1.23)
-        .pushFloat(0)
-        .pushFloat(4.56);
+        .pushUInt8(0)
+        .pushUInt8(50);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer(
-        [0xBF, 0x9D, 0x70, 0xA4, 0x00, 0x00, 0x00, 0x00, 0x40, 0x91, 0xEB, 0x85]
-      );
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x32]);
     });
 
-    it("should append the specified numbers in little endian to the end of the result buffer", function()
+    it("should convert floats to integers by dropping fraction", function()
     {
       var builder = new BufferBuilder();
 
-      builder
-        .pushFloat(-1.23, true)
-        .pushFloat(0, true)
-        .pushFloat(4.56, true);
+      builder.pushUInt8(12.34);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer(
-        [0xA4, 0x70, 0x9D, 0xBF, 0x00, 0x00, 0x00, 0x00, 0x85, 0xEB, 0x91, 0x40]
-      );
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x0C]);
     });
   });
 
-  describe("pushDouble", function()
+  describe("pushUInt16", function()
   {
-    it("should throw if the specified argument is not a 64-bit floating-point number", function()
+    it("should throw if the specified argument is not a 16-bit unsigned integer", function()
     {
       var builder = new BufferBuilder();
 
-      expect(function() { builder.pushDouble(10.402e308); }).toThrow();
-      expect(function() { builder.pushDouble('abc'); }).toThrow();
-      expect(function() { builder.pushDouble(-10.204e308); }).toThrow();
+      expect(function() { builder.pushUInt16(0xFFFF + 1); }).toThrow();
+      expect(function() { builder.pushUInt16('abc'); }).toThrow();
+      expect(function() { builder.pushUInt16(-1); }).toThrow();
     });
 
     it("should return self", function()
     {
       var builder = new BufferBuilder();
 
-      expect(builder.pushDouble(1.0)).toBe(builder);
+      expect(builder.pushUInt16(1)).toBe(builder);
     });
 
-    it("should increase the length of the builder by 8", function()
+    it("should increase the length of the builder by 2", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushDouble(10.10);
+      builder.pushUInt16(10);
 
-      expect(builder.length).toBe(8);
+      expect(builder.length).toBe(2);
     });
 
-    it("should work with minimum value of -1.7976931348623157e+308", function()
+    it("should work with minimum value of 0", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushDouble(-1.7976931348623157e+308);
+      builder.pushUInt16(0);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00]);
     });
 
-    it("should work with maximum value of 1.7976931348623157e+308", function()
+    it("should work with maximum value of 32767", function()
     {
       var builder = new BufferBuilder();
 
-      builder.pushDouble(1.7976931348623157e+308);
+      builder.pushUInt16(0xFFFF);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFF]);
     });
 
     it("should append the specified numbers in big endian to the end of the result buffer", function()
@@ -927,15 +1208,10 @@ describe("BufferBuilder", function()
       var builder = new BufferBuilder();
 
       builder
-        .pushDouble(-1.23)
-        .pushDouble(0)
-        .pushDouble(4.56);
+        .pushUInt16(0)
+        .pushUInt16(500);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([
-        0xBF, 0xF3, 0xAE, 0x14, 0x7A, 0xE1, 0x47, 0xAE,
-        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
-        0x40, 0x12, 0x3D, 0x70, 0xA3, 0xD7, 0x0A, 0x3D
-      ]);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x01, 0xF4]);
     });
 
     it("should append the specified numbers in little endian to the end of the result buffer", function()
@@ -943,14 +1219,2321 @@ describe("BufferBuilder", function()
       var builder = new BufferBuilder();
 
       builder
-        .pushDouble(-1.23, true)
-        .pushDouble(0, true)
-        .pushDouble(4.56, true);
+        .pushUInt16(0, true)
+        .pushUInt16(500, true);
 
-      expect(builder.toBuffer()).toBeEqualToBuffer([
-        0xAE, 0x47, 0xE1, 0x7A, 0x14, 0xAE, 0xF3, 0xBF,
-        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
-        0x3D, 0x0A, 0xD7, 0xA3, 0x70, 0x3D, 0x12, 0x40
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0xF4, 0x01]);
+    });
+
+    it("should convert floats to integers by dropping fraction", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt16(12.34);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x0C]);
+    });
+  });
+
+  describe("pushUInt32", function()
+  {
+    it("should throw if the specified argument is not a 32-bit unsigned integer", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUInt32(0xFFFFFFFF + 1); }).toThrow();
+      expect(function() { builder.pushUInt32('abc'); }).toThrow();
+      expect(function() { builder.pushUInt32(-1); }).toThrow();
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushUInt32(1)).toBe(builder);
+    });
+
+    it("should increase the length of the builder by 4", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt32(10);
+
+      expect(builder.length).toBe(4);
+    });
+
+    it("should work with minimum value of 0", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt32(0);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x00]);
+    });
+
+    it("should work with maximum value of 2147483647", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt32(0xFFFFFFFF);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFF, 0xFF, 0xFF]);
+    });
+
+    it("should append the specified numbers in big endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushUInt32(0)
+        .pushUInt32(50000);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xC3, 0x50]);
+    });
+
+    it("should append the specified numbers in little endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushUInt32(0, true)
+        .pushUInt32(50000, true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x00, 0x50, 0xC3, 0x00, 0x00]);
+    });
+
+    it("should convert floats to integers by dropping fraction", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt32(12.34);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x0C]);
+    });
+  });
+
+  describe("pushInt64", function()
+  {
+    it("should throw if the specified argument is not a 64-bit signed integer", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushInt64(BigInt('9223372036854775808')); }).toThrow();
+      expect(function() { builder.pushInt64(BigInt('-9223372036854775809')); }).toThrow();
+      expect(function() { builder.pushInt64('abc'); }).toThrow();
+      expect(function() { builder.pushInt64(Infinity); }).toThrow();
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushInt64(1)).toBe(builder);
+    });
+
+    it("should increase the length of the builder by 8", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushInt64(10);
+
+      expect(builder.length).toBe(8);
+    });
+
+    it("should work with minimum value of -9223372036854775808", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushInt64(BigInt('-9223372036854775808'));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x80, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+    });
+
+    it("should work with maximum value of 9223372036854775807", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushInt64(BigInt('9223372036854775807'));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+    });
+
+    it("should append the specified numbers in big endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushInt64(-1)
+        .pushInt64(BigInt(666));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x02, 0x9A
+      ]);
+    });
+
+    it("should append the specified numbers in little endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushInt64(-666, true)
+        .pushInt64(BigInt(0x10000029A), true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x66, 0xFD, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF,
+        0x9A, 0x02, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00
+      ]);
+    });
+
+    it("should accept strings of digits without losing precision", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushInt64('-9223372036854775807');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x80, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01]);
+    });
+
+    it("should convert floats to integers by dropping fraction", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushInt64(-12.34);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xF4]);
+    });
+  });
+
+  describe("pushUInt64", function()
+  {
+    it("should throw if the specified argument is not a 64-bit unsigned integer", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUInt64(BigInt('18446744073709551616')); }).toThrow();
+      expect(function() { builder.pushUInt64(-1); }).toThrow();
+      expect(function() { builder.pushUInt64('abc'); }).toThrow();
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushUInt64(1)).toBe(builder);
+    });
+
+    it("should increase the length of the builder by 8", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt64(10);
+
+      expect(builder.length).toBe(8);
+    });
+
+    it("should work with minimum value of 0", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt64(0);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+    });
+
+    it("should work with maximum value of 18446744073709551615", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt64(BigInt('18446744073709551615'));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+    });
+
+    it("should append the specified numbers in big endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushUInt64(0x10000029A)
+        .pushUInt64(BigInt(1));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x02, 0x9A,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01
+      ]);
+    });
+
+    it("should append the specified numbers in little endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushUInt64(0x10000029A, true)
+        .pushUInt64(BigInt(1), true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x9A, 0x02, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00,
+        0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00
+      ]);
+    });
+  });
+
+  describe("pushIntN", function()
+  {
+    it("should throw if the specified byte count is not a number between 1 and 6", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushIntN(1, 0); }).toThrow();
+      expect(function() { builder.pushIntN(1, 7); }).toThrow();
+    });
+
+    it("should throw if the specified argument is not a signed integer of the specified byte count", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushIntN(0x800000, 3); }).toThrow();
+      expect(function() { builder.pushIntN(-0x800001, 3); }).toThrow();
+      expect(function() { builder.pushIntN('abc', 3); }).toThrow();
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushIntN(1, 3)).toBe(builder);
+    });
+
+    it("should increase the length of the builder by the specified byte count", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushIntN(10, 5);
+
+      expect(builder.length).toBe(5);
+    });
+
+    it("should work with minimum and maximum values", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushIntN(-8388608, 3)
+        .pushIntN(140737488355327, 6);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x80, 0x00, 0x00, 0x7F, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+    });
+
+    it("should append the specified numbers in big endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushIntN(-666, 3)
+        .pushIntN(666, 5);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFD, 0x66, 0x00, 0x00, 0x00, 0x02, 0x9A]);
+    });
+
+    it("should append the specified numbers in little endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushIntN(-666, 3, true)
+        .pushIntN(666, 5, true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x66, 0xFD, 0xFF, 0x9A, 0x02, 0x00, 0x00, 0x00]);
+    });
+  });
+
+  describe("pushUIntN", function()
+  {
+    it("should throw if the specified byte count is not a number between 1 and 6", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUIntN(1, 0); }).toThrow();
+      expect(function() { builder.pushUIntN(1, 'six'); }).toThrow();
+    });
+
+    it("should throw if the specified argument is not an unsigned integer of the specified byte count", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUIntN(0x1000000, 3); }).toThrow();
+      expect(function() { builder.pushUIntN(-1, 3); }).toThrow();
+      expect(function() { builder.pushUIntN('abc', 3); }).toThrow();
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushUIntN(1, 3)).toBe(builder);
+    });
+
+    it("should increase the length of the builder by the specified byte count", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUIntN(10, 6);
+
+      expect(builder.length).toBe(6);
+    });
+
+    it("should work with maximum value of 281474976710655", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUIntN(281474976710655, 6);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+    });
+
+    it("should append the specified numbers in big endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushUIntN(0xABCDEF, 3)
+        .pushUIntN(0x6789ABCDEF, 5);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xAB, 0xCD, 0xEF, 0x67, 0x89, 0xAB, 0xCD, 0xEF]);
+    });
+
+    it("should append the specified numbers in little endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushUIntN(0xABCDEF, 3, true)
+        .pushUIntN(0x6789ABCDEF, 5, true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xEF, 0xCD, 0xAB, 0xEF, 0xCD, 0xAB, 0x89, 0x67]);
+    });
+  });
+
+  describe("pushVarUInt", function()
+  {
+    it("should throw if the specified argument is not an unsigned integer", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushVarUInt(-1); }).toThrow();
+      expect(function() { builder.pushVarUInt('abc'); }).toThrow();
+      expect(function() { builder.pushVarUInt(Infinity); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if the specified value does not fit in 64 bits", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushVarUInt(BigInt('18446744073709551616')); }).toThrow(
+        new Error('Expected an integer between 0 and 18446744073709551615.')
+      );
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushVarUInt(1)).toBe(builder);
+    });
+
+    it("should increase the length of the builder by the number of bytes needed", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushVarUInt(0);
+      expect(builder.length).toBe(1);
+
+      builder.pushVarUInt(128);
+      expect(builder.length).toBe(3);
+
+      builder.pushVarUInt(624485);
+      expect(builder.length).toBe(6);
+    });
+
+    it("should append the unsigned LEB128 encoding of the specified value", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushVarUInt(0)
+        .pushVarUInt(127)
+        .pushVarUInt('128')
+        .pushVarUInt(624485);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x7F, 0x80, 0x01, 0xE5, 0x8E, 0x26]);
+    });
+
+    it("should work with bigint values past 2^53", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushVarUInt(BigInt('18446744073709551615'));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x01]);
+    });
+  });
+
+  describe("pushVarInt", function()
+  {
+    it("should throw if the specified argument is not an integer", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushVarInt('abc'); }).toThrow();
+      expect(function() { builder.pushVarInt(NaN); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if the specified value does not fit in 64 bits", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushVarInt(BigInt('9223372036854775808')); }).toThrow(
+        new Error('Expected an integer between -9223372036854775808 and 9223372036854775807.')
+      );
+      expect(function() { builder.pushVarInt(BigInt('-9223372036854775809')); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushVarInt(-1)).toBe(builder);
+    });
+
+    it("should append the signed LEB128 encoding of the specified value", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushVarInt(0)
+        .pushVarInt(63)
+        .pushVarInt(64)
+        .pushVarInt(-64)
+        .pushVarInt('-65')
+        .pushVarInt(-123456);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x3F, 0xC0, 0x00, 0x40, 0xBF, 0x7F, 0xC0, 0xBB, 0x78]);
+      expect(builder.length).toBe(10);
+    });
+
+    it("should work with bigint values past 2^53", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushVarInt(BigInt('-9223372036854775808'));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x7F]);
+    });
+  });
+
+  describe("pushBcd", function()
+  {
+    it("should throw if the specified byte count is not a number between 1 and 7", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushBcd(1, 0); }).toThrow();
+      expect(function() { builder.pushBcd(1, 8); }).toThrow();
+    });
+
+    it("should throw if the specified value does not fit in the byte count", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushBcd(100, 1); }).toThrow();
+      expect(function() { builder.pushBcd(-1, 1); }).toThrow();
+      expect(function() { builder.pushBcd('abc', 1); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushBcd(1, 1)).toBe(builder);
+    });
+
+    it("should append the packed BCD number padded with zeros to the byte count", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushBcd(12345678, 4)
+        .pushBcd(42, 3)
+        .pushBcd(99999999999999, 7);
+
+      expect(builder.length).toBe(14);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x12, 0x34, 0x56, 0x78, 0x00, 0x00, 0x42, 0x99, 0x99, 0x99, 0x99, 0x99, 0x99, 0x99]);
+    });
+  });
+
+  describe("pushAsciiNumber", function()
+  {
+    it("should throw if the specified value is not an integer", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushAsciiNumber('abc', 4); }).toThrow();
+      expect(function() { builder.pushAsciiNumber(Math.pow(2, 53), 20); }).toThrow();
+    });
+
+    it("should throw if the specified value does not fit in the width", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushAsciiNumber(12345, 4); }).toThrow();
+      expect(function() { builder.pushAsciiNumber(-123, 3); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if the arguments are not valid", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushAsciiNumber(1, 0); }).toThrow();
+      expect(function() { builder.pushAsciiNumber(1, 4, 37); }).toThrow();
+      expect(function() { builder.pushAsciiNumber(1, 4, 10, '**'); }).toThrow();
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushAsciiNumber(1, 1)).toBe(builder);
+    });
+
+    it("should append the number padded with zeros by default", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushAsciiNumber(42, 6)
+        .pushAsciiNumber('-17', 5);
+
+      expect(builder.length).toBe(11);
+      expect(builder.toBuffer().toString()).toEqual('000042-0017');
+    });
+
+    it("should use the specified radix and pad character", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushAsciiNumber(0xBEEF, 6, 16)
+        .pushAsciiNumber(5, 4, 2)
+        .pushAsciiNumber(-7, 4, 10, ' ');
+
+      expect(builder.toBuffer().toString()).toEqual('00BEEF0101  -7');
+    });
+  });
+
+  describe("pushFixed", function()
+  {
+    it("should throw if the bit counts do not add up to a whole number of bytes between 1 and 6", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFixed(0, 1, 14); }).toThrow();
+      expect(function() { builder.pushFixed(0, 32, 32); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if the specified value is not a number", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFixed('abc', 1, 15); }).toThrow();
+      expect(function() { builder.pushFixed(NaN, 1, 15, {overflow: 'clamp'}); }).toThrow();
+    });
+
+    it("should throw if the options are not valid", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFixed(0.5, 1, 15, {rounding: 'up'}); }).toThrow();
+      expect(function() { builder.pushFixed(0.5, 1, 15, {overflow: 'ignore'}); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushFixed(0.5, 1, 15)).toBe(builder);
+    });
+
+    it("should append signed Q15, Q31 and Q16.16 numbers", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFixed(0.5, 1, 15)
+        .pushFixed(-1, 1, 15)
+        .pushFixed(-0.5, 1, 31)
+        .pushFixed(-0x7A74BC / 65536, 16, 16);
+
+      expect(builder.length).toBe(12);
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x40, 0x00, 0x80, 0x00, 0xC0, 0x00, 0x00, 0x00, 0xFF, 0x85, 0x8B, 0x44]);
+    });
+
+    it("should append unsigned numbers using the specified byte order", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFixed(255.5, 8, 8, {signed: false})
+        .pushFixed(1.5, 8, 8, {signed: false, byteOrder: true});
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0x80, 0x80, 0x01]);
+    });
+
+    it("should round to the nearest value by default", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFixed(1.4 / 256, 8, 8)
+        .pushFixed(1.5 / 256, 8, 8)
+        .pushFixed(-1.5 / 256, 8, 8);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x01, 0x00, 0x02, 0xFF, 0xFE]);
+    });
+
+    it("should use the specified rounding", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFixed(-1.5 / 256, 8, 8, {rounding: 'floor'})
+        .pushFixed(-1.5 / 256, 8, 8, {rounding: 'truncate'})
+        .pushFixed(1.9 / 256, 8, 8, {rounding: 'truncate'});
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xFE, 0xFF, 0xFF, 0x00, 0x01]);
+    });
+
+    it("should throw if the specified value is out of range by default", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFixed(1, 1, 15); }).toThrow();
+      expect(function() { builder.pushFixed(-0.1, 8, 8, {signed: false}); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should clamp the out of range values if the overflow option is clamp", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFixed(1, 1, 15, {overflow: 'clamp'})
+        .pushFixed(-Infinity, 1, 15, {overflow: 'clamp'})
+        .pushFixed(300, 8, 8, {signed: false, overflow: 'clamp'});
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F, 0xFF, 0x80, 0x00, 0xFF, 0xFF]);
+    });
+
+    it("should wrap the out of range values around if the overflow option is wrap", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFixed(1, 1, 15, {overflow: 'wrap'})
+        .pushFixed(257.5, 8, 8, {signed: false, overflow: 'wrap'});
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x80, 0x00, 0x01, 0x80]);
+      expect(function() { builder.pushFixed(Infinity, 1, 15, {overflow: 'wrap'}); }).toThrow();
+    });
+  });
+
+  describe("pushFloat16", function()
+  {
+    it("should throw if the specified argument is not a 16-bit floating-point number", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFloat16(65520); }).toThrow();
+      expect(function() { builder.pushFloat16(-65520); }).toThrow();
+      expect(function() { builder.pushFloat16(-70000); }).toThrow();
+      expect(function() { builder.pushFloat16('abc'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushFloat16(1.0)).toBe(builder);
+    });
+
+    it("should increase the length of the builder by 2", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFloat16(10.10);
+
+      expect(builder.length).toBe(2);
+    });
+
+    it("should work with the minimum and maximum values of -65504 and 65504", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFloat16(-65504)
+        .pushFloat16(65504);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFB, 0xFF, 0x7B, 0xFF]);
+    });
+
+    it("should round the values below 65520 to 65504", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFloat16(65519)
+        .pushFloat16(-65519.99)
+        .pushFloat16(65505);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x7B, 0xFF, 0xFB, 0xFF, 0x7B, 0xFF]);
+    });
+
+    it("should round to the nearest representable value with ties to even", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFloat16(0.1)
+        .pushFloat16(1 + Math.pow(2, -11))
+        .pushFloat16(1 + 3 * Math.pow(2, -11))
+        .pushFloat16(2047.5);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x2E, 0x66, 0x3C, 0x00, 0x3C, 0x02, 0x68, 0x00]);
+    });
+
+    it("should store subnormals and signed zeros", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFloat16(Math.pow(2, -24))
+        .pushFloat16(-1023 * Math.pow(2, -24))
+        .pushFloat16(Math.pow(2, -26))
+        .pushFloat16(-0)
+        .pushFloat16(1023.6 * Math.pow(2, -24));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x01, 0x83, 0xFF, 0x00, 0x00, 0x80, 0x00, 0x04, 0x00]);
+    });
+
+    it("should store infinities and NaN", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFloat16(Infinity)
+        .pushFloat16(-Infinity)
+        .pushFloat16(NaN);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x7C, 0x00, 0xFC, 0x00, 0x7E, 0x00]);
+    });
+
+    it("should use the specified byte order", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFloat16(1.5, true)
+        .pushFloat16(-2, 'BA');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x00, 0x3E, 0x00, 0xC0]);
+    });
+  });
+
+  describe("pushFloat", function()
+  {
+    it("should throw if the specified argument is not a 32-bit floating-point number", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFloat(10.402e40); }).toThrow();
+      expect(function() { builder.pushFloat('abc'); }).toThrow();
+      expect(function() { builder.pushFloat(-10.204e39); }).toThrow();
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushFloat(1.0)).toBe(builder);
+    });
+
+    it("should increase the length of the builder by 4", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFloat(10.10);
+
+      expect(builder.length).toBe(4);
+    });
+
+    it("should work with minimum value of -3.4028234663852886e+38", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFloat(-3.4028234663852886e+38);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0x7F, 0xFF, 0xFF]);
+    });
+
+    it("should work with maximum value of 3.4028234663852886e+38", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFloat(3.4028234663852886e+38);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F, 0x7F, 0xFF, 0xFF]);
+    });
+
+    it("should append the specified numbers in big endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFloat(-1.23)
+        .pushFloat(0)
+        .pushFloat(4.56);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer(
+        [0xBF, 0x9D, 0x70, 0xA4, 0x00, 0x00, 0x00, 0x00, 0x40, 0x91, 0xEB, 0x85]
+      );
+    });
+
+    it("should append the specified numbers in little endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFloat(-1.23, true)
+        .pushFloat(0, true)
+        .pushFloat(4.56, true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer(
+        [0xA4, 0x70, 0x9D, 0xBF, 0x00, 0x00, 0x00, 0x00, 0x85, 0xEB, 0x91, 0x40]
+      );
+    });
+  });
+
+  describe("pushDouble", function()
+  {
+    it("should throw if the specified argument is not a 64-bit floating-point number", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushDouble(10.402e308); }).toThrow();
+      expect(function() { builder.pushDouble('abc'); }).toThrow();
+      expect(function() { builder.pushDouble(-10.204e308); }).toThrow();
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushDouble(1.0)).toBe(builder);
+    });
+
+    it("should increase the length of the builder by 8", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushDouble(10.10);
+
+      expect(builder.length).toBe(8);
+    });
+
+    it("should work with minimum value of -1.7976931348623157e+308", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushDouble(-1.7976931348623157e+308);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+    });
+
+    it("should work with maximum value of 1.7976931348623157e+308", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushDouble(1.7976931348623157e+308);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x7F, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+    });
+
+    it("should append the specified numbers in big endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushDouble(-1.23)
+        .pushDouble(0)
+        .pushDouble(4.56);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0xBF, 0xF3, 0xAE, 0x14, 0x7A, 0xE1, 0x47, 0xAE,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x40, 0x12, 0x3D, 0x70, 0xA3, 0xD7, 0x0A, 0x3D
+      ]);
+    });
+
+    it("should append the specified numbers in little endian to the end of the result buffer", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushDouble(-1.23, true)
+        .pushDouble(0, true)
+        .pushDouble(4.56, true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0xAE, 0x47, 0xE1, 0x7A, 0x14, 0xAE, 0xF3, 0xBF,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x3D, 0x0A, 0xD7, 0xA3, 0x70, 0x3D, 0x12, 0x40
+      ]);
+    });
+  });
+
+  describe("pushTypedArray", function()
+  {
+    it("should throw if the specified value is not a supported typed array", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushTypedArray([1, 2, 3]); }).toThrow("Expected a typed array.");
+      expect(function() { builder.pushTypedArray(new Uint8ClampedArray(2)); }).toThrow();
+      expect(function() { builder.pushTypedArray(new DataView(new ArrayBuffer(2))); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushTypedArray(new Uint16Array([1]))).toBe(builder);
+    });
+
+    it("should increase the length of the builder by the byte length of the array", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushTypedArray(new Float64Array(3)).pushTypedArray(new Int8Array(0));
+
+      expect(builder.length).toBe(24);
+    });
+
+    it("should push elements of the typed array in the specified byte order", function()
+    {
+      var builder = new BufferBuilder();
+      var typedArray = new Uint32Array([0x12345678, 0xAABBCCDD]);
+
+      builder
+        .pushTypedArray(typedArray)
+        .pushTypedArray(typedArray, true)
+        .pushTypedArray(typedArray, 'CDAB');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x12, 0x34, 0x56, 0x78, 0xAA, 0xBB, 0xCC, 0xDD,
+        0x78, 0x56, 0x34, 0x12, 0xDD, 0xCC, 0xBB, 0xAA,
+        0x56, 0x78, 0x12, 0x34, 0xCC, 0xDD, 0xAA, 0xBB
+      ]);
+    });
+
+    it("should push only the elements viewed by the typed array", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushTypedArray(new Uint16Array([0x0102, 0x0304, 0x0506]).subarray(1, 2));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x03, 0x04]);
+    });
+
+    it("should not modify the typed array", function()
+    {
+      var builder = new BufferBuilder();
+      var typedArray = new Int16Array([0x0102, -2]);
+
+      builder.pushTypedArray(typedArray);
+
+      expect(Array.prototype.slice.call(typedArray)).toEqual([0x0102, -2]);
+    });
+
+    it("should use the builder's byte order by default", function()
+    {
+      var builder = new BufferBuilder({byteOrder: 'LE'});
+
+      builder.pushTypedArray(new Uint16Array([0x0102]));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x02, 0x01]);
+    });
+  });
+
+  describe("pushInt8Array", function()
+  {
+    it("should throw if the specified value is not an array", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushInt8Array(1); }).toThrow("Expected an array.");
+      expect(function() { builder.pushInt8Array('123'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if any of the elements is not a valid value", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushInt8Array([0, -129]); }).toThrow();
+      expect(function() { builder.pushInt8Array([128, 0]); }).toThrow();
+      expect(function() { builder.pushInt8Array([0, 'abc']); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushInt8Array([1])).toBe(builder);
+    });
+
+    it("should push the array elements", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushInt8Array([-128, -1, 0, 127]).pushInt8Array(new Int8Array([-128, -1, 0, 127]));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x80, 0xFF, 0x00, 0x7F,
+        0x80, 0xFF, 0x00, 0x7F
+      ]);
+    });
+  });
+
+  describe("pushUInt8Array", function()
+  {
+    it("should throw if the specified value is not an array", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUInt8Array(1); }).toThrow("Expected an array.");
+      expect(function() { builder.pushUInt8Array('123'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if any of the elements is not a valid value", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUInt8Array([0, -1]); }).toThrow();
+      expect(function() { builder.pushUInt8Array([256, 0]); }).toThrow();
+      expect(function() { builder.pushUInt8Array([0, 'abc']); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushUInt8Array([1])).toBe(builder);
+    });
+
+    it("should push the array elements", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt8Array([0, 1, 128, 255]).pushUInt8Array(new Uint8Array([0, 1, 128, 255]));
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x00, 0x01, 0x80, 0xFF,
+        0x00, 0x01, 0x80, 0xFF
+      ]);
+    });
+  });
+
+  describe("pushInt16Array", function()
+  {
+    it("should throw if the specified value is not an array", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushInt16Array(1); }).toThrow("Expected an array.");
+      expect(function() { builder.pushInt16Array('123'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if any of the elements is not a valid value", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushInt16Array([0, -32769]); }).toThrow();
+      expect(function() { builder.pushInt16Array([32768, 0]); }).toThrow();
+      expect(function() { builder.pushInt16Array([0, 'abc']); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushInt16Array([1])).toBe(builder);
+    });
+
+    it("should push the array elements", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushInt16Array([-32768, -2, 0, 32767]).pushInt16Array(new Int16Array([-32768, -2, 0, 32767]), true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x80, 0x00, 0xFF, 0xFE, 0x00, 0x00, 0x7F, 0xFF,
+        0x00, 0x80, 0xFE, 0xFF, 0x00, 0x00, 0xFF, 0x7F
+      ]);
+    });
+  });
+
+  describe("pushUInt16Array", function()
+  {
+    it("should throw if the specified value is not an array", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUInt16Array(1); }).toThrow("Expected an array.");
+      expect(function() { builder.pushUInt16Array('123'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if any of the elements is not a valid value", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUInt16Array([0, -1]); }).toThrow();
+      expect(function() { builder.pushUInt16Array([65536, 0]); }).toThrow();
+      expect(function() { builder.pushUInt16Array([0, 'abc']); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushUInt16Array([1])).toBe(builder);
+    });
+
+    it("should push the array elements", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt16Array([0, 1, 4660, 65535]).pushUInt16Array(new Uint16Array([0, 1, 4660, 65535]), true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x00, 0x00, 0x00, 0x01, 0x12, 0x34, 0xFF, 0xFF,
+        0x00, 0x00, 0x01, 0x00, 0x34, 0x12, 0xFF, 0xFF
+      ]);
+    });
+  });
+
+  describe("pushInt32Array", function()
+  {
+    it("should throw if the specified value is not an array", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushInt32Array(1); }).toThrow("Expected an array.");
+      expect(function() { builder.pushInt32Array('123'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if any of the elements is not a valid value", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushInt32Array([0, -2147483649]); }).toThrow();
+      expect(function() { builder.pushInt32Array([2147483648, 0]); }).toThrow();
+      expect(function() { builder.pushInt32Array([0, 'abc']); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushInt32Array([1])).toBe(builder);
+    });
+
+    it("should push the array elements", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushInt32Array([-2147483648, -2, 2147483647]).pushInt32Array(new Int32Array([-2147483648, -2, 2147483647]), true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x80, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0xFE, 0x7F, 0xFF, 0xFF, 0xFF,
+        0x00, 0x00, 0x00, 0x80, 0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F
+      ]);
+    });
+  });
+
+  describe("pushUInt32Array", function()
+  {
+    it("should throw if the specified value is not an array", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUInt32Array(1); }).toThrow("Expected an array.");
+      expect(function() { builder.pushUInt32Array('123'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if any of the elements is not a valid value", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUInt32Array([0, -1]); }).toThrow();
+      expect(function() { builder.pushUInt32Array([4294967296, 0]); }).toThrow();
+      expect(function() { builder.pushUInt32Array([0, 'abc']); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushUInt32Array([1])).toBe(builder);
+    });
+
+    it("should push the array elements", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt32Array([0, 305419896, 4294967295]).pushUInt32Array(new Uint32Array([0, 305419896, 4294967295]), true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x00, 0x00, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0xFF, 0xFF, 0xFF, 0xFF,
+        0x00, 0x00, 0x00, 0x00, 0x78, 0x56, 0x34, 0x12, 0xFF, 0xFF, 0xFF, 0xFF
+      ]);
+    });
+  });
+
+  describe("pushFloat32Array", function()
+  {
+    it("should throw if the specified value is not an array", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFloat32Array(1); }).toThrow("Expected an array.");
+      expect(function() { builder.pushFloat32Array('123'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if any of the elements is not a valid value", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFloat32Array([0, -3.5e38]); }).toThrow();
+      expect(function() { builder.pushFloat32Array([Infinity, 0]); }).toThrow();
+      expect(function() { builder.pushFloat32Array([0, 'abc']); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushFloat32Array([1])).toBe(builder);
+    });
+
+    it("should push the array elements", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFloat32Array([1.5, -0.25, 1024.75]).pushFloat32Array(new Float32Array([1.5, -0.25, 1024.75]), true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x3F, 0xC0, 0x00, 0x00, 0xBE, 0x80, 0x00, 0x00, 0x44, 0x80, 0x18, 0x00,
+        0x00, 0x00, 0xC0, 0x3F, 0x00, 0x00, 0x80, 0xBE, 0x00, 0x18, 0x80, 0x44
+      ]);
+    });
+  });
+
+  describe("pushFloat64Array", function()
+  {
+    it("should throw if the specified value is not an array", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFloat64Array(1); }).toThrow("Expected an array.");
+      expect(function() { builder.pushFloat64Array('123'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if any of the elements is not a valid value", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushFloat64Array([0, -Infinity]); }).toThrow();
+      expect(function() { builder.pushFloat64Array([NaN, 0]); }).toThrow();
+      expect(function() { builder.pushFloat64Array([0, 'abc']); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushFloat64Array([1])).toBe(builder);
+    });
+
+    it("should push the array elements", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFloat64Array([1.5, -0.1, 1e300]).pushFloat64Array(new Float64Array([1.5, -0.1, 1e300]), true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x3F, 0xF8, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xBF, 0xB9, 0x99, 0x99, 0x99, 0x99, 0x99, 0x9A, 0x7E, 0x37, 0xE4, 0x3C, 0x88, 0x00, 0x75, 0x9C,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xF8, 0x3F, 0x9A, 0x99, 0x99, 0x99, 0x99, 0x99, 0xB9, 0xBF, 0x9C, 0x75, 0x00, 0x88, 0x3C, 0xE4, 0x37, 0x7E
+      ]);
+    });
+  });
+
+  describe("pushDate", function()
+  {
+    it("should throw if the specified format is not supported", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushDate(new Date(), 'unix16'); }).toThrow("Unknown date format: unix16.");
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if the specified value is not a valid date", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushDate(new Date('abc'), 'unix32'); }).toThrow("Expected a valid date.");
+      expect(function() { builder.pushDate('2021-06-15', 'unix32'); }).toThrow("Expected a valid date.");
+      expect(function() { builder.pushDate(BigInt(0), 'unix64'); }).toThrow("Expected a valid date.");
+    });
+
+    it("should throw if the specified date can not be represented in the format", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushDate(new Date('1969-12-31T23:59:59Z'), 'unix32'); }).toThrow("The date can not be represented in the unix32 format.");
+      expect(function() { builder.pushDate(new Date('2106-02-07T06:28:16Z'), 'unix32'); }).toThrow();
+      expect(function() { builder.pushDate(new Date('1979-12-31T23:59:59Z'), 'dos'); }).toThrow();
+      expect(function() { builder.pushDate(new Date('2100-01-01T00:00:00Z'), 'cp56time2a'); }).toThrow();
+      expect(function() { builder.pushDate(new Date('1600-12-31T23:59:59Z'), 'filetime'); }).toThrow();
+      expect(function() { builder.pushDate(new Date('1968-01-20T03:14:07Z'), 'ntp64'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushDate(new Date(), 'unix32')).toBe(builder);
+    });
+
+    it("should increase the length of the builder by the format's size", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushDate(new Date(), 'unix32');
+      builder.pushDate(new Date(), 'cp56time2a');
+      builder.pushDate(new Date(), 'filetime');
+
+      expect(builder.length).toBe(19);
+    });
+
+    it("should push Unix timestamps", function()
+    {
+      var builder = new BufferBuilder();
+      var date = new Date('2021-06-15T12:34:56.789Z');
+
+      builder
+        .pushDate(date, 'unix32')
+        .pushDate(date.getTime(), 'unix64')
+        .pushDate(date, 'unix64ms', true)
+        .pushDate(new Date('1969-12-31T23:00:00Z'), 'unix64');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x60, 0xC8, 0x9E, 0x70,
+        0x00, 0x00, 0x00, 0x00, 0x60, 0xC8, 0x9E, 0x70,
+        0x95, 0xE8, 0xAA, 0x0F, 0x7A, 0x01, 0x00, 0x00,
+        0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xF1, 0xF0
+      ]);
+    });
+
+    it("should push Unix timestamps in nanoseconds specified as dates or bigints", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushDate(new Date('2021-06-15T12:34:56.789Z'), 'unix64ns')
+        .pushDate(BigInt('1623760496789000001'), 'unix64ns');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x16, 0x88, 0xC1, 0x91, 0x9B, 0x6B, 0x8F, 0x40,
+        0x16, 0x88, 0xC1, 0x91, 0x9B, 0x6B, 0x8F, 0x41
+      ]);
+    });
+
+    it("should push NTP timestamps", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushDate(new Date('2021-06-15T12:34:56.789Z'), 'ntp64')
+        .pushDate(new Date('2036-02-07T06:28:16.500Z'), 'ntp64');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0xE4, 0x73, 0x1C, 0xF0, 0xC9, 0xFB, 0xE7, 0x6D,
+        0x00, 0x00, 0x00, 0x00, 0x80, 0x00, 0x00, 0x00
+      ]);
+    });
+
+    it("should push Windows FILETIMEs", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushDate(new Date('2021-06-15T12:34:56.789Z'), 'filetime', true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x50, 0xBC, 0x5B, 0xD9, 0xE2, 0x61, 0xD7, 0x01]);
+    });
+
+    it("should push NTP timestamps and Windows FILETIMEs specified as nanoseconds", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushDate(BigInt('1623760496789123456'), 'ntp64ns')
+        .pushDate(BigInt(-500000000), 'ntp64ns')
+        .pushDate(new Date('2021-06-15T12:34:56.789Z'), 'ntp64ns')
+        .pushDate(BigInt('1623760496789123456'), 'filetimens', true)
+        .pushDate(new Date('2021-06-15T12:34:56.789Z'), 'filetimens', true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0xE4, 0x73, 0x1C, 0xF0, 0xCA, 0x03, 0xFE, 0xAD,
+        0x83, 0xAA, 0x7E, 0x7F, 0x80, 0x00, 0x00, 0x00,
+        0xE4, 0x73, 0x1C, 0xF0, 0xC9, 0xFB, 0xE7, 0x6D,
+        0x22, 0xC1, 0x5B, 0xD9, 0xE2, 0x61, 0xD7, 0x01,
+        0x50, 0xBC, 0x5B, 0xD9, 0xE2, 0x61, 0xD7, 0x01
+      ]);
+    });
+
+    it("should throw if nanoseconds are pushed in the millisecond formats or are out of range", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushDate(BigInt('1623760496789123456'), 'ntp64'); }).toThrow();
+      expect(function() { builder.pushDate(BigInt('1623760496789123456'), 'filetime'); }).toThrow();
+      expect(function() { builder.pushDate(BigInt(-2208988801) * BigInt(1000000000), 'ntp64ns'); }).toThrow();
+      expect(function() { builder.pushDate(BigInt(-11644473600001) * BigInt(1000000), 'filetimens'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should push DOS dates and times truncated to two seconds", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushDate(new Date('2021-06-15T12:34:57.789Z'), 'dos', true)
+        .pushDate(new Date('2021-06-15T12:34:56Z'), 'dos');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x5C, 0x64, 0xCF, 0x52, 0x52, 0xCF, 0x64, 0x5C]);
+    });
+
+    it("should push CP56Time2a times with the day of the week regardless of the byte order", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushDate(new Date('2021-06-15T12:34:56.789Z'), 'cp56time2a')
+        .pushDate(new Date('2021-06-13T00:00:00Z'), 'cp56time2a', true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0xD5, 0xDD, 0x22, 0x0C, 0x4F, 0x06, 0x15,
+        0x00, 0x00, 0x00, 0x00, 0xED, 0x06, 0x15
+      ]);
+    });
+
+    it("should use the builder's byte order by default", function()
+    {
+      var builder = new BufferBuilder({byteOrder: 'LE'});
+
+      builder.pushDate(new Date('2021-06-15T12:34:56Z'), 'unix32');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x70, 0x9E, 0xC8, 0x60]);
+    });
+  });
+
+  describe("pushUuid", function()
+  {
+    it("should throw if the specified layout is not supported", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUuid('0000180d-0000-1000-8000-00805f9b34fb', 'ms'); }).toThrow("Unknown UUID layout: ms.");
+    });
+
+    it("should throw if the specified value is not a valid UUID string", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUuid('0000180d00001000800000805f9b34fb'); }).toThrow("Expected a UUID string in the xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx form.");
+      expect(function() { builder.pushUuid('0000180d-0000-1000-8000-00805f9b34f'); }).toThrow();
+      expect(function() { builder.pushUuid('0000180g-0000-1000-8000-00805f9b34fb'); }).toThrow();
+      expect(function() { builder.pushUuid('{0000180d-0000-1000-8000-00805f9b34fb'); }).toThrow();
+      expect(function() { builder.pushUuid(null); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushUuid('0000180d-0000-1000-8000-00805f9b34fb')).toBe(builder);
+    });
+
+    it("should increase the length of the builder by 16", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUuid('0000180d-0000-1000-8000-00805f9b34fb');
+
+      expect(builder.length).toBe(16);
+    });
+
+    it("should push the UUID in the RFC 4122 layout by default", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUuid('0000180D-0000-1000-8000-00805F9B34FB');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x00, 0x00, 0x18, 0x0D, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0x80, 0x5F, 0x9B, 0x34, 0xFB
+      ]);
+    });
+
+    it("should push the UUID in the Microsoft GUID layout", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUuid('{6B29FC40-CA47-1067-B31D-00DD010662DA}', 'guid');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x40, 0xFC, 0x29, 0x6B, 0x47, 0xCA, 0x67, 0x10, 0xB3, 0x1D, 0x00, 0xDD, 0x01, 0x06, 0x62, 0xDA
+      ]);
+    });
+  });
+
+  describe("pushIPv4", function()
+  {
+    it("should throw if the specified value is not an IPv4 address in the dotted-decimal form", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushIPv4('192.168.1'); }).toThrow("Expected an IPv4 address in the dotted-decimal form.");
+      expect(function() { builder.pushIPv4('192.168.1.256'); }).toThrow();
+      expect(function() { builder.pushIPv4('192.168.01.1'); }).toThrow();
+      expect(function() { builder.pushIPv4('192.168.1.1.1'); }).toThrow();
+      expect(function() { builder.pushIPv4(' 192.168.1.1'); }).toThrow();
+      expect(function() { builder.pushIPv4(0xC0A80101); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushIPv4('127.0.0.1')).toBe(builder);
+    });
+
+    it("should push the IPv4 address", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushIPv4('192.168.1.10').pushIPv4('0.0.0.0');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([192, 168, 1, 10, 0, 0, 0, 0]);
+    });
+  });
+
+  describe("pushIPv6", function()
+  {
+    it("should throw if the specified value is not an IPv6 address", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushIPv6('1:2:3:4:5:6:7'); }).toThrow("Expected an IPv6 address.");
+      expect(function() { builder.pushIPv6('1:2:3:4:5:6:7:8:9'); }).toThrow();
+      expect(function() { builder.pushIPv6('1::2::3'); }).toThrow();
+      expect(function() { builder.pushIPv6('1:2:3:4::5:6:7:8'); }).toThrow();
+      expect(function() { builder.pushIPv6(':1:2:3:4:5:6:7'); }).toThrow();
+      expect(function() { builder.pushIPv6('12345::'); }).toThrow();
+      expect(function() { builder.pushIPv6('::ffff:192.0.2'); }).toThrow();
+      expect(function() { builder.pushIPv6('1.2.3.4::'); }).toThrow();
+      expect(function() { builder.pushIPv6('192.168.1.1'); }).toThrow();
+      expect(function() { builder.pushIPv6('fe80::1%eth0'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushIPv6('::1')).toBe(builder);
+    });
+
+    it("should push the full IPv6 address", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushIPv6('2001:0DB8:0000:0000:0000:FF00:0042:8329');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x20, 0x01, 0x0D, 0xB8, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xFF, 0x00, 0x00, 0x42, 0x83, 0x29
+      ]);
+    });
+
+    it("should push the IPv6 address with the :: compression", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushIPv6('2001:db8::1').pushIPv6('::').pushIPv6('fe80::');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x20, 0x01, 0x0D, 0xB8, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0xFE, 0x80, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00
+      ]);
+    });
+
+    it("should push the IPv6 address ending with an IPv4 address", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushIPv6('::ffff:192.0.2.1').pushIPv6('64:ff9b:0:0:0:0:10.0.0.1');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 192, 0, 2, 1,
+        0x00, 0x64, 0xFF, 0x9B, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 10, 0, 0, 1
+      ]);
+    });
+  });
+
+  describe("pushMac", function()
+  {
+    it("should throw if the specified value is not a MAC address", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushMac('00:1a:2b:3c:4d'); }).toThrow("Expected a MAC address in the xx:xx:xx:xx:xx:xx form.");
+      expect(function() { builder.pushMac('00:1a:2b:3c:4d:5g'); }).toThrow();
+      expect(function() { builder.pushMac('00:1a-2b:3c:4d:5e'); }).toThrow();
+      expect(function() { builder.pushMac('001a2b3c4d5e'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.pushMac('00:1a:2b:3c:4d:5e')).toBe(builder);
+    });
+
+    it("should push the MAC address separated by colons or hyphens", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushMac('00:1a:2b:3c:4d:5e').pushMac('AC-DE-48-00-11-22');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x00, 0x1A, 0x2B, 0x3C, 0x4D, 0x5E,
+        0xAC, 0xDE, 0x48, 0x00, 0x11, 0x22
+      ]);
+    });
+  });
+
+  describe("byte order descriptors", function()
+  {
+    it("should treat 'BE' and 'ABCD' as big endian", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushUInt16(0x1234, 'BE')
+        .pushUInt32(0x12345678, 'ABCD');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x12, 0x34, 0x12, 0x34, 0x56, 0x78]);
+    });
+
+    it("should treat 'LE' and 'DCBA' as little endian", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushUInt16(0x1234, 'le')
+        .pushUInt32(0x12345678, 'DCBA');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x34, 0x12, 0x78, 0x56, 0x34, 0x12]);
+    });
+
+    it("should append 32 bit integers with swapped words", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushUInt32(0x12345678, 'CDAB')
+        .pushInt32(-666, 'CDAB');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x56, 0x78, 0x12, 0x34, 0xFD, 0x66, 0xFF, 0xFF]);
+    });
+
+    it("should append 32 bit integers with swapped bytes", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt32(0x12345678, 'BADC');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x34, 0x12, 0x78, 0x56]);
+    });
+
+    it("should append floats with swapped words", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushFloat(-1.23, 'CDAB');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x70, 0xA4, 0xBF, 0x9D]);
+    });
+
+    it("should apply a 4 byte descriptor to 8 byte values", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushDouble(-1.23, 'CDAB')
+        .pushDouble(-1.23, 'GHEFCDAB');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x47, 0xAE, 0x7A, 0xE1, 0xAE, 0x14, 0xBF, 0xF3,
+        0x47, 0xAE, 0x7A, 0xE1, 0xAE, 0x14, 0xBF, 0xF3
+      ]);
+    });
+
+    it("should append 64 bit integers with swapped bytes", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt64(BigInt('0x0102030405060708'), 'BADC');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x02, 0x01, 0x04, 0x03, 0x06, 0x05, 0x08, 0x07]);
+    });
+
+    it("should append integers of any even byte count with swapped words", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUIntN(0x123434565678, 6, 'CDAB');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x56, 0x78, 0x34, 0x56, 0x12, 0x34]);
+    });
+
+    it("should throw if a word swapping descriptor is used with an odd byte count", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUIntN(1, 3, 'CDAB'); }).toThrow();
+    });
+
+    it("should throw if the descriptor is not valid", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUInt32(1, 'ABCC'); }).toThrow();
+      expect(function() { builder.pushUInt32(1, 'WXYZ'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+  });
+
+  describe("default byte order", function()
+  {
+    it("should be big endian by default", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt16(0x1234);
+
+      expect(builder.byteOrder).toEqual('BE');
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x12, 0x34]);
+    });
+
+    it("should be set through the constructor options", function()
+    {
+      var builder = new BufferBuilder({byteOrder: 'LE', bitOrder: 'MSB'});
+
+      builder
+        .pushUInt16(0x1234)
+        .pushBits([1]);
+
+      expect(builder.byteOrder).toEqual('LE');
+      expect(builder.bitOrder).toEqual('MSB');
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x34, 0x12, 0x80]);
+    });
+
+    it("should throw if the bit order option is not valid", function()
+    {
+      expect(function() { new BufferBuilder({bitOrder: 'middle'}); }).toThrow();
+    });
+
+    it("should be used by all numeric methods if the byte order is not specified", function()
+    {
+      var builder = new BufferBuilder({byteOrder: true});
+
+      builder
+        .pushInt16(-2)
+        .pushFloat(1)
+        .pushDouble(1)
+        .pushUInt64(BigInt('0x8000000000000001'))
+        .pushUIntN(0x010203, 3)
+        .pushFloat16(1.5)
+        .pushFixed(1.5, 16, 16);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0xFE, 0xFF,
+        0x00, 0x00, 0x80, 0x3F,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xF0, 0x3F,
+        0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x80,
+        0x03, 0x02, 0x01,
+        0x00, 0x3E,
+        0x00, 0x80, 0x01, 0x00
+      ]);
+    });
+
+    it("should be overridden by the byte order specified in the call", function()
+    {
+      var builder = new BufferBuilder({byteOrder: 'LE'});
+
+      builder
+        .pushUInt16(0x1234, false)
+        .pushUInt16(0x1234, 'BE')
+        .pushUInt32(0x12345678, 'CDAB')
+        .pushFixed(1.5, 8, 8, {byteOrder: 'BE'});
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x12, 0x34, 0x12, 0x34, 0x56, 0x78, 0x12, 0x34, 0x01, 0x80]);
+    });
+
+    it("should be applied when the value is pushed", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder.pushUInt16(0x1234);
+      builder.byteOrder = 'LE';
+      builder.pushUInt16(0x1234);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x12, 0x34, 0x34, 0x12]);
+    });
+  });
+
+  describe("withByteOrder", function()
+  {
+    it("should return self", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.withByteOrder('LE', function() {})).toBe(builder);
+    });
+
+    it("should temporarily change the default byte order", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushUInt16(0x1234)
+        .withByteOrder('LE', function(sameBuilder)
+        {
+          expect(sameBuilder).toBe(builder);
+
+          builder.pushUInt16(0x1234);
+        })
+        .pushUInt16(0x1234);
+
+      expect(builder.byteOrder).toEqual('BE');
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x12, 0x34, 0x34, 0x12, 0x12, 0x34]);
+    });
+
+    it("should restore the previous byte order if the specified function throws", function()
+    {
+      var builder = new BufferBuilder({byteOrder: 'LE'});
+
+      expect(function()
+      {
+        builder.withByteOrder('BE', function() { throw new Error("Nope"); });
+      }).toThrow();
+      expect(builder.byteOrder).toEqual('LE');
+    });
+  });
+
+  describe("overflow policy", function()
+  {
+    it("should throw if the specified default overflow policy is not valid", function()
+    {
+      expect(function() { new BufferBuilder({overflow: 'saturate'}); }).toThrow("Expected the overflow to be one of: throw, clamp, wrap.");
+    });
+
+    it("should throw for numbers out of range by default", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(builder.overflow).toBe('throw');
+      expect(function() { builder.pushByte(256); }).toThrow();
+      expect(function() { builder.pushInt16(-32769); }).toThrow();
+      expect(function() { builder.pushFloat(1e39); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw if the specified overflow policy is not valid", function()
+    {
+      var builder = new BufferBuilder();
+
+      expect(function() { builder.pushUInt8(1, 'saturate'); }).toThrow("Expected the overflow to be one of: throw, clamp, wrap.");
+      expect(function() { builder.pushUInt16(1, false, true); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should clamp integers to the nearest bound", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushByte(300, 'clamp')
+        .pushInt8(-200, 'clamp')
+        .pushUInt8(-1, 'clamp')
+        .pushInt16(40000, false, 'clamp')
+        .pushUInt16(70000, true, 'clamp')
+        .pushInt32(-3000000000, false, 'clamp')
+        .pushUInt32(5000000000, false, 'clamp');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0xFF,
+        0x80,
+        0x00,
+        0x7F, 0xFF,
+        0xFF, 0xFF,
+        0x80, 0x00, 0x00, 0x00,
+        0xFF, 0xFF, 0xFF, 0xFF
+      ]);
+    });
+
+    it("should wrap integers around", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushByte(257, 'wrap')
+        .pushInt8(128, 'wrap')
+        .pushUInt8(-1, 'wrap')
+        .pushInt16(32768, false, 'wrap')
+        .pushUInt16(65537, true, 'wrap')
+        .pushInt32(2147483648, false, 'wrap')
+        .pushUInt32(-2, false, 'wrap');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x01,
+        0x80,
+        0xFF,
+        0x80, 0x00,
+        0x01, 0x00,
+        0x80, 0x00, 0x00, 0x00,
+        0xFF, 0xFF, 0xFF, 0xFE
+      ]);
+    });
+
+    it("should clamp floating-point numbers to the largest finite values", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFloat(1e39, false, 'clamp')
+        .pushFloat(-Infinity, false, 'clamp')
+        .pushDouble(Infinity, false, 'clamp');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x7F, 0x7F, 0xFF, 0xFF,
+        0xFF, 0x7F, 0xFF, 0xFF,
+        0x7F, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF
+      ]);
+    });
+
+    it("should wrap floating-point numbers to infinities", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushFloat(1e39, false, 'wrap')
+        .pushFloat(-1e39, true, 'wrap')
+        .pushDouble(-Infinity, false, 'wrap');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x7F, 0x80, 0x00, 0x00,
+        0x00, 0x00, 0x80, 0xFF,
+        0xFF, 0xF0, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00
+      ]);
+    });
+
+    it("should throw for values that are not numbers regardless of the overflow policy", function()
+    {
+      var builder = new BufferBuilder({overflow: 'clamp'});
+
+      expect(function() { builder.pushUInt8('abc'); }).toThrow();
+      expect(function() { builder.pushInt32(NaN, false, 'wrap'); }).toThrow();
+      expect(function() { builder.pushFloat(NaN); }).toThrow();
+      expect(function() { builder.pushDouble('abc', false, 'wrap'); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should use the builder's overflow policy if one is not specified", function()
+    {
+      var builder = new BufferBuilder({overflow: 'clamp'});
+
+      builder.pushUInt8(256);
+      builder.overflow = 'wrap';
+      builder.pushUInt8(257);
+
+      expect(function() { builder.pushUInt8(258, 'throw'); }).toThrow();
+      expect(builder.toBuffer()).toBeEqualToBuffer([0xFF, 0x01]);
+    });
+
+    it("should ignore a byte order flag passed to the 1-byte pushes", function()
+    {
+      var builder = new BufferBuilder({overflow: 'clamp'});
+
+      builder
+        .pushUInt8(66, true)
+        .pushInt8(10, true)
+        .pushByte(0xAB, false)
+        .pushUInt8(300, true);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x42, 0x0A, 0xAB, 0xFF]);
+      expect(function() { new BufferBuilder().pushUInt8(256, true); }).toThrow();
+    });
+
+    it("should report clamped and wrapped numbers to the onOverflow function", function()
+    {
+      var reports = [];
+      var builder = new BufferBuilder({
+        overflow: 'clamp',
+        onOverflow: function(report) { reports.push(report); }
+      });
+
+      builder
+        .pushUInt16(1000)
+        .pushUInt16(70000)
+        .pushInt8(-129, 'wrap')
+        .pushFloat(Infinity, true);
+
+      expect(reports).toEqual([
+        {method: 'pushUInt16', policy: 'clamp', value: 70000, result: 65535},
+        {method: 'pushInt8', policy: 'wrap', value: -129, result: 127},
+        {method: 'pushFloat', policy: 'clamp', value: Infinity, result: 3.4028234663852886e+38}
+      ]);
+    });
+  });
+
+  describe("strict mode", function()
+  {
+    it("should be disabled by default", function()
+    {
+      expect(new BufferBuilder().strict).toBe(false);
+      expect(new BufferBuilder({strict: true}).strict).toBe(true);
+    });
+
+    it("should coerce the numeric arguments if disabled", function()
+    {
+      var builder = new BufferBuilder();
+
+      builder
+        .pushByte('12abc')
+        .pushUInt16(3.9)
+        .pushBytes(['1', 2]);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x0C, 0x00, 0x03, 0x01, 0x02]);
+    });
+
+    it("should throw a TypeError naming the method and the argument for strings", function()
+    {
+      var builder = new BufferBuilder({strict: true});
+
+      expect(function() { builder.pushByte('12abc'); }).toThrow(
+        new TypeError('Expected byteValue of pushByte() to be an integer, got "12abc".')
+      );
+      expect(function() { builder.pushFloat('1e3xyz'); }).toThrow(
+        new TypeError('Expected numberValue of pushFloat() to be a finite number, got "1e3xyz".')
+      );
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw a TypeError if an integer push receives a fraction or a non-finite number", function()
+    {
+      var builder = new BufferBuilder({strict: true});
+
+      expect(function() { builder.pushUInt16(3.9); }).toThrow(
+        new TypeError('Expected numberValue of pushUInt16() to be an integer, got 3.9.')
+      );
+      expect(function() { builder.pushInt32(Infinity); }).toThrow();
+      expect(function() { builder.pushIntN(NaN, 3); }).toThrow();
+      expect(function() { builder.pushVarUInt(1.5); }).toThrow();
+      expect(function() { builder.pushBcd('12', 2); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw a TypeError if a floating-point push receives a non-finite number", function()
+    {
+      var builder = new BufferBuilder({strict: true, overflow: 'clamp'});
+
+      expect(function() { builder.pushDouble(Infinity); }).toThrow(
+        new TypeError('Expected numberValue of pushDouble() to be a finite number, got Infinity.')
+      );
+      expect(function() { builder.pushFloat(-Infinity); }).toThrow(
+        new TypeError('Expected numberValue of pushFloat() to be a finite number, got -Infinity.')
+      );
+      expect(function() { builder.pushFloat(Infinity, false, 'wrap'); }).toThrow(
+        new TypeError('Expected numberValue of pushFloat() to be a finite number, got Infinity.')
+      );
+      expect(function() { builder.pushDouble(-Infinity, false, 'wrap'); }).toThrow(
+        new TypeError('Expected numberValue of pushDouble() to be a finite number, got -Infinity.')
+      );
+      expect(function() { builder.pushFixed(Infinity, 16, 16); }).toThrow(
+        new TypeError('Expected numberValue of pushFixed() to be a finite number, got Infinity.')
+      );
+      expect(function() { builder.pushFloat64Array([1, Infinity]); }).toThrow(
+        new TypeError('Expected values[1] of pushFloat64Array() to be a finite number, got Infinity.')
+      );
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw a TypeError naming the pad byte and the length of pushFixedString()", function()
+    {
+      var builder = new BufferBuilder({strict: true});
+
+      expect(function() { builder.pushFixedString('a', 2, 'ascii', 'x'); }).toThrow(
+        new TypeError('Expected padByte of pushFixedString() to be an integer between 0 and 255, got "x".')
+      );
+      expect(function() { builder.pushFixedString('a', 2, 'ascii', {padByte: 256}); }).toThrow(
+        new TypeError('Expected padByte of pushFixedString() to be an integer between 0 and 255, got 256.')
+      );
+      expect(function() { builder.pushFixedString('a', '2'); }).toThrow(
+        new TypeError('Expected length of pushFixedString() to be an integer, got "2".')
+      );
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw a TypeError naming the bit counts of pushFixed()", function()
+    {
+      var builder = new BufferBuilder({strict: true});
+
+      expect(function() { builder.pushFixed(1.5, '8', 8); }).toThrow(
+        new TypeError('Expected integerBits of pushFixed() to be an integer, got "8".')
+      );
+      expect(function() { builder.pushFixed(1.5, 8, 7.5); }).toThrow(
+        new TypeError('Expected fractionBits of pushFixed() to be an integer, got 7.5.')
+      );
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw a TypeError if pushDate() receives an invalid date", function()
+    {
+      var builder = new BufferBuilder({strict: true});
+
+      expect(function() { builder.pushDate('2020-01-01', 'unix32'); }).toThrow(
+        new TypeError('Expected date of pushDate() to be a valid Date, a finite number or a bigint, got "2020-01-01".')
+      );
+      expect(function() { builder.pushDate(new Date(NaN), 'unix32'); }).toThrow(
+        new TypeError('Expected date of pushDate() to be a valid Date, a finite number or a bigint, got Invalid Date.')
+      );
+      expect(function() { builder.pushDate(Infinity, 'unix64ms'); }).toThrow();
+      expect(builder.length).toBe(0);
+
+      builder
+        .pushDate(new Date(1000), 'unix32')
+        .pushDate(2000, 'unix32')
+        .pushDate(BigInt(3000000000), 'unix64ns');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x00, 0x00, 0x00, 0x01,
+        0x00, 0x00, 0x00, 0x02,
+        0x00, 0x00, 0x00, 0x00, 0xB2, 0xD0, 0x5E, 0x00
+      ]);
+    });
+
+    it("should accept infinities in pushFloat16()", function()
+    {
+      var builder = new BufferBuilder({strict: true});
+
+      builder.pushFloat16(Infinity).pushFloat16(-Infinity);
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([0x7C, 0x00, 0xFC, 0x00]);
+    });
+
+    it("should throw a TypeError if pushBytes() receives a non-array or invalid elements", function()
+    {
+      var builder = new BufferBuilder({strict: true});
+
+      expect(function() { builder.pushBytes('abc'); }).toThrow(
+        new TypeError('Expected bytesArray of pushBytes() to be an array, got "abc".')
+      );
+      expect(function() { builder.pushBytes([1, '2']); }).toThrow(
+        new TypeError('Expected bytesArray[1] of pushBytes() to be an integer between 0 and 255, got "2".')
+      );
+      expect(function() { builder.pushBytes([256]); }).toThrow();
+      expect(builder.length).toBe(0);
+    });
+
+    it("should throw a TypeError naming the element of a typed array push", function()
+    {
+      var builder = new BufferBuilder({strict: true});
+
+      expect(function() { builder.pushInt16Array([1, 2.5]); }).toThrow(
+        new TypeError('Expected values[1] of pushInt16Array() to be an integer, got 2.5.')
+      );
+      expect(builder.length).toBe(0);
+    });
+
+    it("should accept valid numbers and bigints", function()
+    {
+      var builder = new BufferBuilder({strict: true});
+
+      builder
+        .pushByte(1)
+        .pushBytes([2, 3])
+        .pushUInt16(0x0405)
+        .pushFloat(1.5)
+        .pushInt64(BigInt(-1))
+        .pushUInt8(300, 'clamp');
+
+      expect(builder.toBuffer()).toBeEqualToBuffer([
+        0x01, 0x02, 0x03, 0x04, 0x05,
+        0x3F, 0xC0, 0x00, 0x00,
+        0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF,
+        0xFF
       ]);
     });
   });
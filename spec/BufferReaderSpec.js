@@ -1,5 +1,5 @@
-/*jshint maxlen:999,maxstatements:999*/
-/*global describe:false,it:false,expect:false*/
+/*jshint maxlen:999,maxstatements:999,newcap:false*/
+/*global describe:false,it:false,expect:false,BigInt:false*/
 
 'use strict';
 
@@ -105,11 +105,22 @@ describe("BufferReader", function()
 
   describe("indexOf", function()
   {
-    it("should throw if the specified search element is not a number", function()
+    it("should throw if the specified search element is not a number, a string, a Buffer or an array", function()
     {
       var reader = new BufferReader(new Buffer([1]));
       
-      expect(function() { reader.indexOf('ten'); }).toThrow();
+      expect(function() { reader.indexOf({}); }).toThrow();
+      expect(function() { reader.indexOf(null); }).toThrow();
+    });
+
+    it("should throw if the specified search sequence is empty or contains non-byte values", function()
+    {
+      var reader = new BufferReader(new Buffer([1]));
+
+      expect(function() { reader.indexOf(''); }).toThrow();
+      expect(function() { reader.indexOf([]); }).toThrow();
+      expect(function() { reader.indexOf(new Buffer(0)); }).toThrow();
+      expect(function() { reader.indexOf([0x00, 0x100]); }).toThrow();
     });
     
     it("should throw if the specified from index is not a number", function()
@@ -168,6 +179,238 @@ describe("BufferReader", function()
       
       expect(reader.indexOf(1, 2)).toEqual(4);
     });
+
+    it("should search up to the end of the reader after skipping the beginning", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3, 4, 5, 6]));
+
+      reader.skip(4);
+
+      expect(reader.indexOf(6)).toBe(1);
+    });
+
+    it("should return index of the first occurrence of the searched sequence of bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0xAA, 0x00, 0xAA, 0xAA, 0x55, 0x01, 0xAA, 0x55]));
+
+      expect(reader.indexOf([0xAA, 0x55])).toBe(3);
+      expect(reader.indexOf(new Buffer([0xAA, 0x55]), 4)).toBe(6);
+      expect(reader.indexOf([0x55, 0xAA])).toBe(-1);
+      expect(reader.indexOf([0x01, 0xAA, 0x55, 0x00])).toBe(-1);
+    });
+
+    it("should search for a string encoded in the specified encoding", function()
+    {
+      var reader = new BufferReader(new Buffer('HTTP/1.1 200 OK\r\nHost: a\r\n\r\nbody'));
+
+      expect(reader.indexOf('\r\n\r\n')).toBe(24);
+      expect(reader.indexOf('\r\n', 18)).toBe(24);
+      expect(reader.indexOf('OK', 0, 'ascii')).toBe(13);
+      expect(new BufferReader(new Buffer([0x61, 0x00, 0x62, 0x00])).indexOf('b', 0, 'ucs2')).toBe(2);
+    });
+
+    it("should not find a sequence outside of the reader's bounds", function()
+    {
+      var buffer = new Buffer([0xAA, 0x55, 0xAA, 0x55, 0xAA, 0x55]);
+      var reader = new BufferReader(buffer.slice(0, 5));
+
+      reader.skip(1);
+
+      expect(reader.indexOf([0xAA, 0x55])).toBe(1);
+      expect(reader.indexOf([0xAA, 0x55], 2)).toBe(-1);
+    });
+  });
+
+  describe("lastIndexOf", function()
+  {
+    it("should throw if the specified search element is invalid", function()
+    {
+      var reader = new BufferReader(new Buffer([1]));
+
+      expect(function() { reader.lastIndexOf(0x100); }).toThrow();
+      expect(function() { reader.lastIndexOf([]); }).toThrow();
+    });
+
+    it("should throw if the specified from index is not between 0 and the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1]));
+
+      expect(function() { reader.lastIndexOf(1, -1); }).toThrow();
+      expect(function() { reader.lastIndexOf(1, 2); }).toThrow();
+      expect(function() { reader.lastIndexOf(1, 'ten'); }).toThrow();
+    });
+
+    it("should return index of the last occurrence of the searched element", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 0, 0, 1, 1, 0]));
+
+      expect(reader.lastIndexOf(1)).toBe(5);
+      expect(reader.lastIndexOf(2)).toBe(-1);
+      expect(new BufferReader(new Buffer(0)).lastIndexOf(1)).toBe(-1);
+    });
+
+    it("should return index of the last occurrence of the searched sequence starting at or before the specified index", function()
+    {
+      var reader = new BufferReader(new Buffer([0xAA, 0x55, 0x00, 0xAA, 0x55, 0x55, 0xAA, 0x55]));
+
+      expect(reader.lastIndexOf([0xAA, 0x55])).toBe(6);
+      expect(reader.lastIndexOf([0xAA, 0x55], 5)).toBe(3);
+      expect(reader.lastIndexOf([0xAA, 0x55], 3)).toBe(3);
+      expect(reader.lastIndexOf([0xAA, 0x55], 2)).toBe(0);
+      expect(reader.lastIndexOf([0x55, 0x55, 0xAA])).toBe(4);
+      expect(reader.lastIndexOf('U', 0, 'ascii')).toBe(-1);
+    });
+
+    it("should search only the unread bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0xAA, 0x55, 0x00, 0xAA, 0x55]));
+
+      reader.skip(2);
+
+      expect(reader.lastIndexOf([0xAA, 0x55])).toBe(1);
+      expect(reader.lastIndexOf([0xAA, 0x55], 0)).toBe(-1);
+    });
+  });
+
+  describe("includes", function()
+  {
+    it("should return whether the reader contains the searched element", function()
+    {
+      var reader = new BufferReader(new Buffer('GET / HTTP/1.1\r\n\r\n'));
+
+      expect(reader.includes('\r\n\r\n')).toBe(true);
+      expect(reader.includes('HTTP', 7)).toBe(false);
+      expect(reader.includes(0x20)).toBe(true);
+      expect(reader.includes([0x0D, 0x0D])).toBe(false);
+    });
+
+    it("should throw if the specified search element is invalid", function()
+    {
+      var reader = new BufferReader(new Buffer([1]));
+
+      expect(function() { reader.includes(''); }).toThrow();
+    });
+  });
+
+  describe("findPattern", function()
+  {
+    it("should throw if the specified pattern is empty", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01]));
+
+      expect(function() { reader.findPattern(''); }).toThrow();
+      expect(function() { reader.findPattern([]); }).toThrow();
+      expect(function() { reader.findPattern({}); }).toThrow();
+    });
+
+    it("should throw if the specified pattern contains an invalid byte", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01]));
+
+      expect(function() { reader.findPattern('68 ??? 68'); }).toThrow(new Error("Invalid pattern byte at index 1."));
+      expect(function() { reader.findPattern('68 GG'); }).toThrow();
+      expect(function() { reader.findPattern('68/1FF'); }).toThrow();
+      expect(function() { reader.findPattern([0x68, 0x100]); }).toThrow();
+      expect(function() { reader.findPattern([{value: 0x68, mask: -1}]); }).toThrow();
+      expect(function() { reader.findPattern([undefined]); }).toThrow();
+    });
+
+    it("should throw if the specified from index is not between 0 and the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01]));
+
+      expect(function() { reader.findPattern('01', -1); }).toThrow();
+      expect(function() { reader.findPattern('01', 2); }).toThrow();
+    });
+
+    it("should find a pattern with wildcard bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x10, 0x68, 0x68, 0x05, 0x05, 0x68, 0x01, 0x02, 0x68, 0x16]));
+
+      expect(reader.findPattern('68 ?? ?? 68')).toBe(2);
+      expect(reader.findPattern([0x68, null, null, 0x68])).toBe(2);
+      expect(reader.findPattern(['68', '??', '??', '68'], 3)).toBe(5);
+      expect(reader.findPattern('68 ?? ?? 68', 6)).toBe(-1);
+      expect(reader.findPattern('16 ??')).toBe(-1);
+    });
+
+    it("should find a pattern with wildcard nibbles and masked bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x9A, 0x4F, 0xAA, 0x5F, 0xAA, 0x0F]));
+
+      expect(reader.findPattern('AA 5?')).toBe(2);
+      expect(reader.findPattern('AA 50/F0')).toBe(2);
+      expect(reader.findPattern([0xAA, {value: 0x50, mask: 0xF0}])).toBe(2);
+      expect(reader.findPattern('?A 5? ?A')).toBe(2);
+      expect(reader.findPattern('AA 0?')).toBe(4);
+      expect(reader.findPattern('AA 5F/0F')).toBe(2);
+      expect(reader.findPattern([{value: 0x80, mask: 0x80}])).toBe(0);
+      expect(reader.findPattern([{value: 0x40}])).toBe(-1);
+    });
+
+    it("should match a pattern of wildcards at the starting index", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01, 0x02, 0x03]));
+
+      expect(reader.findPattern('?? ??', 1)).toBe(1);
+      expect(reader.findPattern('?? ??', 2)).toBe(-1);
+    });
+  });
+
+  describe("skipToPattern", function()
+  {
+    it("should skip the bytes preceding the match and return their count", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0xE5, 0x68, 0x03, 0x03, 0x68]));
+
+      expect(reader.skipToPattern('68 ?? ?? 68')).toBe(3);
+      expect(reader.length).toBe(4);
+      expect(reader.findPattern('68 ?? ?? 68')).toBe(0);
+      expect(reader.shiftByte()).toBe(0x68);
+    });
+
+    it("should not skip anything if the match is at the beginning", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01, 0x02, 0x03]));
+
+      expect(reader.skipToPattern([0x01, null])).toBe(0);
+      expect(reader.length).toBe(3);
+    });
+
+    it("should keep the bytes that could begin a match if the pattern was not found", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x68, 0x03, 0x03]));
+
+      expect(reader.skipToPattern('68 ?? ?? 68')).toBe(2);
+      expect(reader.length).toBe(3);
+      expect(reader.shiftByte()).toBe(0x68);
+    });
+
+    it("should skip the trailing bytes that do not match the beginning of the pattern", function()
+    {
+      var reader = new BufferReader(new Buffer([0x68, 0x01, 0x02, 0xE5, 0x68]));
+
+      expect(reader.skipToPattern('68 ?? ?? 68 ?? 16')).toBe(4);
+      expect(reader.length).toBe(1);
+      expect(reader.skipToPattern('16')).toBe(1);
+      expect(reader.length).toBe(0);
+    });
+
+    it("should return 0 if the reader is shorter than the pattern", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01, 0x02, 0x03]));
+
+      expect(reader.skipToPattern('?? ?? ?? ??')).toBe(0);
+      expect(reader.length).toBe(3);
+    });
+
+    it("should throw if the specified pattern is invalid", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01]));
+
+      expect(function() { reader.skipToPattern('6'); }).toThrow();
+      expect(reader.length).toBe(1);
+    });
   });
 
   describe("copy", function()
@@ -359,6 +602,129 @@ describe("BufferReader", function()
 
       expect(reader.length).toEqual(1);
     });
+
+    it("should use the specified bit order", function()
+    {
+      var reader = new BufferReader(new Buffer([0xAB, 0xC0]));
+
+      expect(reader.shiftBits(10, 'MSB').map(Number)).toEqual([1, 0, 1, 0, 1, 0, 1, 1, 1, 1]);
+    });
+
+    it("should use the reader's bit order by default", function()
+    {
+      var reader = new BufferReader(new Buffer([0xAB, 0xC0]));
+
+      reader.bitOrder = 'MSB';
+
+      expect(reader.shiftBits(4).map(Number)).toEqual([1, 0, 1, 0]);
+      expect(reader.shiftBits(8, 'LSB').map(Number)).toEqual([0, 0, 0, 0, 0, 0, 1, 1]);
+    });
+
+    it("should throw and not shift anything if the bit order is not valid", function()
+    {
+      var reader = new BufferReader(new Buffer([0xAB]));
+
+      expect(function() { reader.shiftBits(8, 'middle'); }).toThrow();
+      expect(reader.length).toEqual(1);
+    });
+  });
+
+  describe("shiftBitField", function()
+  {
+    it("should throw if the specified width is not a number greater than 0", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF]));
+
+      expect(function() { reader.shiftBitField(0); }).toThrow();
+      expect(function() { reader.shiftBitField('abc'); }).toThrow();
+    });
+
+    it("should throw if the specified width exceeds the number of remaining bits", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF]));
+
+      expect(function() { reader.shiftBitField(17); }).toThrow();
+
+      reader.shiftBitField(3);
+
+      expect(function() { reader.shiftBitField(14); }).toThrow();
+      expect(reader.shiftBitField(13)).toEqual(0x1FFF);
+    });
+
+    it("should return the next bits starting with the most significant one", function()
+    {
+      var reader = new BufferReader(new Buffer([0x52, 0x01]));
+
+      expect(reader.shiftBitField(2)).toEqual(1);
+      expect(reader.shiftBitField(2)).toEqual(1);
+      expect(reader.shiftBitField(4)).toEqual(2);
+      expect(reader.length).toEqual(1);
+    });
+
+    it("should return bit fields spanning multiple bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0xAB, 0xCD, 0xEF]));
+
+      expect(reader.shiftBitField(4)).toEqual(0xA);
+      expect(reader.shiftBitField(12)).toEqual(0xBCD);
+      expect(reader.shiftBitField(3)).toEqual(7);
+      expect(reader.shiftBitField(5)).toEqual(0xF);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return 32 bit wide fields as numbers", function()
+    {
+      var reader = new BufferReader(new Buffer([0x0F, 0xFF, 0xFF, 0xFF, 0xF0]));
+
+      expect(reader.shiftBitField(4)).toEqual(0);
+      expect(reader.shiftBitField(32)).toEqual(0xFFFFFFFF);
+    });
+
+    it("should return fields wider than 32 bits as bigints", function()
+    {
+      var reader = new BufferReader(new Buffer([0x81, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09]));
+
+      expect(reader.shiftBitField(1)).toEqual(1);
+      expect(reader.shiftBitField(40)).toBe(BigInt('0x020406080A'));
+      expect(reader.shiftBitField(31)).toEqual(0x06070809);
+    });
+
+    it("should discard the remaining bits of a partially read byte if bytes are shifted", function()
+    {
+      var reader = new BufferReader(new Buffer([0xF0, 0x12, 0x34, 0x56, 0x78]));
+
+      expect(reader.shiftBitField(4)).toEqual(0xF);
+      expect(reader.shiftByte()).toEqual(0x12);
+      expect(reader.shiftBitField(4)).toEqual(0x3);
+
+      reader.skip(1);
+
+      expect(reader.shiftBitField(4)).toEqual(0x7);
+    });
+  });
+
+  describe("alignToByte", function()
+  {
+    it("should discard the remaining bits of a partially read byte", function()
+    {
+      var reader = new BufferReader(new Buffer([0xE1, 0x80]));
+
+      expect(reader.shiftBitField(3)).toEqual(7);
+
+      reader.alignToByte();
+
+      expect(reader.shiftBitField(1)).toEqual(1);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should not do anything if the reader is aligned", function()
+    {
+      var reader = new BufferReader(new Buffer([0x80]));
+
+      reader.alignToByte();
+
+      expect(reader.shiftBitField(1)).toEqual(1);
+    });
   });
 
   describe("shiftByte", function()
@@ -621,6 +987,14 @@ describe("BufferReader", function()
 
       expect(reader.shiftString(5)).toEqual('world');
     });
+
+    it("should decode the string with the specified code page", function()
+    {
+      var reader = new BufferReader(new Buffer([0xC8, 0x89, 0x5A, 0xA3, 0xF3, 0x64, 0x9F]));
+
+      expect(reader.shiftString(3, 'CP037')).toEqual('Hi!');
+      expect(reader.shiftString(4, 'windows-1250')).toEqual('Łódź');
+    });
   });
 
   describe("shiftZeroString", function()
@@ -664,134 +1038,367 @@ describe("BufferReader", function()
 
       expect(reader.shiftZeroString()).toEqual('');
     });
-  });
 
-  describe("shiftInt8", function()
-  {
-    it("should throw if the reader is empty", function()
+    it("should look for a two-byte NUL character aligned to the string's start for UTF-16 encodings", function()
     {
-      var reader = new BufferReader(new Buffer([]));
+      var reader = new BufferReader(Buffer.concat([new Buffer('\u0100ab', 'utf16le'), new Buffer([0x00, 0x00, 0x7A])]));
 
-      expect(function() { reader.shiftInt8(); }).toThrow();
+      expect(reader.shiftZeroString('utf16le')).toEqual('\u0100ab');
+      expect(reader.length).toBe(1);
     });
 
-    it("should return the next positive 8 bit integer", function()
+    it("should not treat the zero bytes of two UTF-16 code units as the terminator", function()
     {
-      var reader = new BufferReader(new Buffer([0x42, 0x00]));
+      var reader = new BufferReader(new Buffer([0x61, 0x00, 0x00, 0x62, 0x00, 0x00]));
 
-      expect(reader.shiftInt8()).toEqual(66);
+      expect(reader.shiftZeroString('ucs2')).toEqual('a\u6200');
+      expect(reader.length).toBe(0);
     });
 
-    it("should return the next negative 8 bit integer", function()
+    it("should use the specified terminator sequence", function()
     {
-      var reader = new BufferReader(new Buffer([0xBE, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer('a\rb\r\nc;;d'));
 
-      expect(reader.shiftInt8()).toEqual(-66);
+      expect(reader.shiftZeroString('ascii', '\r\n')).toEqual('a\rb');
+      expect(reader.shiftZeroString('ascii', [0x3B, 0x3B])).toEqual('c');
+      expect(reader.length).toBe(1);
     });
 
-    it("should return the lower bound value of -128 if the next byte is 0x80", function()
+    it("should return an empty string if the string starts with the terminator", function()
     {
-      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer('\0abc'));
 
-      expect(reader.shiftInt8()).toEqual(-128);
+      expect(reader.shiftZeroString()).toEqual('');
+      expect(reader.length).toBe(3);
     });
 
-    it("should return the upper bound value of 127 if the next byte is 0x7F", function()
+    it("should throw if the specified terminator is not valid", function()
     {
-      var reader = new BufferReader(new Buffer([0x7F, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer('abc\0'));
 
-      expect(reader.shiftInt8()).toEqual(127);
+      expect(function() { reader.shiftZeroString('utf8', []); }).toThrow();
+      expect(function() { reader.shiftZeroString('utf8', [256]); }).toThrow();
+      expect(function() { reader.shiftZeroString('utf8', 0); }).toThrow();
+      expect(reader.length).toBe(4);
     });
 
-    it("should return a value of 0 if the next byte is 0x00", function()
+    it("should use the specified code page for the string and the terminator", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0xC1, 0xC2, 0x25, 0xC3, 0x25]));
 
-      expect(reader.shiftInt8()).toEqual(0);
+      expect(reader.shiftZeroString('cp500', '\n')).toEqual('AB');
+      expect(reader.length).toBe(2);
     });
+  });
 
-    it("should return a value of -1 if the next byte is 0xFF", function()
+  describe("shiftPrefixedBuffer", function()
+  {
+    it("should shift a buffer preceded by an unsigned 8 bit length by default", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0x03, 0x61, 0x62, 0x63, 0xFF]));
 
-      expect(reader.shiftInt8()).toEqual(-1);
+      expect(Array.prototype.slice.call(reader.shiftPrefixedBuffer())).toEqual([0x61, 0x62, 0x63]);
+      expect(reader.length).toBe(1);
     });
 
-    it("should decrease the reader's length by one", function()
+    it("should use the specified prefix type", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
-
-      reader.shiftInt8();
+      var reader = new BufferReader(new Buffer([
+        0x00, 0x01, 0xAA,
+        0x01, 0x00, 0xBB,
+        0x00, 0x00, 0x00, 0x01, 0xCC,
+        0x01, 0x00, 0x00, 0x00, 0xDD,
+        0x02, 0xEE, 0xFF
+      ]));
 
-      expect(reader.length).toEqual(2);
+      expect(Array.prototype.slice.call(reader.shiftPrefixedBuffer('UInt16'))).toEqual([0xAA]);
+      expect(Array.prototype.slice.call(reader.shiftPrefixedBuffer('uint16le'))).toEqual([0xBB]);
+      expect(Array.prototype.slice.call(reader.shiftPrefixedBuffer('UInt32BE'))).toEqual([0xCC]);
+      expect(Array.prototype.slice.call(reader.shiftPrefixedBuffer('UInt32LE'))).toEqual([0xDD]);
+      expect(Array.prototype.slice.call(reader.shiftPrefixedBuffer('VarUInt'))).toEqual([0xEE, 0xFF]);
+      expect(reader.length).toBe(0);
     });
 
-    it("should work after skipping the beginning", function()
+    it("should use the reader's byte order for prefixes without a suffix", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02]));
-
-      reader.skip(2);
+      var reader = new BufferReader(new Buffer([0x02, 0x00, 0x00, 0x00, 0x01, 0x02]), {byteOrder: 'LE'});
 
-      expect(reader.shiftInt8()).toEqual(0x02);
+      expect(Array.prototype.slice.call(reader.shiftPrefixedBuffer('UInt32'))).toEqual([0x01, 0x02]);
     });
-  });
 
-  describe("shiftInt16", function()
-  {
-    it("should throw if the reader is empty", function()
+    it("should read a multi-byte variable-length prefix", function()
     {
-      var reader = new BufferReader(new Buffer([]));
+      var bytes = [0x80, 0x01];
 
-      expect(function() { reader.shiftInt16(); }).toThrow();
+      for (var i = 0; i < 128; ++i)
+      {
+        bytes.push(i);
+      }
+
+      var reader = new BufferReader(new Buffer(bytes));
+
+      expect(reader.shiftPrefixedBuffer('VarUInt').length).toBe(128);
+      expect(reader.length).toBe(0);
     });
 
-    it("should throw if the reader does not have at least 2 bytes", function()
+    it("should return an empty buffer if the prefixed length is 0", function()
     {
-      var reader = new BufferReader(new Buffer([0x01]));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01]));
 
-      expect(function() { reader.shiftInt16(); }).toThrow();
+      expect(reader.shiftPrefixedBuffer('UInt16').length).toBe(0);
+      expect(reader.length).toBe(1);
     });
 
-    it("should return the next positive 16 bit integer", function()
+    it("should throw if the prefix type is not supported", function()
     {
-      var reader = new BufferReader(new Buffer([0x02, 0x9A, 0x00, 0x01, 0x00, 0x02]));
+      var reader = new BufferReader(new Buffer([0x01, 0x00]));
 
-      expect(reader.shiftInt16()).toEqual(666);
+      expect(function() { reader.shiftPrefixedBuffer('UInt24'); }).toThrow(new Error("Unknown length prefix type: UInt24."));
+      expect(reader.length).toBe(2);
     });
 
-    it("should return the next negative 16 bit integer", function()
+    it("should throw if the prefixed length exceeds the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer([0xFD, 0x66, 0x00, 0x01, 0x00, 0x02]));
+      var reader = new BufferReader(new Buffer([0x00, 0x03, 0x01, 0x02]));
 
-      expect(reader.shiftInt16()).toEqual(-666);
+      expect(function() { reader.shiftPrefixedBuffer('UInt16'); }).toThrow();
+      expect(reader.length).toBe(4);
     });
 
-    it("should return the lower bound value of -32768 if the next two bytes are 0x8000", function()
+    it("should throw if the prefix exceeds the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0x00]));
 
-      expect(reader.shiftInt16()).toEqual(-32768);
+      expect(function() { reader.shiftPrefixedBuffer('UInt16'); }).toThrow();
+      expect(function() { new BufferReader(new Buffer([0x80])).shiftPrefixedBuffer('VarUInt'); }).toThrow();
+      expect(function() { new BufferReader(new Buffer(0)).shiftPrefixedBuffer(); }).toThrow();
     });
+  });
 
-    it("should return the upper bound value of 32767 if the next two bytes are 0x7FFF", function()
+  describe("shiftPrefixedString", function()
+  {
+    it("should shift a UTF-8 string preceded by its byte length", function()
     {
-      var reader = new BufferReader(new Buffer([0x7F, 0xFF, 0x00, 0x01]));
+      var reader = new BufferReader(Buffer.concat([new Buffer([0x07]), new Buffer('Łukasz'), new Buffer([0x00])]));
 
-      expect(reader.shiftInt16()).toEqual(32767);
+      expect(reader.shiftPrefixedString()).toBe('Łukasz');
+      expect(reader.length).toBe(1);
     });
 
-    it("should return a value of 0 if the next byte two bytes are 0x0000", function()
+    it("should use the specified prefix type and encoding", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01, 0x01]));
+      var reader = new BufferReader(Buffer.concat([new Buffer([0x04, 0x00]), new Buffer('ab', 'ucs2')]));
 
-      expect(reader.shiftInt16()).toEqual(0);
+      expect(reader.shiftPrefixedString('UInt16LE', 'ucs2')).toBe('ab');
+      expect(reader.length).toBe(0);
     });
 
-    it("should return a value of -1 if the next two bytes are 0xFFFF", function()
+    it("should return an empty string if the prefixed length is 0", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0x00]));
+      var reader = new BufferReader(new Buffer([0x00]));
 
-      expect(reader.shiftInt16()).toEqual(-1);
+      expect(reader.shiftPrefixedString('VarUInt')).toBe('');
+      expect(reader.length).toBe(0);
+    });
+
+    it("should throw if the specified encoding is not supported", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01, 0x61]));
+
+      expect(function() { reader.shiftPrefixedString('UInt8', 'utf-666'); }).toThrow();
+    });
+
+    it("should decode the string with the specified code page", function()
+    {
+      var reader = new BufferReader(new Buffer([0x02, 0xB0, 0xDB]));
+
+      expect(reader.shiftPrefixedString('UInt8', 'cp437')).toEqual('░█');
+    });
+  });
+
+  describe("shiftFixedString", function()
+  {
+    it("should shift the specified number of bytes and remove trailing NUL and space padding by default", function()
+    {
+      var reader = new BufferReader(new Buffer('abc \0\0\0\0def'));
+
+      expect(reader.shiftFixedString(8)).toBe('abc');
+      expect(reader.length).toBe(3);
+    });
+
+    it("should only remove the padding specified by the trim option", function()
+    {
+      var reader = new BufferReader(new Buffer('ab \0ab\0 ab \0ab \0'));
+
+      expect(reader.shiftFixedString(4, 'ascii', {trim: 'nul'})).toBe('ab ');
+      expect(reader.shiftFixedString(4, 'ascii', {trim: 'space'})).toBe('ab\0');
+      expect(reader.shiftFixedString(4, 'ascii', {trim: 'both'})).toBe('ab');
+      expect(reader.shiftFixedString(4, 'ascii', {trim: 'none'})).toBe('ab \0');
+    });
+
+    it("should keep the leading and inner padding", function()
+    {
+      var reader = new BufferReader(new Buffer(' a\0b  '));
+
+      expect(reader.shiftFixedString(6)).toBe(' a\0b');
+    });
+
+    it("should use the specified encoding", function()
+    {
+      var reader = new BufferReader(new Buffer('a\0b\0\0\0', 'ascii'));
+
+      expect(reader.shiftFixedString(6, 'ucs2')).toBe('ab');
+    });
+
+    it("should throw if the trim option is not valid", function()
+    {
+      var reader = new BufferReader(new Buffer('abc'));
+
+      expect(function() { reader.shiftFixedString(3, 'utf8', {trim: 'left'}); }).toThrow(new Error("Expected the trim to be one of: nul,space,both,none."));
+      expect(reader.length).toBe(3);
+    });
+
+    it("should throw if the specified length is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer('abc'));
+
+      expect(function() { reader.shiftFixedString(4); }).toThrow();
+    });
+
+    it("should remove the padding of EBCDIC strings", function()
+    {
+      var reader = new BufferReader(new Buffer([0xC1, 0xC2, 0x40, 0x40, 0x00]));
+
+      expect(reader.shiftFixedString(5, 'cp037')).toEqual('AB');
+    });
+  });
+
+  describe("shiftInt8", function()
+  {
+    it("should throw if the reader is empty", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.shiftInt8(); }).toThrow();
+    });
+
+    it("should return the next positive 8 bit integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0x42, 0x00]));
+
+      expect(reader.shiftInt8()).toEqual(66);
+    });
+
+    it("should return the next negative 8 bit integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0xBE, 0x00, 0x00]));
+
+      expect(reader.shiftInt8()).toEqual(-66);
+    });
+
+    it("should return the lower bound value of -128 if the next byte is 0x80", function()
+    {
+      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00]));
+
+      expect(reader.shiftInt8()).toEqual(-128);
+    });
+
+    it("should return the upper bound value of 127 if the next byte is 0x7F", function()
+    {
+      var reader = new BufferReader(new Buffer([0x7F, 0x00, 0x00]));
+
+      expect(reader.shiftInt8()).toEqual(127);
+    });
+
+    it("should return a value of 0 if the next byte is 0x00", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00]));
+
+      expect(reader.shiftInt8()).toEqual(0);
+    });
+
+    it("should return a value of -1 if the next byte is 0xFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+
+      expect(reader.shiftInt8()).toEqual(-1);
+    });
+
+    it("should decrease the reader's length by one", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+
+      reader.shiftInt8();
+
+      expect(reader.length).toEqual(2);
+    });
+
+    it("should work after skipping the beginning", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02]));
+
+      reader.skip(2);
+
+      expect(reader.shiftInt8()).toEqual(0x02);
+    });
+  });
+
+  describe("shiftInt16", function()
+  {
+    it("should throw if the reader is empty", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.shiftInt16(); }).toThrow();
+    });
+
+    it("should throw if the reader does not have at least 2 bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01]));
+
+      expect(function() { reader.shiftInt16(); }).toThrow();
+    });
+
+    it("should return the next positive 16 bit integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0x02, 0x9A, 0x00, 0x01, 0x00, 0x02]));
+
+      expect(reader.shiftInt16()).toEqual(666);
+    });
+
+    it("should return the next negative 16 bit integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFD, 0x66, 0x00, 0x01, 0x00, 0x02]));
+
+      expect(reader.shiftInt16()).toEqual(-666);
+    });
+
+    it("should return the lower bound value of -32768 if the next two bytes are 0x8000", function()
+    {
+      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00, 0x01]));
+
+      expect(reader.shiftInt16()).toEqual(-32768);
+    });
+
+    it("should return the upper bound value of 32767 if the next two bytes are 0x7FFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0x7F, 0xFF, 0x00, 0x01]));
+
+      expect(reader.shiftInt16()).toEqual(32767);
+    });
+
+    it("should return a value of 0 if the next byte two bytes are 0x0000", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01, 0x01]));
+
+      expect(reader.shiftInt16()).toEqual(0);
+    });
+
+    it("should return a value of -1 if the next two bytes are 0xFFFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0x00]));
+
+      expect(reader.shiftInt16()).toEqual(-1);
     });
 
     it("should decrease the reader's length by two", function()
@@ -1100,1245 +1707,3362 @@ describe("BufferReader", function()
     });
   });
 
-  describe("shiftFloat", function()
+  describe("shiftInt64", function()
   {
     it("should throw if the reader is empty", function()
     {
       var reader = new BufferReader(new Buffer([]));
 
-      expect(function() { reader.shiftFloat(); }).toThrow();
+      expect(function() { reader.shiftInt64(); }).toThrow();
     });
 
-    it("should throw if the reader does not have at least 4 bytes", function()
+    it("should throw if the reader does not have at least 8 bytes", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06]));
 
-      expect(function() { reader.shiftFloat(); }).toThrow();
+      expect(function() { reader.shiftInt64(); }).toThrow();
     });
 
-    it("should return the next positive float", function()
+    it("should return the next signed 64 bit integer as a BigInt", function()
     {
-      var reader = new BufferReader(new Buffer([0x42, 0x85, 0x51, 0xEC]));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x02, 0x9A, 0x01]));
 
-      expect(reader.shiftFloat().toFixed(2)).toEqual('66.66');
+      expect(reader.shiftInt64()).toBe(BigInt(666));
     });
 
-    it("should return the next negative float", function()
+    it("should return the lower bound value of -9223372036854775808 if the next eight bytes are 0x8000000000000000", function()
     {
-      var reader = new BufferReader(new Buffer([0xC2, 0x85, 0x51, 0xEC]));
+      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
 
-      expect(reader.shiftFloat().toFixed(2).toString()).toEqual('-66.66');
+      expect(reader.shiftInt64()).toBe(BigInt('-9223372036854775808'));
     });
 
-    it("should return the lower bound value of -3.4028234663852886e+38 if the next four bytes are 0xFF7FFFFF", function()
+    it("should return the upper bound value of 9223372036854775807 if the next eight bytes are 0x7FFFFFFFFFFFFFFF", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x7F, 0xFF, 0xFF]));
+      var reader = new BufferReader(new Buffer([0x7F, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      expect(reader.shiftFloat()).toEqual(-3.4028234663852886e+38);
+      expect(reader.shiftInt64()).toBe(BigInt('9223372036854775807'));
     });
 
-    it("should return the upper bound value of 3.4028234663852886e+38 if the next four bytes are 0x7F7FFFFF", function()
+    it("should return a value of -1 if the next eight bytes are 0xFFFFFFFFFFFFFFFF", function()
     {
-      var reader = new BufferReader(new Buffer([0x7F, 0x7F, 0xFF, 0xFF]));
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      expect(reader.shiftFloat()).toEqual(3.4028234663852886e+38);
+      expect(reader.shiftInt64()).toBe(BigInt(-1));
     });
 
-    it("should return a value of 0 if the next two bytes are 0x00000000", function()
+    it("should decrease the reader's length by eight", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]));
 
-      expect(reader.shiftFloat()).toEqual(0);
+      reader.shiftInt64();
+
+      expect(reader.length).toEqual(2);
     });
 
-    it("should decrease the reader's length by four", function()
+    it("should use little endian if specified so", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0x66, 0xFD, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      reader.shiftFloat();
+      expect(reader.shiftInt64(true)).toBe(BigInt(-666));
+    });
 
-      expect(reader.length).toEqual(0);
+    it("should return a number if specified so and the value is a safe integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0xE0, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01]));
+
+      expect(reader.shiftInt64(false, true)).toBe(-9007199254740991);
     });
 
-    it("should use little endian if specified so", function()
+    it("should return a BigInt even if a number was requested if the value is not a safe integer", function()
     {
-      var reader = new BufferReader(new Buffer([0xEC, 0x51, 0x85, 0x42]));
+      var reader = new BufferReader(new Buffer([0xFF, 0xE0, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
 
-      expect(reader.shiftFloat(true).toFixed(2)).toEqual('66.66');
+      expect(reader.shiftInt64(false, true)).toBe(BigInt('-9007199254740992'));
     });
 
     it("should work after skipping the beginning", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x42, 0x85, 0x51, 0xEC]));
+      var reader = new BufferReader(new Buffer([0x01, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x03]));
 
       reader.skip(2);
 
-      expect(reader.shiftFloat().toFixed(2)).toEqual('66.66');
+      expect(reader.shiftInt64(false, true)).toBe(3);
     });
   });
 
-  describe("shiftDouble", function()
+  describe("shiftUInt64", function()
   {
     it("should throw if the reader is empty", function()
     {
       var reader = new BufferReader(new Buffer([]));
 
-      expect(function() { reader.shiftDouble(); }).toThrow();
+      expect(function() { reader.shiftUInt64(); }).toThrow();
     });
 
     it("should throw if the reader does not have at least 8 bytes", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03, 0x04]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06]));
 
-      expect(function() { reader.shiftDouble(); }).toThrow();
+      expect(function() { reader.shiftUInt64(); }).toThrow();
     });
 
-    it("should return the next positive float", function()
+    it("should return the next unsigned 64 bit integer as a BigInt", function()
     {
-      var reader = new BufferReader(new Buffer([0x40, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A]));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x02, 0x9A, 0x01]));
 
-      expect(reader.shiftDouble().toFixed(2)).toEqual('66.66');
+      expect(reader.shiftUInt64()).toBe(BigInt(0x10000029A));
     });
 
-    it("should return the next negative float", function()
+    it("should return the lower bound value of 0 if the next eight bytes are 0x0000000000000000", function()
     {
-      var reader = new BufferReader(new Buffer([0xC0, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A]));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
 
-      expect(reader.shiftDouble().toFixed(2).toString()).toEqual('-66.66');
+      expect(reader.shiftUInt64()).toBe(BigInt(0));
     });
 
-    it("should return the lower bound value of -1.7976931348623157E+308 if the next four bytes are 0xFFEFFFFFFFFFFFFF", function()
+    it("should return the upper bound value of 18446744073709551615 if the next eight bytes are 0xFFFFFFFFFFFFFFFF", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      expect(reader.shiftDouble()).toEqual(-1.7976931348623157E+308);
+      expect(reader.shiftUInt64()).toBe(BigInt('18446744073709551615'));
     });
 
-    it("should return the upper bound value of 1.7976931348623157E+308 if the next eight bytes are 0x7FEFFFFFFFFFFFFF", function()
+    it("should decrease the reader's length by eight", function()
     {
-      var reader = new BufferReader(new Buffer([0x7F, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
-
-      expect(reader.shiftDouble()).toEqual(1.7976931348623157E+308);
-    });
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6, 7, 8]));
 
-    it("should return a value of 0 if the next two bytes are 0x0000000000000000", function()
-    {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
+      reader.shiftUInt64();
 
-      expect(reader.shiftDouble()).toEqual(0);
+      expect(reader.length).toEqual(1);
     });
 
-    it("should decrease the reader's length by eight", function()
+    it("should use little endian if specified so", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
-
-      reader.shiftDouble();
+      var reader = new BufferReader(new Buffer([0x9A, 0x02, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00]));
 
-      expect(reader.length).toEqual(0);
+      expect(reader.shiftUInt64(true)).toBe(BigInt(0x10000029A));
     });
 
-    it("should use little endian if specified so", function()
+    it("should return a number if specified so and the value is a safe integer", function()
     {
-      var reader = new BufferReader(new Buffer([0x0A, 0xD7, 0xA3, 0x70, 0x3D, 0xAA, 0x50, 0x40]));
+      var reader = new BufferReader(new Buffer([0x00, 0x1F, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      expect(reader.shiftDouble(true).toFixed(2)).toEqual('66.66');
+      expect(reader.shiftUInt64(false, true)).toBe(9007199254740991);
     });
 
-    it("should work after skipping the beginning", function()
+    it("should return a BigInt even if a number was requested if the value is not a safe integer", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x40, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A]));
-
-      reader.skip(2);
+      var reader = new BufferReader(new Buffer([0x00, 0x20, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
 
-      expect(reader.shiftDouble().toFixed(2)).toEqual('66.66');
+      expect(reader.shiftUInt64(false, true)).toBe(BigInt('9007199254740992'));
     });
   });
 
-  describe("readBits", function()
+  describe("shiftIntN", function()
   {
-    it("should throw if the specified offset is not a number", function()
+    it("should throw if the specified byte count is not a number between 1 and 6", function()
     {
-      var reader = new BufferReader(new Buffer([]));
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6, 7]));
 
-      expect(function() { reader.readBits('ten', 1); }).toThrow();
+      expect(function() { reader.shiftIntN(0); }).toThrow();
+      expect(function() { reader.shiftIntN(7); }).toThrow();
+      expect(function() { reader.shiftIntN('three'); }).toThrow();
     });
 
-    it("should throw if the specified offset is less than 0", function()
+    it("should throw if the reader does not have at least the specified number of bytes", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01]));
 
-      expect(function() { reader.readBits(-10, 1); }).toThrow();
+      expect(function() { reader.shiftIntN(3); }).toThrow();
     });
-    
-    it("should throw if the specified offset is greater than the reader's length", function()
+
+    it("should return the next signed 24 bit integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0xFD, 0x66, 0x01]));
+
+      expect(reader.shiftIntN(3)).toEqual(-666);
+    });
+
+    it("should return the lower bound value of -8388608 if the next three bytes are 0x800000", function()
+    {
+      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00]));
+
+      expect(reader.shiftIntN(3)).toEqual(-8388608);
+    });
+
+    it("should return the upper bound value of 140737488355327 if the next six bytes are 0x7FFFFFFFFFFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0x7F, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
+
+      expect(reader.shiftIntN(6)).toEqual(140737488355327);
+    });
+
+    it("should decrease the reader's length by the specified byte count", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6]));
+
+      reader.shiftIntN(5);
+
+      expect(reader.length).toEqual(2);
+    });
+
+    it("should use little endian if specified so", function()
+    {
+      var reader = new BufferReader(new Buffer([0x66, 0xFD, 0xFF, 0xFF, 0xFF]));
+
+      expect(reader.shiftIntN(5, true)).toEqual(-666);
+    });
+
+    it("should work after skipping the beginning", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01, 0x02, 0x00, 0x02, 0x9A]));
+
+      reader.skip(2);
+
+      expect(reader.shiftIntN(3)).toEqual(666);
+    });
+  });
+
+  describe("shiftUIntN", function()
+  {
+    it("should throw if the specified byte count is not a number between 1 and 6", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6, 7]));
+
+      expect(function() { reader.shiftUIntN(0); }).toThrow();
+      expect(function() { reader.shiftUIntN(8); }).toThrow();
+    });
+
+    it("should throw if the reader does not have at least the specified number of bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03]));
+
+      expect(function() { reader.shiftUIntN(5); }).toThrow();
+    });
+
+    it("should return the next unsigned 24 bit integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0xAB, 0xCD, 0xEF, 0x01]));
+
+      expect(reader.shiftUIntN(3)).toEqual(0xABCDEF);
+    });
+
+    it("should return the upper bound value of 281474976710655 if the next six bytes are 0xFFFFFFFFFFFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
+
+      expect(reader.shiftUIntN(6)).toEqual(281474976710655);
+    });
+
+    it("should decrease the reader's length by the specified byte count", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6]));
+
+      reader.shiftUIntN(3);
+
+      expect(reader.length).toEqual(4);
+    });
+
+    it("should use little endian if specified so", function()
+    {
+      var reader = new BufferReader(new Buffer([0xEF, 0xCD, 0xAB, 0x89, 0x67]));
+
+      expect(reader.shiftUIntN(5, true)).toEqual(0x6789ABCDEF);
+    });
+  });
+
+  describe("shiftVarUInt", function()
+  {
+    it("should throw if the reader is empty", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.shiftVarUInt(); }).toThrow();
+    });
+
+    it("should throw if the integer is cut at the end of the reader", function()
+    {
+      var reader = new BufferReader(new Buffer([0xE5, 0x8E]));
+
+      expect(function() { reader.shiftVarUInt(); }).toThrow();
+      expect(reader.length).toEqual(2);
+    });
+
+    it("should return the next unsigned LEB128 integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x7F, 0x80, 0x01, 0xE5, 0x8E, 0x26, 0xFF]));
+
+      expect(reader.shiftVarUInt()).toEqual(0);
+      expect(reader.shiftVarUInt()).toEqual(127);
+      expect(reader.shiftVarUInt()).toEqual(128);
+      expect(reader.shiftVarUInt()).toEqual(624485);
+      expect(reader.length).toEqual(1);
+    });
+
+    it("should return a bigint if the value is not a safe integer", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x0F,
+        0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x01
+      ]));
+
+      expect(reader.shiftVarUInt()).toEqual(9007199254740991);
+      expect(reader.shiftVarUInt()).toBe(BigInt('18446744073709551615'));
+    });
+
+    it("should accept redundant continuation bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x81, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x00]));
+
+      expect(reader.shiftVarUInt()).toEqual(1);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should throw if the integer is longer than 10 bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x01
+      ]));
+
+      expect(function() { reader.shiftVarUInt(); }).toThrow(
+        new Error("The variable-length integer is longer than 10 bytes.")
+      );
+      expect(reader.length).toEqual(11);
+    });
+
+    it("should throw if the integer does not fit in 64 bits", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F
+      ]));
+
+      expect(function() { reader.shiftVarUInt(); }).toThrow(
+        new Error("The variable-length integer does not fit in 64 bits.")
+      );
+      expect(reader.length).toEqual(10);
+    });
+  });
+
+  describe("shiftVarInt", function()
+  {
+    it("should throw if the integer is cut at the end of the reader", function()
+    {
+      var reader = new BufferReader(new Buffer([0xC0, 0xBB]));
+
+      expect(function() { reader.shiftVarInt(); }).toThrow();
+      expect(reader.length).toEqual(2);
+    });
+
+    it("should return the next signed LEB128 integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x3F, 0xC0, 0x00, 0x40, 0xBF, 0x7F, 0xC0, 0xBB, 0x78]));
+
+      expect(reader.shiftVarInt()).toEqual(0);
+      expect(reader.shiftVarInt()).toEqual(63);
+      expect(reader.shiftVarInt()).toEqual(64);
+      expect(reader.shiftVarInt()).toEqual(-64);
+      expect(reader.shiftVarInt()).toEqual(-65);
+      expect(reader.shiftVarInt()).toEqual(-123456);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return a bigint if the value is not a safe integer", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0x81, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x70,
+        0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x7F
+      ]));
+
+      expect(reader.shiftVarInt()).toEqual(-9007199254740991);
+      expect(reader.shiftVarInt()).toBe(BigInt('-9223372036854775808'));
+    });
+
+    it("should throw if the integer is longer than 10 bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F
+      ]));
+
+      expect(function() { reader.shiftVarInt(); }).toThrow(
+        new Error("The variable-length integer is longer than 10 bytes.")
+      );
+      expect(reader.length).toEqual(11);
+    });
+
+    it("should throw if the integer does not fit in 64 bits", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F,
+        0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x01
+      ]));
+
+      expect(reader.shiftVarInt()).toEqual(-1);
+      expect(function() { reader.shiftVarInt(); }).toThrow(
+        new Error("The variable-length integer does not fit in 64 bits.")
+      );
+      expect(reader.length).toEqual(10);
+    });
+  });
+
+  describe("shiftBcd", function()
+  {
+    it("should throw if the specified byte count is not a number between 1 and 7", function()
+    {
+      var reader = new BufferReader(new Buffer([0x12, 0x34, 0x56, 0x78, 0x90, 0x12, 0x34, 0x56]));
+
+      expect(function() { reader.shiftBcd(0); }).toThrow();
+      expect(function() { reader.shiftBcd(8); }).toThrow();
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x12, 0x34]));
+
+      expect(function() { reader.shiftBcd(3); }).toThrow();
+    });
+
+    it("should return the next packed BCD number", function()
+    {
+      var reader = new BufferReader(new Buffer([0x12, 0x34, 0x56, 0x78, 0x00, 0x00, 0x42, 0x99]));
+
+      expect(reader.shiftBcd(4)).toEqual(12345678);
+      expect(reader.shiftBcd(3)).toEqual(42);
+      expect(reader.shiftBcd(1)).toEqual(99);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should throw and not shift anything if a nibble is not a decimal digit", function()
+    {
+      var reader = new BufferReader(new Buffer([0x12, 0x3A]));
+
+      expect(function() { reader.shiftBcd(2); }).toThrow("Invalid packed BCD byte 0x3A at index 1.");
+      expect(function() { new BufferReader(new Buffer([0xF1])).shiftBcd(1); }).toThrow();
+      expect(reader.length).toEqual(2);
+    });
+  });
+
+  describe("shiftAsciiNumber", function()
+  {
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer('123'));
+
+      expect(function() { reader.shiftAsciiNumber(4); }).toThrow();
+    });
+
+    it("should return the next decimal number", function()
+    {
+      var reader = new BufferReader(new Buffer('000042  -17+0005'));
+
+      expect(reader.shiftAsciiNumber(6)).toEqual(42);
+      expect(reader.shiftAsciiNumber(5)).toEqual(-17);
+      expect(reader.shiftAsciiNumber(5)).toEqual(5);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should use the specified radix", function()
+    {
+      var reader = new BufferReader(new Buffer('BEEFff0101'));
+
+      expect(reader.shiftAsciiNumber(4, 16)).toEqual(0xBEEF);
+      expect(reader.shiftAsciiNumber(2, 16)).toEqual(0xFF);
+      expect(reader.shiftAsciiNumber(4, 2)).toEqual(5);
+    });
+
+    it("should ignore leading pad characters", function()
+    {
+      var reader = new BufferReader(new Buffer('***42*-1'));
+
+      expect(reader.shiftAsciiNumber(5, 10, '*')).toEqual(42);
+      expect(reader.shiftAsciiNumber(3, 10, '*')).toEqual(-1);
+    });
+
+    it("should throw and not shift anything if the field contains an invalid digit", function()
+    {
+      var reader = new BufferReader(new Buffer('12G4    '));
+
+      expect(function() { reader.shiftAsciiNumber(4, 16); }).toThrow();
+      expect(function() { reader.shiftAsciiNumber(2, 2); }).toThrow();
+      expect(function() { reader.readAsciiNumber(4, 4); }).toThrow();
+      expect(reader.length).toEqual(8);
+    });
+
+    it("should throw if the specified radix is not a number between 2 and 36", function()
+    {
+      var reader = new BufferReader(new Buffer('1234'));
+
+      expect(function() { reader.shiftAsciiNumber(4, 1); }).toThrow();
+      expect(function() { reader.shiftAsciiNumber(4, 37); }).toThrow();
+    });
+  });
+
+  describe("shiftFixed", function()
+  {
+    it("should throw if the bit counts do not add up to a whole number of bytes between 1 and 6", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
+
+      expect(function() { reader.shiftFixed(1, 14); }).toThrow();
+      expect(function() { reader.shiftFixed(32, 32); }).toThrow();
+      expect(function() { reader.shiftFixed(-1, 17); }).toThrow();
+      expect(reader.length).toEqual(8);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00]));
+
+      expect(function() { reader.shiftFixed(16, 16); }).toThrow();
+    });
+
+    it("should return the next signed Q15 number", function()
+    {
+      var reader = new BufferReader(new Buffer([0x40, 0x00, 0x80, 0x00, 0x7F, 0xFF]));
+
+      expect(reader.shiftFixed(1, 15)).toEqual(0.5);
+      expect(reader.shiftFixed(1, 15)).toEqual(-1);
+      expect(reader.shiftFixed(1, 15)).toEqual(1 - Math.pow(2, -15));
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next signed Q31 and Q16.16 numbers", function()
+    {
+      var reader = new BufferReader(new Buffer([0xC0, 0x00, 0x00, 0x00, 0xFF, 0x85, 0x8B, 0x44]));
+
+      expect(reader.shiftFixed(1, 31)).toEqual(-0.5);
+      expect(reader.shiftFixed(16, 16)).toEqual(-0x7A74BC / 65536);
+    });
+
+    it("should return the next unsigned number", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x80]));
+
+      expect(reader.shiftFixed(8, 8, {signed: false})).toEqual(255.5);
+    });
+
+    it("should use the specified byte order", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x80, 0x01, 0x00]));
+
+      expect(reader.shiftFixed(16, 16, {byteOrder: true})).toEqual(1.5);
+    });
+  });
+
+  describe("shiftFloat16", function()
+  {
+    it("should throw if the reader does not have at least 2 bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x3C]));
+
+      expect(function() { reader.shiftFloat16(); }).toThrow();
+    });
+
+    it("should return the next normal half precision float", function()
+    {
+      var reader = new BufferReader(new Buffer([0x3E, 0x00, 0xC0, 0x00, 0x7B, 0xFF, 0x2E, 0x66]));
+
+      expect(reader.shiftFloat16()).toEqual(1.5);
+      expect(reader.shiftFloat16()).toEqual(-2);
+      expect(reader.shiftFloat16()).toEqual(65504);
+      expect(reader.shiftFloat16()).toEqual(0.0999755859375);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return subnormals and signed zeros", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x83, 0xFF, 0x00, 0x00, 0x80, 0x00]));
+
+      expect(reader.shiftFloat16()).toEqual(Math.pow(2, -24));
+      expect(reader.shiftFloat16()).toEqual(-1023 * Math.pow(2, -24));
+      expect(1 / reader.shiftFloat16()).toEqual(Infinity);
+      expect(1 / reader.shiftFloat16()).toEqual(-Infinity);
+    });
+
+    it("should return infinities and NaN", function()
+    {
+      var reader = new BufferReader(new Buffer([0x7C, 0x00, 0xFC, 0x00, 0x7E, 0x00, 0xFC, 0x01]));
+
+      expect(reader.shiftFloat16()).toEqual(Infinity);
+      expect(reader.shiftFloat16()).toEqual(-Infinity);
+      expect(reader.shiftFloat16()).toBeNaN();
+      expect(reader.shiftFloat16()).toBeNaN();
+    });
+
+    it("should use the specified byte order", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x3E, 0x00, 0xC0]));
+
+      expect(reader.shiftFloat16(true)).toEqual(1.5);
+      expect(reader.shiftFloat16('BA')).toEqual(-2);
+    });
+  });
+
+  describe("shiftFloat", function()
+  {
+    it("should throw if the reader is empty", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.shiftFloat(); }).toThrow();
+    });
+
+    it("should throw if the reader does not have at least 4 bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02]));
+
+      expect(function() { reader.shiftFloat(); }).toThrow();
+    });
+
+    it("should return the next positive float", function()
+    {
+      var reader = new BufferReader(new Buffer([0x42, 0x85, 0x51, 0xEC]));
+
+      expect(reader.shiftFloat().toFixed(2)).toEqual('66.66');
+    });
+
+    it("should return the next negative float", function()
+    {
+      var reader = new BufferReader(new Buffer([0xC2, 0x85, 0x51, 0xEC]));
+
+      expect(reader.shiftFloat().toFixed(2).toString()).toEqual('-66.66');
+    });
+
+    it("should return the lower bound value of -3.4028234663852886e+38 if the next four bytes are 0xFF7FFFFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x7F, 0xFF, 0xFF]));
+
+      expect(reader.shiftFloat()).toEqual(-3.4028234663852886e+38);
+    });
+
+    it("should return the upper bound value of 3.4028234663852886e+38 if the next four bytes are 0x7F7FFFFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0x7F, 0x7F, 0xFF, 0xFF]));
+
+      expect(reader.shiftFloat()).toEqual(3.4028234663852886e+38);
+    });
+
+    it("should return a value of 0 if the next two bytes are 0x00000000", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00]));
+
+      expect(reader.shiftFloat()).toEqual(0);
+    });
+
+    it("should decrease the reader's length by four", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0x01]));
+
+      reader.shiftFloat();
+
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should use little endian if specified so", function()
+    {
+      var reader = new BufferReader(new Buffer([0xEC, 0x51, 0x85, 0x42]));
+
+      expect(reader.shiftFloat(true).toFixed(2)).toEqual('66.66');
+    });
+
+    it("should work after skipping the beginning", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x42, 0x85, 0x51, 0xEC]));
+
+      reader.skip(2);
+
+      expect(reader.shiftFloat().toFixed(2)).toEqual('66.66');
+    });
+  });
+
+  describe("shiftDouble", function()
+  {
+    it("should throw if the reader is empty", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.shiftDouble(); }).toThrow();
+    });
+
+    it("should throw if the reader does not have at least 8 bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03, 0x04]));
+
+      expect(function() { reader.shiftDouble(); }).toThrow();
+    });
+
+    it("should return the next positive float", function()
+    {
+      var reader = new BufferReader(new Buffer([0x40, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A]));
+
+      expect(reader.shiftDouble().toFixed(2)).toEqual('66.66');
+    });
+
+    it("should return the next negative float", function()
+    {
+      var reader = new BufferReader(new Buffer([0xC0, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A]));
+
+      expect(reader.shiftDouble().toFixed(2).toString()).toEqual('-66.66');
+    });
+
+    it("should return the lower bound value of -1.7976931348623157E+308 if the next four bytes are 0xFFEFFFFFFFFFFFFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
+
+      expect(reader.shiftDouble()).toEqual(-1.7976931348623157E+308);
+    });
+
+    it("should return the upper bound value of 1.7976931348623157E+308 if the next eight bytes are 0x7FEFFFFFFFFFFFFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0x7F, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
+
+      expect(reader.shiftDouble()).toEqual(1.7976931348623157E+308);
+    });
+
+    it("should return a value of 0 if the next two bytes are 0x0000000000000000", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
+
+      expect(reader.shiftDouble()).toEqual(0);
+    });
+
+    it("should decrease the reader's length by eight", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
+
+      reader.shiftDouble();
+
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should use little endian if specified so", function()
+    {
+      var reader = new BufferReader(new Buffer([0x0A, 0xD7, 0xA3, 0x70, 0x3D, 0xAA, 0x50, 0x40]));
+
+      expect(reader.shiftDouble(true).toFixed(2)).toEqual('66.66');
+    });
+
+    it("should work after skipping the beginning", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x40, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A]));
+
+      reader.skip(2);
+
+      expect(reader.shiftDouble().toFixed(2)).toEqual('66.66');
+    });
+  });
+
+  describe("shiftInt8Array", function()
+  {
+    it("should throw if the specified count is not a number greater than 0", function()
+    {
+      var reader = new BufferReader(new Buffer(2));
+
+      expect(function() { reader.shiftInt8Array(0); }).toThrow("The element count must be a number greater than 0.");
+      expect(function() { reader.shiftInt8Array('abc'); }).toThrow();
+      expect(reader.length).toEqual(2);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(1));
+
+      expect(function() { reader.shiftInt8Array(2); }).toThrow();
+      expect(reader.length).toEqual(1);
+    });
+
+    it("should return the next 4 values as a new Int8Array", function()
+    {
+      var reader = new BufferReader(new Buffer([0x80, 0xFF, 0x00, 0x7F]));
+      var typedArray = reader.shiftInt8Array(4);
+
+      expect(typedArray instanceof Int8Array).toBe(true);
+      expect(Array.prototype.slice.call(typedArray)).toEqual([-128, -1, 0, 127]);
+      expect(reader.length).toEqual(0);
+    });
+  });
+
+  describe("shiftUInt8Array", function()
+  {
+    it("should throw if the specified count is not a number greater than 0", function()
+    {
+      var reader = new BufferReader(new Buffer(2));
+
+      expect(function() { reader.shiftUInt8Array(0); }).toThrow("The element count must be a number greater than 0.");
+      expect(function() { reader.shiftUInt8Array('abc'); }).toThrow();
+      expect(reader.length).toEqual(2);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(1));
+
+      expect(function() { reader.shiftUInt8Array(2); }).toThrow();
+      expect(reader.length).toEqual(1);
+    });
+
+    it("should return the next 4 values as a new Uint8Array", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x80, 0xFF]));
+      var typedArray = reader.shiftUInt8Array(4);
+
+      expect(typedArray instanceof Uint8Array).toBe(true);
+      expect(Array.prototype.slice.call(typedArray)).toEqual([0, 1, 128, 255]);
+      expect(reader.length).toEqual(0);
+    });
+  });
+
+  describe("shiftInt16Array", function()
+  {
+    it("should throw if the specified count is not a number greater than 0", function()
+    {
+      var reader = new BufferReader(new Buffer(4));
+
+      expect(function() { reader.shiftInt16Array(0); }).toThrow("The element count must be a number greater than 0.");
+      expect(function() { reader.shiftInt16Array('abc'); }).toThrow();
+      expect(reader.length).toEqual(4);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(3));
+
+      expect(function() { reader.shiftInt16Array(2); }).toThrow();
+      expect(reader.length).toEqual(3);
+    });
+
+    it("should return the next 4 values as a new Int16Array", function()
+    {
+      var reader = new BufferReader(new Buffer([0x80, 0x00, 0xFF, 0xFE, 0x00, 0x00, 0x7F, 0xFF]));
+      var typedArray = reader.shiftInt16Array(4);
+
+      expect(typedArray instanceof Int16Array).toBe(true);
+      expect(Array.prototype.slice.call(typedArray)).toEqual([-32768, -2, 0, 32767]);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next values in the specified byte order", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x80, 0xFE, 0xFF, 0x00, 0x00, 0xFF, 0x7F]));
+
+      expect(Array.prototype.slice.call(reader.shiftInt16Array(4, true))).toEqual([-32768, -2, 0, 32767]);
+    });
+  });
+
+  describe("shiftUInt16Array", function()
+  {
+    it("should throw if the specified count is not a number greater than 0", function()
+    {
+      var reader = new BufferReader(new Buffer(4));
+
+      expect(function() { reader.shiftUInt16Array(0); }).toThrow("The element count must be a number greater than 0.");
+      expect(function() { reader.shiftUInt16Array('abc'); }).toThrow();
+      expect(reader.length).toEqual(4);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(3));
+
+      expect(function() { reader.shiftUInt16Array(2); }).toThrow();
+      expect(reader.length).toEqual(3);
+    });
+
+    it("should return the next 4 values as a new Uint16Array", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x01, 0x12, 0x34, 0xFF, 0xFF]));
+      var typedArray = reader.shiftUInt16Array(4);
+
+      expect(typedArray instanceof Uint16Array).toBe(true);
+      expect(Array.prototype.slice.call(typedArray)).toEqual([0, 1, 4660, 65535]);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next values in the specified byte order", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01, 0x00, 0x34, 0x12, 0xFF, 0xFF]));
+
+      expect(Array.prototype.slice.call(reader.shiftUInt16Array(4, true))).toEqual([0, 1, 4660, 65535]);
+    });
+
+    it("should use the reader's byte order by default", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01, 0x00, 0x34, 0x12, 0xFF, 0xFF]), {byteOrder: 'LE'});
+
+      expect(Array.prototype.slice.call(reader.shiftUInt16Array(4))).toEqual([0, 1, 4660, 65535]);
+    });
+  });
+
+  describe("shiftInt32Array", function()
+  {
+    it("should throw if the specified count is not a number greater than 0", function()
+    {
+      var reader = new BufferReader(new Buffer(8));
+
+      expect(function() { reader.shiftInt32Array(0); }).toThrow("The element count must be a number greater than 0.");
+      expect(function() { reader.shiftInt32Array('abc'); }).toThrow();
+      expect(reader.length).toEqual(8);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(7));
+
+      expect(function() { reader.shiftInt32Array(2); }).toThrow();
+      expect(reader.length).toEqual(7);
+    });
+
+    it("should return the next 3 values as a new Int32Array", function()
+    {
+      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0xFE, 0x7F, 0xFF, 0xFF, 0xFF]));
+      var typedArray = reader.shiftInt32Array(3);
+
+      expect(typedArray instanceof Int32Array).toBe(true);
+      expect(Array.prototype.slice.call(typedArray)).toEqual([-2147483648, -2, 2147483647]);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next values in the specified byte order", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x80, 0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F, 0x00, 0x00, 0x80, 0x00, 0xFF, 0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F, 0xFF]));
+
+      expect(Array.prototype.slice.call(reader.shiftInt32Array(3, true))).toEqual([-2147483648, -2, 2147483647]);
+      expect(Array.prototype.slice.call(reader.shiftInt32Array(3, 'CDAB'))).toEqual([-2147483648, -2, 2147483647]);
+    });
+  });
+
+  describe("shiftUInt32Array", function()
+  {
+    it("should throw if the specified count is not a number greater than 0", function()
+    {
+      var reader = new BufferReader(new Buffer(8));
+
+      expect(function() { reader.shiftUInt32Array(0); }).toThrow("The element count must be a number greater than 0.");
+      expect(function() { reader.shiftUInt32Array('abc'); }).toThrow();
+      expect(reader.length).toEqual(8);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(7));
+
+      expect(function() { reader.shiftUInt32Array(2); }).toThrow();
+      expect(reader.length).toEqual(7);
+    });
+
+    it("should return the next 3 values as a new Uint32Array", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0xFF, 0xFF, 0xFF, 0xFF]));
+      var typedArray = reader.shiftUInt32Array(3);
+
+      expect(typedArray instanceof Uint32Array).toBe(true);
+      expect(Array.prototype.slice.call(typedArray)).toEqual([0, 305419896, 4294967295]);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next values in the specified byte order", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x78, 0x56, 0x34, 0x12, 0xFF, 0xFF, 0xFF, 0xFF, 0x00, 0x00, 0x00, 0x00, 0x56, 0x78, 0x12, 0x34, 0xFF, 0xFF, 0xFF, 0xFF]));
+
+      expect(Array.prototype.slice.call(reader.shiftUInt32Array(3, true))).toEqual([0, 305419896, 4294967295]);
+      expect(Array.prototype.slice.call(reader.shiftUInt32Array(3, 'CDAB'))).toEqual([0, 305419896, 4294967295]);
+    });
+  });
+
+  describe("shiftFloat32Array", function()
+  {
+    it("should throw if the specified count is not a number greater than 0", function()
+    {
+      var reader = new BufferReader(new Buffer(8));
+
+      expect(function() { reader.shiftFloat32Array(0); }).toThrow("The element count must be a number greater than 0.");
+      expect(function() { reader.shiftFloat32Array('abc'); }).toThrow();
+      expect(reader.length).toEqual(8);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(7));
+
+      expect(function() { reader.shiftFloat32Array(2); }).toThrow();
+      expect(reader.length).toEqual(7);
+    });
+
+    it("should return the next 3 values as a new Float32Array", function()
+    {
+      var reader = new BufferReader(new Buffer([0x3F, 0xC0, 0x00, 0x00, 0xBE, 0x80, 0x00, 0x00, 0x44, 0x80, 0x18, 0x00]));
+      var typedArray = reader.shiftFloat32Array(3);
+
+      expect(typedArray instanceof Float32Array).toBe(true);
+      expect(Array.prototype.slice.call(typedArray)).toEqual([1.5, -0.25, 1024.75]);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next values in the specified byte order", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0xC0, 0x3F, 0x00, 0x00, 0x80, 0xBE, 0x00, 0x18, 0x80, 0x44, 0x00, 0x00, 0x3F, 0xC0, 0x00, 0x00, 0xBE, 0x80, 0x18, 0x00, 0x44, 0x80]));
+
+      expect(Array.prototype.slice.call(reader.shiftFloat32Array(3, true))).toEqual([1.5, -0.25, 1024.75]);
+      expect(Array.prototype.slice.call(reader.shiftFloat32Array(3, 'CDAB'))).toEqual([1.5, -0.25, 1024.75]);
+    });
+  });
+
+  describe("shiftFloat64Array", function()
+  {
+    it("should throw if the specified count is not a number greater than 0", function()
+    {
+      var reader = new BufferReader(new Buffer(16));
+
+      expect(function() { reader.shiftFloat64Array(0); }).toThrow("The element count must be a number greater than 0.");
+      expect(function() { reader.shiftFloat64Array('abc'); }).toThrow();
+      expect(reader.length).toEqual(16);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(15));
+
+      expect(function() { reader.shiftFloat64Array(2); }).toThrow();
+      expect(reader.length).toEqual(15);
+    });
+
+    it("should return the next 3 values as a new Float64Array", function()
+    {
+      var reader = new BufferReader(new Buffer([0x3F, 0xF8, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xBF, 0xB9, 0x99, 0x99, 0x99, 0x99, 0x99, 0x9A, 0x7E, 0x37, 0xE4, 0x3C, 0x88, 0x00, 0x75, 0x9C]));
+      var typedArray = reader.shiftFloat64Array(3);
+
+      expect(typedArray instanceof Float64Array).toBe(true);
+      expect(Array.prototype.slice.call(typedArray)).toEqual([1.5, -0.1, 1e300]);
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next values in the specified byte order", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xF8, 0x3F, 0x9A, 0x99, 0x99, 0x99, 0x99, 0x99, 0xB9, 0xBF, 0x9C, 0x75, 0x00, 0x88, 0x3C, 0xE4, 0x37, 0x7E]));
+
+      expect(Array.prototype.slice.call(reader.shiftFloat64Array(3, true))).toEqual([1.5, -0.1, 1e300]);
+    });
+  });
+
+  describe("shiftDate", function()
+  {
+    it("should throw if the specified format is not supported", function()
+    {
+      var reader = new BufferReader(new Buffer([0x60, 0xC8, 0x9E, 0x70]));
+
+      expect(function() { reader.shiftDate('unix16'); }).toThrow("Unknown date format: unix16.");
+      expect(reader.length).toEqual(4);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x60, 0xC8, 0x9E]));
+
+      expect(function() { reader.shiftDate('unix32'); }).not.toThrow();
+      expect(function() { reader.shiftDate('unix32'); }).toThrow();
+      expect(function() { reader.shiftDate('unix64'); }).toThrow();
+    });
+
+    it("should return the next Unix timestamps", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0x60, 0xC8, 0x9E, 0x70,
+        0x00, 0x00, 0x00, 0x00, 0x60, 0xC8, 0x9E, 0x70,
+        0x00, 0x00, 0x01, 0x7A, 0x0F, 0xAA, 0xE8, 0x95,
+        0x95, 0xE8, 0xAA, 0x0F, 0x7A, 0x01, 0x00, 0x00,
+        0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xF1, 0xF0
+      ]));
+
+      expect(reader.shiftDate('unix32')).toEqual(new Date('2021-06-15T12:34:56Z'));
+      expect(reader.shiftDate('unix64')).toEqual(new Date('2021-06-15T12:34:56Z'));
+      expect(reader.shiftDate('unix64ms')).toEqual(new Date('2021-06-15T12:34:56.789Z'));
+      expect(reader.shiftDate('unix64ms', true)).toEqual(new Date('2021-06-15T12:34:56.789Z'));
+      expect(reader.shiftDate('unix64')).toEqual(new Date('1969-12-31T23:00:00Z'));
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next Unix timestamp in nanoseconds as a bigint", function()
+    {
+      var reader = new BufferReader(new Buffer([0x16, 0x88, 0xC1, 0x91, 0x9B, 0x6B, 0x8F, 0x40]));
+
+      expect(reader.shiftDate('unix64ns')).toEqual(BigInt('1623760496789000000'));
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next NTP timestamps", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0xE4, 0x73, 0x1C, 0xF0, 0xC9, 0xFB, 0xE7, 0x6D,
+        0x00, 0x00, 0x00, 0x00, 0x80, 0x00, 0x00, 0x00
+      ]));
+
+      expect(reader.shiftDate('ntp64')).toEqual(new Date('2021-06-15T12:34:56.789Z'));
+      expect(reader.shiftDate('ntp64')).toEqual(new Date('2036-02-07T06:28:16.500Z'));
+    });
+
+    it("should return the next Windows FILETIME", function()
+    {
+      var reader = new BufferReader(new Buffer([0x50, 0xBC, 0x5B, 0xD9, 0xE2, 0x61, 0xD7, 0x01]));
+
+      expect(reader.shiftDate('filetime', true)).toEqual(new Date('2021-06-15T12:34:56.789Z'));
+    });
+
+    it("should return the next NTP timestamps and Windows FILETIMEs as nanoseconds", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0xE4, 0x73, 0x1C, 0xF0, 0xCA, 0x03, 0xFE, 0xAD,
+        0x83, 0xAA, 0x7E, 0x7F, 0x80, 0x00, 0x00, 0x00,
+        0x22, 0xC1, 0x5B, 0xD9, 0xE2, 0x61, 0xD7, 0x01
+      ]));
+
+      expect(reader.readDate(0, 'ntp64')).toEqual(new Date('2021-06-15T12:34:56.789Z'));
+      expect(reader.shiftDate('ntp64ns')).toEqual(BigInt('1623760496789123456'));
+      expect(reader.shiftDate('ntp64ns')).toEqual(BigInt(-500000000));
+      expect(reader.readDate(0, 'filetime', true)).toEqual(new Date('2021-06-15T12:34:56.789Z'));
+      expect(reader.shiftDate('filetimens', true)).toEqual(BigInt('1623760496789123400'));
+    });
+
+    it("should return the next DOS date and time", function()
+    {
+      var reader = new BufferReader(new Buffer([0x5C, 0x64, 0xCF, 0x52, 0x52, 0xCF, 0x64, 0x5C]));
+
+      expect(reader.shiftDate('dos', true)).toEqual(new Date('2021-06-15T12:34:56Z'));
+      expect(reader.shiftDate('dos')).toEqual(new Date('2021-06-15T12:34:56Z'));
+    });
+
+    it("should return the next CP56Time2a time regardless of the byte order", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0xD5, 0xDD, 0x22, 0x0C, 0x4F, 0x06, 0x15,
+        0xD5, 0xDD, 0xA2, 0x8C, 0x4F, 0x06, 0x15
+      ]));
+
+      expect(reader.shiftDate('cp56time2a')).toEqual(new Date('2021-06-15T12:34:56.789Z'));
+      expect(reader.shiftDate('cp56time2a', true)).toEqual(new Date('2021-06-15T12:34:56.789Z'));
+    });
+
+    it("should throw if the DOS date's day does not exist in its month", function()
+    {
+      var reader = new BufferReader(new Buffer([0x50, 0x5E, 0x00, 0x00, 0x50, 0x5F, 0x00, 0x00, 0x52, 0x5D, 0x00, 0x00, 0x52, 0x9F, 0x00, 0x00]));
+
+      expect(function() { reader.readDate(0, 'dos'); }).toThrow("Invalid DOS date and time.");
+      expect(function() { reader.readDate(4, 'dos'); }).toThrow("Invalid DOS date and time.");
+      expect(function() { reader.readDate(8, 'dos'); }).toThrow("Invalid DOS date and time.");
+      expect(function() { reader.readDate(12, 'dos'); }).toThrow("Invalid DOS date and time.");
+      expect(new BufferReader(new Buffer([0x50, 0x5D, 0x00, 0x00])).shiftDate('dos')).toEqual(new Date('2020-02-29T00:00:00Z'));
+    });
+
+    it("should throw if the CP56Time2a day does not exist in its month", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x1E, 0x02, 0x14, 0x00, 0x00, 0x00, 0x00, 0x1F, 0x06, 0x15]));
+
+      expect(function() { reader.readDate(0, 'cp56time2a'); }).toThrow("Invalid CP56Time2a time.");
+      expect(function() { reader.readDate(7, 'cp56time2a'); }).toThrow("Invalid CP56Time2a time.");
+      expect(new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x1D, 0x02, 0x14])).shiftDate('cp56time2a')).toEqual(new Date('2020-02-29T00:00:00Z'));
+    });
+
+    it("should throw and not shift anything if the bytes do not represent a valid date", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0xD5, 0xDD, 0x22, 0x0C, 0x4F, 0x00, 0x15]));
+
+      expect(function() { reader.shiftDate('dos'); }).toThrow("Invalid DOS date and time.");
+      expect(reader.length).toEqual(11);
+
+      reader.skip(4);
+
+      expect(function() { reader.shiftDate('cp56time2a'); }).toThrow("Invalid CP56Time2a time.");
+      expect(reader.length).toEqual(7);
+    });
+
+    it("should use the reader's byte order by default", function()
+    {
+      var reader = new BufferReader(new Buffer([0x70, 0x9E, 0xC8, 0x60]), {byteOrder: 'LE'});
+
+      expect(reader.shiftDate('unix32')).toEqual(new Date('2021-06-15T12:34:56Z'));
+    });
+  });
+
+  describe("shiftUuid", function()
+  {
+    it("should throw if the specified layout is not supported", function()
+    {
+      var reader = new BufferReader(new Buffer(16));
+
+      expect(function() { reader.shiftUuid('ms'); }).toThrow("Unknown UUID layout: ms.");
+      expect(reader.length).toEqual(16);
+    });
+
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(15));
+
+      expect(function() { reader.shiftUuid(); }).toThrow();
+    });
+
+    it("should return the next UUID in the RFC 4122 layout by default", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0x00, 0x00, 0x18, 0x0D, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0x80, 0x5F, 0x9B, 0x34, 0xFB,
+        0x6B, 0x29, 0xFC, 0x40, 0xCA, 0x47, 0x10, 0x67, 0xB3, 0x1D, 0x00, 0xDD, 0x01, 0x06, 0x62, 0xDA
+      ]));
+
+      expect(reader.shiftUuid()).toEqual('0000180d-0000-1000-8000-00805f9b34fb');
+      expect(reader.shiftUuid('rfc4122')).toEqual('6b29fc40-ca47-1067-b31d-00dd010662da');
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next UUID in the Microsoft GUID layout", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0x40, 0xFC, 0x29, 0x6B, 0x47, 0xCA, 0x67, 0x10, 0xB3, 0x1D, 0x00, 0xDD, 0x01, 0x06, 0x62, 0xDA
+      ]));
+
+      expect(reader.shiftUuid('GUID')).toEqual('6b29fc40-ca47-1067-b31d-00dd010662da');
+      expect(reader.length).toEqual(0);
+    });
+  });
+
+  describe("shiftIPv4", function()
+  {
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer([192, 168, 1]));
+
+      expect(function() { reader.shiftIPv4(); }).toThrow();
+    });
+
+    it("should return the next IPv4 address in the dotted-decimal form", function()
+    {
+      var reader = new BufferReader(new Buffer([192, 168, 1, 10, 0, 0, 0, 0]));
+
+      expect(reader.shiftIPv4()).toEqual('192.168.1.10');
+      expect(reader.shiftIPv4()).toEqual('0.0.0.0');
+      expect(reader.length).toEqual(0);
+    });
+  });
+
+  describe("shiftIPv6", function()
+  {
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(15));
+
+      expect(function() { reader.shiftIPv6(); }).toThrow();
+    });
+
+    it("should return the next IPv6 address in the RFC 5952 form", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0x20, 0x01, 0x0D, 0xB8, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01,
+        0x20, 0x01, 0x0D, 0xB8, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01,
+        0x20, 0x01, 0x0D, 0xB8, 0x00, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x01, 0x00, 0x01, 0x00, 0x01,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00
+      ]));
+
+      expect(reader.shiftIPv6()).toEqual('2001:db8::1');
+      expect(reader.shiftIPv6()).toEqual('2001:db8::1:0:0:1');
+      expect(reader.shiftIPv6()).toEqual('2001:db8:0:1:1:1:1:1');
+      expect(reader.shiftIPv6()).toEqual('::');
+      expect(reader.length).toEqual(0);
+    });
+
+    it("should return the next IPv4-mapped IPv6 address with the dotted-decimal suffix", function()
+    {
+      var reader = new BufferReader(new Buffer([
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 192, 0, 2, 1
+      ]));
+
+      expect(reader.shiftIPv6()).toEqual('::ffff:192.0.2.1');
+    });
+  });
+
+  describe("shiftMac", function()
+  {
+    it("should throw if the reader does not have enough bytes", function()
+    {
+      var reader = new BufferReader(new Buffer(5));
+
+      expect(function() { reader.shiftMac(); }).toThrow();
+    });
+
+    it("should return the next MAC address as lower case bytes separated by colons", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x1A, 0x2B, 0x3C, 0x4D, 0x5E]));
+
+      expect(reader.shiftMac()).toEqual('00:1a:2b:3c:4d:5e');
+      expect(reader.length).toEqual(0);
+    });
+  });
+
+  describe("readBits", function()
+  {
+    it("should throw if the specified offset is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.readBits('ten', 1); }).toThrow();
+    });
+
+    it("should throw if the specified offset is less than 0", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBits(-10, 1); }).toThrow();
+    });
+    
+    it("should throw if the specified offset is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBits(5, 1); }).toThrow();
+    });
+
+    it("should throw if the specified bit count is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+
+      expect(function() { reader.readBits(0, 'ten'); }).toThrow();
+    });
+
+    it("should throw if the specified bit count is less than 1", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+
+      expect(function() { reader.readBits(0, -10); }).toThrow();
+    });
+
+    it("should throw if the specified bit count is greater than the reader's length multiplied by 8", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBits(0, 666); }).toThrow();
+    });
+
+    it("should throw if the sum of the specified offset and count exceeds the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBits(1, 24); }).toThrow();
+    });
+
+    it("should return an array with the least significat bit from the next first byte if the specified bit count is 1", function()
+    {
+      var reader = new BufferReader(new Buffer([parseInt('00000001', 2)]));
+
+      expect(reader.readBits(0, 1)).toEqual([true]);
+    });
+
+    it("should return the specified number of the next bits as an array", function()
+    {
+      var reader = new BufferReader(new Buffer([parseInt('01010101', 2)]));
+
+      expect(reader.readBits(0, 8)).toEqual([true, false, true, false, true, false, true, false]);
+    });
+
+    it("should return the specified number of bits starting at the specified offset", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x01, parseInt('01010101', 2)]));
+
+      expect(reader.readBits(2, 4)).toEqual([true, false, true, false]);
+    });
+
+    it("should not decrease the reader's length", function()
+    {
+      var buffer = new Buffer([
+        parseInt('10101010', 2),
+        parseInt('01010101', 2),
+        parseInt('11100111', 2)
+      ]);
+      var reader = new BufferReader(buffer);
+
+      reader.readBits(0, 11);
+
+      expect(reader.length).toEqual(3);
+    });
+
+    it("should use the specified bit order", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0xAB, 0xC0]));
+
+      expect(reader.readBits(1, 10, 'MSB').map(Number)).toEqual([1, 0, 1, 0, 1, 0, 1, 1, 1, 1]);
+      expect(reader.readBits(1, 4, 'lsb').map(Number)).toEqual([1, 1, 0, 1]);
+    });
+
+    it("should use the reader's bit order by default", function()
+    {
+      var reader = new BufferReader(new Buffer([0xAB]));
+
+      reader.bitOrder = 'MSB';
+
+      expect(reader.readBits(0, 4).map(Number)).toEqual([1, 0, 1, 0]);
+    });
+  });
+
+  describe("readByte", function()
+  {
+    it("should throw if the reader is empty", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.readByte(0); }).toThrow();
+    });
+
+    it("should throw if the specified offset is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readByte('ten'); }).toThrow();
+    });
+
+    it("should throw if the specified offset is less than 0", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readByte(-10); }).toThrow();
+    });
+
+    it("should throw if the specified offset is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readByte(5); }).toThrow();
+    });
+
+    it("should return the first byte if the specified offset is 0", function()
+    {
+      var reader = new BufferReader(new Buffer([3, 2, 1]));
+
+      expect(reader.readByte(0)).toEqual(3);
+    });
+    
+    it("should return a byte at the specified position", function()
+    {
+      var reader = new BufferReader(new Buffer([3, 2, 1]));
+
+      expect(reader.readByte(2)).toEqual(1);
+    });
+
+    it("should not decrease the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([3, 2, 1]));
+
+      reader.readByte(0);
+
+      expect(reader.length).toEqual(3);
+    });
+  });
+
+  describe("readChar", function()
+  {
+    it("should throw if the reader is empty", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.readChar(0); }).toThrow();
+    });
+
+    it("should throw if the specified offset is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readChar('ten'); }).toThrow();
+    });
+
+    it("should throw if the specified offset is less than 0", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readChar(-10); }).toThrow();
+    });
+
+    it("should throw if the specified offset is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readChar(5); }).toThrow();
+    });
+
+    it("should return the first byte as an ASCII character if the specified offset is 0", function()
+    {
+      var reader = new BufferReader(new Buffer('zyx'));
+
+      expect(reader.readChar(0)).toEqual('z');
+    });
+
+    it("should return the byte at the specified offset as an ASCII character", function()
+    {
+      var reader = new BufferReader(new Buffer('zyx'));
+
+      expect(reader.readChar(1)).toEqual('y');
+    });
+
+    it("should not decrease the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer('xyz'));
+
+      reader.readChar(0);
+
+      expect(reader.length).toEqual(3);
+    });
+  });
+
+  describe("readBytes", function()
+  {
+    it("should throw if the specified offset is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.readBytes('ten', 1); }).toThrow();
+    });
+
+    it("should throw if the specified offset is less than 0", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBytes(-1, 1); }).toThrow();
+    });
+
+    it("should throw if the specified offset is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBytes(5, 1); }).toThrow();
+    });
+
+    it("should throw if the specified byte count is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+
+      expect(function() { reader.readBytes(0, 'ten'); }).toThrow();
+    });
+
+    it("should throw if the specified byte count is less than 1", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+
+      expect(function() { reader.readBytes(0, 0); }).toThrow();
+    });
+
+    it("should throw if the specified byte count is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBytes(0, 666); }).toThrow();
+    });
+
+    it("should return the next first byte as an array if the specified byte count is 1 and offset is 0", function()
+    {
+      var reader = new BufferReader(new Buffer([3, 2, 1]));
+
+      expect(reader.readBytes(0, 1)).toEqual([3]);
+    });
+
+    it("should return the specified number of the next bytes as an array starting at the specified position", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5]));
+
+      expect(reader.readBytes(3, 3)).toEqual([3, 4, 5]);
+    });
+
+    it("should not decrease the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5]));
+
+      reader.readBytes(0, 3);
+
+      expect(reader.length).toEqual(6);
+    });
+  });
+
+  describe("readBuffer", function()
+  {
+    it("should throw if the specified offset is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBuffer('ten', 1); }).toThrow();
+    });
+
+    it("should throw if the specified offset is less than 0", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBuffer(-1, 1); }).toThrow();
+    });
+
+    it("should throw if the specified offset is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBuffer(5, 1); }).toThrow();
+    });
+
+    it("should throw if the specified byte count is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+
+      expect(function() { reader.readBuffer(0, 'ten'); }).toThrow();
+    });
+
+    it("should throw if the specified byte count is less than 1", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+
+      expect(function() { reader.readBuffer(0, -10); }).toThrow();
+    });
+
+    it("should throw if the specified byte count is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readBuffer(0, 666); }).toThrow();
+    });
+
+    it("should return the next first byte as an instance of Buffer if the specified byte count is 1 and offset is 0", function()
+    {
+      var reader = new BufferReader(new Buffer([3, 2, 1]));
+
+      var resultBuffer = reader.readBuffer(0, 1);
+
+      expect(resultBuffer instanceof Buffer).toBeTruthy();
+      expect(Array.prototype.slice.call(resultBuffer)).toEqual([3]);
+    });
+
+    it("should return the specified number of the next bytes as an instance of Buffer starting at the specified position", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5]));
+      
+      var resultBuffer = reader.readBuffer(1, 3);
+
+      expect(resultBuffer instanceof Buffer).toBeTruthy();
+      expect(Array.prototype.slice.call(resultBuffer)).toEqual([1, 2, 3]);
+    });
+
+    it("should not decrease the reader's length by the specified byte count", function()
+    {
+      var buffer = new Buffer([0, 1, 2, 3, 4, 5]);
+      var reader = new BufferReader(buffer);
+
+      reader.readBuffer(0, 3);
+
+      expect(reader.length).toEqual(buffer.length);
+    });
+  });
+
+  describe("readString", function()
+  {
+    it("should throw if the specified offset is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readString('ten', 1); }).toThrow();
+    });
+
+    it("should throw if the specified offset is less than 0", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readString(-1, 1); }).toThrow();
+    });
+
+    it("should throw if the specified offset is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readString(5, 1); }).toThrow();
+    });
+
+    it("should throw if the specified length is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer('omghi2u'));
+
+      expect(function() { reader.readString(0, 'ten'); }).toThrow();
+    });
+
+    it("should throw if the specified length is less than 1", function()
+    {
+      var reader = new BufferReader(new Buffer('omghi2u'));
+
+      expect(function() { reader.readString(0, -10); }).toThrow();
+    });
+
+    it("should throw if the specified length is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readString(0, 666); }).toThrow();
+    });
+
+    it("should throw if the specified encoding is not supported", function()
+    {
+      var reader = new BufferReader(new Buffer('omghi2u'));
+
+      expect(function() { reader.readString(0, 3, 'utf-666'); }).toThrow();
+    });
+
+    it("should return a string of the specified length and in the UTF-8 encoding", function()
+    {
+      var reader = new BufferReader(new Buffer('omghi2u'));
+
+      expect(reader.readString(0, 3, 'utf8')).toEqual('omg');
+    });
+
+    it("should return a string of the specified length and in the ASCII encoding", function()
+    {
+      var reader = new BufferReader(new Buffer('ómgh€u', 'ascii'));
+
+      expect(reader.readString(0, 6, 'ascii')).toEqual('smgh,u');
+    });
+
+    it("should not decrease the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer('omghi2u'));
+
+      reader.readString(0, 5);
+
+      expect(reader.length).toEqual('omghi2u'.length);
+    });
+
+    it("should read starting from the specified position", function()
+    {
+      var reader = new BufferReader(new Buffer('omg hi 2 u'));
+
+      expect(reader.readString(4, 2)).toEqual('hi');
+    });
+
+    it("should decode the string with the specified code page", function()
+    {
+      var reader = new BufferReader(new Buffer([0x03, 0xCF, 0xD0, 0xE8]));
+
+      expect(reader.readString(1, 3, 'windows-1251')).toEqual('ПРи');
+      expect(reader.readPrefixedString(0, null, 'cp1251')).toEqual('ПРи');
+    });
+  });
+
+  describe("readZeroString", function()
+  {
+    it("should throw if the specified offset is not a number", function()
+    {
+      var reader = new BufferReader(new Buffer([1, 2, 3]));
+
+      expect(function() { reader.readZeroString('ten'); }).toThrow();
+    });
+
+    it("should throw if the specified offset is less than 0", function()
     {
       var reader = new BufferReader(new Buffer([1, 2, 3]));
 
-      expect(function() { reader.readBits(5, 1); }).toThrow();
+      expect(function() { reader.readZeroString(-1); }).toThrow();
+    });
+
+    it("should throw if the specified offset is greater than the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer('o\0mg'));
+
+      expect(function() { reader.readZeroString(5); }).toThrow();
+    });
+
+    it("should throw if the specified encoding is not supported", function()
+    {
+      var reader = new BufferReader(new Buffer('omghi2u\0too'));
+
+      expect(function() { reader.readZeroString(0, 'utf-666'); }).toThrow();
+    });
+
+    it("should return a string up to a NULL character in the specified encoding", function()
+    {
+      var reader = new BufferReader(new Buffer('omghi2u\0too'));
+
+      expect(reader.readZeroString(0, 'utf8')).toEqual('omghi2u');
+    });
+
+    it("should not decrease the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer('omghi2u\0too'));
+
+      reader.readZeroString(0);
+
+      expect(reader.length).toEqual('omghi2u\0too'.length);
+    });
+
+    it("should return an empty string if NULL character is not found", function()
+    {
+      var reader = new BufferReader(new Buffer('omghi2u'));
+
+      expect(reader.readZeroString(0)).toEqual('');
+    });
+
+    it("should return an empty string if NULL character is at the specified offset", function()
+    {
+      var reader = new BufferReader(new Buffer('o\u0000mghi2u'));
+
+      expect(reader.readZeroString(1)).toEqual('');
+    });
+
+    it("should read starting from the specified position", function()
+    {
+      var reader = new BufferReader(new Buffer('omg hi 2 u\u0000 2'));
+
+      expect(reader.readZeroString(4)).toEqual('hi 2 u');
+    });
+
+    it("should look for a two-byte NUL character aligned to the offset for UTF-16 encodings", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x61, 0x00, 0x00, 0x62, 0x00, 0x00, 0x00, 0x00]));
+
+      expect(reader.readZeroString(1, 'utf16le')).toEqual('a\u6200');
+      expect(reader.readZeroString(1, 'utf16le', [0x00, 0x62])).toEqual('a');
+      expect(reader.length).toBe(9);
+    });
+
+    it("should use the specified terminator sequence", function()
+    {
+      var reader = new BufferReader(new Buffer('xab\r\n'));
+
+      expect(reader.readZeroString(1, 'ascii', new Buffer('\r\n'))).toEqual('ab');
+      expect(reader.readZeroString(1, 'ascii', 'b')).toEqual('a');
+      expect(reader.readZeroString(1, 'ascii', '!')).toEqual('');
+    });
+  });
+
+  describe("readPrefixedBuffer", function()
+  {
+    it("should return a buffer preceded by its length at the specified offset", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0x00, 0x02, 0x61, 0x62, 0xFF]));
+
+      expect(Array.prototype.slice.call(reader.readPrefixedBuffer(1, 'UInt32'))).toEqual([0x61, 0x62]);
+      expect(reader.length).toBe(8);
+    });
+
+    it("should use an unsigned 8 bit prefix by default", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01, 0x61, 0x62]));
+
+      expect(Array.prototype.slice.call(reader.readPrefixedBuffer(0))).toEqual([0x61]);
+    });
+
+    it("should return an empty buffer if the prefixed length is 0", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00]));
+
+      expect(reader.readPrefixedBuffer(1, 'VarUInt').length).toBe(0);
+    });
+
+    it("should throw if the specified offset exceeds the reader's boundries", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00]));
+
+      expect(function() { reader.readPrefixedBuffer(2); }).toThrow();
+      expect(function() { reader.readPrefixedBuffer(1, 'UInt16'); }).toThrow();
+      expect(function() { reader.readPrefixedBuffer(-1); }).toThrow();
+    });
+
+    it("should throw if the prefixed length exceeds the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x02, 0x61]));
+
+      expect(function() { reader.readPrefixedBuffer(1); }).toThrow();
+    });
+  });
+
+  describe("readPrefixedString", function()
+  {
+    it("should return a string preceded by its byte length at the specified offset", function()
+    {
+      var reader = new BufferReader(Buffer.concat([new Buffer([0xFF, 0x00, 0x05]), new Buffer('hello'), new Buffer([0xFF])]));
+
+      expect(reader.readPrefixedString(1, 'UInt16BE')).toBe('hello');
+      expect(reader.length).toBe(9);
+    });
+
+    it("should use the specified encoding", function()
+    {
+      var reader = new BufferReader(new Buffer([0x02, 0x68, 0x69]));
+
+      expect(reader.readPrefixedString(0, null, 'hex')).toBe('6869');
+    });
+
+    it("should return an empty string if the prefixed length is 0", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00]));
+
+      expect(reader.readPrefixedString(0)).toBe('');
+    });
+  });
+
+  describe("readFixedString", function()
+  {
+    it("should return the specified number of bytes without the trailing padding", function()
+    {
+      var reader = new BufferReader(new Buffer('xabc \0\0y'));
+
+      expect(reader.readFixedString(1, 6)).toBe('abc');
+      expect(reader.readFixedString(1, 6, 'ascii', {trim: 'space'})).toBe('abc \0\0');
+      expect(reader.length).toBe(8);
+    });
+
+    it("should throw if the trim option is not valid", function()
+    {
+      var reader = new BufferReader(new Buffer('abc'));
+
+      expect(function() { reader.readFixedString(0, 3, 'utf8', {trim: 'all'}); }).toThrow();
+    });
+
+    it("should throw if the specified offset and length exceed the reader's boundries", function()
+    {
+      var reader = new BufferReader(new Buffer('abc'));
+
+      expect(function() { reader.readFixedString(1, 3); }).toThrow();
+    });
+  });
+
+  describe("readInt8", function()
+  {
+    it("should throw if the reader is empty", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.readInt8(0); }).toThrow();
+    });
+
+    it("should throw if the specified offset is out of reader's bounds", function()
+    {
+      var reader = new BufferReader(new Buffer([0, 1, 2]));
+
+      expect(function() { reader.readInt8(10); }).toThrow();
+    });
+
+    it("should return the next positive 8 bit integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0x42, 0x00]));
+
+      expect(reader.readInt8(0)).toEqual(66);
+    });
+
+    it("should return the next negative 8 bit integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0xBE, 0x00, 0x00]));
+
+      expect(reader.readInt8(0)).toEqual(-66);
+    });
+
+    it("should return the lower bound value of -128 if the next byte is 0x80", function()
+    {
+      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00]));
+
+      expect(reader.readInt8(0)).toEqual(-128);
+    });
+
+    it("should return the upper bound value of 127 if the next byte is 0x7F", function()
+    {
+      var reader = new BufferReader(new Buffer([0x7F, 0x00, 0x00]));
+
+      expect(reader.readInt8(0)).toEqual(127);
+    });
+
+    it("should return a value of 0 if the next byte is 0x00", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00]));
+
+      expect(reader.readInt8(0)).toEqual(0);
+    });
+
+    it("should return a value of -1 if the next byte is 0xFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+
+      expect(reader.readInt8(0)).toEqual(-1);
+    });
+
+    it("should not decrease the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+
+      reader.readInt8(0);
+
+      expect(reader.length).toEqual(3);
+    });
+
+    it("should read starting from the specified position", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x42]));
+
+      expect(reader.readInt8(2)).toEqual(66);
+    });
+  });
+
+  describe("readInt16", function()
+  {
+    it("should throw if the reader is empty", function()
+    {
+      var reader = new BufferReader(new Buffer([]));
+
+      expect(function() { reader.readInt16(0); }).toThrow();
+    });
+
+    it("should throw if the reader does not have at least 2 bytes after the specified offset", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01, 0x02]));
+
+      expect(function() { reader.readInt16(1); }).toThrow();
+    });
+
+    it("should return the next positive 16 bit integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0x02, 0x9A, 0x00, 0x01, 0x00, 0x02]));
+
+      expect(reader.readInt16(0)).toEqual(666);
+    });
+
+    it("should return the next negative 16 bit integer", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFD, 0x66, 0x00, 0x01, 0x00, 0x02]));
+      
+      expect(reader.readInt16(0)).toEqual(-666);
+    });
+
+    it("should return the lower bound value of -32768 if the next two bytes are 0x8000", function()
+    {
+      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00, 0x01]));
+
+      expect(reader.readInt16(0)).toEqual(-32768);
+    });
+
+    it("should return the upper bound value of 32767 if the next two bytes are 0x7FFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0x7F, 0xFF, 0x00, 0x01]));
+
+      expect(reader.readInt16(0)).toEqual(32767);
+    });
+
+    it("should return a value of 0 if the next byte two bytes are 0x0000", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01, 0x01]));
+
+      expect(reader.readInt16(0)).toEqual(0);
+    });
+
+    it("should return a value of -1 if the next two bytes are 0xFFFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0x00]));
+
+      expect(reader.readInt16(0)).toEqual(-1);
+    });
+
+    it("should not decrease the reader's length", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+
+      reader.readInt16(0);
+
+      expect(reader.length).toEqual(3);
+    });
+
+    it("should use little endian if specified so", function()
+    {
+      var reader = new BufferReader(new Buffer([0x66, 0xFD, 0x00, 0x01, 0x00, 0x02]));
+
+      expect(reader.readInt16(0, true)).toEqual(-666);
     });
 
-    it("should throw if the specified bit count is not a number", function()
+    it("should read starting from the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x9A, 0x01]));
 
-      expect(function() { reader.readBits(0, 'ten'); }).toThrow();
+      expect(reader.readInt16(2)).toEqual(666);
     });
+  });
 
-    it("should throw if the specified bit count is less than 1", function()
+  describe("readInt32", function()
+  {
+    it("should throw if the reader is empty", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+      var reader = new BufferReader(new Buffer([]));
 
-      expect(function() { reader.readBits(0, -10); }).toThrow();
+      expect(function() { reader.readInt32(0); }).toThrow();
     });
 
-    it("should throw if the specified bit count is greater than the reader's length multiplied by 8", function()
+    it("should throw if the reader does not have at least 4 bytes after the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03]));
 
-      expect(function() { reader.readBits(0, 666); }).toThrow();
+      expect(function() { reader.readInt32(1); }).toThrow();
     });
 
-    it("should throw if the sum of the specified offset and count exceeds the reader's length", function()
+    it("should return the next positive 32 bit integer", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x02, 0x9A, 0x00, 0x01]));
 
-      expect(function() { reader.readBits(1, 24); }).toThrow();
+      expect(reader.readInt32(0)).toEqual(666);
     });
 
-    it("should return an array with the least significat bit from the next first byte if the specified bit count is 1", function()
+    it("should return the next negative 32 bit integer", function()
     {
-      var reader = new BufferReader(new Buffer([parseInt('00000001', 2)]));
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFD, 0x66, 0x00, 0x01]));
 
-      expect(reader.readBits(0, 1)).toEqual([true]);
+      expect(reader.readInt32(0)).toEqual(-666);
     });
 
-    it("should return the specified number of the next bits as an array", function()
+    it("should return the lower bound value of -2147483648 if the next four bytes are 0x80000000", function()
     {
-      var reader = new BufferReader(new Buffer([parseInt('01010101', 2)]));
+      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00, 0x00, 0x01]));
 
-      expect(reader.readBits(0, 8)).toEqual([true, false, true, false, true, false, true, false]);
+      expect(reader.readInt32(0)).toEqual(-2147483648);
     });
 
-    it("should return the specified number of bits starting at the specified offset", function()
+    it("should return the upper bound value of 2147483647 if the next four bytes are 0x7FFFFFFF", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, parseInt('01010101', 2)]));
+      var reader = new BufferReader(new Buffer([0x7F, 0xFF, 0xFF, 0xFF, 0x01]));
 
-      expect(reader.readBits(2, 4)).toEqual([true, false, true, false]);
+      expect(reader.readInt32(0)).toEqual(2147483647);
     });
 
-    it("should not decrease the reader's length", function()
+    it("should return a value of 0 if the next byte four bytes are 0x00000000", function()
     {
-      var buffer = new Buffer([
-        parseInt('10101010', 2),
-        parseInt('01010101', 2),
-        parseInt('11100111', 2)
-      ]);
-      var reader = new BufferReader(buffer);
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x01]));
 
-      reader.readBits(0, 11);
+      expect(reader.readInt32(0)).toEqual(0);
+    });
 
-      expect(reader.length).toEqual(3);
+    it("should return a value of -1 if the next four bytes are 0xFFFFFFFF", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0x00]));
+
+      expect(reader.readInt32(0)).toEqual(-1);
+    });
+
+    it("should not decrease the reader's length by four", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0xFF, 0x01, 0x02]));
+
+      reader.readInt32(0);
+
+      expect(reader.length).toEqual(6);
+    });
+
+    it("should use little endian if specified so", function()
+    {
+      var reader = new BufferReader(new Buffer([0x66, 0xFD, 0xFF, 0xFF, 0x01, 0x00]));
+
+      expect(reader.readInt32(0, true)).toEqual(-666);
+    });
+
+    it("should read starting from the specified position", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x00, 0x00, 0x02, 0x9A, 0x01]));
+
+      expect(reader.readInt32(2)).toEqual(666);
     });
   });
 
-  describe("readByte", function()
+  describe("readUInt8", function()
   {
     it("should throw if the reader is empty", function()
     {
       var reader = new BufferReader(new Buffer([]));
 
-      expect(function() { reader.readByte(0); }).toThrow();
+      expect(function() { reader.readUInt8(0); }).toThrow();
     });
 
-    it("should throw if the specified offset is not a number", function()
+    it("should throw if the specified offset is out of the reader's bounds", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0, 1, 2]));
 
-      expect(function() { reader.readByte('ten'); }).toThrow();
+      expect(function() { reader.readUInt8(10); }).toThrow();
     });
 
-    it("should throw if the specified offset is less than 0", function()
+    it("should return the next unsigned 8 bit integer", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x42, 0x00, 0x00]));
 
-      expect(function() { reader.readByte(-10); }).toThrow();
+      expect(reader.readUInt8(0)).toEqual(66);
     });
 
-    it("should throw if the specified offset is greater than the reader's length", function()
+    it("should return the lower bound value of 0 if the next byte is 0x00", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02]));
 
-      expect(function() { reader.readByte(5); }).toThrow();
+      expect(reader.readUInt8(0)).toEqual(0);
     });
 
-    it("should return the first byte if the specified offset is 0", function()
+    it("should return the upper bound value of 255 if the next byte is 0xFF", function()
     {
-      var reader = new BufferReader(new Buffer([3, 2, 1]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
 
-      expect(reader.readByte(0)).toEqual(3);
+      expect(reader.readUInt8(0)).toEqual(255);
     });
-    
-    it("should return a byte at the specified position", function()
+
+    it("should return a value of 0 if the next byte is 0x00", function()
     {
-      var reader = new BufferReader(new Buffer([3, 2, 1]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02]));
 
-      expect(reader.readByte(2)).toEqual(1);
+      expect(reader.readUInt8(0)).toEqual(0);
     });
 
     it("should not decrease the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer([3, 2, 1]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
 
-      reader.readByte(0);
+      reader.readUInt8(0);
 
       expect(reader.length).toEqual(3);
     });
+
+    it("should read starting from the specified position", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x42]));
+
+      expect(reader.readUInt8(2)).toEqual(66);
+    });
   });
 
-  describe("readChar", function()
+  describe("readUInt16", function()
   {
     it("should throw if the reader is empty", function()
     {
       var reader = new BufferReader(new Buffer([]));
 
-      expect(function() { reader.readChar(0); }).toThrow();
+      expect(function() { reader.readUInt16(0); }).toThrow();
     });
 
-    it("should throw if the specified offset is not a number", function()
+    it("should throw if the specified offset is out of the reader's bounds", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0, 1, 2]));
 
-      expect(function() { reader.readChar('ten'); }).toThrow();
+      expect(function() { reader.readUInt16(10); }).toThrow();
     });
 
-    it("should throw if the specified offset is less than 0", function()
+    it("should throw if the reader does not have at least 2 bytes after the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x01, 0x01]));
 
-      expect(function() { reader.readChar(-10); }).toThrow();
+      expect(function() { reader.readUInt16(1); }).toThrow();
     });
 
-    it("should throw if the specified offset is greater than the reader's length", function()
+    it("should return the next unsigned 16 bit integer", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x02, 0x9A, 0x00, 0x01]));
 
-      expect(function() { reader.readChar(5); }).toThrow();
+      expect(reader.readUInt16(0)).toEqual(666);
     });
 
-    it("should return the first byte as an ASCII character if the specified offset is 0", function()
+    it("should return the lower bound value of 0 if the next two bytes are 0x0000", function()
     {
-      var reader = new BufferReader(new Buffer('zyx'));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01, 0x01]));
 
-      expect(reader.readChar(0)).toEqual('z');
+      expect(reader.readUInt16(0)).toEqual(0);
     });
 
-    it("should return the byte at the specified offset as an ASCII character", function()
+    it("should return the upper bound value of 65535 if the next two bytes are 0xFFFF", function()
     {
-      var reader = new BufferReader(new Buffer('zyx'));
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0x00, 0x01]));
 
-      expect(reader.readChar(1)).toEqual('y');
+      expect(reader.readUInt16(0)).toEqual(65535);
+    });
+
+    it("should return a value of 0 if the next two bytes are 0x0000", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01, 0x01]));
+
+      expect(reader.readUInt16(0)).toEqual(0);
     });
 
     it("should not decrease the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer('xyz'));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
 
-      reader.readChar(0);
+      reader.readUInt16(0);
 
       expect(reader.length).toEqual(3);
     });
-  });
 
-  describe("readBytes", function()
-  {
-    it("should throw if the specified offset is not a number", function()
+    it("should use little endian if specified so", function()
     {
-      var reader = new BufferReader(new Buffer([]));
+      var reader = new BufferReader(new Buffer([0x9A, 0x02, 0x00, 0x01]));
 
-      expect(function() { reader.readBytes('ten', 1); }).toThrow();
+      expect(reader.readUInt16(0, true)).toEqual(666);
     });
 
-    it("should throw if the specified offset is less than 0", function()
+    it("should read starting from the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x00, 0x42]));
 
-      expect(function() { reader.readBytes(-1, 1); }).toThrow();
+      expect(reader.readUInt16(2)).toEqual(66);
     });
+  });
 
-    it("should throw if the specified offset is greater than the reader's length", function()
+  describe("readUInt32", function()
+  {
+    it("should throw if the reader is empty", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([]));
 
-      expect(function() { reader.readBytes(5, 1); }).toThrow();
+      expect(function() { reader.readUInt32(0); }).toThrow();
     });
 
-    it("should throw if the specified byte count is not a number", function()
+    it("should throw if the specified offset is out of the reader's bounds", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0, 1, 2]));
 
-      expect(function() { reader.readBytes(0, 'ten'); }).toThrow();
+      expect(function() { reader.readUInt32(10); }).toThrow();
     });
 
-    it("should throw if the specified byte count is less than 1", function()
+    it("should throw if the reader does not have at least 4 bytes after the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02]));
 
-      expect(function() { reader.readBytes(0, 0); }).toThrow();
+      expect(function() { reader.readUInt32(1); }).toThrow();
     });
 
-    it("should throw if the specified byte count is greater than the reader's length", function()
+    it("should return the next unsigned 32 bit integer", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x02, 0x9A, 0x00, 0x01]));
 
-      expect(function() { reader.readBytes(0, 666); }).toThrow();
+      expect(reader.readUInt32(0)).toEqual(666);
     });
 
-    it("should return the next first byte as an array if the specified byte count is 1 and offset is 0", function()
+    it("should return the lower bound value of 0 if the next four bytes are 0x00000000", function()
     {
-      var reader = new BufferReader(new Buffer([3, 2, 1]));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x01]));
 
-      expect(reader.readBytes(0, 1)).toEqual([3]);
+      expect(reader.readUInt32(0)).toEqual(0);
     });
 
-    it("should return the specified number of the next bytes as an array starting at the specified position", function()
+    it("should return the upper bound value of 4294967295 if the next four bytes are 0xFFFFFFFF", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5]));
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0x01]));
 
-      expect(reader.readBytes(3, 3)).toEqual([3, 4, 5]);
+      expect(reader.readUInt32(0)).toEqual(4294967295);
     });
 
-    it("should not decrease the reader's length", function()
+    it("should return a value of 0 if the next byte four bytes are 0x00000000", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5]));
-
-      reader.readBytes(0, 3);
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x01]));
 
-      expect(reader.length).toEqual(6);
+      expect(reader.readUInt32(0)).toEqual(0);
     });
-  });
 
-  describe("readBuffer", function()
-  {
-    it("should throw if the specified offset is not a number", function()
+    it("should not decrease the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0xFF, 0x01, 0x02]));
 
-      expect(function() { reader.readBuffer('ten', 1); }).toThrow();
+      reader.readUInt32(0);
+
+      expect(reader.length).toEqual(6);
     });
 
-    it("should throw if the specified offset is less than 0", function()
+    it("should use little endian if specified so", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x9A, 0x02, 0x00, 0x00, 0x01, 0x00]));
 
-      expect(function() { reader.readBuffer(-1, 1); }).toThrow();
+      expect(reader.readUInt32(0, true)).toEqual(666);
     });
 
-    it("should throw if the specified offset is greater than the reader's length", function()
+    it("should read starting from the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x00, 0x00, 0x02, 0x9A, 0x00, 0x01]));
 
-      expect(function() { reader.readBuffer(5, 1); }).toThrow();
+      expect(reader.readUInt32(2)).toEqual(666);
     });
+  });
 
-    it("should throw if the specified byte count is not a number", function()
+  describe("readInt64", function()
+  {
+    it("should throw if the reader is empty", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+      var reader = new BufferReader(new Buffer([]));
 
-      expect(function() { reader.readBuffer(0, 'ten'); }).toThrow();
+      expect(function() { reader.readInt64(0); }).toThrow();
     });
 
-    it("should throw if the specified byte count is less than 1", function()
+    it("should throw if the reader does not have at least 8 bytes after the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6, 7, 8]));
 
-      expect(function() { reader.readBuffer(0, -10); }).toThrow();
+      expect(function() { reader.readInt64(2); }).toThrow();
     });
 
-    it("should throw if the specified byte count is greater than the reader's length", function()
+    it("should return a signed 64 bit integer as a BigInt", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFD, 0x66]));
 
-      expect(function() { reader.readBuffer(0, 666); }).toThrow();
+      expect(reader.readInt64(0)).toBe(BigInt(-666));
     });
 
-    it("should return the next first byte as an instance of Buffer if the specified byte count is 1 and offset is 0", function()
+    it("should not decrease the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer([3, 2, 1]));
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6, 7, 8]));
 
-      var resultBuffer = reader.readBuffer(0, 1);
+      reader.readInt64(0);
 
-      expect(resultBuffer instanceof Buffer).toBeTruthy();
-      expect(Array.prototype.slice.call(resultBuffer)).toEqual([3]);
+      expect(reader.length).toEqual(9);
     });
 
-    it("should return the specified number of the next bytes as an instance of Buffer starting at the specified position", function()
+    it("should use little endian if specified so", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5]));
-      
-      var resultBuffer = reader.readBuffer(1, 3);
+      var reader = new BufferReader(new Buffer([0x66, 0xFD, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      expect(resultBuffer instanceof Buffer).toBeTruthy();
-      expect(Array.prototype.slice.call(resultBuffer)).toEqual([1, 2, 3]);
+      expect(reader.readInt64(0, true)).toBe(BigInt(-666));
     });
 
-    it("should not decrease the reader's length by the specified byte count", function()
+    it("should return a number if specified so and the value is a safe integer", function()
     {
-      var buffer = new Buffer([0, 1, 2, 3, 4, 5]);
-      var reader = new BufferReader(buffer);
+      var reader = new BufferReader(new Buffer([0x66, 0xFD, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      reader.readBuffer(0, 3);
+      expect(reader.readInt64(0, true, true)).toBe(-666);
+    });
 
-      expect(reader.length).toEqual(buffer.length);
+    it("should read starting from the specified position", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01, 0x7F, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
+
+      expect(reader.readInt64(1)).toBe(BigInt('9223372036854775807'));
     });
   });
 
-  describe("readString", function()
+  describe("readUInt64", function()
   {
-    it("should throw if the specified offset is not a number", function()
+    it("should throw if the reader is empty", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([]));
 
-      expect(function() { reader.readString('ten', 1); }).toThrow();
+      expect(function() { reader.readUInt64(0); }).toThrow();
     });
 
-    it("should throw if the specified offset is less than 0", function()
+    it("should throw if the reader does not have at least 8 bytes after the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6, 7, 8]));
 
-      expect(function() { reader.readString(-1, 1); }).toThrow();
+      expect(function() { reader.readUInt64(2); }).toThrow();
     });
 
-    it("should throw if the specified offset is greater than the reader's length", function()
+    it("should return an unsigned 64 bit integer as a BigInt", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFD, 0x66]));
 
-      expect(function() { reader.readString(5, 1); }).toThrow();
+      expect(reader.readUInt64(0)).toBe(BigInt('18446744073709550950'));
     });
 
-    it("should throw if the specified length is not a number", function()
+    it("should not decrease the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer('omghi2u'));
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6, 7, 8]));
 
-      expect(function() { reader.readString(0, 'ten'); }).toThrow();
+      reader.readUInt64(0);
+
+      expect(reader.length).toEqual(9);
     });
 
-    it("should throw if the specified length is less than 1", function()
+    it("should use little endian if specified so", function()
     {
-      var reader = new BufferReader(new Buffer('omghi2u'));
+      var reader = new BufferReader(new Buffer([0x9A, 0x02, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00]));
 
-      expect(function() { reader.readString(0, -10); }).toThrow();
+      expect(reader.readUInt64(0, true)).toBe(BigInt(0x10000029A));
     });
 
-    it("should throw if the specified length is greater than the reader's length", function()
+    it("should return a number if specified so and the value is a safe integer", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x9A, 0x02, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00]));
 
-      expect(function() { reader.readString(0, 666); }).toThrow();
+      expect(reader.readUInt64(0, true, true)).toBe(0x10000029A);
     });
 
-    it("should throw if the specified encoding is not supported", function()
+    it("should read starting from the specified position", function()
     {
-      var reader = new BufferReader(new Buffer('omghi2u'));
+      var reader = new BufferReader(new Buffer([0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x02]));
 
-      expect(function() { reader.readString(0, 3, 'utf-666'); }).toThrow();
+      expect(reader.readUInt64(1)).toBe(BigInt(2));
     });
+  });
 
-    it("should return a string of the specified length and in the UTF-8 encoding", function()
+  describe("readIntN", function()
+  {
+    it("should throw if the specified byte count is not a number between 1 and 6", function()
     {
-      var reader = new BufferReader(new Buffer('omghi2u'));
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6, 7]));
 
-      expect(reader.readString(0, 3, 'utf8')).toEqual('omg');
+      expect(function() { reader.readIntN(0, 0); }).toThrow();
+      expect(function() { reader.readIntN(0, 7); }).toThrow();
     });
 
-    it("should return a string of the specified length and in the ASCII encoding", function()
+    it("should throw if the reader does not have at least the specified number of bytes after the specified position", function()
     {
-      var reader = new BufferReader(new Buffer('ómgh€u', 'ascii'));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03]));
 
-      expect(reader.readString(0, 6, 'ascii')).toEqual('smgh,u');
+      expect(function() { reader.readIntN(2, 3); }).toThrow();
+    });
+
+    it("should return a signed integer of the specified byte count", function()
+    {
+      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFD, 0x66]));
+
+      expect(reader.readIntN(0, 4)).toEqual(-666);
+      expect(reader.readIntN(1, 3)).toEqual(-666);
     });
 
     it("should not decrease the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer('omghi2u'));
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
 
-      reader.readString(0, 5);
+      reader.readIntN(0, 3);
 
-      expect(reader.length).toEqual('omghi2u'.length);
+      expect(reader.length).toEqual(4);
     });
 
-    it("should read starting from the specified position", function()
+    it("should use little endian if specified so", function()
     {
-      var reader = new BufferReader(new Buffer('omg hi 2 u'));
+      var reader = new BufferReader(new Buffer([0x00, 0x66, 0xFD, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      expect(reader.readString(4, 2)).toEqual('hi');
+      expect(reader.readIntN(1, 6, true)).toEqual(-666);
     });
   });
 
-  describe("readZeroString", function()
+  describe("readUIntN", function()
   {
-    it("should throw if the specified offset is not a number", function()
+    it("should throw if the specified byte count is not a number between 1 and 6", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3, 4, 5, 6, 7]));
 
-      expect(function() { reader.readZeroString('ten'); }).toThrow();
+      expect(function() { reader.readUIntN(0, -1); }).toThrow();
+      expect(function() { reader.readUIntN(0, 7); }).toThrow();
     });
 
-    it("should throw if the specified offset is less than 0", function()
+    it("should throw if the reader does not have at least the specified number of bytes after the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([1, 2, 3]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03]));
 
-      expect(function() { reader.readZeroString(-1); }).toThrow();
+      expect(function() { reader.readUIntN(1, 4); }).toThrow();
     });
 
-    it("should throw if the specified offset is greater than the reader's length", function()
+    it("should return an unsigned integer of the specified byte count", function()
     {
-      var reader = new BufferReader(new Buffer('o\0mg'));
+      var reader = new BufferReader(new Buffer([0x01, 0xAB, 0xCD, 0xEF, 0x01, 0x23]));
 
-      expect(function() { reader.readZeroString(5); }).toThrow();
+      expect(reader.readUIntN(1, 3)).toEqual(0xABCDEF);
+      expect(reader.readUIntN(0, 6)).toEqual(0x01ABCDEF0123);
     });
 
-    it("should throw if the specified encoding is not supported", function()
+    it("should not decrease the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer('omghi2u\0too'));
+      var reader = new BufferReader(new Buffer([0, 1, 2, 3]));
 
-      expect(function() { reader.readZeroString(0, 'utf-666'); }).toThrow();
+      reader.readUIntN(0, 3);
+
+      expect(reader.length).toEqual(4);
     });
 
-    it("should return a string up to a NULL character in the specified encoding", function()
+    it("should use little endian if specified so", function()
     {
-      var reader = new BufferReader(new Buffer('omghi2u\0too'));
+      var reader = new BufferReader(new Buffer([0xEF, 0xCD, 0xAB]));
 
-      expect(reader.readZeroString(0, 'utf8')).toEqual('omghi2u');
+      expect(reader.readUIntN(0, 3, true)).toEqual(0xABCDEF);
     });
+  });
 
-    it("should not decrease the reader's length", function()
+  describe("readVarUInt", function()
+  {
+    it("should throw if the specified offset is not within the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer('omghi2u\0too'));
-
-      reader.readZeroString(0);
+      var reader = new BufferReader(new Buffer([0x01]));
 
-      expect(reader.length).toEqual('omghi2u\0too'.length);
+      expect(function() { reader.readVarUInt(1); }).toThrow();
+      expect(function() { reader.readVarUInt(-1); }).toThrow();
     });
 
-    it("should return an empty string if NULL character is not found", function()
+    it("should return the value and the length of an unsigned LEB128 integer at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer('omghi2u'));
+      var reader = new BufferReader(new Buffer([0xFF, 0xE5, 0x8E, 0x26, 0x7F]));
 
-      expect(reader.readZeroString(0)).toEqual('');
+      expect(reader.readVarUInt(1)).toEqual({value: 624485, length: 3});
+      expect(reader.readVarUInt(4)).toEqual({value: 127, length: 1});
+      expect(reader.length).toEqual(5);
     });
 
-    it("should return an empty string if NULL character is at the specified offset", function()
+    it("should throw if the integer is cut at the end of the reader", function()
     {
-      var reader = new BufferReader(new Buffer('o\u0000mghi2u'));
+      var reader = new BufferReader(new Buffer([0x01, 0xE5, 0x8E]));
 
-      expect(reader.readZeroString(1)).toEqual('');
+      expect(function() { reader.readVarUInt(1); }).toThrow();
     });
 
-    it("should read starting from the specified position", function()
+    it("should throw if the integer is longer than 10 bytes", function()
     {
-      var reader = new BufferReader(new Buffer('omg hi 2 u\u0000 2'));
+      var reader = new BufferReader(new Buffer([
+        0x00, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x01
+      ]));
 
-      expect(reader.readZeroString(4)).toEqual('hi 2 u');
+      expect(reader.readVarUInt(2).length).toEqual(10);
+      expect(function() { reader.readVarUInt(1); }).toThrow(
+        new Error("The variable-length integer is longer than 10 bytes.")
+      );
     });
   });
 
-  describe("readInt8", function()
+  describe("readVarInt", function()
   {
-    it("should throw if the reader is empty", function()
+    it("should return the value and the length of a signed LEB128 integer at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([]));
+      var reader = new BufferReader(new Buffer([0xFF, 0xC0, 0xBB, 0x78, 0x40]));
 
-      expect(function() { reader.readInt8(0); }).toThrow();
+      expect(reader.readVarInt(1)).toEqual({value: -123456, length: 3});
+      expect(reader.readVarInt(4)).toEqual({value: -64, length: 1});
+      expect(reader.length).toEqual(5);
     });
 
-    it("should throw if the specified offset is out of reader's bounds", function()
+    it("should throw if the integer is cut at the end of the reader", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2]));
+      var reader = new BufferReader(new Buffer([0x01, 0xC0, 0xBB]));
 
-      expect(function() { reader.readInt8(10); }).toThrow();
+      expect(function() { reader.readVarInt(1); }).toThrow();
     });
 
-    it("should return the next positive 8 bit integer", function()
+    it("should throw if the integer is longer than 10 bytes", function()
     {
-      var reader = new BufferReader(new Buffer([0x42, 0x00]));
+      var reader = new BufferReader(new Buffer([
+        0x00, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F
+      ]));
 
-      expect(reader.readInt8(0)).toEqual(66);
+      expect(reader.readVarInt(2).length).toEqual(10);
+      expect(function() { reader.readVarInt(1); }).toThrow(
+        new Error("The variable-length integer is longer than 10 bytes.")
+      );
     });
+  });
 
-    it("should return the next negative 8 bit integer", function()
+  describe("readBcd", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0xBE, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0x12, 0x34]));
 
-      expect(reader.readInt8(0)).toEqual(-66);
+      expect(function() { reader.readBcd(1, 2); }).toThrow();
     });
 
-    it("should return the lower bound value of -128 if the next byte is 0x80", function()
+    it("should return a packed BCD number at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x09, 0x87, 0x65]));
 
-      expect(reader.readInt8(0)).toEqual(-128);
+      expect(reader.readBcd(1, 3)).toEqual(98765);
+      expect(reader.length).toEqual(4);
     });
 
-    it("should return the upper bound value of 127 if the next byte is 0x7F", function()
+    it("should throw if a nibble is not a decimal digit", function()
     {
-      var reader = new BufferReader(new Buffer([0x7F, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0x12, 0xA0]));
 
-      expect(reader.readInt8(0)).toEqual(127);
+      expect(function() { reader.readBcd(0, 2); }).toThrow();
     });
+  });
 
-    it("should return a value of 0 if the next byte is 0x00", function()
+  describe("readAsciiNumber", function()
+  {
+    it("should return a number at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer('xx 0123 7F'));
 
-      expect(reader.readInt8(0)).toEqual(0);
+      expect(reader.readAsciiNumber(2, 5)).toEqual(123);
+      expect(reader.readAsciiNumber(8, 2, 16)).toEqual(0x7F);
+      expect(reader.length).toEqual(10);
     });
+  });
 
-    it("should return a value of -1 if the next byte is 0xFF", function()
+  describe("readFixed", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0x40, 0x00]));
 
-      expect(reader.readInt8(0)).toEqual(-1);
+      expect(function() { reader.readFixed(1, 1, 15); }).toThrow();
     });
 
-    it("should not decrease the reader's length", function()
+    it("should return a fixed-point number at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x40, 0x00, 0x80, 0x01]));
 
-      reader.readInt8(0);
+      expect(reader.readFixed(1, 1, 15)).toEqual(0.5);
+      expect(reader.readFixed(3, 8, 8, {signed: false})).toEqual(128 + 1 / 256);
+      expect(reader.readFixed(3, 8, 8, {signed: false, byteOrder: true})).toEqual(1.5);
+      expect(reader.length).toEqual(5);
+    });
+  });
 
-      expect(reader.length).toEqual(3);
+  describe("readFloat16", function()
+  {
+    it("should throw if the specified offset is greater than the reader's length minus 2", function()
+    {
+      var reader = new BufferReader(new Buffer([0x3C, 0x00, 0x3C]));
+
+      expect(function() { reader.readFloat16(2); }).toThrow();
     });
 
-    it("should read starting from the specified position", function()
+    it("should return a half precision float at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x42]));
+      var reader = new BufferReader(new Buffer([0x00, 0x3E, 0x00, 0x00, 0x01, 0x7C, 0x00]));
 
-      expect(reader.readInt8(2)).toEqual(66);
+      expect(reader.readFloat16(1)).toEqual(1.5);
+      expect(reader.readFloat16(3)).toEqual(Math.pow(2, -24));
+      expect(reader.readFloat16(5)).toEqual(Infinity);
+      expect(reader.length).toEqual(7);
+    });
+
+    it("should use the specified byte order", function()
+    {
+      var reader = new BufferReader(new Buffer([0x00, 0x3E, 0x00, 0xC0]));
+
+      expect(reader.readFloat16(0, true)).toEqual(1.5);
+      expect(reader.readFloat16(2, 'LE')).toEqual(-2);
     });
   });
 
-  describe("readInt16", function()
+  describe("readFloat", function()
   {
     it("should throw if the reader is empty", function()
     {
       var reader = new BufferReader(new Buffer([]));
 
-      expect(function() { reader.readInt16(0); }).toThrow();
+      expect(function() { reader.readFloat(0); }).toThrow();
     });
 
-    it("should throw if the reader does not have at least 2 bytes after the specified offset", function()
+    it("should throw if the reader does not have at least 4 bytes after the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([0x01, 0x02]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03]));
 
-      expect(function() { reader.readInt16(1); }).toThrow();
+      expect(function() { reader.readFloat(1); }).toThrow();
     });
 
-    it("should return the next positive 16 bit integer", function()
+    it("should return the next positive float", function()
     {
-      var reader = new BufferReader(new Buffer([0x02, 0x9A, 0x00, 0x01, 0x00, 0x02]));
-
-      expect(reader.readInt16(0)).toEqual(666);
-    });
+      var reader = new BufferReader(new Buffer([0x42, 0x85, 0x51, 0xEC]));
 
-    it("should return the next negative 16 bit integer", function()
-    {
-      var reader = new BufferReader(new Buffer([0xFD, 0x66, 0x00, 0x01, 0x00, 0x02]));
-      
-      expect(reader.readInt16(0)).toEqual(-666);
+      expect(reader.readFloat(0).toFixed(2)).toEqual('66.66');
     });
 
-    it("should return the lower bound value of -32768 if the next two bytes are 0x8000", function()
+    it("should return the next negative float", function()
     {
-      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0xC2, 0x85, 0x51, 0xEC]));
 
-      expect(reader.readInt16(0)).toEqual(-32768);
+      expect(reader.readFloat(0).toFixed(2).toString()).toEqual('-66.66');
     });
 
-    it("should return the upper bound value of 32767 if the next two bytes are 0x7FFF", function()
+    it("should return the lower bound value of -3.4028234663852886e+38 if the next four bytes are 0xFF7FFFFF", function()
     {
-      var reader = new BufferReader(new Buffer([0x7F, 0xFF, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x7F, 0xFF, 0xFF]));
 
-      expect(reader.readInt16(0)).toEqual(32767);
+      expect(reader.readFloat(0)).toEqual(-3.4028234663852886e+38);
     });
 
-    it("should return a value of 0 if the next byte two bytes are 0x0000", function()
+    it("should return the upper bound value of 3.4028234663852886e+38 if the next four bytes are 0x7F7FFFFF", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01, 0x01]));
+      var reader = new BufferReader(new Buffer([0x7F, 0x7F, 0xFF, 0xFF]));
 
-      expect(reader.readInt16(0)).toEqual(0);
+      expect(reader.readFloat(0)).toEqual(3.4028234663852886e+38);
     });
 
-    it("should return a value of -1 if the next two bytes are 0xFFFF", function()
+    it("should return a value of 0 if the next two bytes are 0x00000000", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0x00]));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00]));
 
-      expect(reader.readInt16(0)).toEqual(-1);
+      expect(reader.readFloat(0)).toEqual(0);
     });
 
     it("should not decrease the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0x01]));
 
-      reader.readInt16(0);
+      reader.readFloat(0);
 
-      expect(reader.length).toEqual(3);
+      expect(reader.length).toEqual(4);
     });
 
     it("should use little endian if specified so", function()
     {
-      var reader = new BufferReader(new Buffer([0x66, 0xFD, 0x00, 0x01, 0x00, 0x02]));
+      var reader = new BufferReader(new Buffer([0xEC, 0x51, 0x85, 0x42]));
 
-      expect(reader.readInt16(0, true)).toEqual(-666);
+      expect(reader.readFloat(0, true).toFixed(2)).toEqual('66.66');
     });
 
     it("should read starting from the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x9A, 0x01]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x42, 0x85, 0x51, 0xEC, 0x00]));
 
-      expect(reader.readInt16(2)).toEqual(666);
+      expect(reader.readFloat(2).toFixed(2)).toEqual('66.66');
     });
   });
 
-  describe("readInt32", function()
-  {
-    it("should throw if the reader is empty", function()
-    {
-      var reader = new BufferReader(new Buffer([]));
-
-      expect(function() { reader.readInt32(0); }).toThrow();
-    });
-
-    it("should throw if the reader does not have at least 4 bytes after the specified position", function()
+  describe("readDouble", function()
+  {
+    it("should throw if the reader is empty", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03]));
+      var reader = new BufferReader(new Buffer([]));
 
-      expect(function() { reader.readInt32(1); }).toThrow();
+      expect(function() { reader.readDouble(0); }).toThrow();
     });
 
-    it("should return the next positive 32 bit integer", function()
+    it("should throw if the reader does not have at least 8 bytes after the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x02, 0x9A, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07]));
 
-      expect(reader.readInt32(0)).toEqual(666);
+      expect(function() { reader.readDouble(1); }).toThrow();
     });
 
-    it("should return the next negative 32 bit integer", function()
+    it("should return the next positive float", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFD, 0x66, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0x40, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A]));
 
-      expect(reader.readInt32(0)).toEqual(-666);
+      expect(reader.readDouble(0).toFixed(2)).toEqual('66.66');
     });
 
-    it("should return the lower bound value of -2147483648 if the next four bytes are 0x80000000", function()
+    it("should return the next negative float", function()
     {
-      var reader = new BufferReader(new Buffer([0x80, 0x00, 0x00, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0xC0, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A]));
 
-      expect(reader.readInt32(0)).toEqual(-2147483648);
+      expect(reader.readDouble(0).toFixed(2).toString()).toEqual('-66.66');
     });
 
-    it("should return the upper bound value of 2147483647 if the next four bytes are 0x7FFFFFFF", function()
+    it("should return the lower bound value of -1.7976931348623157E+308 if the next four bytes are 0xFFEFFFFFFFFFFFFF", function()
     {
-      var reader = new BufferReader(new Buffer([0x7F, 0xFF, 0xFF, 0xFF, 0x01]));
+      var reader = new BufferReader(new Buffer([0xFF, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      expect(reader.readInt32(0)).toEqual(2147483647);
+      expect(reader.readDouble(0)).toEqual(-1.7976931348623157E+308);
     });
 
-    it("should return a value of 0 if the next byte four bytes are 0x00000000", function()
+    it("should return the upper bound value of 1.7976931348623157E+308 if the next eight bytes are 0x7FEFFFFFFFFFFFFF", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0x7F, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      expect(reader.readInt32(0)).toEqual(0);
+      expect(reader.readDouble(0)).toEqual(1.7976931348623157E+308);
     });
 
-    it("should return a value of -1 if the next four bytes are 0xFFFFFFFF", function()
+    it("should return a value of 0 if the next two bytes are 0x0000000000000000", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0x00]));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
 
-      expect(reader.readInt32(0)).toEqual(-1);
+      expect(reader.readDouble(0)).toEqual(0);
     });
 
-    it("should not decrease the reader's length by four", function()
+    it("should not decrease the reader's length", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0xFF, 0x01, 0x02]));
+      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
 
-      reader.readInt32(0);
+      reader.readDouble(0);
 
-      expect(reader.length).toEqual(6);
+      expect(reader.length).toEqual(8);
     });
 
     it("should use little endian if specified so", function()
     {
-      var reader = new BufferReader(new Buffer([0x66, 0xFD, 0xFF, 0xFF, 0x01, 0x00]));
+      var reader = new BufferReader(new Buffer([0x0A, 0xD7, 0xA3, 0x70, 0x3D, 0xAA, 0x50, 0x40]));
 
-      expect(reader.readInt32(0, true)).toEqual(-666);
+      expect(reader.readDouble(0, true).toFixed(2)).toEqual('66.66');
     });
 
     it("should read starting from the specified position", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x00, 0x00, 0x02, 0x9A, 0x01]));
+      var reader = new BufferReader(new Buffer([0x00, 0x40, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A, 0x00]));
 
-      expect(reader.readInt32(2)).toEqual(666);
+      expect(reader.readDouble(1).toFixed(2)).toEqual('66.66');
     });
   });
 
-  describe("readUInt8", function()
+  describe("readInt8Array", function()
   {
-    it("should throw if the reader is empty", function()
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([]));
+      var reader = new BufferReader(new Buffer(3));
 
-      expect(function() { reader.readUInt8(0); }).toThrow();
+      expect(function() { reader.readInt8Array(1, 2); }).not.toThrow();
+      expect(function() { reader.readInt8Array(2, 2); }).toThrow();
+      expect(function() { reader.readInt8Array(-1, 2); }).toThrow();
     });
 
-    it("should throw if the specified offset is out of the reader's bounds", function()
+    it("should return the values starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x80, 0xFF, 0x00, 0x7F]));
 
-      expect(function() { reader.readUInt8(10); }).toThrow();
+      expect(Array.prototype.slice.call(reader.readInt8Array(1, 4))).toEqual([-128, -1, 0, 127]);
+      expect(reader.length).toEqual(5);
     });
+  });
 
-    it("should return the next unsigned 8 bit integer", function()
+  describe("readUInt8Array", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0x42, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer(3));
 
-      expect(reader.readUInt8(0)).toEqual(66);
+      expect(function() { reader.readUInt8Array(1, 2); }).not.toThrow();
+      expect(function() { reader.readUInt8Array(2, 2); }).toThrow();
+      expect(function() { reader.readUInt8Array(-1, 2); }).toThrow();
     });
 
-    it("should return the lower bound value of 0 if the next byte is 0x00", function()
+    it("should return the values starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x01, 0x80, 0xFF]));
 
-      expect(reader.readUInt8(0)).toEqual(0);
+      expect(Array.prototype.slice.call(reader.readUInt8Array(1, 4))).toEqual([0, 1, 128, 255]);
+      expect(reader.length).toEqual(5);
     });
+  });
 
-    it("should return the upper bound value of 255 if the next byte is 0xFF", function()
+  describe("readInt16Array", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer(5));
 
-      expect(reader.readUInt8(0)).toEqual(255);
+      expect(function() { reader.readInt16Array(1, 2); }).not.toThrow();
+      expect(function() { reader.readInt16Array(2, 2); }).toThrow();
+      expect(function() { reader.readInt16Array(-1, 2); }).toThrow();
     });
 
-    it("should return a value of 0 if the next byte is 0x00", function()
+    it("should return the values starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x80, 0xFE, 0xFF, 0x00, 0x00, 0xFF, 0x7F]));
 
-      expect(reader.readUInt8(0)).toEqual(0);
+      expect(Array.prototype.slice.call(reader.readInt16Array(1, 4, true))).toEqual([-32768, -2, 0, 32767]);
+      expect(reader.length).toEqual(9);
     });
+  });
 
-    it("should not decrease the reader's length", function()
+  describe("readUInt16Array", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
-
-      reader.readUInt8(0);
+      var reader = new BufferReader(new Buffer(5));
 
-      expect(reader.length).toEqual(3);
+      expect(function() { reader.readUInt16Array(1, 2); }).not.toThrow();
+      expect(function() { reader.readUInt16Array(2, 2); }).toThrow();
+      expect(function() { reader.readUInt16Array(-1, 2); }).toThrow();
     });
 
-    it("should read starting from the specified position", function()
+    it("should return the values starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x42]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0x01, 0x00, 0x34, 0x12, 0xFF, 0xFF]));
 
-      expect(reader.readUInt8(2)).toEqual(66);
+      expect(Array.prototype.slice.call(reader.readUInt16Array(1, 4, true))).toEqual([0, 1, 4660, 65535]);
+      expect(reader.length).toEqual(9);
     });
   });
 
-  describe("readUInt16", function()
+  describe("readInt32Array", function()
   {
-    it("should throw if the reader is empty", function()
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([]));
+      var reader = new BufferReader(new Buffer(9));
 
-      expect(function() { reader.readUInt16(0); }).toThrow();
+      expect(function() { reader.readInt32Array(1, 2); }).not.toThrow();
+      expect(function() { reader.readInt32Array(2, 2); }).toThrow();
+      expect(function() { reader.readInt32Array(-1, 2); }).toThrow();
     });
 
-    it("should throw if the specified offset is out of the reader's bounds", function()
+    it("should return the values starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0x00, 0x80, 0xFE, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F]));
 
-      expect(function() { reader.readUInt16(10); }).toThrow();
+      expect(Array.prototype.slice.call(reader.readInt32Array(1, 3, true))).toEqual([-2147483648, -2, 2147483647]);
+      expect(reader.length).toEqual(13);
     });
+  });
 
-    it("should throw if the reader does not have at least 2 bytes after the specified position", function()
+  describe("readUInt32Array", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0x01, 0x01]));
+      var reader = new BufferReader(new Buffer(9));
 
-      expect(function() { reader.readUInt16(1); }).toThrow();
+      expect(function() { reader.readUInt32Array(1, 2); }).not.toThrow();
+      expect(function() { reader.readUInt32Array(2, 2); }).toThrow();
+      expect(function() { reader.readUInt32Array(-1, 2); }).toThrow();
     });
 
-    it("should return the next unsigned 16 bit integer", function()
+    it("should return the values starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x02, 0x9A, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0x00, 0x00, 0x78, 0x56, 0x34, 0x12, 0xFF, 0xFF, 0xFF, 0xFF]));
 
-      expect(reader.readUInt16(0)).toEqual(666);
+      expect(Array.prototype.slice.call(reader.readUInt32Array(1, 3, true))).toEqual([0, 305419896, 4294967295]);
+      expect(reader.length).toEqual(13);
     });
+  });
 
-    it("should return the lower bound value of 0 if the next two bytes are 0x0000", function()
+  describe("readFloat32Array", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01, 0x01]));
+      var reader = new BufferReader(new Buffer(9));
 
-      expect(reader.readUInt16(0)).toEqual(0);
+      expect(function() { reader.readFloat32Array(1, 2); }).not.toThrow();
+      expect(function() { reader.readFloat32Array(2, 2); }).toThrow();
+      expect(function() { reader.readFloat32Array(-1, 2); }).toThrow();
     });
 
-    it("should return the upper bound value of 65535 if the next two bytes are 0xFFFF", function()
+    it("should return the values starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0xC0, 0x3F, 0x00, 0x00, 0x80, 0xBE, 0x00, 0x18, 0x80, 0x44]));
 
-      expect(reader.readUInt16(0)).toEqual(65535);
+      expect(Array.prototype.slice.call(reader.readFloat32Array(1, 3, true))).toEqual([1.5, -0.25, 1024.75]);
+      expect(reader.length).toEqual(13);
     });
+  });
 
-    it("should return a value of 0 if the next two bytes are 0x0000", function()
+  describe("readFloat64Array", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x01, 0x01]));
+      var reader = new BufferReader(new Buffer(17));
 
-      expect(reader.readUInt16(0)).toEqual(0);
+      expect(function() { reader.readFloat64Array(1, 2); }).not.toThrow();
+      expect(function() { reader.readFloat64Array(2, 2); }).toThrow();
+      expect(function() { reader.readFloat64Array(-1, 2); }).toThrow();
     });
 
-    it("should not decrease the reader's length", function()
+    it("should return the values starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xF8, 0x3F, 0x9A, 0x99, 0x99, 0x99, 0x99, 0x99, 0xB9, 0xBF, 0x9C, 0x75, 0x00, 0x88, 0x3C, 0xE4, 0x37, 0x7E]));
 
-      reader.readUInt16(0);
+      expect(Array.prototype.slice.call(reader.readFloat64Array(1, 3, true))).toEqual([1.5, -0.1, 1e300]);
+      expect(reader.length).toEqual(25);
+    });
+  });
 
-      expect(reader.length).toEqual(3);
+  describe("readDate", function()
+  {
+    it("should throw if the specified format is not supported", function()
+    {
+      var reader = new BufferReader(new Buffer([0x60, 0xC8, 0x9E, 0x70]));
+
+      expect(function() { reader.readDate(0, 'UNIX32'); }).toThrow("Unknown date format: UNIX32.");
     });
 
-    it("should use little endian if specified so", function()
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0x9A, 0x02, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0x00, 0x60, 0xC8, 0x9E, 0x70]));
 
-      expect(reader.readUInt16(0, true)).toEqual(666);
+      expect(function() { reader.readDate(1, 'unix32'); }).not.toThrow();
+      expect(function() { reader.readDate(2, 'unix32'); }).toThrow();
+      expect(function() { reader.readDate(0, 'unix64'); }).toThrow();
     });
 
-    it("should read starting from the specified position", function()
+    it("should return a date starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x00, 0x42]));
+      var reader = new BufferReader(new Buffer([
+        0x00, 0x60, 0xC8, 0x9E, 0x70,
+        0x50, 0xBC, 0x5B, 0xD9, 0xE2, 0x61, 0xD7, 0x01,
+        0x16, 0x88, 0xC1, 0x91, 0x9B, 0x6B, 0x8F, 0x40
+      ]));
 
-      expect(reader.readUInt16(2)).toEqual(66);
+      expect(reader.readDate(1, 'unix32')).toEqual(new Date('2021-06-15T12:34:56Z'));
+      expect(reader.readDate(5, 'filetime', 'LE')).toEqual(new Date('2021-06-15T12:34:56.789Z'));
+      expect(reader.readDate(13, 'unix64ns')).toEqual(BigInt('1623760496789000000'));
+      expect(reader.length).toEqual(21);
     });
   });
 
-  describe("readUInt32", function()
+  describe("readUuid", function()
   {
-    it("should throw if the reader is empty", function()
+    it("should throw if the specified layout is not supported", function()
     {
-      var reader = new BufferReader(new Buffer([]));
+      var reader = new BufferReader(new Buffer(16));
 
-      expect(function() { reader.readUInt32(0); }).toThrow();
+      expect(function() { reader.readUuid(0, 'ms'); }).toThrow("Unknown UUID layout: ms.");
     });
 
-    it("should throw if the specified offset is out of the reader's bounds", function()
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0, 1, 2]));
+      var reader = new BufferReader(new Buffer(17));
 
-      expect(function() { reader.readUInt32(10); }).toThrow();
+      expect(function() { reader.readUuid(1); }).not.toThrow();
+      expect(function() { reader.readUuid(2); }).toThrow();
     });
 
-    it("should throw if the reader does not have at least 4 bytes after the specified position", function()
+    it("should return a UUID starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02]));
+      var reader = new BufferReader(new Buffer([
+        0xFF,
+        0x40, 0xFC, 0x29, 0x6B, 0x47, 0xCA, 0x67, 0x10, 0xB3, 0x1D, 0x00, 0xDD, 0x01, 0x06, 0x62, 0xDA
+      ]));
 
-      expect(function() { reader.readUInt32(1); }).toThrow();
+      expect(reader.readUuid(1)).toEqual('40fc296b-47ca-6710-b31d-00dd010662da');
+      expect(reader.readUuid(1, 'guid')).toEqual('6b29fc40-ca47-1067-b31d-00dd010662da');
+      expect(reader.length).toEqual(17);
     });
+  });
 
-    it("should return the next unsigned 32 bit integer", function()
+  describe("readIPv4", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x02, 0x9A, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer(5));
 
-      expect(reader.readUInt32(0)).toEqual(666);
+      expect(function() { reader.readIPv4(1); }).not.toThrow();
+      expect(function() { reader.readIPv4(2); }).toThrow();
     });
 
-    it("should return the lower bound value of 0 if the next four bytes are 0x00000000", function()
+    it("should return an IPv4 address starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0xFF, 10, 0, 0, 254]));
 
-      expect(reader.readUInt32(0)).toEqual(0);
+      expect(reader.readIPv4(1)).toEqual('10.0.0.254');
+      expect(reader.length).toEqual(5);
     });
+  });
 
-    it("should return the upper bound value of 4294967295 if the next four bytes are 0xFFFFFFFF", function()
+  describe("readIPv6", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0x01]));
+      var reader = new BufferReader(new Buffer(17));
 
-      expect(reader.readUInt32(0)).toEqual(4294967295);
+      expect(function() { reader.readIPv6(1); }).not.toThrow();
+      expect(function() { reader.readIPv6(2); }).toThrow();
     });
 
-    it("should return a value of 0 if the next byte four bytes are 0x00000000", function()
+    it("should return an IPv6 address starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([
+        0xFF,
+        0xFE, 0x80, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x02, 0x1A, 0x2B, 0xFF, 0xFE, 0x3C, 0x4D, 0x5E
+      ]));
 
-      expect(reader.readUInt32(0)).toEqual(0);
+      expect(reader.readIPv6(1)).toEqual('fe80::21a:2bff:fe3c:4d5e');
+      expect(reader.length).toEqual(17);
     });
+  });
 
-    it("should not decrease the reader's length", function()
+  describe("readMac", function()
+  {
+    it("should throw if the specified offset exceeds the reader's boundries", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0xFF, 0x01, 0x02]));
-
-      reader.readUInt32(0);
+      var reader = new BufferReader(new Buffer(7));
 
-      expect(reader.length).toEqual(6);
+      expect(function() { reader.readMac(1); }).not.toThrow();
+      expect(function() { reader.readMac(2); }).toThrow();
     });
 
-    it("should use little endian if specified so", function()
+    it("should return a MAC address starting at the specified offset", function()
     {
-      var reader = new BufferReader(new Buffer([0x9A, 0x02, 0x00, 0x00, 0x01, 0x00]));
+      var reader = new BufferReader(new Buffer([0xFF, 0xAC, 0xDE, 0x48, 0x00, 0x11, 0x22]));
 
-      expect(reader.readUInt32(0, true)).toEqual(666);
+      expect(reader.readMac(1)).toEqual('ac:de:48:00:11:22');
+      expect(reader.length).toEqual(7);
     });
+  });
 
-    it("should read starting from the specified position", function()
+  describe("byte order descriptors", function()
+  {
+    it("should treat 'BE' and 'ABCD' as big endian", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x00, 0x00, 0x02, 0x9A, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0x12, 0x34, 0x56, 0x78]));
 
-      expect(reader.readUInt32(2)).toEqual(666);
+      expect(reader.readUInt32(0, 'BE')).toEqual(0x12345678);
+      expect(reader.readUInt32(0, 'ABCD')).toEqual(0x12345678);
     });
-  });
 
-  describe("readFloat", function()
-  {
-    it("should throw if the reader is empty", function()
+    it("should treat 'LE' and 'DCBA' as little endian", function()
     {
-      var reader = new BufferReader(new Buffer([]));
+      var reader = new BufferReader(new Buffer([0x78, 0x56, 0x34, 0x12]));
 
-      expect(function() { reader.readFloat(0); }).toThrow();
+      expect(reader.readUInt32(0, 'LE')).toEqual(0x12345678);
+      expect(reader.readUInt32(0, 'dcba')).toEqual(0x12345678);
     });
 
-    it("should throw if the reader does not have at least 4 bytes after the specified position", function()
+    it("should read 32 bit integers with swapped words", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03]));
+      var reader = new BufferReader(new Buffer([0x56, 0x78, 0x12, 0x34, 0xFD, 0x66, 0xFF, 0xFF]));
 
-      expect(function() { reader.readFloat(1); }).toThrow();
+      expect(reader.shiftUInt32('CDAB')).toEqual(0x12345678);
+      expect(reader.shiftInt32('CDAB')).toEqual(-666);
     });
 
-    it("should return the next positive float", function()
+    it("should read 32 bit integers with swapped bytes", function()
     {
-      var reader = new BufferReader(new Buffer([0x42, 0x85, 0x51, 0xEC]));
+      var reader = new BufferReader(new Buffer([0x34, 0x12, 0x78, 0x56]));
 
-      expect(reader.readFloat(0).toFixed(2)).toEqual('66.66');
+      expect(reader.readUInt32(0, 'BADC')).toEqual(0x12345678);
     });
 
-    it("should return the next negative float", function()
+    it("should read floats with swapped words", function()
     {
-      var reader = new BufferReader(new Buffer([0xC2, 0x85, 0x51, 0xEC]));
+      var reader = new BufferReader(new Buffer([0x51, 0xEC, 0x42, 0x85]));
 
-      expect(reader.readFloat(0).toFixed(2).toString()).toEqual('-66.66');
+      expect(reader.shiftFloat('CDAB').toFixed(2)).toEqual('66.66');
     });
 
-    it("should return the lower bound value of -3.4028234663852886e+38 if the next four bytes are 0xFF7FFFFF", function()
+    it("should apply a 4 byte descriptor to 8 byte values", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x7F, 0xFF, 0xFF]));
+      var reader = new BufferReader(new Buffer([0x47, 0xAE, 0x7A, 0xE1, 0xAE, 0x14, 0xBF, 0xF3]));
 
-      expect(reader.readFloat(0)).toEqual(-3.4028234663852886e+38);
+      expect(reader.readDouble(0, 'CDAB')).toEqual(-1.23);
+      expect(reader.readDouble(0, 'GHEFCDAB')).toEqual(-1.23);
     });
 
-    it("should return the upper bound value of 3.4028234663852886e+38 if the next four bytes are 0x7F7FFFFF", function()
+    it("should read 64 bit integers with swapped bytes", function()
     {
-      var reader = new BufferReader(new Buffer([0x7F, 0x7F, 0xFF, 0xFF]));
+      var reader = new BufferReader(new Buffer([0x02, 0x01, 0x04, 0x03, 0x06, 0x05, 0x08, 0x07]));
 
-      expect(reader.readFloat(0)).toEqual(3.4028234663852886e+38);
+      expect(reader.readUInt64(0, 'BADCFEHG')).toBe(BigInt('0x0102030405060708'));
+      expect(reader.shiftUInt64('BADC')).toBe(BigInt('0x0102030405060708'));
     });
 
-    it("should return a value of 0 if the next two bytes are 0x00000000", function()
+    it("should apply a 4 byte descriptor to 16 bit integers", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0x34, 0x12]));
 
-      expect(reader.readFloat(0)).toEqual(0);
+      expect(reader.readUInt16(0, 'CDAB')).toEqual(0x3412);
+      expect(reader.readUInt16(0, 'BADC')).toEqual(0x1234);
     });
 
-    it("should not decrease the reader's length", function()
+    it("should read integers of any even byte count with swapped words", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0x00, 0x00, 0x01]));
+      var reader = new BufferReader(new Buffer([0x56, 0x78, 0x34, 0x56, 0x12, 0x34]));
 
-      reader.readFloat(0);
+      expect(reader.readUIntN(0, 6, 'CDAB')).toEqual(0x123434565678);
+    });
 
-      expect(reader.length).toEqual(4);
+    it("should throw if a word swapping descriptor is used with an odd byte count", function()
+    {
+      var reader = new BufferReader(new Buffer([0x01, 0x02, 0x03]));
+
+      expect(function() { reader.readUIntN(0, 3, 'CDAB'); }).toThrow();
+      expect(reader.readUIntN(0, 3, 'DCBA')).toEqual(0x030201);
     });
 
-    it("should use little endian if specified so", function()
+    it("should throw if the descriptor is not valid", function()
     {
-      var reader = new BufferReader(new Buffer([0xEC, 0x51, 0x85, 0x42]));
+      var reader = new BufferReader(new Buffer([0x01, 0x02, 0x03, 0x04]));
 
-      expect(reader.readFloat(0, true).toFixed(2)).toEqual('66.66');
+      expect(function() { reader.readUInt32(0, 'ABCC'); }).toThrow();
+      expect(function() { reader.readUInt32(0, 'WXYZ'); }).toThrow();
+      expect(function() { reader.readUInt32(0, 'ACBD'); }).not.toThrow();
+      expect(function() { reader.readUInt16(0, 'ACBD'); }).toThrow();
     });
 
-    it("should read starting from the specified position", function()
+    it("should not shift anything if the descriptor is not valid", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x42, 0x85, 0x51, 0xEC, 0x00]));
+      var reader = new BufferReader(new Buffer([0x01, 0x02, 0x03, 0x04]));
 
-      expect(reader.readFloat(2).toFixed(2)).toEqual('66.66');
+      expect(function() { reader.shiftFloat('XYZW'); }).toThrow();
+      expect(reader.length).toEqual(4);
     });
   });
 
-  describe("readDouble", function()
+  describe("default byte order", function()
   {
-    it("should throw if the reader is empty", function()
+    it("should be big endian by default", function()
     {
-      var reader = new BufferReader(new Buffer([]));
+      var reader = new BufferReader(new Buffer([0x12, 0x34]));
 
-      expect(function() { reader.readDouble(0); }).toThrow();
+      expect(reader.byteOrder).toEqual('BE');
+      expect(reader.readUInt16(0)).toEqual(0x1234);
     });
 
-    it("should throw if the reader does not have at least 8 bytes after the specified position", function()
+    it("should be set through the constructor options", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07]));
+      var reader = new BufferReader(new Buffer([0x34, 0x12, 0x78, 0x56, 0x34, 0x12]), {byteOrder: 'LE', bitOrder: 'MSB'});
 
-      expect(function() { reader.readDouble(1); }).toThrow();
+      expect(reader.byteOrder).toEqual('LE');
+      expect(reader.bitOrder).toEqual('MSB');
+      expect(reader.shiftUInt16()).toEqual(0x1234);
+      expect(reader.readUInt32(0)).toEqual(0x12345678);
     });
 
-    it("should return the next positive float", function()
+    it("should throw if the bit order option is not valid", function()
     {
-      var reader = new BufferReader(new Buffer([0x40, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A]));
-
-      expect(reader.readDouble(0).toFixed(2)).toEqual('66.66');
+      expect(function() { new BufferReader(new Buffer([0x00]), {bitOrder: 'middle'}); }).toThrow();
     });
 
-    it("should return the next negative float", function()
+    it("should be used by all numeric methods if the byte order is not specified", function()
     {
-      var reader = new BufferReader(new Buffer([0xC0, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A]));
+      var reader = new BufferReader(new Buffer([
+        0xFE, 0xFF,
+        0x00, 0x00, 0x80, 0x3F,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xF0, 0x3F,
+        0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x80,
+        0x03, 0x02, 0x01,
+        0x00, 0x3E,
+        0x00, 0x80, 0x01, 0x00
+      ]), {byteOrder: true});
 
-      expect(reader.readDouble(0).toFixed(2).toString()).toEqual('-66.66');
+      expect(reader.shiftInt16()).toEqual(-2);
+      expect(reader.shiftFloat()).toEqual(1);
+      expect(reader.shiftDouble()).toEqual(1);
+      expect(reader.shiftUInt64()).toBe(BigInt('0x8000000000000001'));
+      expect(reader.shiftUIntN(3)).toEqual(0x010203);
+      expect(reader.shiftFloat16()).toEqual(1.5);
+      expect(reader.shiftFixed(16, 16)).toEqual(1.5);
     });
 
-    it("should return the lower bound value of -1.7976931348623157E+308 if the next four bytes are 0xFFEFFFFFFFFFFFFF", function()
+    it("should be overridden by the byte order specified in the call", function()
     {
-      var reader = new BufferReader(new Buffer([0xFF, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
+      var reader = new BufferReader(new Buffer([0x12, 0x34, 0x56, 0x78]), {byteOrder: 'LE'});
 
-      expect(reader.readDouble(0)).toEqual(-1.7976931348623157E+308);
+      expect(reader.readUInt16(0, false)).toEqual(0x1234);
+      expect(reader.readUInt16(0, 'BE')).toEqual(0x1234);
+      expect(reader.readUInt32(0, 'CDAB')).toEqual(0x56781234);
+      expect(reader.readUInt16(0, null)).toEqual(0x3412);
     });
 
-    it("should return the upper bound value of 1.7976931348623157E+308 if the next eight bytes are 0x7FEFFFFFFFFFFFFF", function()
+    it("should be changeable through the byteOrder property", function()
     {
-      var reader = new BufferReader(new Buffer([0x7F, 0xEF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]));
+      var reader = new BufferReader(new Buffer([0x12, 0x34]));
 
-      expect(reader.readDouble(0)).toEqual(1.7976931348623157E+308);
+      reader.byteOrder = 'BADC';
+
+      expect(reader.readUInt16(0)).toEqual(0x3412);
     });
+  });
 
-    it("should return a value of 0 if the next two bytes are 0x0000000000000000", function()
+  describe("withByteOrder", function()
+  {
+    it("should temporarily change the default byte order", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
+      var reader = new BufferReader(new Buffer([0x12, 0x34, 0x34, 0x12, 0x12, 0x34]));
+      var values = [reader.shiftUInt16()];
 
-      expect(reader.readDouble(0)).toEqual(0);
+      reader.withByteOrder('LE', function(sameReader)
+      {
+        expect(sameReader).toBe(reader);
+        expect(reader.byteOrder).toEqual('LE');
+
+        values.push(reader.shiftUInt16());
+      });
+
+      values.push(reader.shiftUInt16());
+
+      expect(values).toEqual([0x1234, 0x1234, 0x1234]);
+      expect(reader.byteOrder).toEqual('BE');
     });
 
-    it("should not decrease the reader's length", function()
+    it("should return the result of the specified function", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
-
-      reader.readDouble(0);
+      var reader = new BufferReader(new Buffer([0x34, 0x12]));
 
-      expect(reader.length).toEqual(8);
+      expect(reader.withByteOrder(true, function() { return reader.shiftUInt16(); })).toEqual(0x1234);
     });
 
-    it("should use little endian if specified so", function()
+    it("should restore the previous byte order if the specified function throws", function()
     {
-      var reader = new BufferReader(new Buffer([0x0A, 0xD7, 0xA3, 0x70, 0x3D, 0xAA, 0x50, 0x40]));
+      var reader = new BufferReader(new Buffer([0x34, 0x12]), {byteOrder: 'LE'});
 
-      expect(reader.readDouble(0, true).toFixed(2)).toEqual('66.66');
+      expect(function()
+      {
+        reader.withByteOrder('BE', function() { throw new Error("Nope"); });
+      }).toThrow();
+      expect(reader.byteOrder).toEqual('LE');
     });
 
-    it("should read starting from the specified position", function()
+    it("should support nesting", function()
     {
-      var reader = new BufferReader(new Buffer([0x00, 0x40, 0x50, 0xAA, 0x3D, 0x70, 0xA3, 0xD7, 0x0A, 0x00]));
+      var reader = new BufferReader(new Buffer([0x12, 0x34]));
 
-      expect(reader.readDouble(1).toFixed(2)).toEqual('66.66');
+      reader.withByteOrder('LE', function()
+      {
+        reader.withByteOrder('BE', function()
+        {
+          expect(reader.readUInt16(0)).toEqual(0x1234);
+        });
+
+        expect(reader.readUInt16(0)).toEqual(0x3412);
+      });
     });
   });
 });
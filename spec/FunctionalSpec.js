@@ -87,6 +87,48 @@ describe("functional tests", function()
     expect(reader.shiftString(reader.length)).toEqual(payload);
   });
 
+  it("should read CoAP header bit fields", function()
+  {
+    var buffer = new Buffer([0x42, 0x02, 0xAB, 0xCD, 0x5F, 0x16]);
+    var reader = new BufferReader(buffer);
+
+    expect(reader.shiftBitField(2)).toEqual(1);
+    expect(reader.shiftBitField(2)).toEqual(0);
+    expect(reader.shiftBitField(4)).toEqual(2);
+    expect(reader.shiftUInt8()).toEqual(2);
+    expect(reader.shiftUInt16()).toEqual(0xABCD);
+    expect(reader.shiftBitField(4)).toEqual(5);
+    expect(reader.shiftBitField(4)).toEqual(15);
+    expect(reader.shiftUInt8()).toEqual(0x16);
+  });
+
+  it("should build and read CoAP header bit fields", function()
+  {
+    var builder = new BufferBuilder();
+
+    builder
+      .pushBitField(1, 2)
+      .pushBitField(0, 2)
+      .pushBitField(2, 4)
+      .pushUInt8(2)
+      .pushUInt16(0xABCD)
+      .pushBitField(5, 4)
+      .pushBitField(15, 4)
+      .pushUInt8(0x16);
+
+    var reader = new BufferReader(builder.toBuffer());
+
+    expect(reader.shiftBitField(2)).toEqual(1);
+    expect(reader.shiftBitField(2)).toEqual(0);
+    expect(reader.shiftBitField(4)).toEqual(2);
+    expect(reader.shiftUInt8()).toEqual(2);
+    expect(reader.shiftUInt16()).toEqual(0xABCD);
+    expect(reader.shiftBitField(4)).toEqual(5);
+    expect(reader.shiftBitField(4)).toEqual(15);
+    expect(reader.shiftUInt8()).toEqual(0x16);
+    expect(reader.length).toEqual(0);
+  });
+
   it("should build and read bits", function()
   {
     var number = 0xABCDEF;
@@ -101,4 +143,40 @@ describe("functional tests", function()
 
     expect(actualBitsArray).toEqual(bitsArray);
   });
+
+  it("should build and read MSB-first bits", function()
+  {
+    var number = 0xABCDEF;
+    var bitsArray = number.toString(2).split('').map(Number);
+
+    var builder = new BufferBuilder();
+    var buffer = builder.pushBits(bitsArray, 'MSB').toBuffer();
+    var reader = new BufferReader(buffer);
+
+    expect(buffer.toString('hex')).toEqual('abcdef');
+    expect(reader.readBits(0, bitsArray.length, 'MSB').map(Number)).toEqual(bitsArray);
+  });
+
+  it("should build and read variable-length integers at the 64-bit limits", function()
+  {
+    var values = [
+      BigInt('18446744073709551615'),
+      BigInt('9223372036854775807'),
+      BigInt('-9223372036854775808')
+    ];
+
+    var builder = new BufferBuilder();
+    var buffer = builder
+      .pushVarUInt(values[0])
+      .pushVarInt(values[1])
+      .pushVarInt(values[2])
+      .toBuffer();
+    var reader = new BufferReader(buffer);
+
+    expect(buffer.length).toEqual(30);
+    expect(reader.readVarUInt(0)).toEqual({value: values[0], length: 10});
+    expect(reader.shiftVarUInt()).toBe(values[0]);
+    expect(reader.shiftVarInt()).toBe(values[1]);
+    expect(reader.shiftVarInt()).toBe(values[2]);
+  });
 });
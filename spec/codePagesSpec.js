@@ -0,0 +1,197 @@
+/*jshint maxlen:999,maxstatements:999*/
+/*global describe:false,it:false,expect:false*/
+
+'use strict';
+
+var codePages = require(process.env.LIB_FOR_TESTS_DIR || '../lib').codePages;
+
+describe("codePages", function()
+{
+  describe("has", function()
+  {
+    it("should find the built-in code pages by their names and aliases in any case", function()
+    {
+      expect(codePages.has('cp037')).toBe(true);
+      expect(codePages.has('IBM500')).toBe(true);
+      expect(codePages.has('Windows-1250')).toBe(true);
+      expect(codePages.has('cp_437')).toBe(true);
+      expect(codePages.has('ISO8859-2')).toBe(true);
+      expect(codePages.has('latin9')).toBe(true);
+    });
+
+    it("should return false for Buffer encodings and unknown names", function()
+    {
+      expect(codePages.has('utf8')).toBe(false);
+      expect(codePages.has('latin1')).toBe(false);
+      expect(codePages.has('cp1047')).toBe(false);
+      expect(codePages.has(undefined)).toBe(false);
+      expect(codePages.has(437)).toBe(false);
+    });
+  });
+
+  describe("getNames", function()
+  {
+    it("should return the names of the built-in code pages", function()
+    {
+      var names = codePages.getNames();
+
+      ['cp037', 'cp500', 'cp437', 'cp850', 'cp852', 'windows-1250', 'windows-1251', 'windows-1252', 'iso-8859-2', 'iso-8859-15'].forEach(function(name)
+      {
+        expect(names).toContain(name);
+      });
+    });
+
+    it("should return a copy", function()
+    {
+      codePages.getNames().push('nope');
+
+      expect(codePages.getNames()).not.toContain('nope');
+    });
+  });
+
+  describe("decode", function()
+  {
+    it("should decode EBCDIC", function()
+    {
+      expect(codePages.decode(new Buffer([0xC8, 0x85, 0x93, 0x93, 0x96, 0x40, 0xF1, 0xF2, 0x5A]), 'cp037')).toBe('Hello 12!');
+      expect(codePages.decode(new Buffer([0x4F, 0x5A, 0xBA, 0xBB]), 'cp500')).toBe('!]¬|');
+      expect(codePages.decode(new Buffer([0x4F, 0x5A, 0xBA, 0xBB]), 'cp037')).toBe('|![]');
+    });
+
+    it("should decode the upper half of ASCII-compatible code pages", function()
+    {
+      expect(codePages.decode(new Buffer([0x41, 0x8A, 0x9C, 0xB9, 0xEA]), 'windows-1250')).toBe('AŠśąę');
+      expect(codePages.decode(new Buffer([0xC9, 0xCD, 0xBB, 0x80, 0x9B]), 'cp437')).toBe('╔═╗Ç¢');
+      expect(codePages.decode(new Buffer([0xA4, 0xC0]), 'iso-8859-15')).toBe('€À');
+    });
+
+    it("should decode undefined bytes as U+FFFD", function()
+    {
+      expect(codePages.decode(new Buffer([0x81, 0x80]), 'windows-1252')).toBe('�€');
+    });
+
+    it("should accept arrays of bytes", function()
+    {
+      expect(codePages.decode([0xD0, 0xE0], 'windows-1251')).toBe('Ра');
+    });
+
+    it("should throw if the code page is not registered", function()
+    {
+      expect(function() { codePages.decode(new Buffer(1), 'cp999'); }).toThrow(new Error("Unknown code page: cp999."));
+    });
+  });
+
+  describe("encode", function()
+  {
+    it("should encode EBCDIC", function()
+    {
+      expect(Array.prototype.slice.call(codePages.encode('Hello 12!', 'cp037'))).toEqual([0xC8, 0x85, 0x93, 0x93, 0x96, 0x40, 0xF1, 0xF2, 0x5A]);
+      expect(Array.prototype.slice.call(codePages.encode('[]', 'ibm500'))).toEqual([0x4A, 0x5A]);
+    });
+
+    it("should encode the upper half of ASCII-compatible code pages", function()
+    {
+      expect(Array.prototype.slice.call(codePages.encode('Łódź', 'windows-1250'))).toEqual([0xA3, 0xF3, 0x64, 0x9F]);
+      expect(Array.prototype.slice.call(codePages.encode('Łódź', 'iso-8859-2'))).toEqual([0xA3, 0xF3, 0x64, 0xBC]);
+      expect(Array.prototype.slice.call(codePages.encode('░▒▓', 'cp437'))).toEqual([0xB0, 0xB1, 0xB2]);
+    });
+
+    it("should throw on unmappable characters by default", function()
+    {
+      expect(function() { codePages.encode('10 €', 'cp437'); }).toThrow(new Error("The character U+20AC can not be encoded in the cp437 code page."));
+      expect(function() { codePages.encode('😀', 'cp850', 'throw'); }).toThrow(new Error("The character U+1F600 can not be encoded in the cp850 code page."));
+    });
+
+    it("should replace unmappable characters with a question mark of the code page", function()
+    {
+      expect(Array.prototype.slice.call(codePages.encode('a€😀', 'cp437', 'replace'))).toEqual([0x61, 0x3F, 0x3F]);
+      expect(Array.prototype.slice.call(codePages.encode('a€', 'cp037', 'replace'))).toEqual([0x81, 0x6F]);
+    });
+
+    it("should skip unmappable characters", function()
+    {
+      expect(Array.prototype.slice.call(codePages.encode('a€😀b', 'cp437', 'skip'))).toEqual([0x61, 0x62]);
+    });
+
+    it("should throw if the unmappable policy is not valid", function()
+    {
+      expect(function() { codePages.encode('a', 'cp437', 'ignore'); }).toThrow(new Error("Expected the unmappable to be one of: throw, replace, skip."));
+    });
+
+    it("should throw if the code page is not registered", function()
+    {
+      expect(function() { codePages.encode('a', 'cp999'); }).toThrow();
+    });
+  });
+
+  describe("register", function()
+  {
+    it("should register a code page with a full table and aliases", function()
+    {
+      var table = [];
+
+      for (var i = 0; i < 256; ++i)
+      {
+        table.push(255 - i);
+      }
+
+      codePages.register('test-reversed', table, ['reversed']);
+
+      expect(codePages.getNames()).toContain('test-reversed');
+      expect(codePages.decode(new Buffer([0xBE, 0x00]), 'REVERSED')).toBe('Aÿ');
+      expect(Array.prototype.slice.call(codePages.encode('AB', 'test-reversed'))).toEqual([0xBE, 0xBD]);
+    });
+
+    it("should map the lower half to ASCII if the table has 128 code points", function()
+    {
+      var table = [];
+
+      for (var i = 0; i < 128; ++i)
+      {
+        table.push(i === 0 ? 0x2603 : null);
+      }
+
+      codePages.register('test-snowman', table);
+
+      expect(codePages.decode(new Buffer([0x41, 0x80, 0x81]), 'test-snowman')).toBe('A☃�');
+      expect(Array.prototype.slice.call(codePages.encode('A☃', 'test-snowman'))).toEqual([0x41, 0x80]);
+    });
+
+    it("should replace a code page registered under the same name", function()
+    {
+      var table = [];
+
+      for (var i = 0; i < 128; ++i)
+      {
+        table.push(0x0410 + (i % 32));
+      }
+
+      codePages.register('test-replaced', table);
+
+      table[0] = 0x00C0;
+
+      codePages.register('test-replaced', table);
+
+      expect(codePages.decode(new Buffer([0x80]), 'test-replaced')).toBe('À');
+      expect(codePages.getNames().filter(function(name) { return name === 'test-replaced'; }).length).toBe(1);
+    });
+
+    it("should throw if the name or an alias is a Buffer encoding", function()
+    {
+      var table = new Array(128).fill(null);
+
+      expect(function() { codePages.register('utf8', table); }).toThrow(new Error("The code page name can not be a Buffer encoding: utf8."));
+      expect(function() { codePages.register('test-latin1', table, ['Latin1']); }).toThrow();
+      expect(codePages.has('test-latin1')).toBe(false);
+    });
+
+    it("should throw if the table is not valid", function()
+    {
+      expect(function() { codePages.register('test-invalid', new Array(100).fill(0)); }).toThrow(new Error("Expected the code page table to be an array of 128 or 256 code points."));
+      expect(function() { codePages.register('test-invalid', new Array(128).fill(0x10000)); }).toThrow();
+      expect(function() { codePages.register('test-invalid', new Array(128).fill('a')); }).toThrow();
+      expect(function() { codePages.register('test-invalid', 'abc'); }).toThrow();
+      expect(codePages.has('test-invalid')).toBe(false);
+    });
+  });
+});